@@ -0,0 +1,128 @@
+/**
+ * ========================================================================
+ * ACTIVE PAD MODEL MODULE
+ * Base for models that read the active gamepad's update stream as a
+ * specific device: follows the active pad, re-resolves its layout when
+ * the controller or a followed setting changes and emits readings
+ * ========================================================================
+ */
+
+class ActivePadModel extends EventEmitter {
+    /**
+     * Options: { settings: SettingsStore whose `settingsPath` section is followed }
+     * Subclasses implement readSettings(), layoutKey(state), layoutFor(state) and readingFor(state, layout)
+     */
+    constructor(gamepadManager, options = {}, settingsPath = null) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+        this.settings = options.settings || null;
+        this.settingsPath = settingsPath;
+
+        // Device roles of the active gamepad, or null before its first update
+        this.layout = null;
+
+        // Last reading and the state it was read from, or null
+        this.reading = null;
+        this.state = null;
+
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Start following the active gamepad
+     */
+    start() {
+        if (this.isRunning()) return;
+
+        const events = GamepadManager.EVENTS;
+        const activeOnly = { filter: (state) => state.gamepadIndex === this.gamepadManager.activeGamepad };
+        this.unsubscribers = [
+            this.gamepadManager.on(events.UPDATE, (state) => this.handleUpdate(state), activeOnly),
+            this.gamepadManager.on(events.ACTIVE_CHANGE, () => this.reset()),
+        ];
+        if (this.settings && this.settingsPath) {
+            this.unsubscribers.push(this.settings.watch(this.settingsPath, () => {
+                this.readSettings();
+                if (this.state) this.handleUpdate(this.state);
+            }));
+        }
+    }
+
+    /**
+     * Stop following the gamepad
+     */
+    stop() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Check whether the model is following the gamepad
+     */
+    isRunning() {
+        return this.unsubscribers.length > 0;
+    }
+
+    /**
+     * Forget the layout and reading (e.g. for a new controller)
+     */
+    reset() {
+        this.layout = null;
+        this.reading = null;
+        this.state = null;
+        this.emit('clear');
+    }
+
+    /**
+     * Read one state snapshot, announcing a new layout when its layout key changed
+     */
+    handleUpdate(state) {
+        this.state = state;
+        const key = this.layoutKey(state);
+        if (!this.layout || this.layout.key !== key) {
+            this.layout = this.layoutFor(state);
+            this.layout.key = key;
+            this.reading = null;
+            this.emit('layout', this.layout);
+        }
+
+        const reading = this.readingFor(state, this.layout);
+        if (!ActivePadModel.same(reading, this.reading)) {
+            this.reading = reading;
+            this.emit('update', reading);
+        }
+    }
+
+    /**
+     * Get the layout of the active gamepad, or null
+     */
+    getLayout() {
+        return this.layout;
+    }
+
+    /**
+     * Get the last reading, or null
+     */
+    getReading() {
+        return this.reading;
+    }
+
+    /**
+     * Travel (0 released, 1 floored) of a pedal or lever axis resting at -1, or at +1 when inverted
+     */
+    static travel(value, inverted) {
+        const travel = inverted ? (1 - value) / 2 : (value + 1) / 2;
+        return Math.min(1, Math.max(0, travel));
+    }
+
+    /**
+     * Check whether two readings show the same thing
+     */
+    static same(a, b) {
+        return Boolean(a && b) && JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+// Export for use
+window.ActivePadModel = ActivePadModel;
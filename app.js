@@ -6,14 +6,39 @@
  */
 
 class GamepadTesterApp {
-    constructor() {
+    /**
+     * Options: { source: input source for GamepadManager,
+     *            autoStart: start polling immediately (default true) }
+     */
+    constructor(options = {}) {
+        this.options = options;
+
         // Modules
+        this.settingsStore = null;
         this.gamepadManager = null;
+        this.controllerSkins = null;
         this.controllerRenderer = null;
         this.uiManager = null;
+        this.stickDiagnostics = null;
+        this.stickCalibrator = null;
+        this.triggerAnalyzer = null;
+        this.inputRecorder = null;
+        this.inputPlayer = null;
+        this.perfMonitor = null;
+        this.latencyAnalyzer = null;
+        this.hapticsEngine = null;
+        this.sequenceEngine = null;
+        this.socdAnalyzer = null;
+        this.wheelModel = null;
+        this.flightModel = null;
+        this.inputTimeline = null;
+        this.chatterDetector = null;
+        this.selfTest = null;
 
         // State
         this.isInitialized = false;
+        this.debug = false;
+        this.unsubscribers = [];
 
         // Initialize
         this.init();
@@ -25,12 +50,52 @@ class GamepadTesterApp {
     async init() {
         try {
             // Create instances of modules
-            this.gamepadManager = new GamepadManager();
-            this.controllerRenderer = new ControllerRenderer('svgContainer');
+            this.settingsStore = new SettingsStore();
+            this.gamepadManager = new GamepadManager({
+                source: this.options.source,
+                autoStart: this.options.autoStart,
+                settings: this.settingsStore,
+            });
+            this.controllerSkins = new ControllerSkins();
+            this.controllerRenderer = new ControllerRenderer('svgContainer', {
+                settings: this.settingsStore,
+                skins: this.controllerSkins,
+            });
             this.uiManager = new UIManager();
-
-            // Expose gamepad manager globally for UI access
+            this.stickDiagnostics = new StickDiagnostics();
+            this.stickCalibrator = new StickCalibrator();
+            this.triggerAnalyzer = new TriggerAnalyzer();
+            this.inputRecorder = new InputRecorder(this.gamepadManager);
+            this.inputPlayer = new InputPlayer(this.gamepadManager);
+            this.perfMonitor = new PerfMonitor();
+            this.latencyAnalyzer = new LatencyAnalyzer(this.gamepadManager);
+            this.hapticsEngine = new HapticsEngine(this.gamepadManager);
+            this.sequenceEngine = new SequenceEngine(this.gamepadManager);
+            this.socdAnalyzer = new SocdAnalyzer(this.gamepadManager);
+            this.wheelModel = new WheelModel(this.gamepadManager, { settings: this.settingsStore });
+            this.flightModel = new FlightModel(this.gamepadManager, { settings: this.settingsStore });
+            this.inputTimeline = new InputTimeline();
+            this.chatterDetector = new ChatterDetector(this.gamepadManager, { settings: this.settingsStore });
+            this.selfTest = new SelfTest();
+
+            // Expose modules globally for UI access
+            window.settingsStore = this.settingsStore;
             window.gamepadManager = this.gamepadManager;
+            window.controllerSkins = this.controllerSkins;
+            window.stickDiagnostics = this.stickDiagnostics;
+            window.stickCalibrator = this.stickCalibrator;
+            window.triggerAnalyzer = this.triggerAnalyzer;
+            window.inputRecorder = this.inputRecorder;
+            window.inputPlayer = this.inputPlayer;
+            window.latencyAnalyzer = this.latencyAnalyzer;
+            window.hapticsEngine = this.hapticsEngine;
+            window.sequenceEngine = this.sequenceEngine;
+            window.socdAnalyzer = this.socdAnalyzer;
+            window.wheelModel = this.wheelModel;
+            window.flightModel = this.flightModel;
+            window.inputTimeline = this.inputTimeline;
+            window.chatterDetector = this.chatterDetector;
+            window.selfTest = this.selfTest;
 
             // Attach event handlers
             this.attachHandlers();
@@ -46,48 +111,181 @@ class GamepadTesterApp {
      * Attach event handlers from gamepad manager
      */
     attachHandlers() {
-        // Connection handler
-        this.gamepadManager.onConnect((event) => {
-            console.log('✓ Gamepad connected:', event.id);
-            this.handleGamepadConnected(event);
-        });
-
-        // Disconnection handler
-        this.gamepadManager.onDisconnect((event) => {
-            console.log('✓ Gamepad disconnected, index:', event.index);
-            this.handleGamepadDisconnected(event);
-        });
-
-        // Update handler - called continuously
-        this.gamepadManager.onUpdate((state) => {
-            this.handleGamepadUpdate(state);
-        });
-
-        // Button press handler
-        this.gamepadManager.onButtonPress((event) => {
-            this.handleButtonPress(event);
-        });
-
-        // Button release handler
-        this.gamepadManager.onButtonRelease((event) => {
-            this.handleButtonRelease(event);
-        });
+        const events = GamepadManager.EVENTS;
+
+        // The main view follows the active controller only
+        const activeOnly = { filter: (event) => event.gamepadIndex === this.gamepadManager.activeGamepad };
+
+        this.unsubscribers = [
+            // Connection handler
+            this.gamepadManager.on(events.CONNECT, (event) => {
+                console.log('✓ Gamepad connected:', event.id);
+                this.handleGamepadConnected(event);
+            }),
+
+            // Disconnection handler
+            this.gamepadManager.on(events.DISCONNECT, (event) => {
+                console.log('✓ Gamepad disconnected, index:', event.index);
+                this.handleGamepadDisconnected(event);
+            }),
+
+            // Active controller switch
+            this.gamepadManager.on(events.ACTIVE_CHANGE, (event) => this.handleActiveGamepadChanged(event)),
+
+            // Update handler - called continuously
+            this.gamepadManager.on(events.UPDATE, (state) => this.handleGamepadUpdate(state)),
+
+            // Per-pad updates for the controller list and side-by-side view
+            this.gamepadManager.on(events.PAD_UPDATE, (state) => this.handlePadUpdate(state)),
+
+            // Button press handler
+            this.gamepadManager.on(events.BUTTON_PRESS, (event) => this.handleButtonPress(event), activeOnly),
+
+            // Button release handler
+            this.gamepadManager.on(events.BUTTON_RELEASE, (event) => this.handleButtonRelease(event), activeOnly),
+
+            // Axis change handler
+            this.gamepadManager.on(events.AXIS_CHANGE, (event) => this.handleAxisChange(event), activeOnly),
+
+            // Settings panel, theme and section visibility
+            this.settingsStore.on('change', (event) => this.uiManager.applySettings(event.values)),
+
+            // Frame budget counter
+            this.perfMonitor.on('report', (stats) => this.uiManager.updatePerfCounter(stats)),
+
+            // Remap presets of the active controller
+            this.gamepadManager.remaps.on('change', (event) => this.showActiveRemaps(event.id)),
+
+            // Dead zone tuning
+            this.gamepadManager.deadZones.on('change', (config) => this.handleDeadZoneChange(config)),
+
+            // Stick diagnostics
+            this.stickDiagnostics.on('start', (event) => this.uiManager.showDiagnosticsStart(event)),
+            this.stickDiagnostics.on('progress', (event) => this.uiManager.showDiagnosticsProgress(event)),
+            this.stickDiagnostics.on('complete', (result) => this.uiManager.showDiagnosticsResult(result)),
+            this.stickDiagnostics.on('cancel', () => this.uiManager.showDiagnosticsCancelled()),
+
+            // Stick calibration
+            this.stickCalibrator.on('step', (event) => this.uiManager.showCalibrationStep(event)),
+            this.stickCalibrator.on('progress', (event) => this.uiManager.showCalibrationProgress(event)),
+            this.stickCalibrator.on('incomplete', (event) => this.uiManager.showCalibrationIncomplete(event)),
+            this.stickCalibrator.on('cancel', () => this.uiManager.showCalibrationCancelled()),
+            this.stickCalibrator.on('complete', (profile) => this.gamepadManager.calibrations.set(profile.id, profile)),
+            this.gamepadManager.calibrations.on('change', () => this.showActiveCalibration()),
+
+            // Trigger analysis
+            this.triggerAnalyzer.on('start', (event) => this.uiManager.showTriggerTestStart(event)),
+            this.triggerAnalyzer.on('progress', (event) => this.uiManager.showTriggerTestProgress(event)),
+            this.triggerAnalyzer.on('complete', (result) => this.uiManager.showTriggerTestResult(result)),
+            this.triggerAnalyzer.on('cancel', () => this.uiManager.showTriggerTestCancelled()),
+
+            // Latency and polling rate
+            this.latencyAnalyzer.on('start', (event) => this.uiManager.showLatencyStart(event)),
+            this.latencyAnalyzer.on('update', (stats) => this.uiManager.showLatencyStats(stats)),
+            this.latencyAnalyzer.on('press', (event) => this.uiManager.showMashProgress(event)),
+            this.latencyAnalyzer.on('complete', (stats) => this.uiManager.showLatencyResult(stats)),
+
+            // Haptics designer
+            this.hapticsEngine.on('play', (event) => this.uiManager.showHapticsPlaying(event)),
+            this.hapticsEngine.on('step', (event) => this.uiManager.showHapticsStep(event)),
+            this.hapticsEngine.on('end', () => {
+                if (!this.hapticsEngine.isPlaying()) this.uiManager.showHapticsEnded();
+            }),
+            this.hapticsEngine.on('stop', () => this.uiManager.showHapticsStopped()),
+            this.hapticsEngine.on('library', (patterns) => this.uiManager.renderHapticsLibrary(patterns)),
+
+            // Motion inputs and combos
+            this.sequenceEngine.on('direction', (event) => this.uiManager.showComboDirection(event.direction)),
+            this.sequenceEngine.on('input', (entry) => this.uiManager.showComboInput(entry)),
+            this.sequenceEngine.on('combo', (event) => this.uiManager.showComboHit(event)),
+            this.sequenceEngine.on('clear', () => this.uiManager.showComboCleared()),
+            this.sequenceEngine.on('library', (combos) => this.uiManager.renderComboList(combos)),
+
+            // Fight stick directions and SOCD test
+            this.socdAnalyzer.on('directions', (event) => this.uiManager.showSocdDirections(event)),
+            this.socdAnalyzer.on('start', () => this.uiManager.showSocdStart()),
+            this.socdAnalyzer.on('step', (step) => this.uiManager.showSocdStep(step)),
+            this.socdAnalyzer.on('trial', (trial) => this.uiManager.showSocdTrial(trial)),
+            this.socdAnalyzer.on('complete', (report) => this.uiManager.showSocdReport(report)),
+            this.socdAnalyzer.on('cancel', () => this.uiManager.showSocdCancelled()),
+
+            // Racing wheel
+            this.wheelModel.on('layout', (layout) => this.uiManager.setWheelLayout(layout)),
+            this.wheelModel.on('update', (reading) => this.uiManager.updateWheel(reading)),
+            this.wheelModel.on('clear', () => this.uiManager.setWheelLayout(null)),
+
+            // Flight stick
+            this.flightModel.on('layout', (layout) => this.uiManager.setFlightLayout(layout)),
+            this.flightModel.on('update', (reading) => this.uiManager.updateFlight(reading)),
+            this.flightModel.on('clear', () => this.uiManager.setFlightLayout(null)),
+
+            // Switch chatter
+            this.chatterDetector.on('chatter', (event) => {
+                this.uiManager.showChatter(event);
+                this.controllerRenderer.setButtonChatter(event.index, true);
+            }),
+            this.chatterDetector.on('update', (report) => this.uiManager.renderChatterReport(report)),
+            this.chatterDetector.on('reset', () => {
+                this.uiManager.showChatterReset();
+                this.controllerRenderer.clearChatter();
+            }),
+
+            // Guided self-test
+            this.selfTest.on('start', () => this.uiManager.showSelfTestStart()),
+            this.selfTest.on('step', (event) => this.uiManager.showSelfTestStep(event)),
+            this.selfTest.on('progress', (event) => this.uiManager.showSelfTestProgress(event)),
+            this.selfTest.on('result', (result) => this.uiManager.showSelfTestResult(result)),
+            this.selfTest.on('complete', (report) => this.uiManager.showSelfTestReport(report)),
+            this.selfTest.on('cancel', () => this.uiManager.showSelfTestCancelled()),
+
+            // Input timeline
+            this.inputTimeline.on('layout', (layout) => this.uiManager.setTimelineLayout(layout)),
+            this.inputTimeline.on('clear', () => this.uiManager.setTimelineLayout(null)),
+
+            // Recording and replay
+            this.inputRecorder.on('start', () => this.uiManager.showRecordingStarted()),
+            this.inputRecorder.on('frame', (event) => this.uiManager.showRecordingProgress(event)),
+            this.inputRecorder.on('stop', (session) => this.handleRecordingStopped(session)),
+            this.inputPlayer.on('load', (event) => this.uiManager.showRecordingLoaded(event)),
+            ...['play', 'pause', 'stop', 'position', 'speed', 'end'].map((name) =>
+                this.inputPlayer.on(name, (status) => this.uiManager.updatePlaybackStatus(status))
+            ),
+        ];
+
+        this.uiManager.renderDeadZoneControls(this.gamepadManager.deadZones.getConfig());
+        this.uiManager.renderHapticsLibrary(this.hapticsEngine.list());
+        this.uiManager.renderComboList(this.sequenceEngine.list());
+        this.uiManager.renderSkinOptions(this.controllerSkins.list());
+        this.sequenceEngine.start();
+        this.socdAnalyzer.start();
+        this.wheelModel.start();
+        this.flightModel.start();
+        this.chatterDetector.start();
+        this.uiManager.applySettings(this.settingsStore.getAll());
+    }
 
-        // Axis change handler
-        this.gamepadManager.onAxisChange((event) => {
-            this.handleAxisChange(event);
-        });
+    /**
+     * Detach all event handlers registered by attachHandlers
+     */
+    detachHandlers() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+        this.sequenceEngine.stop();
+        this.socdAnalyzer.stop();
+        this.wheelModel.stop();
+        this.flightModel.stop();
+        this.chatterDetector.stop();
     }
 
     /**
      * Handle gamepad connection
      */
     handleGamepadConnected(event) {
+        this.refreshControllerList();
+
         // Update UI to show connected state
-        const activeGamepad = this.gamepadManager.getActiveGamepad();
-        if (activeGamepad) {
-            const state = this.gamepadManager.getGamepadState(activeGamepad);
-            this.uiManager.showConnectedState(state);
+        if (event.index === this.gamepadManager.activeGamepad) {
+            this.showActiveGamepad();
         }
     }
 
@@ -95,6 +293,13 @@ class GamepadTesterApp {
      * Handle gamepad disconnection
      */
     handleGamepadDisconnected(event) {
+        this.refreshControllerList();
+
+        // Stop measuring a controller that went away
+        if (this.latencyAnalyzer.isRunning() && this.latencyAnalyzer.measurement.gamepadIndex === event.index) {
+            this.latencyAnalyzer.stop();
+        }
+
         // If no more gamepads, show disconnected state
         if (!this.gamepadManager.isConnected()) {
             this.uiManager.showDisconnectedState();
@@ -102,12 +307,110 @@ class GamepadTesterApp {
         }
     }
 
+    /**
+     * Handle a switch of the active controller
+     */
+    handleActiveGamepadChanged(event) {
+        // Running tests belong to the previous controller
+        if (this.stickDiagnostics.isRunning()) {
+            this.stickDiagnostics.cancel();
+        }
+        this.stickCalibrator.cancel();
+        this.triggerAnalyzer.cancel();
+        this.latencyAnalyzer.stop();
+        this.hapticsEngine.cancel();
+        this.selfTest.cancel();
+        this.inputTimeline.clear();
+
+        this.uiManager.setActiveController(event.index);
+        this.showActiveGamepad();
+    }
+
+    /**
+     * Show the active controller in the main view
+     */
+    showActiveGamepad() {
+        const activeGamepad = this.gamepadManager.getActiveGamepad();
+        if (activeGamepad) {
+            const state = this.gamepadManager.getGamepadState(activeGamepad);
+            this.controllerRenderer.reset();
+            this.controllerRenderer.setProfile(state.profile, state.id);
+            this.uiManager.showConnectedState(state);
+            this.showActiveCalibration();
+        }
+    }
+
+    /**
+     * Refresh the remap panel when the active controller's presets change
+     */
+    showActiveRemaps(gamepadId) {
+        const activeGamepad = this.gamepadManager.getActiveGamepad();
+        if (activeGamepad && activeGamepad.id === gamepadId) {
+            this.uiManager.renderRemapControls(this.gamepadManager.getGamepadState(activeGamepad));
+        }
+    }
+
+    /**
+     * Show the calibration profile of the active controller
+     */
+    showActiveCalibration() {
+        const activeGamepad = this.gamepadManager.getActiveGamepad();
+        if (activeGamepad) {
+            this.uiManager.showCalibrationProfile(this.gamepadManager.calibrations.get(activeGamepad.id));
+        }
+    }
+
+    /**
+     * Rebuild the connected controller list
+     */
+    refreshControllerList() {
+        const manager = this.gamepadManager;
+        const states = manager.getAllGamepads().map((gamepad) => manager.getGamepadState(gamepad));
+        this.uiManager.renderControllerList(states, manager.activeGamepad);
+    }
+
+    /**
+     * Handle updates of every connected controller
+     */
+    handlePadUpdate(state) {
+        this.uiManager.updateControllerMiniStatus(state);
+        this.uiManager.updatePadRenderer(state);
+    }
+
     /**
      * Handle continuous gamepad updates
      */
     handleGamepadUpdate(state) {
+        this.perfMonitor.begin();
+
         // Update all displays
         this.uiManager.updateFullDisplay(state);
+        this.inputTimeline.record(state);
+        this.uiManager.updateTimeline();
+
+        this.uiManager.updateStickPlots(state.sticks);
+        this.uiManager.updateDiagnosticsPlots(state.sticks);
+        this.stickDiagnostics.feed(state.sticks);
+        this.uiManager.updateCalibrationPlots(state.sticks);
+        this.stickCalibrator.feed(state.sticks);
+        this.uiManager.updateTriggerPlots(state.triggers);
+        this.triggerAnalyzer.feed(state.triggers);
+        this.selfTest.feed(state);
+
+        if (this.controllerRenderer) {
+            // Analog button travel (standard mapping triggers)
+            state.buttons.forEach((button) => {
+                this.controllerRenderer.updateButtonValue(button.index, button.value);
+            });
+
+            // Raw stick positions next to the dead-zoned stick caps
+            Object.keys(state.sticks).forEach((side) => {
+                const raw = state.sticks[side].raw;
+                this.controllerRenderer.updateStickRaw(side, raw.x, raw.y);
+            });
+        }
+
+        this.perfMonitor.end(this.uiManager.takeDomWrites());
     }
 
     /**
@@ -126,7 +429,7 @@ class GamepadTesterApp {
         this.playButtonPressTactileFeedback(event.index);
 
         // Log for debugging
-        if (process.env.NODE_ENV === 'development') {
+        if (this.debug) {
             console.debug(`Button pressed: ${event.button} (index: ${event.index})`);
         }
     }
@@ -149,36 +452,30 @@ class GamepadTesterApp {
      */
     handleAxisChange(event) {
         // Update axis display in UI
-        this.uiManager.updateAxisDisplay(event.index, event.value, event.name);
+        this.uiManager.updateAxisDisplay(event.index, event.value, event.name, event.rawValue);
 
-        // Update SVG controller visualization
+        // Update SVG controller visualization (sticks and axis-based triggers)
         if (this.controllerRenderer) {
-            // Map axes to stick positions
-            if (event.index === 0 || event.index === 1) {
-                // Left stick
-                const xAxis = this.gamepadManager.axisStates.get(
-                    this.gamepadManager.activeGamepad
-                )?.[0] || 0;
-                const yAxis = this.gamepadManager.axisStates.get(
-                    this.gamepadManager.activeGamepad
-                )?.[1] || 0;
-
-                this.controllerRenderer.updateStickPosition('left', xAxis, yAxis);
-            } else if (event.index === 2 || event.index === 3) {
-                // Right stick
-                const xAxis = this.gamepadManager.axisStates.get(
-                    this.gamepadManager.activeGamepad
-                )?.[2] || 0;
-                const yAxis = this.gamepadManager.axisStates.get(
-                    this.gamepadManager.activeGamepad
-                )?.[3] || 0;
-
-                this.controllerRenderer.updateStickPosition('right', xAxis, yAxis);
-            } else if (event.index === 4 || event.index === 5) {
-                // Triggers
-                this.controllerRenderer.updateAxisValue(event.index, event.value, event.name);
-            }
+            this.controllerRenderer.updateAxis(event.index, event.value);
+        }
+    }
+
+    /**
+     * Load a finished recording into the player
+     */
+    handleRecordingStopped(session) {
+        if (session.frames.length === 0) {
+            this.uiManager.showRecordingLoaded({ duration: 0, frames: 0 });
+            return;
         }
+        this.inputPlayer.load(session);
+    }
+
+    /**
+     * Handle dead zone configuration change
+     */
+    handleDeadZoneChange(config) {
+        this.uiManager.updateDeadZoneControls(config);
     }
 
     /**
@@ -203,17 +500,48 @@ class GamepadTesterApp {
     }
 }
 
+// Export for use
+window.GamepadTesterApp = GamepadTesterApp;
+
 // ========================================================================
 // APPLICATION BOOTSTRAP
 // ========================================================================
 
+/**
+ * Build app options from window.gamepadTesterConfig or the page URL
+ * `?virtual` swaps the Gamepad API for a virtual pad scriptable from the console
+ */
+function resolveAppConfig() {
+    const config = { ...(window.gamepadTesterConfig || {}) };
+
+    if (!config.source && new URLSearchParams(window.location.search).has('virtual')) {
+        config.source = new VirtualInputSource();
+        window.virtualInput = config.source;
+    }
+
+    return config;
+}
+
+/**
+ * Create the application instance (skipped when autoBoot is false, e.g. in
+ * headless harnesses that construct GamepadTesterApp themselves)
+ */
+function bootstrapApp() {
+    const config = resolveAppConfig();
+    if (config.autoBoot === false) return;
+
+    window.app = new GamepadTesterApp(config);
+
+    if (window.virtualInput && config.source === window.virtualInput) {
+        window.virtualGamepad = window.virtualInput.connect();
+    }
+}
+
 // Create application instance when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.app = new GamepadTesterApp();
-    });
+    document.addEventListener('DOMContentLoaded', bootstrapApp);
 } else {
-    window.app = new GamepadTesterApp();
+    bootstrapApp();
 }
 
 // Log app info
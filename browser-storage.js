@@ -0,0 +1,30 @@
+/**
+ * ========================================================================
+ * BROWSER STORAGE MODULE
+ * Storage lookup shared by the modules that persist to localStorage
+ * ========================================================================
+ */
+
+class BrowserStorage {
+    /**
+     * Storage a module should use: the given Storage-like object, or localStorage when
+     * none was given (null keeps everything in memory)
+     */
+    static resolve(storage) {
+        return storage !== undefined ? storage : BrowserStorage.local();
+    }
+
+    /**
+     * localStorage, or null where it is unavailable (e.g. blocked in privacy mode)
+     */
+    static local() {
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export for use
+window.BrowserStorage = BrowserStorage;
@@ -0,0 +1,202 @@
+/**
+ * ========================================================================
+ * CALIBRATION STORE MODULE
+ * Per-controller stick calibration profiles (centre and extents per axis),
+ * persisted in localStorage by gamepad.id, with import/export
+ * ========================================================================
+ */
+
+class CalibrationStore extends EventEmitter {
+    /**
+     * Options: { storage: Storage-like object (defaults to localStorage),
+     *            key: storage key }
+     */
+    constructor(options = {}) {
+        super();
+
+        this.storage = BrowserStorage.resolve(options.storage);
+        this.key = options.key || CalibrationStore.STORAGE_KEY;
+
+        // Profiles by gamepad.id
+        this.profiles = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Read saved profiles; unreadable data is ignored
+     */
+    load() {
+        this.profiles.clear();
+        if (!this.storage) return;
+
+        try {
+            const saved = this.storage.getItem(this.key);
+            if (saved) {
+                this.addProfiles(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved stick calibrations:', error.message);
+        }
+    }
+
+    /**
+     * Write all profiles to storage
+     */
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, this.export());
+        } catch (error) {
+            console.warn('Could not save stick calibrations:', error.message);
+        }
+    }
+
+    /**
+     * Get the profile of a controller, or null
+     */
+    get(gamepadId) {
+        return this.profiles.get(gamepadId) || null;
+    }
+
+    /**
+     * Store a controller's profile
+     */
+    set(gamepadId, profile) {
+        const validated = CalibrationStore.validate({ ...profile, id: gamepadId });
+        this.profiles.set(gamepadId, validated);
+        this.persist();
+        this.emit('change', { id: gamepadId, profile: validated });
+        return validated;
+    }
+
+    /**
+     * Delete a controller's profile
+     */
+    remove(gamepadId) {
+        if (!this.profiles.delete(gamepadId)) return false;
+        this.persist();
+        this.emit('change', { id: gamepadId, profile: null });
+        return true;
+    }
+
+    /**
+     * Get all stored profiles
+     */
+    list() {
+        return Array.from(this.profiles.values());
+    }
+
+    /**
+     * Serialize all profiles as JSON
+     */
+    export() {
+        return JSON.stringify(
+            {
+                schema: CalibrationStore.SCHEMA,
+                version: CalibrationStore.VERSION,
+                profiles: this.list(),
+            },
+            null,
+            2
+        );
+    }
+
+    /**
+     * Merge profiles from exported JSON; returns the number imported
+     * Throws on files that are not calibration exports
+     */
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a JSON file');
+        }
+
+        const count = this.addProfiles(data);
+        this.persist();
+        this.emit('change', { id: null, profile: null });
+        return count;
+    }
+
+    /**
+     * Validate an export and add its profiles
+     */
+    addProfiles(data) {
+        if (!data || data.schema !== CalibrationStore.SCHEMA) {
+            throw new Error(`Not a ${CalibrationStore.SCHEMA} file`);
+        }
+        if (data.version !== CalibrationStore.VERSION) {
+            throw new Error(`Unsupported calibration version ${data.version} (supported: ${CalibrationStore.VERSION})`);
+        }
+        if (!Array.isArray(data.profiles)) {
+            throw new Error('Missing calibration profiles');
+        }
+
+        // Validate everything before changing anything
+        const profiles = data.profiles.map((profile) => CalibrationStore.validate(profile));
+        profiles.forEach((profile) => this.profiles.set(profile.id, profile));
+        return profiles.length;
+    }
+
+    /**
+     * Check a profile's structure and value ranges, returning a clean copy
+     */
+    static validate(profile) {
+        if (!profile || typeof profile.id !== 'string' || profile.id === '') {
+            throw new Error('Calibration profile needs a gamepad id');
+        }
+
+        const sticks = {};
+        Object.keys(profile.sticks || {}).forEach((side) => {
+            if (side !== 'left' && side !== 'right') {
+                throw new Error(`Unknown stick "${side}" in calibration for ${profile.id}`);
+            }
+
+            sticks[side] = {};
+            ['x', 'y'].forEach((axis) => {
+                const range = (profile.sticks[side] || {})[axis];
+                const valid =
+                    range &&
+                    [range.min, range.center, range.max].every((v) => Number.isFinite(v) && v >= -1 && v <= 1) &&
+                    range.min < range.center &&
+                    range.center < range.max;
+
+                if (!valid) {
+                    throw new Error(`Invalid ${side} stick ${axis} range in calibration for ${profile.id}`);
+                }
+                sticks[side][axis] = { min: range.min, center: range.center, max: range.max };
+            });
+        });
+
+        if (Object.keys(sticks).length === 0) {
+            throw new Error(`Calibration for ${profile.id} has no sticks`);
+        }
+
+        return {
+            id: profile.id,
+            createdAt: profile.createdAt || new Date().toISOString(),
+            sticks: sticks,
+        };
+    }
+
+    /**
+     * Correct one raw axis value: re-centre, then scale each half of the
+     * travel so the measured extent reaches ±1
+     */
+    static applyAxis(value, range) {
+        const offset = value - range.center;
+        const span = offset >= 0 ? range.max - range.center : range.center - range.min;
+        return Math.min(1, Math.max(-1, offset / span));
+    }
+}
+
+// localStorage key and export format
+CalibrationStore.STORAGE_KEY = 'gamepad-tester.calibration';
+CalibrationStore.SCHEMA = 'gamepad-tester-calibration';
+CalibrationStore.VERSION = 1;
+
+// Export for use
+window.CalibrationStore = CalibrationStore;
@@ -0,0 +1,189 @@
+/**
+ * ========================================================================
+ * CHATTER DETECTOR MODULE
+ * Watches the active gamepad's press/release edges for switch bounce:
+ * presses shorter than the chatter threshold, and re-presses that follow
+ * a release within it, counted per button into a health report
+ * ========================================================================
+ */
+
+class ChatterDetector extends EventEmitter {
+    /**
+     * Options: { settings: SettingsStore supplying input.chatterThreshold, now: clock }
+     */
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+        this.settings = options.settings || null;
+
+        // Clock for events without a hardware timestamp
+        this.now = options.now || (() => performance.now());
+
+        // Press/release pairs shorter than this (milliseconds) count as chatter
+        this.threshold = this.settings
+            ? this.settings.get('input.chatterThreshold')
+            : SettingsStore.createDefaults().input.chatterThreshold;
+
+        // Per button index: counters, and the times of its last edges
+        this.stats = new Map();
+        this.edges = new Map();
+
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Start watching the active gamepad
+     */
+    start() {
+        if (this.isRunning()) return;
+
+        const events = GamepadManager.EVENTS;
+        const activeOnly = { filter: (event) => event.gamepadIndex === this.gamepadManager.activeGamepad };
+        this.unsubscribers = [
+            this.gamepadManager.on(events.BUTTON_PRESS, (event) => this.handlePress(event), activeOnly),
+            this.gamepadManager.on(events.BUTTON_RELEASE, (event) => this.handleRelease(event), activeOnly),
+            this.gamepadManager.on(events.ACTIVE_CHANGE, () => this.reset()),
+        ];
+        if (this.settings) {
+            this.unsubscribers.push(this.settings.watch('input.chatterThreshold', () => {
+                this.threshold = this.settings.get('input.chatterThreshold');
+            }));
+        }
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Check whether the detector is watching
+     */
+    isRunning() {
+        return this.unsubscribers.length > 0;
+    }
+
+    /**
+     * Forget all counters (e.g. for a new controller)
+     */
+    reset() {
+        this.stats.clear();
+        this.edges.clear();
+        this.emit('reset');
+    }
+
+    /**
+     * Count a press; a re-press soon after a release is a bounce
+     */
+    handlePress(event) {
+        const time = ChatterDetector.eventTime(event, this.now);
+        const stats = this.getStats(event.index, event.button);
+        const edge = this.edges.get(event.index);
+        stats.presses++;
+
+        // A bounce right after a flagged short press is the same fault, counted once
+        if (edge && edge.releasedAt !== null && !edge.flagged && time - edge.releasedAt < this.threshold) {
+            this.flag(event.index, 'bounce', time - edge.releasedAt);
+        }
+
+        this.edges.set(event.index, { pressedAt: time, releasedAt: null, flagged: false });
+        this.emit('update', this.getReport());
+    }
+
+    /**
+     * Check how long the press lasted
+     */
+    handleRelease(event) {
+        const edge = this.edges.get(event.index);
+        if (!edge || edge.releasedAt !== null) return;
+
+        edge.releasedAt = ChatterDetector.eventTime(event, this.now);
+        const duration = edge.releasedAt - edge.pressedAt;
+        if (duration < this.threshold) {
+            edge.flagged = true;
+            this.flag(event.index, 'short-press', duration);
+            this.emit('update', this.getReport());
+        }
+    }
+
+    /**
+     * Record one chatter event on a button
+     */
+    flag(index, kind, duration) {
+        const stats = this.stats.get(index);
+        stats.chatters++;
+        if (kind === 'bounce') stats.bounces++;
+        else stats.shortPresses++;
+        stats.shortest = stats.shortest === null ? duration : Math.min(stats.shortest, duration);
+
+        this.emit('chatter', {
+            index: index,
+            button: stats.name,
+            kind: kind,
+            duration: duration,
+            count: stats.chatters,
+        });
+    }
+
+    /**
+     * Counters of a button, created on first use
+     */
+    getStats(index, name) {
+        if (!this.stats.has(index)) {
+            this.stats.set(index, { name: name, presses: 0, chatters: 0, shortPresses: 0, bounces: 0, shortest: null });
+        }
+        return this.stats.get(index);
+    }
+
+    /**
+     * Indices of buttons that chattered at least once
+     */
+    getFlaggedButtons() {
+        return Array.from(this.stats.keys()).filter((index) => this.stats.get(index).chatters > 0);
+    }
+
+    /**
+     * Per-button health of every button pressed so far, by index
+     */
+    getReport() {
+        const buttons = Array.from(this.stats.keys())
+            .sort((a, b) => a - b)
+            .map((index) => {
+                const stats = this.stats.get(index);
+                const rate = stats.presses > 0 ? stats.chatters / stats.presses : 0;
+                return { index, ...stats, rate, health: ChatterDetector.classify(stats.chatters, rate) };
+            });
+
+        return {
+            threshold: this.threshold,
+            buttons: buttons,
+            flagged: buttons.filter((button) => button.chatters > 0).length,
+        };
+    }
+
+    /**
+     * Health of a button from its chatter count and rate (chatters per press)
+     */
+    static classify(chatters, rate) {
+        if (chatters === 0) return 'healthy';
+        return chatters >= ChatterDetector.WORN_COUNT && rate >= ChatterDetector.WORN_RATE ? 'worn' : 'suspect';
+    }
+
+    /**
+     * Time of an edge: the report's hardware timestamp when it has one
+     */
+    static eventTime(event, now) {
+        return event.timestamp > 0 ? event.timestamp : now();
+    }
+}
+
+// A button is worn once it chattered this often, on at least this share of presses
+ChatterDetector.WORN_COUNT = 2;
+ChatterDetector.WORN_RATE = 0.05;
+
+// Export for use
+window.ChatterDetector = ChatterDetector;
@@ -3,11 +3,16 @@
  * CONTROLLER RENDERER MODULE
  * Renders an interactive SVG-based controller diagram with real-time updates
  * Buttons glow when pressed, sticks move dynamically, triggers animate
+ * The diagram is drawn from a ControllerSkins layout matching the controller
  * ========================================================================
  */
 
 class ControllerRenderer {
-    constructor(containerId) {
+    /**
+     * Options: { settings: SettingsStore whose `renderer` tunables the diagram follows live,
+     *            skins: ControllerSkins registry to draw from }
+     */
+    constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
         this.svg = null;
         this.controllerGroup = null;
@@ -15,6 +20,30 @@ class ControllerRenderer {
         this.stickElements = new Map();
         this.triggerElements = new Map();
         this.axisValues = new Map();
+        this.labelElements = new Map();
+        this.gateElements = new Map();
+
+        // D-pad directions held, shown on the skin's lever gate
+        this.dpad = new Set();
+
+        // Buttons shown pressed by applyState()
+        this.pressedButtons = new Set();
+
+        // Resolved mapping profile and id of the displayed controller
+        this.profile = null;
+        this.gamepadId = '';
+
+        // Skin registry and the skin currently drawn
+        this.skins = options.skins || new ControllerSkins();
+        this.skin = null;
+
+        // Buttons marked by setButtonChatter(), kept when the skin changes
+        this.chatterButtons = new Set();
+
+        // Display tunables (defaults unless a settings store is given)
+        this.settings = options.settings || null;
+        this.tunables = SettingsStore.createDefaults().renderer;
+        this.unsubscribeSettings = null;
 
         this.init();
     }
@@ -23,8 +52,56 @@ class ControllerRenderer {
      * Initialize and create SVG controller diagram
      */
     init() {
+        if (this.settings) {
+            this.unsubscribeSettings = this.settings.watch('renderer', () => this.applySettings());
+        }
+        this.applySettings();
+    }
+
+    /**
+     * Read the display tunables and apply them to the diagram
+     */
+    applySettings() {
+        if (this.settings) {
+            this.tunables = this.settings.get('renderer');
+        }
+
+        this.applySkin();
+        this.stickElements.forEach((stick) => {
+            stick.rawElement.style.display = this.tunables.showRawSticks ? '' : 'none';
+        });
+    }
+
+    /**
+     * Redraw the diagram if the skin to show (the user's choice, else the detected one) changed
+     */
+    applySkin() {
+        const skin = this.resolveSkin();
+        if (skin === this.skin) return;
+
+        this.skin = skin;
         this.createSVG();
         this.drawController();
+        this.applyLabels();
+        this.chatterButtons.forEach((index) => this.setButtonChatter(index, true));
+    }
+
+    /**
+     * Skin for the displayed controller, honouring the `renderer.skin` override
+     */
+    resolveSkin() {
+        const override = this.tunables.skin && this.tunables.skin !== 'auto' ? this.skins.get(this.tunables.skin) : null;
+        return override || this.skins.find(this.gamepadId, this.profile);
+    }
+
+    /**
+     * Stop following the settings store
+     */
+    destroy() {
+        if (this.unsubscribeSettings) {
+            this.unsubscribeSettings();
+            this.unsubscribeSettings = null;
+        }
     }
 
     /**
@@ -35,7 +112,7 @@ class ControllerRenderer {
         this.container.innerHTML = '';
 
         const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('viewBox', '0 0 600 400');
+        svg.setAttribute('viewBox', this.skin.viewBox || '0 0 600 400');
         svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
         svg.setAttribute('width', '100%');
         svg.setAttribute('height', 'auto');
@@ -45,29 +122,90 @@ class ControllerRenderer {
     }
 
     /**
-     * Draw the controller outline and components
+     * Draw the skin's SVG asset and bind its parts to buttons, triggers and sticks
      */
     drawController() {
         // Define and apply styles
         this.applyStyles();
 
-        // Main controller group
+        [
+            this.buttonElements,
+            this.stickElements,
+            this.triggerElements,
+            this.axisValues,
+            this.labelElements,
+            this.gateElements,
+        ].forEach((map) => map.clear());
+        this.pressedButtons.clear();
+
+        // Main controller group, holding the skin's drawing
         this.controllerGroup = this.createGroup('controller-group');
+        this.controllerGroup.setAttribute('class', `skin-${this.skin.id}`);
+        this.controllerGroup.innerHTML = this.skin.svg;
         this.svg.appendChild(this.controllerGroup);
 
-        // Draw controller body
-        this.drawControllerBody();
+        this.bindButtons(this.skin.buttons, this.buttonElements);
+        this.bindButtons(this.skin.triggers || {}, this.triggerElements);
+
+        Object.keys(this.skin.labels || {}).forEach((index) => {
+            const label = this.getPart(this.skin.labels[index]);
+            if (label) this.labelElements.set(Number(index), label);
+        });
+
+        Object.keys(this.skin.sticks || {}).forEach((side) => this.bindStick(side, this.skin.sticks[side]));
+
+        Object.keys(this.skin.gate || {}).forEach((direction) => {
+            const marker = this.getPart(this.skin.gate[direction]);
+            if (marker) this.gateElements.set(Number(direction), marker);
+        });
+        this.updateGate();
+    }
+
+    /**
+     * Register the skin parts of a button index -> part map
+     */
+    bindButtons(parts, elements) {
+        Object.keys(parts).forEach((index) => {
+            const element = this.getPart(parts[index]);
+            if (!element) return;
+            element.setAttribute('data-button-index', index);
+            elements.set(Number(index), element);
+        });
+    }
+
+    /**
+     * Register a stick cap and add its raw (pre dead zone) position marker
+     */
+    bindStick(side, definition) {
+        const cap = this.getPart(definition.cap);
+        if (!cap) return;
+
+        const x = parseFloat(cap.getAttribute('cx'));
+        const y = parseFloat(cap.getAttribute('cy'));
+        if (definition.click !== null && definition.click !== undefined) {
+            cap.setAttribute('data-button-index', definition.click);
+        }
 
-        // Draw button sections
-        this.drawLeftSection();
-        this.drawRightSection();
-        this.drawCenterSection();
+        const rawMarker = this.createCircle(x, y, 4, 'none', '#00d9ff', 1.5);
+        rawMarker.setAttribute('class', 'stick-raw');
+        cap.parentNode.insertBefore(rawMarker, cap.nextSibling);
 
-        // Draw shoulder buttons and triggers
-        this.drawShoulderButtons();
+        this.stickElements.set(side, {
+            element: cap,
+            baseX: x,
+            baseY: y,
+            maxDistance: definition.travel || 25,
+            clickIndex: definition.click,
+            rawElement: rawMarker,
+        });
+        this.axisValues.set(side, { x: 0, y: 0 });
+    }
 
-        // Draw analog sticks
-        this.drawAnalogSticks();
+    /**
+     * Find a named part of the skin drawing
+     */
+    getPart(name) {
+        return this.controllerGroup.querySelector(`[data-part="${name}"]`);
     }
 
     /**
@@ -122,12 +260,19 @@ class ControllerRenderer {
             <style>
                 .controller-body { fill: url(#controllerGradient); stroke: #1a1a1a; stroke-width: 2; }
                 .button-base { fill: #1a1a1a; stroke: #333; stroke-width: 1.5; }
-                .button-pressed { animation: buttonPress 0.2s ease-out; }
+                .button-base.button-pressed { fill: #ffd700; opacity: 0.8; }
+                .button-pressed { animation: buttonPress 0.2s ease-out; transform-box: fill-box; transform-origin: center; }
+                .home-button { stroke: #ffd700; }
                 .stick-base { fill: #0a0a0a; stroke: #333; stroke-width: 2; }
                 .stick-cap { fill: #1a1a1a; stroke: #ffd700; stroke-width: 2; }
-                .stick-pressed { stroke: #00d9ff; }
+                .stick-raw { fill: none; stroke: #00d9ff; stroke-width: 1.5; pointer-events: none; }
+                .stick-pressed { stroke: #00d9ff; stroke-width: 4; fill: rgba(0, 217, 255, 0.25); }
+                .button-chatter, .stick-cap.button-chatter { stroke: #ff0055; stroke-width: 3; }
                 .text-label { font-family: 'Inter', sans-serif; font-size: 12px; fill: #999; }
                 .text-value { font-family: 'Inter', sans-serif; font-size: 11px; fill: #666; }
+                .gate-marker { fill: #333; }
+                .gate-marker.gate-active { fill: #00d9ff; }
+                .skin-lightbar { fill: none; stroke: #00d9ff; stroke-width: 4; stroke-linecap: round; opacity: 0.8; }
 
                 @keyframes buttonPress {
                     0% { transform: scale(1); }
@@ -147,241 +292,211 @@ class ControllerRenderer {
     }
 
     /**
-     * Draw main controller body
+     * Apply a resolved mapping profile and the controller's id (skin, labels, face colours, raw index translation)
      */
-    drawControllerBody() {
-        const body = this.createPath(
-            'M 150 120 Q 150 80 200 60 L 400 60 Q 450 80 450 120 L 450 300 Q 450 340 400 360 L 200 360 Q 150 340 150 300 Z',
-            'controller-body'
-        );
-        body.setAttribute('class', 'controller-body');
-        this.controllerGroup.appendChild(body);
+    setProfile(mapping, gamepadId = '') {
+        this.profile = mapping;
+        this.gamepadId = gamepadId;
+        this.applySkin();
+        this.applyLabels();
     }
 
     /**
-     * Draw left section (D-Pad + Left Stick)
+     * Label the diagram's buttons and colour its face buttons for the profile's family
      */
-    drawLeftSection() {
-        // D-Pad group
-        const dpadGroup = this.createGroup('dpad-group');
-        dpadGroup.setAttribute('transform', 'translate(220, 160)');
-
-        // D-Pad background
-        const dpadBg = this.createCircle(0, 0, 25, '#0a0a0a', '#333', 2);
-        dpadGroup.appendChild(dpadBg);
-
-        // D-Pad buttons
-        this.drawDPadButton(dpadGroup, 0, -12, 'up', 'Up');
-        this.drawDPadButton(dpadGroup, 12, 0, 'right', 'Right');
-        this.drawDPadButton(dpadGroup, 0, 12, 'down', 'Down');
-        this.drawDPadButton(dpadGroup, -12, 0, 'left', 'Left');
-
-        this.controllerGroup.appendChild(dpadGroup);
+    applyLabels() {
+        const mapping = this.profile;
+        const family = mapping ? mapping.family : 'xbox';
+        const labels = mapping ? mapping.labels : ControllerRenderer.DEFAULT_LABELS;
+        const colors = ControllerRenderer.FACE_COLORS[family] || ControllerRenderer.FACE_COLORS.generic;
+
+        const texts = [...labels.face, ...labels.shoulders, ...labels.center];
+        texts.forEach((text, index) => {
+            const label = this.labelElements.get(index);
+            if (label) label.textContent = text;
+        });
 
-        // Left stick area
-        this.drawStick(190, 260, 'left', 'LS');
+        colors.forEach((color, index) => {
+            const label = this.labelElements.get(index);
+            if (label) label.style.fill = color;
+        });
     }
 
     /**
-     * Draw D-Pad button
+     * Translate a device axis index to a standard axis (0-3) or trigger button (6/7)
+     * Returns { axis } for stick axes, { trigger } for trigger axes, or null
      */
-    drawDPadButton(group, x, y, name, label) {
-        const isVertical = x === 0;
-        const rect = this.createRect(
-            x - (isVertical ? 5 : 8),
-            y - (isVertical ? 8 : 5),
-            isVertical ? 10 : 16,
-            isVertical ? 16 : 10,
-            '#666',
-            '#888',
-            1
-        );
+    toDiagramAxis(axisIndex) {
+        if (!this.profile || !this.profile.diagram) {
+            return axisIndex < 4 ? { axis: axisIndex } : null;
+        }
 
-        rect.setAttribute('class', `button-base dpad-button dpad-${name}`);
-        rect.setAttribute('data-button-index', `dpad-${name}`);
-        this.buttonElements.set(`dpad-${name}`, rect);
-        group.appendChild(rect);
+        const diagram = this.profile.diagram;
+        if (diagram.axes[axisIndex] !== undefined) return { axis: diagram.axes[axisIndex] };
+        if (diagram.triggers && diagram.triggers[axisIndex] !== undefined) {
+            return { trigger: diagram.triggers[axisIndex] };
+        }
+        return null;
     }
 
     /**
-     * Draw right section (Action Buttons)
+     * Translate a device button index to its slot on the standard diagram
+     * Returns undefined for buttons the diagram has no element for
      */
-    drawRightSection() {
-        const buttonGroup = this.createGroup('action-buttons-group');
-        buttonGroup.setAttribute('transform', 'translate(360, 180)');
-
-        // Button positions: A, B, X, Y
-        this.drawActionButton(buttonGroup, 0, 30, 'A', 0, '#00ff88'); // Green
-        this.drawActionButton(buttonGroup, 30, 0, 'B', 1, '#ff0055'); // Red
-        this.drawActionButton(buttonGroup, -30, 0, 'X', 2, '#0088ff'); // Blue
-        this.drawActionButton(buttonGroup, 0, -30, 'Y', 3, '#ffd700'); // Yellow
-
-        this.controllerGroup.appendChild(buttonGroup);
+    toDiagramButton(buttonIndex) {
+        if (!this.profile || !this.profile.diagram) return buttonIndex;
+        return this.profile.diagram.buttons[buttonIndex];
     }
 
     /**
-     * Draw action button (A, B, X, Y)
+     * Update button press state
      */
-    drawActionButton(group, x, y, label, index, color) {
-        const circle = this.createCircle(x, y, 16, '#1a1a1a', '#333', 2);
-        circle.setAttribute('class', `button-base action-button action-${label}`);
-        circle.setAttribute('data-button-index', index);
-        this.buttonElements.set(index, circle);
-        group.appendChild(circle);
+    updateButtonPress(buttonIndex, isPressed, buttonName) {
+        const diagramIndex = this.toDiagramButton(buttonIndex);
+
+        // D-pad directions also move the lever gate
+        const direction = ControllerRenderer.DPAD_DIRECTIONS[diagramIndex];
+        if (direction) {
+            if (isPressed) this.dpad.add(direction);
+            else this.dpad.delete(direction);
+            this.updateGate();
+        }
 
-        // Label
-        const text = this.createText(x, y, label, 'text-label');
-        text.setAttribute('text-anchor', 'middle');
-        text.setAttribute('dominant-baseline', 'middle');
-        text.setAttribute('fill', color);
-        text.setAttribute('font-weight', 'bold');
-        group.appendChild(text);
-    }
+        // Stick clicks light up the stick cap
+        const stick = this.getStickByClickIndex(diagramIndex);
+        if (stick) {
+            stick.element.classList.toggle('stick-pressed', isPressed);
+            return;
+        }
 
-    /**
-     * Draw center section (Start, Select, Mode buttons, touchpad)
-     */
-    drawCenterSection() {
-        // Back button
-        const backBtn = this.createRect(240, 120, 40, 15, '#1a1a1a', '#333', 1);
-        backBtn.setAttribute('class', 'button-base center-button');
-        backBtn.setAttribute('data-button-index', 8);
-        this.buttonElements.set(8, backBtn);
-        this.controllerGroup.appendChild(backBtn);
+        // Triggers without analog data (or digital-only) show full travel
+        if (this.triggerElements.has(diagramIndex)) {
+            this.setTriggerIntensity(diagramIndex, isPressed ? 1 : 0);
+            return;
+        }
 
-        const backLabel = this.createText(260, 127, 'Back', 'text-label');
-        backLabel.setAttribute('text-anchor', 'middle');
-        backLabel.setAttribute('fill', '#666');
-        this.controllerGroup.appendChild(backLabel);
+        const element = this.buttonElements.get(diagramIndex);
+        if (!element) return;
 
-        // Start button
-        const startBtn = this.createRect(320, 120, 40, 15, '#1a1a1a', '#333', 1);
-        startBtn.setAttribute('class', 'button-base center-button');
-        startBtn.setAttribute('data-button-index', 9);
-        this.buttonElements.set(9, startBtn);
-        this.controllerGroup.appendChild(startBtn);
+        if (isPressed) {
+            element.classList.add('button-pressed');
+            if (!this.tunables.pressGlow) return;
 
-        const startLabel = this.createText(340, 127, 'Start', 'text-label');
-        startLabel.setAttribute('text-anchor', 'middle');
-        startLabel.setAttribute('fill', '#666');
-        this.controllerGroup.appendChild(startLabel);
+            // Add glow effect in the element's own coordinate space
+            const center = this.getElementCenter(element);
+            const glowFilter = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            glowFilter.setAttribute('cx', center.x);
+            glowFilter.setAttribute('cy', center.y);
+            glowFilter.setAttribute('r', '25');
+            glowFilter.setAttribute('fill', 'url(#buttonGlowGold)');
+            glowFilter.setAttribute('opacity', '0.6');
+            glowFilter.setAttribute('pointer-events', 'none');
+            glowFilter.setAttribute('class', 'button-glow-' + diagramIndex);
+            element.parentNode.appendChild(glowFilter);
+
+            setTimeout(() => {
+                const existing = this.svg.querySelector('.button-glow-' + diagramIndex);
+                if (existing) existing.remove();
+            }, 200);
+        } else {
+            element.classList.remove('button-pressed');
+        }
     }
 
     /**
-     * Draw shoulder buttons (LB, RB, LT, RT)
+     * Show a full gamepad state snapshot (used when the renderer follows
+     * update events instead of press/release/axis events)
      */
-    drawShoulderButtons() {
-        // LB
-        const lbBtn = this.createRect(180, 75, 50, 20, '#1a1a1a', '#333', 2);
-        lbBtn.setAttribute('class', 'button-base shoulder-button');
-        lbBtn.setAttribute('data-button-index', 4);
-        this.buttonElements.set(4, lbBtn);
-        this.controllerGroup.appendChild(lbBtn);
-
-        const lbLabel = this.createText(205, 85, 'LB', 'text-label');
-        lbLabel.setAttribute('text-anchor', 'middle');
-        lbLabel.setAttribute('fill', '#666');
-        this.controllerGroup.appendChild(lbLabel);
-
-        // RB
-        const rbBtn = this.createRect(370, 75, 50, 20, '#1a1a1a', '#333', 2);
-        rbBtn.setAttribute('class', 'button-base shoulder-button');
-        rbBtn.setAttribute('data-button-index', 5);
-        this.buttonElements.set(5, rbBtn);
-        this.controllerGroup.appendChild(rbBtn);
-
-        const rbLabel = this.createText(395, 85, 'RB', 'text-label');
-        rbLabel.setAttribute('text-anchor', 'middle');
-        rbLabel.setAttribute('fill', '#666');
-        this.controllerGroup.appendChild(rbLabel);
+    applyState(gamepadState) {
+        gamepadState.buttons.forEach((button) => {
+            // Only press/release edges, so glows are not re-created every frame
+            if (button.pressed !== this.pressedButtons.has(button.index)) {
+                if (button.pressed) {
+                    this.pressedButtons.add(button.index);
+                } else {
+                    this.pressedButtons.delete(button.index);
+                }
+                this.updateButtonPress(button.index, button.pressed, button.name);
+            }
+            this.updateButtonValue(button.index, button.value);
+        });
 
-        // LT (trigger)
-        this.drawTrigger(190, 45, 'LT', 6, 'left');
+        gamepadState.axes.forEach((axis) => this.updateAxis(axis.index, axis.value));
 
-        // RT (trigger)
-        this.drawTrigger(410, 45, 'RT', 7, 'right');
+        Object.keys(gamepadState.sticks).forEach((side) => {
+            const raw = gamepadState.sticks[side].raw;
+            this.updateStickRaw(side, raw.x, raw.y);
+        });
     }
 
     /**
-     * Draw trigger
+     * Mark a button (in the gamepad's own index space) as chattering, or clear the mark
      */
-    drawTrigger(x, y, label, index, side) {
-        const path = side === 'left' 
-            ? `M ${x} ${y} L ${x + 30} ${y + 15} L ${x + 30} ${y + 35} L ${x} ${y + 20} Z`
-            : `M ${x} ${y} L ${x - 30} ${y + 15} L ${x - 30} ${y + 35} L ${x} ${y + 20} Z`;
-
-        const trigger = this.createPath(path, 'button-base trigger-button');
-        trigger.setAttribute('data-button-index', index);
-        this.triggerElements.set(index, trigger);
-        this.controllerGroup.appendChild(trigger);
+    setButtonChatter(buttonIndex, flagged) {
+        const diagramIndex = this.toDiagramButton(buttonIndex);
+        const stick = this.getStickByClickIndex(diagramIndex);
+        const element = stick
+            ? stick.element
+            : this.triggerElements.get(diagramIndex) || this.buttonElements.get(diagramIndex);
+
+        if (flagged) {
+            this.chatterButtons.add(buttonIndex);
+        } else {
+            this.chatterButtons.delete(buttonIndex);
+        }
 
-        const textX = side === 'left' ? x + 12 : x - 12;
-        const text = this.createText(textX, y + 18, label, 'text-label');
-        text.setAttribute('text-anchor', 'middle');
-        text.setAttribute('fill', '#666');
-        this.controllerGroup.appendChild(text);
+        if (element) {
+            element.classList.toggle('button-chatter', flagged);
+        }
     }
 
     /**
-     * Draw analog stick
+     * Clear every chatter mark
      */
-    drawStick(x, y, position, label) {
-        // Stick area background
-        const stickArea = this.createCircle(x, y, 35, '#0a0a0a', '#333', 2);
-        stickArea.setAttribute('class', 'stick-base');
-        this.controllerGroup.appendChild(stickArea);
-
-        // Stick cap (movable part)
-        const stickCap = this.createCircle(x, y, 22, '#1a1a1a', '#ffd700', 2);
-        stickCap.setAttribute('class', 'stick-cap');
-        this.stickElements.set(position, {
-            element: stickCap,
-            baseX: x,
-            baseY: y,
-            maxDistance: 25,
-        });
-        this.controllerGroup.appendChild(stickCap);
-
-        // Label
-        const text = this.createText(x, y + 55, label, 'text-label');
-        text.setAttribute('text-anchor', 'middle');
-        this.controllerGroup.appendChild(text);
-
-        // Store axis mapping
-        this.axisValues.set(position, { x: 0, y: 0 });
+    clearChatter() {
+        this.chatterButtons.clear();
+        this.svg.querySelectorAll('.button-chatter').forEach((element) => element.classList.remove('button-chatter'));
     }
 
     /**
-     * Update button press state
+     * Update analog button value (standard mapping triggers 6/7)
      */
-    updateButtonPress(buttonIndex, isPressed, buttonName) {
-        const element = this.buttonElements.get(buttonIndex);
-        if (!element) return;
+    updateButtonValue(buttonIndex, value) {
+        const diagramIndex = this.toDiagramButton(buttonIndex);
+        if (this.triggerElements.has(diagramIndex)) {
+            this.setTriggerIntensity(diagramIndex, value);
+        }
+    }
 
-        if (isPressed) {
-            element.setAttribute('class', element.getAttribute('class') + ' button-pressed');
-            element.setAttribute('fill', '#ffd700');
-            element.setAttribute('opacity', '0.8');
+    /**
+     * Update a single axis in the gamepad's own index space
+     */
+    updateAxis(axisIndex, value) {
+        const target = this.toDiagramAxis(axisIndex);
+        if (!target) return;
+
+        if (target.trigger !== undefined) {
+            // Trigger axes rest at -1 and travel to +1
+            this.setTriggerIntensity(target.trigger, (value + 1) / 2);
+            return;
+        }
 
-            // Add glow effect
-            const glowFilter = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            glowFilter.setAttribute('cx', element.getAttribute('cx') || element.getAttribute('x'));
-            glowFilter.setAttribute('cy', element.getAttribute('cy') || element.getAttribute('y'));
-            glowFilter.setAttribute('r', '25');
-            glowFilter.setAttribute('fill', 'url(#buttonGlowGold)');
-            glowFilter.setAttribute('opacity', '0.6');
-            glowFilter.setAttribute('class', 'button-glow-' + buttonIndex);
-            this.svg.appendChild(glowFilter);
+        const position = target.axis < 2 ? 'left' : 'right';
+        const current = this.axisValues.get(position);
+        if (!current) return;
+        const x = target.axis % 2 === 0 ? value : current.x;
+        const y = target.axis % 2 === 1 ? value : current.y;
+        this.updateStickPosition(position, x, y);
+    }
 
-            setTimeout(() => {
-                const existing = this.svg.querySelector('.button-glow-' + buttonIndex);
-                if (existing) existing.remove();
-            }, 200);
-        } else {
-            element.setAttribute('class', element.getAttribute('class').replace(' button-pressed', ''));
-            element.setAttribute('fill', '#1a1a1a');
-            element.setAttribute('opacity', '1');
+    /**
+     * Find the stick whose click is mapped to a button index
+     */
+    getStickByClickIndex(buttonIndex) {
+        for (const stick of this.stickElements.values()) {
+            if (stick.clickIndex === buttonIndex) return stick;
         }
+        return null;
     }
 
     /**
@@ -391,70 +506,137 @@ class ControllerRenderer {
         const stick = this.stickElements.get(position);
         if (!stick) return;
 
-        // Calculate new position
-        const distance = Math.sqrt(xAxis ** 2 + yAxis ** 2);
-        const maxDistance = stick.maxDistance;
-
-        let newX = stick.baseX + xAxis * maxDistance;
-        let newY = stick.baseY + yAxis * maxDistance;
-
-        // Clamp to circle
-        if (distance > 1) {
-            const limitedDistance = Math.min(distance, 1);
-            newX = stick.baseX + (xAxis / distance) * limitedDistance * maxDistance;
-            newY = stick.baseY + (yAxis / distance) * limitedDistance * maxDistance;
-        }
-
         // Update position with animation
-        stick.element.setAttribute('cx', newX);
-        stick.element.setAttribute('cy', newY);
+        const point = this.stickToPoint(stick, xAxis, yAxis);
+        stick.element.setAttribute('cx', point.x);
+        stick.element.setAttribute('cy', point.y);
 
         // Update stored values
         if (this.axisValues.has(position)) {
             this.axisValues.get(position).x = xAxis;
             this.axisValues.get(position).y = yAxis;
         }
+
+        if (position === 'left') {
+            this.updateGate();
+        }
+    }
+
+    /**
+     * Light the gate marker of the lever direction: the D-pad when held, else the left stick
+     */
+    updateGate() {
+        if (this.gateElements.size === 0) return;
+
+        let x;
+        let y;
+        if (this.dpad.size > 0) {
+            // Opposite directions cancel out
+            x = (this.dpad.has('right') ? 1 : 0) - (this.dpad.has('left') ? 1 : 0);
+            y = (this.dpad.has('up') ? 1 : 0) - (this.dpad.has('down') ? 1 : 0);
+        } else {
+            const stick = this.axisValues.get('left') || { x: 0, y: 0 };
+            const threshold = ControllerRenderer.GATE_THRESHOLD;
+            x = stick.x >= threshold ? 1 : stick.x <= -threshold ? -1 : 0;
+            y = stick.y <= -threshold ? 1 : stick.y >= threshold ? -1 : 0;
+        }
+
+        // Numpad notation: 5 is neutral, 8 up, 6 right
+        const numpad = 5 + x + y * 3;
+        this.gateElements.forEach((marker, gateDirection) => {
+            marker.classList.toggle('gate-active', gateDirection === numpad);
+        });
+    }
+
+    /**
+     * Update the raw (pre dead zone) stick position marker
+     */
+    updateStickRaw(position, xAxis, yAxis) {
+        const stick = this.stickElements.get(position);
+        if (!stick || !stick.rawElement) return;
+
+        const point = this.stickToPoint(stick, xAxis, yAxis);
+        stick.rawElement.setAttribute('cx', point.x);
+        stick.rawElement.setAttribute('cy', point.y);
+    }
+
+    /**
+     * Convert stick axis values to SVG coordinates, clamped to the stick's travel circle
+     */
+    stickToPoint(stick, xAxis, yAxis) {
+        const distance = Math.sqrt(xAxis ** 2 + yAxis ** 2);
+        const scale = distance > 1 ? 1 / distance : 1;
+
+        return {
+            x: stick.baseX + xAxis * scale * stick.maxDistance,
+            y: stick.baseY + yAxis * scale * stick.maxDistance,
+        };
     }
 
     /**
      * Update trigger/axis value visualization
      */
     updateAxisValue(axisIndex, value, axisName) {
-        // Map axes to triggers or sticks
-        if (axisIndex === 4 || axisIndex === 5) {
-            // Triggers
-            const triggerIndex = axisIndex === 4 ? 6 : 7;
-            const trigger = this.triggerElements.get(triggerIndex);
-            if (trigger) {
-                const intensity = Math.max(0, value);
-                trigger.setAttribute('opacity', 0.3 + intensity * 0.7);
-                trigger.setAttribute('fill', `rgba(255, 215, 0, ${0.2 + intensity * 0.8})`);
-            }
-        }
+        this.updateAxis(axisIndex, value);
+    }
+
+    /**
+     * Fill a trigger according to its travel (0-1)
+     */
+    setTriggerIntensity(triggerIndex, value) {
+        const trigger = this.triggerElements.get(triggerIndex);
+        if (!trigger) return;
+
+        const intensity = Math.min(1, Math.max(0, value));
+        trigger.setAttribute('opacity', 0.3 + intensity * 0.7);
+        trigger.style.fill = intensity > 0 ? `rgba(255, 215, 0, ${0.2 + intensity * 0.8})` : '';
     }
 
     /**
      * Reset all visual states
      */
     reset() {
+        this.pressedButtons.clear();
+        this.dpad.clear();
+
         // Reset all buttons
         this.buttonElements.forEach((element) => {
-            element.setAttribute('fill', '#1a1a1a');
-            element.setAttribute('opacity', '1');
-            element.setAttribute('class', element.getAttribute('class').replace(' button-pressed', ''));
+            element.classList.remove('button-pressed');
         });
 
         // Reset all sticks
-        this.stickElements.forEach((stick) => {
+        this.stickElements.forEach((stick, position) => {
             stick.element.setAttribute('cx', stick.baseX);
             stick.element.setAttribute('cy', stick.baseY);
+            stick.element.classList.remove('stick-pressed');
+            stick.rawElement.setAttribute('cx', stick.baseX);
+            stick.rawElement.setAttribute('cy', stick.baseY);
+            this.axisValues.set(position, { x: 0, y: 0 });
         });
 
         // Reset triggers
         this.triggerElements.forEach((element) => {
             element.setAttribute('opacity', '1');
-            element.setAttribute('fill', '#1a1a1a');
+            element.style.fill = '';
         });
+
+        this.updateGate();
+    }
+
+    /**
+     * Utility: Get the centre of a circle or rect in its parent's coordinates
+     */
+    getElementCenter(element) {
+        if (element.hasAttribute('cx')) {
+            return {
+                x: parseFloat(element.getAttribute('cx')),
+                y: parseFloat(element.getAttribute('cy')),
+            };
+        }
+        return {
+            x: parseFloat(element.getAttribute('x')) + parseFloat(element.getAttribute('width')) / 2,
+            y: parseFloat(element.getAttribute('y')) + parseFloat(element.getAttribute('height')) / 2,
+        };
     }
 
     /**
@@ -479,44 +661,28 @@ class ControllerRenderer {
         circle.setAttribute('stroke-width', strokeWidth);
         return circle;
     }
-
-    /**
-     * Utility: Create SVG rect
-     */
-    createRect(x, y, width, height, fill, stroke, strokeWidth) {
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', x);
-        rect.setAttribute('y', y);
-        rect.setAttribute('width', width);
-        rect.setAttribute('height', height);
-        rect.setAttribute('fill', fill);
-        rect.setAttribute('stroke', stroke);
-        rect.setAttribute('stroke-width', strokeWidth);
-        return rect;
-    }
-
-    /**
-     * Utility: Create SVG path
-     */
-    createPath(d, className) {
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', d);
-        path.setAttribute('class', className);
-        return path;
-    }
-
-    /**
-     * Utility: Create SVG text
-     */
-    createText(x, y, text, className) {
-        const textEl = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        textEl.setAttribute('x', x);
-        textEl.setAttribute('y', y);
-        textEl.setAttribute('class', className);
-        textEl.textContent = text;
-        return textEl;
-    }
 }
 
+// Labels used before any profile is applied
+ControllerRenderer.DEFAULT_LABELS = {
+    face: ['A', 'B', 'X', 'Y'],
+    shoulders: ['LB', 'RB', 'LT', 'RT'],
+    center: ['Back', 'Start'],
+};
+
+// Standard D-pad buttons and the direction each one pushes the lever gate
+ControllerRenderer.DPAD_DIRECTIONS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+// Stick travel that counts as a lever direction on the gate
+ControllerRenderer.GATE_THRESHOLD = 0.5;
+
+// Face button label colours per controller family (south, east, west, north)
+ControllerRenderer.FACE_COLORS = {
+    xbox: ['#00ff88', '#ff0055', '#0088ff', '#ffd700'],
+    playstation: ['#7cb2e8', '#ff6666', '#ff69f8', '#40e0d0'],
+    nintendo: ['#e0e0e0', '#e0e0e0', '#e0e0e0', '#e0e0e0'],
+    generic: ['#b0b0b0', '#b0b0b0', '#b0b0b0', '#b0b0b0'],
+};
+
 // Export for use
 window.ControllerRenderer = ControllerRenderer;
@@ -0,0 +1,423 @@
+/**
+ * ========================================================================
+ * CONTROLLER SKINS MODULE
+ * Diagram layouts per controller family: an SVG asset whose parts carry
+ * data-part names, plus maps from standard button indices and sticks to
+ * those parts. Chosen from the gamepad id, or overridden by the user
+ * ========================================================================
+ */
+
+class ControllerSkins {
+    constructor() {
+        // Checked in order, first match wins; generic fallback is implicit
+        this.skins = ControllerSkins.DEFAULT_SKINS.slice();
+    }
+
+    /**
+     * Register a custom skin ahead of the built-in ones
+     */
+    register(skin) {
+        if (!skin || !skin.id || typeof skin.svg !== 'string' || !skin.buttons) {
+            throw new TypeError('Controller skin requires an id, an SVG asset and a button map');
+        }
+        this.skins = [skin, ...this.skins.filter((s) => s.id !== skin.id)];
+    }
+
+    /**
+     * Get a skin by id (null when unknown)
+     */
+    get(id) {
+        if (id === ControllerSkins.GENERIC_SKIN.id) return ControllerSkins.GENERIC_SKIN;
+        return this.skins.find((skin) => skin.id === id) || null;
+    }
+
+    /**
+     * List every skin ({ id, name }), generic last
+     */
+    list() {
+        return [...this.skins, ControllerSkins.GENERIC_SKIN].map((skin) => ({ id: skin.id, name: skin.name }));
+    }
+
+    /**
+     * Find the skin for a device: its id string first, then its resolved mapping profile and family
+     */
+    find(gamepadId = '', mapping = null) {
+        return (
+            this.skins.find((skin) => {
+                const match = skin.match || {};
+                if (match.namePattern && match.namePattern.test(gamepadId)) return true;
+                if (!mapping) return false;
+                return Boolean(
+                    (match.profiles && match.profiles.includes(mapping.profileId)) ||
+                    (match.families && match.families.includes(mapping.family))
+                );
+            }) || ControllerSkins.GENERIC_SKIN
+        );
+    }
+}
+
+/*
+ * Skin definition:
+ *   svg      markup drawn inside the diagram's controller group
+ *   buttons  standard button index -> part (circles, ellipses or rects: their centre places the press glow)
+ *   triggers standard button index -> part filled by analog travel
+ *   sticks   'left'/'right' -> { cap: part moved by the stick, click: button index or null, travel }
+ *   labels   standard button index -> text part relabelled by the mapping profile
+ *   gate     numpad direction (1-9) -> part lit while the D-pad or left stick points that way
+ */
+
+// Fallback for unknown devices: the original symmetric diagram
+ControllerSkins.GENERIC_SKIN = {
+    id: 'generic',
+    name: 'Generic',
+    viewBox: '0 0 600 400',
+    svg: `
+        <path class="controller-body" d="M 150 120 Q 150 80 200 60 L 400 60 Q 450 80 450 120 L 450 300 Q 450 340 400 360 L 200 360 Q 150 340 150 300 Z"/>
+        <g transform="translate(220, 160)">
+            <circle class="stick-base" cx="0" cy="0" r="25"/>
+            <rect class="button-base dpad-button" data-part="dpad-up" x="-5" y="-20" width="10" height="16"/>
+            <rect class="button-base dpad-button" data-part="dpad-down" x="-5" y="4" width="10" height="16"/>
+            <rect class="button-base dpad-button" data-part="dpad-left" x="-20" y="-5" width="16" height="10"/>
+            <rect class="button-base dpad-button" data-part="dpad-right" x="4" y="-5" width="16" height="10"/>
+        </g>
+        <g transform="translate(360, 180)" text-anchor="middle" dominant-baseline="middle" font-weight="bold">
+            <circle class="button-base action-button" data-part="face-south" cx="0" cy="30" r="16"/>
+            <text class="text-label" data-part="label-south" x="0" y="30">A</text>
+            <circle class="button-base action-button" data-part="face-east" cx="30" cy="0" r="16"/>
+            <text class="text-label" data-part="label-east" x="30" y="0">B</text>
+            <circle class="button-base action-button" data-part="face-west" cx="-30" cy="0" r="16"/>
+            <text class="text-label" data-part="label-west" x="-30" y="0">X</text>
+            <circle class="button-base action-button" data-part="face-north" cx="0" cy="-30" r="16"/>
+            <text class="text-label" data-part="label-north" x="0" y="-30">Y</text>
+        </g>
+        <g text-anchor="middle">
+            <rect class="button-base center-button" data-part="back" x="240" y="120" width="40" height="15"/>
+            <text class="text-label" data-part="label-back" x="260" y="127">Back</text>
+            <rect class="button-base center-button" data-part="start" x="320" y="120" width="40" height="15"/>
+            <text class="text-label" data-part="label-start" x="340" y="127">Start</text>
+            <circle class="button-base home-button" data-part="home" cx="300" cy="170" r="14"/>
+            <text class="text-label" x="300" y="174" font-size="8">Home</text>
+            <rect class="button-base shoulder-button" data-part="bumper-left" x="180" y="75" width="50" height="20"/>
+            <text class="text-label" data-part="label-bumper-left" x="205" y="85">LB</text>
+            <rect class="button-base shoulder-button" data-part="bumper-right" x="370" y="75" width="50" height="20"/>
+            <text class="text-label" data-part="label-bumper-right" x="395" y="85">RB</text>
+            <path class="button-base trigger-button" data-part="trigger-left" d="M 190 45 L 220 60 L 220 80 L 190 65 Z"/>
+            <text class="text-label" data-part="label-trigger-left" x="202" y="63">LT</text>
+            <path class="button-base trigger-button" data-part="trigger-right" d="M 410 45 L 380 60 L 380 80 L 410 65 Z"/>
+            <text class="text-label" data-part="label-trigger-right" x="398" y="63">RT</text>
+            <circle class="stick-base" cx="190" cy="260" r="35"/>
+            <circle class="stick-cap" data-part="stick-left" cx="190" cy="260" r="22"/>
+            <text class="text-label" x="190" y="315">LS</text>
+            <circle class="stick-base" cx="400" cy="270" r="35"/>
+            <circle class="stick-cap" data-part="stick-right" cx="400" cy="270" r="22"/>
+            <text class="text-label" x="400" y="325">RS</text>
+        </g>
+    `,
+    buttons: {
+        0: 'face-south', 1: 'face-east', 2: 'face-west', 3: 'face-north',
+        4: 'bumper-left', 5: 'bumper-right', 8: 'back', 9: 'start',
+        12: 'dpad-up', 13: 'dpad-down', 14: 'dpad-left', 15: 'dpad-right', 16: 'home',
+    },
+    triggers: { 6: 'trigger-left', 7: 'trigger-right' },
+    sticks: {
+        left: { cap: 'stick-left', click: 10, travel: 25 },
+        right: { cap: 'stick-right', click: 11, travel: 25 },
+    },
+    labels: {
+        0: 'label-south', 1: 'label-east', 2: 'label-west', 3: 'label-north',
+        4: 'label-bumper-left', 5: 'label-bumper-right', 6: 'label-trigger-left', 7: 'label-trigger-right',
+        8: 'label-back', 9: 'label-start',
+    },
+};
+
+/**
+ * Markup of an 8-way gate: an octagon with one marker per numpad direction (5 = centre)
+ */
+ControllerSkins.gate = function (cx, cy, radius) {
+    const point = (direction, distance) => {
+        const x = ((direction - 1) % 3) - 1;
+        const y = Math.floor((direction - 1) / 3) - 1;
+        const scale = x !== 0 && y !== 0 ? Math.SQRT1_2 : 1;
+        return { x: cx + x * scale * distance, y: cy - y * scale * distance };
+    };
+
+    const corners = [6, 9, 8, 7, 4, 1, 2, 3].map((direction) => {
+        const corner = point(direction, radius);
+        return `${corner.x.toFixed(1)},${corner.y.toFixed(1)}`;
+    });
+    const markers = [1, 2, 3, 4, 5, 6, 7, 8, 9].map((direction) => {
+        const marker = point(direction, radius * 0.78);
+        return `<circle class="gate-marker" data-part="gate-${direction}" cx="${marker.x.toFixed(1)}" cy="${marker.y.toFixed(1)}" r="${Math.max(3, radius / 10).toFixed(1)}"/>`;
+    });
+    return `<polygon class="stick-base lever-gate" points="${corners.join(' ')}"/>\n${markers.join('\n')}`;
+};
+
+/**
+ * Markup of the two rows of four action buttons on a fight-stick panel (Vewlix layout)
+ */
+ControllerSkins.actionButtons = function () {
+    const buttons = [
+        ['face-west', 'label-west', 'X', 300, 185],
+        ['face-north', 'label-north', 'Y', 350, 170],
+        ['bumper-right', 'label-bumper-right', 'RB', 405, 170],
+        ['bumper-left', 'label-bumper-left', 'LB', 460, 175],
+        ['face-south', 'label-south', 'A', 295, 245],
+        ['face-east', 'label-east', 'B', 345, 230],
+        ['trigger-right', 'label-trigger-right', 'RT', 400, 230],
+        ['trigger-left', 'label-trigger-left', 'LT', 455, 235],
+    ];
+    return buttons
+        .map(([part, label, text, x, y]) =>
+            `<circle class="button-base action-button" data-part="${part}" cx="${x}" cy="${y}" r="20"/>` +
+            `<text class="text-label" data-part="${label}" x="${x}" y="${y}">${text}</text>`
+        )
+        .join('\n');
+};
+
+/**
+ * Markup of a fight-stick panel's Back, Start and Home buttons
+ */
+ControllerSkins.panelButtons = function () {
+    return `
+        <g text-anchor="middle">
+            <rect class="button-base center-button" data-part="back" x="80" y="100" width="40" height="14" rx="4"/>
+            <text class="text-label" data-part="label-back" x="100" y="130">Back</text>
+            <rect class="button-base center-button" data-part="start" x="130" y="100" width="40" height="14" rx="4"/>
+            <text class="text-label" data-part="label-start" x="150" y="130">Start</text>
+            <circle class="button-base home-button" data-part="home" cx="505" cy="110" r="10"/>
+        </g>
+    `;
+};
+
+// Gate marker parts drawn by ControllerSkins.gate(), by numpad direction
+ControllerSkins.GATE_PARTS = {
+    1: 'gate-1', 2: 'gate-2', 3: 'gate-3', 4: 'gate-4', 5: 'gate-5', 6: 'gate-6', 7: 'gate-7', 8: 'gate-8', 9: 'gate-9',
+};
+
+// Parts every gamepad-shaped skin names the same way
+const GAMEPAD_BUTTON_PARTS = ControllerSkins.GENERIC_SKIN.buttons;
+const GAMEPAD_LABEL_PARTS = ControllerSkins.GENERIC_SKIN.labels;
+const GAMEPAD_TRIGGER_PARTS = ControllerSkins.GENERIC_SKIN.triggers;
+
+// Fight-stick panels: digital triggers are plain buttons next to the face buttons
+const PANEL_BUTTON_PARTS = {
+    0: 'face-south', 1: 'face-east', 2: 'face-west', 3: 'face-north',
+    4: 'bumper-left', 5: 'bumper-right', 6: 'trigger-left', 7: 'trigger-right',
+    8: 'back', 9: 'start', 16: 'home',
+};
+
+ControllerSkins.DEFAULT_SKINS = [
+    {
+        id: 'hitbox',
+        name: 'Leverless (hitbox)',
+        // Leverless controllers report many vendors' ids, so they are recognised by name
+        match: { namePattern: /hit[\s_-]*box|snack[\s_-]*box|leverless|mixbox/i },
+        viewBox: '0 0 600 400',
+        svg: `
+            <rect class="controller-body" x="60" y="90" width="480" height="240" rx="18"/>
+            <g text-anchor="middle" dominant-baseline="middle" font-weight="bold">
+                <circle class="button-base dpad-button" data-part="dpad-left" cx="115" cy="195" r="19"/>
+                <text class="text-label" x="115" y="195">←</text>
+                <circle class="button-base dpad-button" data-part="dpad-down" cx="160" cy="180" r="19"/>
+                <text class="text-label" x="160" y="180">↓</text>
+                <circle class="button-base dpad-button" data-part="dpad-right" cx="205" cy="195" r="19"/>
+                <text class="text-label" x="205" y="195">→</text>
+                <circle class="button-base dpad-button" data-part="dpad-up" cx="265" cy="285" r="23"/>
+                <text class="text-label" x="265" y="285">↑</text>
+                ${ControllerSkins.actionButtons()}
+            </g>
+            ${ControllerSkins.gate(170, 275, 22)}
+            ${ControllerSkins.panelButtons()}
+        `,
+        buttons: { ...PANEL_BUTTON_PARTS, 12: 'dpad-up', 13: 'dpad-down', 14: 'dpad-left', 15: 'dpad-right' },
+        triggers: {},
+        sticks: {},
+        labels: GAMEPAD_LABEL_PARTS,
+        gate: ControllerSkins.GATE_PARTS,
+    },
+    {
+        id: 'arcade',
+        name: 'Arcade stick',
+        // Fight sticks report many vendors' ids, so they are recognised by name
+        match: { namePattern: /arcade|fight(ing)?[\s_-]*stick|qanba|panthera|victrix|mayflash f\d/i },
+        viewBox: '0 0 600 400',
+        svg: `
+            <rect class="controller-body" x="60" y="90" width="480" height="240" rx="18"/>
+            ${ControllerSkins.gate(170, 215, 55)}
+            <circle class="stick-cap" data-part="lever" cx="170" cy="215" r="22"/>
+            <g text-anchor="middle" dominant-baseline="middle" font-weight="bold">
+                ${ControllerSkins.actionButtons()}
+            </g>
+            ${ControllerSkins.panelButtons()}
+        `,
+        // The D-pad (a lever in DP mode) shows on the gate
+        buttons: PANEL_BUTTON_PARTS,
+        triggers: {},
+        sticks: { left: { cap: 'lever', click: null, travel: 30 } },
+        labels: GAMEPAD_LABEL_PARTS,
+        gate: ControllerSkins.GATE_PARTS,
+    },
+    {
+        id: 'xbox',
+        name: 'Xbox',
+        match: { profiles: ['xbox'], families: ['xbox'] },
+        viewBox: '0 0 600 400',
+        svg: `
+            <path class="controller-body" d="M 170 90 Q 300 70 430 90 Q 500 100 530 200 Q 560 320 510 350 Q 470 370 430 310 Q 400 280 300 280 Q 200 280 170 310 Q 130 370 90 350 Q 40 320 70 200 Q 100 100 170 90 Z"/>
+            <g text-anchor="middle">
+                <path class="button-base trigger-button" data-part="trigger-left" d="M 150 58 Q 150 30 185 28 Q 215 30 215 58 Z"/>
+                <text class="text-label" data-part="label-trigger-left" x="183" y="48">LT</text>
+                <path class="button-base trigger-button" data-part="trigger-right" d="M 385 58 Q 385 30 415 28 Q 450 30 450 58 Z"/>
+                <text class="text-label" data-part="label-trigger-right" x="417" y="48">RT</text>
+                <rect class="button-base shoulder-button" data-part="bumper-left" x="140" y="64" width="90" height="18" rx="8"/>
+                <text class="text-label" data-part="label-bumper-left" x="185" y="77">LB</text>
+                <rect class="button-base shoulder-button" data-part="bumper-right" x="370" y="64" width="90" height="18" rx="8"/>
+                <text class="text-label" data-part="label-bumper-right" x="415" y="77">RB</text>
+                <circle class="button-base home-button" data-part="home" cx="300" cy="115" r="16"/>
+                <rect class="button-base center-button" data-part="back" x="262" y="150" width="24" height="14" rx="7"/>
+                <text class="text-label" data-part="label-back" x="274" y="180" font-size="9">View</text>
+                <rect class="button-base center-button" data-part="start" x="314" y="150" width="24" height="14" rx="7"/>
+                <text class="text-label" data-part="label-start" x="326" y="180" font-size="9">Menu</text>
+                <rect class="button-base center-button" data-part="share" x="292" y="190" width="16" height="10" rx="5"/>
+                <circle class="stick-base" cx="180" cy="160" r="30"/>
+                <circle class="stick-cap" data-part="stick-left" cx="180" cy="160" r="20"/>
+                <circle class="stick-base" cx="360" cy="240" r="30"/>
+                <circle class="stick-cap" data-part="stick-right" cx="360" cy="240" r="20"/>
+            </g>
+            <g transform="translate(240, 240)">
+                <circle class="stick-base" cx="0" cy="0" r="25"/>
+                <rect class="button-base dpad-button" data-part="dpad-up" x="-5" y="-20" width="10" height="16"/>
+                <rect class="button-base dpad-button" data-part="dpad-down" x="-5" y="4" width="10" height="16"/>
+                <rect class="button-base dpad-button" data-part="dpad-left" x="-20" y="-5" width="16" height="10"/>
+                <rect class="button-base dpad-button" data-part="dpad-right" x="4" y="-5" width="16" height="10"/>
+            </g>
+            <g transform="translate(420, 160)" text-anchor="middle" dominant-baseline="middle" font-weight="bold">
+                <circle class="button-base action-button" data-part="face-south" cx="0" cy="28" r="14"/>
+                <text class="text-label" data-part="label-south" x="0" y="28">A</text>
+                <circle class="button-base action-button" data-part="face-east" cx="28" cy="0" r="14"/>
+                <text class="text-label" data-part="label-east" x="28" y="0">B</text>
+                <circle class="button-base action-button" data-part="face-west" cx="-28" cy="0" r="14"/>
+                <text class="text-label" data-part="label-west" x="-28" y="0">X</text>
+                <circle class="button-base action-button" data-part="face-north" cx="0" cy="-28" r="14"/>
+                <text class="text-label" data-part="label-north" x="0" y="-28">Y</text>
+            </g>
+        `,
+        buttons: { ...GAMEPAD_BUTTON_PARTS, 17: 'share' },
+        triggers: GAMEPAD_TRIGGER_PARTS,
+        sticks: {
+            left: { cap: 'stick-left', click: 10, travel: 20 },
+            right: { cap: 'stick-right', click: 11, travel: 20 },
+        },
+        labels: GAMEPAD_LABEL_PARTS,
+    },
+    {
+        id: 'dualsense',
+        name: 'DualSense',
+        match: { profiles: ['dualsense', 'dualshock4'], families: ['playstation'] },
+        viewBox: '0 0 600 400',
+        svg: `
+            <path class="controller-body" d="M 160 95 L 440 95 Q 500 95 520 160 L 555 300 Q 565 355 520 360 Q 490 362 460 320 L 430 285 L 170 285 L 140 320 Q 110 362 80 360 Q 35 355 45 300 L 80 160 Q 100 95 160 95 Z"/>
+            <rect class="button-base touchpad" data-part="touchpad" x="225" y="100" width="150" height="75" rx="10"/>
+            <path class="skin-lightbar" data-part="lightbar" d="M 220 108 L 220 168 M 380 108 L 380 168"/>
+            <g text-anchor="middle">
+                <path class="button-base trigger-button" data-part="trigger-left" d="M 135 62 Q 140 34 175 32 Q 210 34 215 62 Z"/>
+                <text class="text-label" data-part="label-trigger-left" x="175" y="52">L2</text>
+                <path class="button-base trigger-button" data-part="trigger-right" d="M 385 62 Q 390 34 425 32 Q 460 34 465 62 Z"/>
+                <text class="text-label" data-part="label-trigger-right" x="425" y="52">R2</text>
+                <rect class="button-base shoulder-button" data-part="bumper-left" x="130" y="68" width="90" height="18" rx="8"/>
+                <text class="text-label" data-part="label-bumper-left" x="175" y="81">L1</text>
+                <rect class="button-base shoulder-button" data-part="bumper-right" x="380" y="68" width="90" height="18" rx="8"/>
+                <text class="text-label" data-part="label-bumper-right" x="425" y="81">R1</text>
+                <rect class="button-base center-button" data-part="back" x="200" y="108" width="12" height="24" rx="6"/>
+                <text class="text-label" data-part="label-back" x="206" y="148" font-size="9">Create</text>
+                <rect class="button-base center-button" data-part="start" x="388" y="108" width="12" height="24" rx="6"/>
+                <text class="text-label" data-part="label-start" x="394" y="148" font-size="9">Options</text>
+                <circle class="button-base home-button" data-part="home" cx="300" cy="232" r="11"/>
+                <circle class="stick-base" cx="235" cy="240" r="28"/>
+                <circle class="stick-cap" data-part="stick-left" cx="235" cy="240" r="19"/>
+                <circle class="stick-base" cx="365" cy="240" r="28"/>
+                <circle class="stick-cap" data-part="stick-right" cx="365" cy="240" r="19"/>
+            </g>
+            <g transform="translate(150, 170)">
+                <circle class="stick-base" cx="0" cy="0" r="27"/>
+                <rect class="button-base dpad-button" data-part="dpad-up" x="-6" y="-22" width="12" height="17"/>
+                <rect class="button-base dpad-button" data-part="dpad-down" x="-6" y="5" width="12" height="17"/>
+                <rect class="button-base dpad-button" data-part="dpad-left" x="-22" y="-6" width="17" height="12"/>
+                <rect class="button-base dpad-button" data-part="dpad-right" x="5" y="-6" width="17" height="12"/>
+            </g>
+            <g transform="translate(450, 170)" text-anchor="middle" dominant-baseline="middle" font-weight="bold">
+                <circle class="button-base action-button" data-part="face-south" cx="0" cy="30" r="15"/>
+                <text class="text-label" data-part="label-south" x="0" y="30">✕</text>
+                <circle class="button-base action-button" data-part="face-east" cx="30" cy="0" r="15"/>
+                <text class="text-label" data-part="label-east" x="30" y="0">○</text>
+                <circle class="button-base action-button" data-part="face-west" cx="-30" cy="0" r="15"/>
+                <text class="text-label" data-part="label-west" x="-30" y="0">□</text>
+                <circle class="button-base action-button" data-part="face-north" cx="0" cy="-30" r="15"/>
+                <text class="text-label" data-part="label-north" x="0" y="-30">△</text>
+            </g>
+        `,
+        buttons: { ...GAMEPAD_BUTTON_PARTS, 17: 'touchpad' },
+        triggers: GAMEPAD_TRIGGER_PARTS,
+        sticks: {
+            left: { cap: 'stick-left', click: 10, travel: 18 },
+            right: { cap: 'stick-right', click: 11, travel: 18 },
+        },
+        labels: GAMEPAD_LABEL_PARTS,
+    },
+    {
+        id: 'switch-pro',
+        name: 'Switch Pro',
+        match: { profiles: ['switch-pro'], families: ['nintendo'] },
+        viewBox: '0 0 600 400',
+        svg: `
+            <path class="controller-body" d="M 165 92 Q 300 80 435 92 Q 505 102 530 200 Q 555 320 505 350 Q 465 368 430 315 Q 405 285 300 285 Q 195 285 170 315 Q 135 368 95 350 Q 45 320 70 200 Q 95 102 165 92 Z"/>
+            <g text-anchor="middle">
+                <path class="button-base trigger-button" data-part="trigger-left" d="M 150 60 Q 155 34 190 32 Q 222 34 225 60 Z"/>
+                <text class="text-label" data-part="label-trigger-left" x="188" y="52">ZL</text>
+                <path class="button-base trigger-button" data-part="trigger-right" d="M 375 60 Q 378 34 410 32 Q 445 34 450 60 Z"/>
+                <text class="text-label" data-part="label-trigger-right" x="412" y="52">ZR</text>
+                <rect class="button-base shoulder-button" data-part="bumper-left" x="140" y="66" width="90" height="18" rx="8"/>
+                <text class="text-label" data-part="label-bumper-left" x="185" y="79">L</text>
+                <rect class="button-base shoulder-button" data-part="bumper-right" x="370" y="66" width="90" height="18" rx="8"/>
+                <text class="text-label" data-part="label-bumper-right" x="415" y="79">R</text>
+                <rect class="button-base center-button" data-part="back" x="250" y="115" width="16" height="8" rx="3"/>
+                <text class="text-label" data-part="label-back" x="258" y="140">−</text>
+                <rect class="button-base center-button" data-part="start" x="334" y="115" width="16" height="8" rx="3"/>
+                <text class="text-label" data-part="label-start" x="342" y="140">+</text>
+                <rect class="button-base center-button" data-part="capture" x="263" y="165" width="14" height="14" rx="3"/>
+                <circle class="button-base home-button" data-part="home" cx="330" cy="172" r="10"/>
+                <circle class="stick-base" cx="175" cy="165" r="30"/>
+                <circle class="stick-cap" data-part="stick-left" cx="175" cy="165" r="20"/>
+                <circle class="stick-base" cx="355" cy="245" r="30"/>
+                <circle class="stick-cap" data-part="stick-right" cx="355" cy="245" r="20"/>
+            </g>
+            <g transform="translate(245, 245)">
+                <circle class="stick-base" cx="0" cy="0" r="25"/>
+                <rect class="button-base dpad-button" data-part="dpad-up" x="-5" y="-20" width="10" height="16"/>
+                <rect class="button-base dpad-button" data-part="dpad-down" x="-5" y="4" width="10" height="16"/>
+                <rect class="button-base dpad-button" data-part="dpad-left" x="-20" y="-5" width="16" height="10"/>
+                <rect class="button-base dpad-button" data-part="dpad-right" x="4" y="-5" width="16" height="10"/>
+            </g>
+            <g transform="translate(425, 165)" text-anchor="middle" dominant-baseline="middle" font-weight="bold">
+                <circle class="button-base action-button" data-part="face-south" cx="0" cy="28" r="14"/>
+                <text class="text-label" data-part="label-south" x="0" y="28">B</text>
+                <circle class="button-base action-button" data-part="face-east" cx="28" cy="0" r="14"/>
+                <text class="text-label" data-part="label-east" x="28" y="0">A</text>
+                <circle class="button-base action-button" data-part="face-west" cx="-28" cy="0" r="14"/>
+                <text class="text-label" data-part="label-west" x="-28" y="0">Y</text>
+                <circle class="button-base action-button" data-part="face-north" cx="0" cy="-28" r="14"/>
+                <text class="text-label" data-part="label-north" x="0" y="-28">X</text>
+            </g>
+        `,
+        buttons: { ...GAMEPAD_BUTTON_PARTS, 17: 'capture' },
+        triggers: GAMEPAD_TRIGGER_PARTS,
+        sticks: {
+            left: { cap: 'stick-left', click: 10, travel: 20 },
+            right: { cap: 'stick-right', click: 11, travel: 20 },
+        },
+        labels: GAMEPAD_LABEL_PARTS,
+    },
+];
+
+// Export for use
+window.ControllerSkins = ControllerSkins;
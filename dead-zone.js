@@ -0,0 +1,199 @@
+/**
+ * ========================================================================
+ * DEAD ZONE ENGINE MODULE
+ * Configurable stick and trigger dead zones (axial, radial, scaled-radial,
+ * bowtie) with inner and outer thresholds
+ * ========================================================================
+ */
+
+class DeadZoneEngine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = DeadZoneEngine.createDefaultConfig();
+        this.setConfig(config);
+    }
+
+    /**
+     * Build a fresh copy of the default configuration
+     */
+    static createDefaultConfig() {
+        return {
+            sticks: {
+                left: { mode: 'radial', inner: DeadZoneEngine.STICK_DEAD_ZONE, outer: 1 },
+                right: { mode: 'radial', inner: DeadZoneEngine.STICK_DEAD_ZONE, outer: 1 },
+            },
+            triggers: {
+                left: { inner: DeadZoneEngine.TRIGGER_DEAD_ZONE, outer: 1 },
+                right: { inner: DeadZoneEngine.TRIGGER_DEAD_ZONE, outer: 1 },
+            },
+            // Axes that belong to neither a stick nor a trigger
+            axes: { inner: DeadZoneEngine.STICK_DEAD_ZONE, outer: 1 },
+        };
+    }
+
+    /**
+     * Replace (parts of) the configuration
+     */
+    setConfig(config) {
+        ['left', 'right'].forEach((side) => {
+            if (config.sticks && config.sticks[side]) this.setStickConfig(side, config.sticks[side], true);
+            if (config.triggers && config.triggers[side]) this.setTriggerConfig(side, config.triggers[side], true);
+        });
+        if (config.axes) {
+            this.config.axes = this.sanitize(this.config.axes, config.axes);
+        }
+        this.emit('change', this.getConfig());
+    }
+
+    /**
+     * Get a copy of the current configuration
+     */
+    getConfig() {
+        return JSON.parse(JSON.stringify(this.config));
+    }
+
+    /**
+     * Update a stick's mode and/or thresholds
+     */
+    setStickConfig(side, partial, silent = false) {
+        const current = this.config.sticks[side];
+        if (!current) throw new RangeError(`Unknown stick "${side}"`);
+
+        const next = this.sanitize(current, partial);
+        next.mode = DeadZoneEngine.MODES.includes(partial.mode) ? partial.mode : current.mode;
+        this.config.sticks[side] = next;
+
+        if (!silent) this.emit('change', this.getConfig());
+    }
+
+    /**
+     * Update a trigger's thresholds
+     */
+    setTriggerConfig(side, partial, silent = false) {
+        const current = this.config.triggers[side];
+        if (!current) throw new RangeError(`Unknown trigger "${side}"`);
+
+        this.config.triggers[side] = this.sanitize(current, partial);
+
+        if (!silent) this.emit('change', this.getConfig());
+    }
+
+    /**
+     * Clamp thresholds so that 0 <= inner < outer <= 1
+     */
+    sanitize(current, partial) {
+        const inner = Number.isFinite(partial.inner) ? partial.inner : current.inner;
+        const outer = Number.isFinite(partial.outer) ? partial.outer : current.outer;
+
+        const clampedOuter = Math.min(1, Math.max(0.05, outer));
+        const clampedInner = Math.min(clampedOuter - 0.01, Math.max(0, inner));
+
+        return { ...current, inner: clampedInner, outer: clampedOuter };
+    }
+
+    /**
+     * Apply a stick's dead zone to a raw (x, y) pair
+     */
+    processStick(side, x, y) {
+        const { mode, inner, outer } = this.config.sticks[side];
+
+        switch (mode) {
+            case 'axial':
+                return {
+                    x: DeadZoneEngine.applyAxial(x, inner, outer),
+                    y: DeadZoneEngine.applyAxial(y, inner, outer),
+                };
+            case 'scaled-radial':
+                return DeadZoneEngine.applyRadial(x, y, inner, outer, true);
+            case 'bowtie':
+                return DeadZoneEngine.applyBowtie(x, y, inner, outer);
+            case 'radial':
+            default:
+                return DeadZoneEngine.applyRadial(x, y, inner, outer, false);
+        }
+    }
+
+    /**
+     * Apply a trigger's dead zone to a 0..1 value
+     */
+    processTrigger(side, value) {
+        const { inner, outer } = this.config.triggers[side];
+        return DeadZoneEngine.rescale(Math.max(0, value), inner, outer);
+    }
+
+    /**
+     * Apply the generic axial dead zone to an unassigned axis
+     */
+    processAxis(value) {
+        const { inner, outer } = this.config.axes;
+        return DeadZoneEngine.applyAxial(value, inner, outer, false);
+    }
+
+    /**
+     * Map a magnitude from [inner, outer] onto [0, 1]
+     */
+    static rescale(magnitude, inner, outer) {
+        if (magnitude <= inner) return 0;
+        if (magnitude >= outer) return 1;
+        return (magnitude - inner) / (outer - inner);
+    }
+
+    /**
+     * Per-axis dead zone; cuts each axis independently (distorts diagonals)
+     * Without scaling, values between the thresholds are passed through
+     */
+    static applyAxial(value, inner, outer, scaled = false) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= inner) return 0;
+        if (magnitude >= outer) return Math.sign(value);
+        return scaled ? Math.sign(value) * DeadZoneEngine.rescale(magnitude, inner, outer) : value;
+    }
+
+    /**
+     * Magnitude dead zone; keeps the direction of the stick intact
+     * The scaled variant removes the jump at the inner edge
+     */
+    static applyRadial(x, y, inner, outer, scaled) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= inner) return { x: 0, y: 0 };
+
+        const target = scaled
+            ? DeadZoneEngine.rescale(magnitude, inner, outer)
+            : Math.min(magnitude >= outer ? 1 : magnitude, 1);
+
+        return { x: (x / magnitude) * target, y: (y / magnitude) * target };
+    }
+
+    /**
+     * Scaled radial dead zone followed by a per-axis dead zone whose width
+     * grows with the other axis, giving the bowtie shape that snaps near
+     * cardinal directions without losing diagonals
+     */
+    static applyBowtie(x, y, inner, outer) {
+        const radial = DeadZoneEngine.applyRadial(x, y, inner, outer, true);
+        const slope = inner;
+
+        const bowtieAxis = (value, other) => {
+            const width = slope * Math.abs(other);
+            const magnitude = Math.abs(value);
+            if (magnitude <= width) return 0;
+            return Math.sign(value) * ((magnitude - width) / (1 - width));
+        };
+
+        return {
+            x: bowtieAxis(radial.x, radial.y),
+            y: bowtieAxis(radial.y, radial.x),
+        };
+    }
+}
+
+// Supported stick dead zone modes
+DeadZoneEngine.MODES = ['axial', 'radial', 'scaled-radial', 'bowtie'];
+
+// Default thresholds
+DeadZoneEngine.STICK_DEAD_ZONE = 0.15;
+DeadZoneEngine.TRIGGER_DEAD_ZONE = 0.05;
+
+// Export for use
+window.DeadZoneEngine = DeadZoneEngine;
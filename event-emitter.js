@@ -0,0 +1,113 @@
+/**
+ * ========================================================================
+ * EVENT EMITTER MODULE
+ * Minimal multi-subscriber event system shared by the tester modules
+ * ========================================================================
+ */
+
+class EventEmitter {
+    constructor() {
+        // Listener registry: event name -> array of listener records
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * Options: { once: boolean, filter: (payload) => boolean }
+     * Returns an unsubscribe function
+     */
+    on(event, callback, options = {}) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(`Listener for "${event}" must be a function`);
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+
+        // One record per registration: the same function may be subscribed several times
+        const record = {
+            callback,
+            once: Boolean(options.once),
+            filter: typeof options.filter === 'function' ? options.filter : null,
+        };
+        this.listeners.get(event).push(record);
+
+        return () => this.removeRecord(event, record);
+    }
+
+    /**
+     * Subscribe to the next matching occurrence of an event only
+     */
+    once(event, callback, options = {}) {
+        return this.on(event, callback, { ...options, once: true });
+    }
+
+    /**
+     * Unsubscribe every registration of a listener, or every listener of an
+     * event when no callback is given
+     */
+    off(event, callback) {
+        if (!this.listeners.has(event)) return;
+
+        if (!callback) {
+            this.listeners.delete(event);
+            return;
+        }
+
+        const remaining = this.listeners.get(event).filter((l) => l.callback !== callback);
+        if (remaining.length > 0) {
+            this.listeners.set(event, remaining);
+        } else {
+            this.listeners.delete(event);
+        }
+    }
+
+    /**
+     * Remove one registration; returns false when it was already gone
+     */
+    removeRecord(event, record) {
+        const listeners = this.listeners.get(event);
+        const index = listeners ? listeners.indexOf(record) : -1;
+        if (index === -1) return false;
+
+        listeners.splice(index, 1);
+        if (listeners.length === 0) {
+            this.listeners.delete(event);
+        }
+        return true;
+    }
+
+    /**
+     * Notify all listeners of an event
+     * A throwing listener or filter is logged and skipped so the others still run
+     */
+    emit(event, payload) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        // Iterate over a copy so listeners may (un)subscribe while emitting
+        for (const listener of [...listeners]) {
+            try {
+                if (listener.filter && !listener.filter(payload)) continue;
+
+                // A once listener already removed (e.g. by a nested emit) does not run again
+                if (listener.once && !this.removeRecord(event, listener)) continue;
+
+                listener.callback(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get number of listeners for an event
+     */
+    listenerCount(event) {
+        return this.listeners.has(event) ? this.listeners.get(event).length : 0;
+    }
+}
+
+// Export for use
+window.EventEmitter = EventEmitter;
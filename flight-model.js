@@ -0,0 +1,109 @@
+/**
+ * ========================================================================
+ * FLIGHT MODEL MODULE
+ * Reads the active gamepad's update stream as a flight stick or HOTAS:
+ * roll and pitch, twist, throttle travel, decoded POV hats and the held
+ * buttons of devices with more buttons than a gamepad
+ * ========================================================================
+ */
+
+class FlightModel extends ActivePadModel {
+    /**
+     * Options: { settings: SettingsStore whose `flight` settings (throttle direction) are followed }
+     */
+    constructor(gamepadManager, options = {}) {
+        super(gamepadManager, options, 'flight');
+        this.readSettings();
+    }
+
+    /**
+     * Pick up the throttle direction
+     */
+    readSettings() {
+        this.invertThrottle = this.settings ? this.settings.get('flight.invertThrottle') : false;
+    }
+
+    /**
+     * A new layout is resolved when the controller, its detected hats or the throttle direction change
+     */
+    layoutKey(state) {
+        const hats = (state.hats || []).map((hat) => hat.index).join(',');
+        return `${state.id}|${state.buttons.length}|${state.axes.length}|${hats}|${this.invertThrottle}`;
+    }
+
+    /**
+     * Roles of a controller under the current throttle direction
+     */
+    layoutFor(state) {
+        return FlightModel.resolveLayout(state, this.invertThrottle);
+    }
+
+    /**
+     * Reading of a state snapshot
+     */
+    readingFor(state, layout) {
+        return FlightModel.read(state, layout);
+    }
+
+    /**
+     * Axis roles of a controller: its profile's flight description over the defaults, with
+     * axes the device lacks dropped and the hats the gamepad manager declared or detected
+     */
+    static resolveLayout(state, invertThrottle = false) {
+        const profile = state.profile && state.profile.flight;
+        const flight = { ...FlightModel.DEFAULT_LAYOUT, ...(profile || {}) };
+        const axis = (index) => (Number.isInteger(index) && index < state.axes.length ? index : null);
+
+        return {
+            id: state.id,
+            detected: Boolean(profile),
+            name: state.profile ? state.profile.name : null,
+            roll: axis(flight.roll),
+            pitch: axis(flight.pitch),
+            twist: axis(flight.twist),
+            throttle: axis(flight.throttle),
+            inverted: flight.inverted !== invertThrottle,
+            hats: (state.hats || []).map((hat) => hat.index),
+            buttons: state.buttons.length,
+        };
+    }
+
+    /**
+     * Flight reading of a state snapshot
+     * Returns { roll, pitch, twist: -1..1 (twist null when absent), throttle: 0..1 or null,
+     * hats: [{ index, direction: numpad 1-9, name }], buttons: held buttons as [{ index, name }] }
+     * Uses calibrated values, so small movements around the centre still show
+     */
+    static read(state, layout) {
+        const value = (index) => (index === null ? null : state.axes[index].calibratedValue);
+        const hats = new Map((state.hats || []).map((hat) => [hat.index, hat]));
+
+        const throttle = value(layout.throttle);
+        return {
+            roll: value(layout.roll) || 0,
+            pitch: value(layout.pitch) || 0,
+            twist: value(layout.twist),
+            // A throttle lever travels like a pedal: from idle at one end to full at the other
+            throttle: throttle === null ? null : ActivePadModel.travel(throttle, layout.inverted),
+            hats: layout.hats.map((index) => {
+                const hat = hats.get(index);
+                return { index: index, direction: hat ? hat.direction : 5, name: hat ? hat.name : 'centre' };
+            }),
+            buttons: state.buttons.filter((button) => button.pressed).map((button) => ({ index: button.index, name: button.name })),
+        };
+    }
+}
+
+// Roles assumed where a controller's profile has no flight description, in Chrome's
+// HID joystick axis order: X rolls, Y pitches, Rz twists and the slider is a throttle
+// reading -1 pushed fully forward
+FlightModel.DEFAULT_LAYOUT = {
+    roll: 0,
+    pitch: 1,
+    twist: 5,
+    throttle: 6,
+    inverted: true,
+};
+
+// Export for use
+window.FlightModel = FlightModel;
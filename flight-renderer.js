@@ -0,0 +1,218 @@
+/**
+ * ========================================================================
+ * FLIGHT RENDERER MODULE
+ * Renders a flight stick view: a pitch/roll crosshair with a twist bar
+ * beneath, a throttle travel bar and one eight-way compass per POV hat
+ * ========================================================================
+ */
+
+class FlightRenderer {
+    constructor(container) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.width = 480;
+        this.height = 220;
+
+        this.svg = null;
+        this.dot = null;
+        this.twist = null;
+        this.throttle = null;
+        this.hats = new Map();
+
+        this.init();
+    }
+
+    /**
+     * Initialize and create the view
+     */
+    init() {
+        this.setLayout(null);
+    }
+
+    /**
+     * Rebuild the view for a flight layout (null draws the stick and throttle without hats)
+     */
+    setLayout(layout) {
+        this.container.innerHTML = '';
+        this.hats.clear();
+
+        this.svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'flight-plot',
+            role: 'img',
+            'aria-label': 'Flight stick: pitch and roll, twist, throttle and hat switches',
+        });
+
+        this.drawStick(layout);
+        this.drawThrottle(layout);
+        this.drawHats(layout);
+
+        this.container.appendChild(this.svg);
+    }
+
+    /**
+     * Draw the pitch/roll field with its crosshair and the twist bar below it
+     */
+    drawStick(layout) {
+        const size = FlightRenderer.FIELD_SIZE;
+        const left = FlightRenderer.FIELD_LEFT;
+        const top = FlightRenderer.FIELD_TOP;
+        const cx = left + size / 2;
+        const cy = top + size / 2;
+
+        this.svg.appendChild(this.createElement('rect', { x: left, y: top, width: size, height: size, class: 'flight-field' }));
+        this.svg.appendChild(this.createElement('line', { x1: left, y1: cy, x2: left + size, y2: cy, class: 'flight-crosshair' }));
+        this.svg.appendChild(this.createElement('line', { x1: cx, y1: top, x2: cx, y2: top + size, class: 'flight-crosshair' }));
+        this.dot = this.createElement('circle', { cx: cx, cy: cy, r: 6, class: 'flight-dot' });
+        this.svg.appendChild(this.dot);
+
+        const y = top + size + 12;
+        const absent = Boolean(layout) && layout.twist === null;
+        const group = this.createElement('g', { class: absent ? 'flight-twist flight-absent' : 'flight-twist' });
+        group.appendChild(this.createElement('rect', { x: left, y: y, width: size, height: 12, class: 'flight-track' }));
+        const fill = this.createElement('rect', { x: cx, y: y, width: 0, height: 12, class: 'flight-fill' });
+        group.appendChild(fill);
+        group.appendChild(this.createElement('line', { x1: cx, y1: y - 3, x2: cx, y2: y + 15, class: 'flight-crosshair' }));
+
+        const label = this.createElement('text', { x: cx, y: y + 26, class: 'flight-label', 'text-anchor': 'middle' });
+        label.textContent = absent ? 'No twist axis' : 'Twist';
+        group.appendChild(label);
+
+        this.svg.appendChild(group);
+        this.twist = { fill: fill, left: left, width: size, absent: absent };
+    }
+
+    /**
+     * Draw the throttle travel bar
+     */
+    drawThrottle(layout) {
+        const x = FlightRenderer.THROTTLE_LEFT;
+        const top = FlightRenderer.FIELD_TOP + 16;
+        const height = FlightRenderer.FIELD_SIZE - 16;
+        const absent = Boolean(layout) && layout.throttle === null;
+        const group = this.createElement('g', { class: absent ? 'flight-throttle flight-absent' : 'flight-throttle' });
+
+        group.appendChild(this.createElement('rect', { x: x, y: top, width: 26, height: height, class: 'flight-track' }));
+        const fill = this.createElement('rect', { x: x, y: top + height, width: 26, height: 0, class: 'flight-fill' });
+        group.appendChild(fill);
+
+        const value = this.createElement('text', { x: x + 13, y: top - 6, class: 'flight-label', 'text-anchor': 'middle' });
+        value.textContent = absent ? '—' : '0%';
+        group.appendChild(value);
+
+        const label = this.createElement('text', { x: x + 13, y: top + height + 16, class: 'flight-label', 'text-anchor': 'middle' });
+        label.textContent = 'Throttle';
+        group.appendChild(label);
+
+        this.svg.appendChild(group);
+        this.throttle = { fill: fill, value: value, top: top, height: height, absent: absent };
+    }
+
+    /**
+     * Draw a 3x3 compass per hat: eight directions around the centre cell
+     */
+    drawHats(layout) {
+        const hats = layout ? layout.hats : [];
+        const left = FlightRenderer.HATS_LEFT;
+        const area = this.width - left - 10;
+        const middle = FlightRenderer.FIELD_TOP + FlightRenderer.FIELD_SIZE / 2;
+
+        if (hats.length === 0) {
+            const text = this.createElement('text', { x: left + area / 2, y: middle, class: 'flight-label', 'text-anchor': 'middle' });
+            text.textContent = 'No hat switch';
+            this.svg.appendChild(text);
+            return;
+        }
+
+        const gap = 12;
+        const size = Math.min(90, (area - gap * (hats.length - 1)) / hats.length);
+        const cell = size / 3;
+
+        hats.forEach((axisIndex, i) => {
+            const x = left + i * (size + gap);
+            const y = middle - size / 2;
+            const group = this.createElement('g', { class: 'flight-hat' });
+            const cells = new Map();
+
+            for (let direction = 1; direction <= 9; direction++) {
+                const slot = FlightRenderer.cellOf(direction);
+                const rect = this.createElement('rect', {
+                    x: (x + slot.column * cell + 1).toFixed(1),
+                    y: (y + slot.row * cell + 1).toFixed(1),
+                    width: (cell - 2).toFixed(1),
+                    height: (cell - 2).toFixed(1),
+                    rx: 3,
+                    class: direction === 5 ? 'flight-hat-cell flight-hat-centre active' : 'flight-hat-cell',
+                });
+                group.appendChild(rect);
+                cells.set(direction, rect);
+            }
+
+            const label = this.createElement('text', { x: x + size / 2, y: y + size + 16, class: 'flight-label', 'text-anchor': 'middle' });
+            label.textContent = `Hat A${axisIndex}`;
+            group.appendChild(label);
+
+            this.svg.appendChild(group);
+            this.hats.set(axisIndex, cells);
+        });
+    }
+
+    /**
+     * Show a flight reading
+     */
+    update(reading) {
+        const size = FlightRenderer.FIELD_SIZE;
+        const half = size / 2 - 6;
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
+        this.dot.setAttribute('cx', (FlightRenderer.FIELD_LEFT + size / 2 + clamp(reading.roll) * half).toFixed(1));
+        this.dot.setAttribute('cy', (FlightRenderer.FIELD_TOP + size / 2 + clamp(reading.pitch) * half).toFixed(1));
+
+        if (!this.twist.absent && reading.twist !== null) {
+            const width = (clamp(reading.twist) * this.twist.width) / 2;
+            const centre = this.twist.left + this.twist.width / 2;
+            this.twist.fill.setAttribute('x', (width < 0 ? centre + width : centre).toFixed(1));
+            this.twist.fill.setAttribute('width', Math.abs(width).toFixed(1));
+        }
+
+        if (!this.throttle.absent && reading.throttle !== null) {
+            const height = reading.throttle * this.throttle.height;
+            this.throttle.fill.setAttribute('y', (this.throttle.top + this.throttle.height - height).toFixed(1));
+            this.throttle.fill.setAttribute('height', height.toFixed(1));
+            this.throttle.value.textContent = `${Math.round(reading.throttle * 100)}%`;
+        }
+
+        reading.hats.forEach((hat) => {
+            const cells = this.hats.get(hat.index);
+            if (!cells) return;
+            cells.forEach((rect, direction) => rect.classList.toggle('active', direction === hat.direction));
+        });
+    }
+
+    /**
+     * Grid cell ({ column, row }) of a numpad direction, up on top
+     */
+    static cellOf(direction) {
+        return { column: (direction - 1) % 3, row: 2 - Math.floor((direction - 1) / 3) };
+    }
+
+    /**
+     * Utility: Create SVG element with attributes
+     */
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+}
+
+// Pitch/roll field position and size
+FlightRenderer.FIELD_LEFT = 20;
+FlightRenderer.FIELD_TOP = 10;
+FlightRenderer.FIELD_SIZE = 160;
+
+// Left edges of the throttle bar and the hat compasses
+FlightRenderer.THROTTLE_LEFT = 214;
+FlightRenderer.HATS_LEFT = 272;
+
+// Export for use
+window.FlightRenderer = FlightRenderer;
@@ -6,31 +6,62 @@
  * ========================================================================
  */
 
-class GamepadManager {
-    constructor() {
+class GamepadManager extends EventEmitter {
+    /**
+     * Options: { source: input source (defaults to the browser Gamepad API),
+     *            autoStart: start the polling loop immediately (default true),
+     *            now: clock used to time polls (defaults to performance.now),
+     *            calibrations: CalibrationStore (defaults to one backed by localStorage),
+     *            settings: SettingsStore (defaults to one backed by localStorage),
+     *            remaps: RemapLayer (defaults to one backed by localStorage) }
+     */
+    constructor(options = {}) {
+        super();
+
+        // Where controllers are read from
+        this.source = options.source || new NavigatorInputSource();
+        this.autoStart = options.autoStart !== false;
+        this.unsubscribeSource = null;
+        this.now = options.now || (() => performance.now());
+
         // State management
         this.gamepads = new Map();
         this.activeGamepad = null;
         this.isRunning = false;
         this.rafId = null;
 
-        // Constants
-        this.STICK_DEAD_ZONE = 0.15;
-        this.TRIGGER_DEAD_ZONE = 0.05;
-
-        // Callback registry
-        this.callbacks = {
-            onConnect: null,
-            onDisconnect: null,
-            onUpdate: null,
-            onButtonPress: null,
-            onButtonRelease: null,
-            onAxisChange: null,
-        };
+        // While suspended (e.g. during replay) hardware frames are ignored
+        this.liveInputSuspended = false;
+
+        // User settings; dead zones and input tunables follow them live
+        this.settings = options.settings || new SettingsStore();
+        this.unsubscribeSettings = [];
+        this.axisChangeThreshold = this.settings.get('input.axisChangeThreshold');
+
+        // Stick and trigger dead zones
+        this.deadZones = new DeadZoneEngine(this.settings.get('deadZones'));
+
+        // Per-controller stick calibration, applied before dead zones
+        this.calibrations = options.calibrations || new CalibrationStore();
+
+        // Per-controller button/axis remapping, applied after dead zones and before events
+        this.remaps = options.remaps || new RemapLayer();
 
         // Button state tracking for press detect
         this.buttonStates = new Map();
         this.axisStates = new Map();
+        this.processedAxisStates = new Map();
+
+        // Last hardware timestamp seen per gamepad, for duplicate report detection
+        this.lastTimestamps = new Map();
+
+        // Per-controller button/axis naming
+        this.mappingProfiles = new MappingProfiles();
+        this.mappings = new Map();
+        this.axisRoles = new Map();
+
+        // Per-controller POV hat detection; hat axes skip dead zones
+        this.hatDecoders = new Map();
 
         this.init();
     }
@@ -39,12 +70,25 @@ class GamepadManager {
      * Initialize gamepad manager and attach event listeners
      */
     init() {
-        // Attach button event listeners if supported
-        window.addEventListener('gamepadconnected', (e) => this.handleGamepadConnected(e));
-        window.addEventListener('gamepaddisconnected', (e) => this.handleGamepadDisconnected(e));
+        // Attach connection listeners of the input source
+        this.unsubscribeSource = this.source.subscribe({
+            onConnect: (e) => this.handleGamepadConnected(e),
+            onDisconnect: (e) => this.handleGamepadDisconnected(e),
+        });
+
+        // Keep dead zones and settings in sync in both directions
+        this.unsubscribeSettings = [
+            this.settings.watch('input', () => {
+                this.axisChangeThreshold = this.settings.get('input.axisChangeThreshold');
+            }),
+            this.settings.watch('deadZones', () => this.deadZones.setConfig(this.settings.get('deadZones'))),
+            this.deadZones.on('change', (config) => this.settings.set('deadZones', config)),
+        ];
 
         // Start monitoring loop
-        this.start();
+        if (this.autoStart) {
+            this.start();
+        }
     }
 
     /**
@@ -55,22 +99,27 @@ class GamepadManager {
         this.gamepads.set(gamepad.index, gamepad);
 
         // Set as active if this is the first controller
-        if (!this.activeGamepad) {
+        if (this.activeGamepad === null) {
             this.activeGamepad = gamepad.index;
         }
 
+        const mapping = this.mappingProfiles.resolve(gamepad);
+        this.mappings.set(gamepad.index, mapping);
+        this.axisRoles.set(gamepad.index, MappingProfiles.axisRoles(mapping));
+        this.hatDecoders.set(gamepad.index, new HatDecoder(this.axisRoles.get(gamepad.index).hats));
         this.initializeButtonStates(gamepad.index, gamepad);
         this.initializeAxisStates(gamepad.index, gamepad);
 
-        if (this.callbacks.onConnect) {
-            this.callbacks.onConnect({
-                index: gamepad.index,
-                id: gamepad.id,
-                buttons: gamepad.buttons.length,
-                axes: gamepad.axes.length,
-                timestamp: gamepad.timestamp,
-            });
-        }
+        this.emit(GamepadManager.EVENTS.CONNECT, {
+            gamepadIndex: gamepad.index,
+            index: gamepad.index,
+            id: gamepad.id,
+            mapping: gamepad.mapping,
+            profile: this.mappings.get(gamepad.index).profileId,
+            buttons: gamepad.buttons.length,
+            axes: gamepad.axes.length,
+            timestamp: gamepad.timestamp,
+        });
     }
 
     /**
@@ -81,20 +130,53 @@ class GamepadManager {
         this.gamepads.delete(index);
         this.buttonStates.delete(index);
         this.axisStates.delete(index);
+        this.mappings.delete(index);
+        this.axisRoles.delete(index);
+        this.hatDecoders.delete(index);
+        this.processedAxisStates.delete(index);
+        this.lastTimestamps.delete(index);
+        this.remaps.resetState(index);
 
         // Switch to another active gamepad if available
-        if (this.activeGamepad === index) {
+        const wasActive = this.activeGamepad === index;
+        if (wasActive) {
             this.activeGamepad = this.gamepads.size > 0 ? [...this.gamepads.keys()][0] : null;
         }
 
-        if (this.callbacks.onDisconnect) {
-            this.callbacks.onDisconnect({
-                index: index,
-                timestamp: event.gamepad.timestamp,
+        this.emit(GamepadManager.EVENTS.DISCONNECT, {
+            gamepadIndex: index,
+            index: index,
+            timestamp: event.gamepad.timestamp,
+        });
+
+        if (wasActive && this.activeGamepad !== null) {
+            this.emit(GamepadManager.EVENTS.ACTIVE_CHANGE, {
+                gamepadIndex: this.activeGamepad,
+                index: this.activeGamepad,
+                previous: index,
             });
         }
     }
 
+    /**
+     * Focus another connected gamepad; only the active pad receives update events
+     * Returns false when no gamepad is connected at that index
+     */
+    setActiveGamepad(index) {
+        if (!this.gamepads.has(index)) return false;
+        if (this.activeGamepad === index) return true;
+
+        const previous = this.activeGamepad;
+        this.activeGamepad = index;
+
+        this.emit(GamepadManager.EVENTS.ACTIVE_CHANGE, {
+            gamepadIndex: index,
+            index: index,
+            previous: previous,
+        });
+        return true;
+    }
+
     /**
      * Initialize button state tracking
      */
@@ -154,42 +236,95 @@ class GamepadManager {
     poll() {
         if (!this.isRunning) return;
 
-        // Get fresh gamepad data
-        const gamepads = navigator.getGamepads();
+        this.pollOnce();
 
-        if (gamepads.length > 0) {
-            for (let i = 0; i < gamepads.length; i++) {
-                const gamepad = gamepads[i];
+        this.rafId = requestAnimationFrame(() => this.poll());
+    }
 
-                if (gamepad) {
-                    // Update or register gamepad
-                    if (!this.gamepads.has(i)) {
-                        // Auto-detect connection if not fired
-                        this.handleGamepadConnected({ gamepad });
-                    }
+    /**
+     * Read the input source once and process every connected gamepad
+     * Can be called directly to step the manager without the rAF loop
+     */
+    pollOnce() {
+        // Get fresh gamepad data
+        const gamepads = this.liveInputSuspended ? [] : this.source.getGamepads();
+        const polledAt = this.now();
+        const timePolls = this.listenerCount(GamepadManager.EVENTS.POLL) > 0;
 
-                    // Process input
-                    this.processGamepadInput(i, gamepad);
+        for (let i = 0; i < gamepads.length; i++) {
+            if (gamepads[i]) {
+                const gamepad = gamepads[i];
 
-                    // Send update callback
-                    if (i === this.activeGamepad && this.callbacks.onUpdate) {
-                        this.callbacks.onUpdate(this.getGamepadState(gamepad));
-                    }
+                // Poll timing, before input events so listeners see the latest report rate
+                if (timePolls) {
+                    this.emit(GamepadManager.EVENTS.POLL, {
+                        gamepadIndex: gamepad.index,
+                        timestamp: gamepad.timestamp,
+                        polledAt: polledAt,
+                        duplicate: this.lastTimestamps.get(gamepad.index) === gamepad.timestamp,
+                    });
                 }
+                this.lastTimestamps.set(gamepad.index, gamepad.timestamp);
+
+                this.processFrame(gamepad);
             }
         }
+    }
 
-        this.rafId = requestAnimationFrame(() => this.poll());
+    /**
+     * Run one gamepad snapshot through the input pipeline
+     * Used by poll() for hardware and by replay for recorded frames
+     */
+    processFrame(gamepad) {
+        const index = gamepad.index;
+
+        // Update or register gamepad
+        if (!this.gamepads.has(index)) {
+            // Auto-detect connection if not fired
+            this.handleGamepadConnected({ gamepad });
+        }
+        this.gamepads.set(index, gamepad);
+
+        // Process input
+        this.processGamepadInput(index, gamepad);
+
+        // Send update to listeners
+        const sendUpdate = index === this.activeGamepad && this.listenerCount(GamepadManager.EVENTS.UPDATE) > 0;
+        const sendPadUpdate = this.listenerCount(GamepadManager.EVENTS.PAD_UPDATE) > 0;
+        if (sendUpdate || sendPadUpdate) {
+            const state = this.getGamepadState(gamepad);
+            if (sendUpdate) this.emit(GamepadManager.EVENTS.UPDATE, state);
+            if (sendPadUpdate) this.emit(GamepadManager.EVENTS.PAD_UPDATE, state);
+        }
+    }
+
+    /**
+     * Ignore hardware input until resumeLiveInput() is called
+     */
+    suspendLiveInput() {
+        this.liveInputSuspended = true;
+    }
+
+    /**
+     * Resume processing hardware input
+     */
+    resumeLiveInput() {
+        this.liveInputSuspended = false;
     }
 
     /**
      * Process gamepad input changes (buttons, axes, triggers)
      */
     processGamepadInput(index, gamepad) {
+        const hats = this.hatDecoders.get(index);
+        if (hats) hats.observe(gamepad.axes);
+
+        const input = this.getInputFrame(index, gamepad);
+
         // Process buttons
         const prevButtonStates = this.buttonStates.get(index) || [];
-        for (let i = 0; i < gamepad.buttons.length; i++) {
-            const button = gamepad.buttons[i];
+        for (let i = 0; i < input.buttons.length; i++) {
+            const button = input.buttons[i];
             const prevState = prevButtonStates[i] || { pressed: false, value: 0 };
 
             const isPressed = button.pressed;
@@ -197,25 +332,24 @@ class GamepadManager {
 
             // Detect press
             if (isPressed && !prevState.pressed) {
-                if (this.callbacks.onButtonPress) {
-                    this.callbacks.onButtonPress({
-                        index: i,
-                        button: this.getButtonName(index, i),
-                        value: value,
-                        timestamp: gamepad.timestamp,
-                    });
-                }
+                this.emit(GamepadManager.EVENTS.BUTTON_PRESS, {
+                    gamepadIndex: index,
+                    index: i,
+                    button: this.getButtonName(index, i),
+                    value: value,
+                    rawValue: button.rawValue,
+                    timestamp: gamepad.timestamp,
+                });
             }
 
             // Detect release
             if (!isPressed && prevState.pressed) {
-                if (this.callbacks.onButtonRelease) {
-                    this.callbacks.onButtonRelease({
-                        index: i,
-                        button: this.getButtonName(index, i),
-                        timestamp: gamepad.timestamp,
-                    });
-                }
+                this.emit(GamepadManager.EVENTS.BUTTON_RELEASE, {
+                    gamepadIndex: index,
+                    index: i,
+                    button: this.getButtonName(index, i),
+                    timestamp: gamepad.timestamp,
+                });
             }
 
             // Update state
@@ -228,111 +362,283 @@ class GamepadManager {
         this.buttonStates.set(index, prevButtonStates);
 
         // Process axes
+        const processedAxes = input.axes.map((axis) => axis.value);
+        const prevProcessedAxes = this.processedAxisStates.get(index) || [];
         const prevAxisStates = this.axisStates.get(index) || [];
-        for (let i = 0; i < gamepad.axes.length; i++) {
-            const value = gamepad.axes[i];
-            const prevValue = prevAxisStates[i] || 0;
-
-            // Apply dead zone
-            const adjustedValue = Math.abs(value) > this.STICK_DEAD_ZONE ? value : 0;
-            const adjustedPrevValue = Math.abs(prevValue) > this.STICK_DEAD_ZONE ? prevValue : 0;
+        for (let i = 0; i < input.axes.length; i++) {
+            const value = input.axes[i].rawValue;
+            const adjustedValue = processedAxes[i];
+            const adjustedPrevValue = prevProcessedAxes[i] || 0;
 
             // Detect significant change
-            if (Math.abs(adjustedValue - adjustedPrevValue) > 0.02) {
-                if (this.callbacks.onAxisChange) {
-                    this.callbacks.onAxisChange({
-                        index: i,
-                        value: adjustedValue,
-                        rawValue: value,
-                        name: this.getAxisName(index, i),
-                        timestamp: gamepad.timestamp,
-                    });
-                }
+            if (Math.abs(adjustedValue - adjustedPrevValue) > this.axisChangeThreshold) {
+                this.emit(GamepadManager.EVENTS.AXIS_CHANGE, {
+                    gamepadIndex: index,
+                    index: i,
+                    value: adjustedValue,
+                    rawValue: value,
+                    name: this.getAxisName(index, i),
+                    timestamp: gamepad.timestamp,
+                });
+            } else {
+                // Keep the last reported value so slow drifts still add up
+                processedAxes[i] = adjustedPrevValue;
             }
 
             prevAxisStates[i] = value;
         }
         this.axisStates.set(index, prevAxisStates);
+        this.processedAxisStates.set(index, processedAxes);
+    }
+
+    /**
+     * Processed buttons and axes of a snapshot (dead zones, calibration) after remapping
+     * Returns { buttons: [{ pressed, value, rawValue, source? }], axes: [{ value, calibratedValue, rawValue, source? }] }
+     */
+    getInputFrame(
+        index,
+        gamepad,
+        calibratedAxes = this.calibrateAxes(index, gamepad.axes),
+        processedAxes = this.processAxes(index, gamepad.axes, calibratedAxes)
+    ) {
+        const input = {
+            buttons: gamepad.buttons.map((button, i) => ({
+                pressed: button.pressed,
+                value: this.processButtonValue(index, i, button.value),
+                rawValue: button.value,
+            })),
+            axes: gamepad.axes.map((axis, i) => ({
+                value: processedAxes[i],
+                calibratedValue: calibratedAxes[i],
+                rawValue: axis,
+            })),
+        };
+
+        // Replayed sessions were recorded after remapping
+        if (this.liveInputSuspended) return input;
+
+        return this.remaps.apply(index, gamepad.id, input, this.now());
+    }
+
+    /**
+     * Apply stick, trigger and generic dead zones to a raw axes array
+     * Hat switch axes pass through: their values are positions, not deflections
+     */
+    processAxes(index, axes, calibrated = this.calibrateAxes(index, axes)) {
+        const roles = this.axisRoles.get(index) || MappingProfiles.axisRoles(null);
+        const hats = this.hatDecoders.get(index);
+        const processed = calibrated.map((value, i) => {
+            if (hats && hats.isHat(i)) return value;
+
+            const trigger = roles.triggerAxes[i];
+            if (trigger) {
+                // Trigger axes rest at -1; dead zone works on the 0..1 travel
+                return this.deadZones.processTrigger(trigger, (value + 1) / 2) * 2 - 1;
+            }
+            return this.deadZones.processAxis(value);
+        });
+
+        Object.keys(roles.sticks).forEach((side) => {
+            const [xIndex, yIndex] = roles.sticks[side];
+            if (!(xIndex < axes.length && yIndex < axes.length)) return;
+            if (hats && (hats.isHat(xIndex) || hats.isHat(yIndex))) return;
+
+            const stick = this.deadZones.processStick(side, calibrated[xIndex], calibrated[yIndex]);
+            processed[xIndex] = stick.x;
+            processed[yIndex] = stick.y;
+        });
+
+        return processed;
+    }
+
+    /**
+     * Apply the controller's stick calibration profile, if any, to raw axes
+     */
+    calibrateAxes(index, axes) {
+        const gamepad = this.gamepads.get(index);
+        const profile = gamepad ? this.calibrations.get(gamepad.id) : null;
+        const calibrated = Array.from(axes);
+        if (!profile) return calibrated;
+
+        const roles = this.axisRoles.get(index) || MappingProfiles.axisRoles(null);
+        Object.keys(profile.sticks).forEach((side) => {
+            const indices = roles.sticks[side];
+            if (!indices) return;
+
+            const [xIndex, yIndex] = indices;
+            if (xIndex < axes.length) {
+                calibrated[xIndex] = CalibrationStore.applyAxis(axes[xIndex], profile.sticks[side].x);
+            }
+            if (yIndex < axes.length) {
+                calibrated[yIndex] = CalibrationStore.applyAxis(axes[yIndex], profile.sticks[side].y);
+            }
+        });
+
+        return calibrated;
+    }
+
+    /**
+     * Apply the trigger dead zone to analog trigger buttons
+     */
+    processButtonValue(index, buttonIndex, value) {
+        const roles = this.axisRoles.get(index) || MappingProfiles.axisRoles(null);
+        const trigger = roles.triggerButtons[buttonIndex];
+        return trigger ? this.deadZones.processTrigger(trigger, value) : value;
+    }
+
+    /**
+     * Get axis indices, raw and processed positions of both sticks
+     */
+    getStickStates(index, axes, processedAxes, calibratedAxes = axes) {
+        const roles = this.axisRoles.get(index) || MappingProfiles.axisRoles(null);
+        const hats = this.hatDecoders.get(index);
+        const sticks = {};
+
+        Object.keys(roles.sticks).forEach((side) => {
+            const [xIndex, yIndex] = roles.sticks[side];
+            if (!(xIndex < axes.length && yIndex < axes.length)) return;
+            if (hats && (hats.isHat(xIndex) || hats.isHat(yIndex))) return;
+
+            sticks[side] = {
+                axes: [xIndex, yIndex],
+                raw: { x: axes[xIndex], y: axes[yIndex] },
+                calibrated: { x: calibratedAxes[xIndex], y: calibratedAxes[yIndex] },
+                value: { x: processedAxes[xIndex], y: processedAxes[yIndex] },
+            };
+        });
+
+        return sticks;
+    }
+
+    /**
+     * Get raw (0-1) and dead-zoned travel of both triggers
+     * Axis-based triggers take their pressed state from the matching digital button, if any
+     */
+    getTriggerStates(index, gamepad, processedAxes) {
+        const roles = this.axisRoles.get(index) || MappingProfiles.axisRoles(null);
+        const triggers = {};
+
+        // Trigger axes rest at -1 and travel to +1
+        Object.keys(roles.triggerAxes).forEach((key) => {
+            const axisIndex = Number(key);
+            if (axisIndex >= gamepad.axes.length) return;
+
+            triggers[roles.triggerAxes[key]] = {
+                source: 'axis',
+                index: axisIndex,
+                raw: (gamepad.axes[axisIndex] + 1) / 2,
+                value: (processedAxes[axisIndex] + 1) / 2,
+                pressed: null,
+            };
+        });
+
+        Object.keys(roles.triggerButtons).forEach((key) => {
+            const buttonIndex = Number(key);
+            const button = gamepad.buttons[buttonIndex];
+            const side = roles.triggerButtons[key];
+            if (!button) return;
+
+            if (triggers[side]) {
+                triggers[side].pressed = button.pressed;
+                return;
+            }
+
+            triggers[side] = {
+                source: 'button',
+                index: buttonIndex,
+                raw: button.value,
+                value: this.processButtonValue(index, buttonIndex, button.value),
+                pressed: button.pressed,
+            };
+        });
+
+        return triggers;
+    }
+
+    /**
+     * Get the decoded position of every hat switch axis
+     * Returns [{ index: axis index, value: raw value, position, direction, name, x, y }]
+     */
+    getHatStates(index, axes) {
+        const hats = this.hatDecoders.get(index);
+        if (!hats) return [];
+
+        return hats
+            .getAxes()
+            .filter((axisIndex) => axisIndex < axes.length)
+            .map((axisIndex) => ({ index: axisIndex, value: axes[axisIndex], ...HatDecoder.decode(axes[axisIndex]) }));
     }
 
     /**
      * Get standardized gamepad state snapshot
      */
     getGamepadState(gamepad) {
+        const calibratedAxes = this.calibrateAxes(gamepad.index, gamepad.axes);
+        const processedAxes = this.processAxes(gamepad.index, gamepad.axes, calibratedAxes);
+
+        // Buttons and axes as remapped; sticks and triggers describe the physical inputs
+        const input = this.getInputFrame(gamepad.index, gamepad, calibratedAxes, processedAxes);
+
         return {
+            gamepadIndex: gamepad.index,
             index: gamepad.index,
             id: gamepad.id,
             timestamp: gamepad.timestamp,
             connected: gamepad.connected,
-            buttons: gamepad.buttons.map((btn, i) => ({
+            mapping: gamepad.mapping,
+            profile: this.getMapping(gamepad.index),
+            buttons: input.buttons.map((button, i) => ({
+                ...button,
                 index: i,
                 name: this.getButtonName(gamepad.index, i),
-                pressed: btn.pressed,
-                value: btn.value,
             })),
-            axes: gamepad.axes.map((axis, i) => ({
+            axes: input.axes.map((axis, i) => ({
+                ...axis,
                 index: i,
                 name: this.getAxisName(gamepad.index, i),
-                value: Math.abs(axis) > this.STICK_DEAD_ZONE ? axis : 0,
-                rawValue: axis,
             })),
+            remap: this.remaps.getActive(gamepad.id),
+            sticks: this.getStickStates(gamepad.index, gamepad.axes, processedAxes, calibratedAxes),
+            triggers: this.getTriggerStates(gamepad.index, gamepad, processedAxes),
+            hats: this.getHatStates(gamepad.index, gamepad.axes),
             vibration: gamepad.vibrationActuator
                 ? {
                       supported: true,
                       type: gamepad.vibrationActuator.type,
+                      effects: gamepad.vibrationActuator.effects || [gamepad.vibrationActuator.type],
                   }
                 : { supported: false },
         };
     }
 
     /**
-     * Get standardized button name
+     * Get resolved mapping profile for a gamepad
      */
-    getButtonName(gamepadIndex, buttonIndex) {
-        const standardMapping = {
-            0: 'A',
-            1: 'B',
-            2: 'X',
-            3: 'Y',
-            4: 'LB',
-            5: 'RB',
-            6: 'LT',
-            7: 'RT',
-            8: 'Back',
-            9: 'Start',
-            10: 'LS',
-            11: 'RS',
-            12: 'Guide',
-            13: 'Share',
-            14: 'Touchpad',
-        };
+    getMapping(gamepadIndex) {
+        return this.mappings.get(gamepadIndex) || null;
+    }
 
-        return standardMapping[buttonIndex] || `Btn ${buttonIndex}`;
+    /**
+     * Get button name from the gamepad's mapping profile
+     */
+    getButtonName(gamepadIndex, buttonIndex) {
+        return MappingProfiles.buttonName(this.getMapping(gamepadIndex), buttonIndex);
     }
 
     /**
-     * Get standardized axis name
+     * Get axis name from the gamepad's mapping profile
      */
     getAxisName(gamepadIndex, axisIndex) {
-        const standardMapping = {
-            0: 'LS-X',
-            1: 'LS-Y',
-            2: 'RS-X',
-            3: 'RS-Y',
-            4: 'LT',
-            5: 'RT',
-        };
-
-        return standardMapping[axisIndex] || `Axis ${axisIndex}`;
+        return MappingProfiles.axisName(this.getMapping(gamepadIndex), axisIndex);
     }
 
     /**
      * Test vibration
      */
     async testVibration(pattern = 'medium') {
-        if (!this.activeGamepad) return false;
+        if (this.activeGamepad === null) return false;
 
-        const gamepads = navigator.getGamepads();
+        const gamepads = this.source.getGamepads();
         const gamepad = gamepads[this.activeGamepad];
 
         if (!gamepad || !gamepad.vibrationActuator) return false;
@@ -372,56 +678,91 @@ class GamepadManager {
     }
 
     /**
-     * Register update callback
+     * Subscribe to a manager event
+     * Options: { once: boolean, gamepadIndex: number, filter: (payload) => boolean }
+     * Returns an unsubscribe function
      */
-    onUpdate(callback) {
-        this.callbacks.onUpdate = callback;
+    on(event, callback, options = {}) {
+        const { gamepadIndex, filter, ...rest } = options;
+
+        if (gamepadIndex === undefined || gamepadIndex === null) {
+            return super.on(event, callback, { ...rest, filter });
+        }
+
+        // Per-gamepad filtering, combined with any custom filter
+        return super.on(event, callback, {
+            ...rest,
+            filter: (payload) =>
+                payload.gamepadIndex === gamepadIndex && (!filter || filter(payload)),
+        });
     }
 
     /**
-     * Register connection callback
+     * Register update listener
      */
-    onConnect(callback) {
-        this.callbacks.onConnect = callback;
+    onUpdate(callback, options) {
+        return this.on(GamepadManager.EVENTS.UPDATE, callback, options);
     }
 
     /**
-     * Register disconnection callback
+     * Register connection listener
      */
-    onDisconnect(callback) {
-        this.callbacks.onDisconnect = callback;
+    onConnect(callback, options) {
+        return this.on(GamepadManager.EVENTS.CONNECT, callback, options);
     }
 
     /**
-     * Register button press callback
+     * Register disconnection listener
      */
-    onButtonPress(callback) {
-        this.callbacks.onButtonPress = callback;
+    onDisconnect(callback, options) {
+        return this.on(GamepadManager.EVENTS.DISCONNECT, callback, options);
     }
 
     /**
-     * Register button release callback
+     * Register button press listener
      */
-    onButtonRelease(callback) {
-        this.callbacks.onButtonRelease = callback;
+    onButtonPress(callback, options) {
+        return this.on(GamepadManager.EVENTS.BUTTON_PRESS, callback, options);
     }
 
     /**
-     * Register axis change callback
+     * Register button release listener
      */
-    onAxisChange(callback) {
-        this.callbacks.onAxisChange = callback;
+    onButtonRelease(callback, options) {
+        return this.on(GamepadManager.EVENTS.BUTTON_RELEASE, callback, options);
+    }
+
+    /**
+     * Register axis change listener
+     */
+    onAxisChange(callback, options) {
+        return this.on(GamepadManager.EVENTS.AXIS_CHANGE, callback, options);
     }
 
     /**
      * Get active gamepad data
      */
     getActiveGamepad() {
-        if (!this.activeGamepad) return null;
-        const gamepads = navigator.getGamepads();
+        if (this.activeGamepad === null) return null;
+        if (this.liveInputSuspended) return this.gamepads.get(this.activeGamepad) || null;
+        const gamepads = this.source.getGamepads();
         return gamepads[this.activeGamepad];
     }
 
+    /**
+     * Stop polling and detach from the input source
+     */
+    destroy() {
+        this.stop();
+        if (this.unsubscribeSource) {
+            this.unsubscribeSource();
+            this.unsubscribeSource = null;
+        }
+        this.unsubscribeSettings.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribeSettings = [];
+        this.listeners.clear();
+    }
+
     /**
      * Get all connected gamepads
      */
@@ -444,5 +785,18 @@ class GamepadManager {
     }
 }
 
+// Event names emitted by GamepadManager
+GamepadManager.EVENTS = Object.freeze({
+    CONNECT: 'connect',
+    DISCONNECT: 'disconnect',
+    UPDATE: 'update',
+    BUTTON_PRESS: 'buttonpress',
+    BUTTON_RELEASE: 'buttonrelease',
+    AXIS_CHANGE: 'axischange',
+    ACTIVE_CHANGE: 'activechange',
+    PAD_UPDATE: 'padupdate',
+    POLL: 'poll',
+});
+
 // Export for use
 window.GamepadManager = GamepadManager;
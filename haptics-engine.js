@@ -0,0 +1,315 @@
+/**
+ * ========================================================================
+ * HAPTICS ENGINE MODULE
+ * Plays designed rumble patterns on the active gamepad: multi-step
+ * envelopes with independent strong/weak motor curves, repeats and
+ * trigger-rumble, plus a saved library of named patterns
+ *
+ * A pattern is { name, repeat, steps: [{ duration, strong, weak,
+ * leftTrigger, rightTrigger, ramp }] } with magnitudes in 0-1; a ramp
+ * step slides linearly from the previous step's levels to its own
+ * ========================================================================
+ */
+
+class HapticsEngine extends EventEmitter {
+    /**
+     * Options: { storage: Storage-like object for the pattern library
+     *            (defaults to localStorage), key: storage key }
+     */
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+        this.storage = BrowserStorage.resolve(options.storage);
+        this.key = options.key || HapticsEngine.STORAGE_KEY;
+
+        // Saved patterns by name
+        this.library = new Map();
+
+        // Running playback ({ cancelled }), or null
+        this.playback = null;
+
+        this.load();
+    }
+
+    /**
+     * Get the vibration actuator of the active gamepad
+     */
+    getActuator() {
+        const gamepad = this.gamepadManager.getActiveGamepad();
+        return gamepad && gamepad.vibrationActuator ? gamepad.vibrationActuator : null;
+    }
+
+    /**
+     * Effects the active gamepad's actuator can play
+     */
+    getCapabilities(actuator = this.getActuator()) {
+        if (!actuator) return { supported: false, dualRumble: false, triggerRumble: false };
+
+        const effects = actuator.effects || [actuator.type];
+        return {
+            supported: true,
+            dualRumble: effects.includes('dual-rumble'),
+            triggerRumble: effects.includes('trigger-rumble'),
+        };
+    }
+
+    /**
+     * Play a pattern (or the name of a preset/saved pattern) on the active gamepad
+     * Resolves true when every step played, false when unsupported or stopped
+     */
+    async play(patternOrName) {
+        const pattern = typeof patternOrName === 'string' ? this.get(patternOrName) : HapticsEngine.validate(patternOrName);
+        if (!pattern) {
+            throw new Error(`Unknown haptic pattern "${patternOrName}"`);
+        }
+
+        const actuator = this.getActuator();
+        if (!actuator) return false;
+
+        // A new pattern takes over from the one playing
+        if (this.playback) {
+            this.playback.cancelled = true;
+        }
+        const playback = { cancelled: false };
+        this.playback = playback;
+
+        const { triggerRumble } = this.getCapabilities(actuator);
+        const segments = HapticsEngine.compile(pattern);
+        const duration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+        this.emit('play', { name: pattern.name, duration: duration, steps: segments.length });
+
+        let offset = 0;
+        try {
+            for (let i = 0; i < segments.length && !playback.cancelled; i++) {
+                const segment = segments[i];
+                const useTriggers = triggerRumble && (segment.leftTrigger > 0 || segment.rightTrigger > 0);
+                const params = {
+                    startDelay: 0,
+                    duration: segment.duration,
+                    strongMagnitude: segment.strong,
+                    weakMagnitude: segment.weak,
+                };
+                if (useTriggers) {
+                    params.leftTrigger = segment.leftTrigger;
+                    params.rightTrigger = segment.rightTrigger;
+                }
+
+                this.emit('step', { index: i, count: segments.length, segment, offset, duration });
+                offset += segment.duration;
+                const result = await actuator.playEffect(useTriggers ? 'trigger-rumble' : 'dual-rumble', params);
+
+                // Another effect (ours or the page's) replaced this one
+                if (result === 'preempted') {
+                    playback.cancelled = true;
+                }
+            }
+        } finally {
+            if (this.playback === playback) {
+                this.playback = null;
+            }
+        }
+
+        const completed = !playback.cancelled;
+        this.emit('end', { name: pattern.name, completed });
+        return completed;
+    }
+
+    /**
+     * Abandon the running pattern after its current step, leaving the motors alone
+     */
+    cancel() {
+        if (!this.playback) return;
+        this.playback.cancelled = true;
+        this.playback = null;
+    }
+
+    /**
+     * Stop playback and silence every motor
+     */
+    async stop() {
+        this.cancel();
+
+        const actuator = this.getActuator();
+        if (actuator && actuator.reset) {
+            await actuator.reset();
+        }
+        this.emit('stop');
+    }
+
+    /**
+     * Check whether a pattern is playing
+     */
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Get a preset or saved pattern by name
+     */
+    get(name) {
+        return HapticsEngine.PRESETS[name] || this.library.get(name) || null;
+    }
+
+    /**
+     * All patterns: presets first, then saved ones
+     */
+    list() {
+        return [
+            ...Object.values(HapticsEngine.PRESETS).map((pattern) => ({ ...pattern, preset: true })),
+            ...Array.from(this.library.values()).map((pattern) => ({ ...pattern, preset: false })),
+        ];
+    }
+
+    /**
+     * Save a pattern to the library under its name
+     */
+    save(pattern) {
+        const validated = HapticsEngine.validate(pattern);
+        if (HapticsEngine.PRESETS[validated.name]) {
+            throw new Error(`"${validated.name}" is a built-in pattern`);
+        }
+
+        this.library.set(validated.name, validated);
+        this.persist();
+        this.emit('library', this.list());
+        return validated;
+    }
+
+    /**
+     * Delete a saved pattern
+     */
+    remove(name) {
+        if (!this.library.delete(name)) return false;
+        this.persist();
+        this.emit('library', this.list());
+        return true;
+    }
+
+    /**
+     * Read the saved library; unreadable data is ignored
+     */
+    load() {
+        this.library.clear();
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || '[]');
+            saved.forEach((pattern) => {
+                const validated = HapticsEngine.validate(pattern);
+                this.library.set(validated.name, validated);
+            });
+        } catch (error) {
+            console.warn('Ignoring saved haptic patterns:', error.message);
+        }
+    }
+
+    /**
+     * Write the library to storage
+     */
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(Array.from(this.library.values())));
+        } catch (error) {
+            console.warn('Could not save haptic patterns:', error.message);
+        }
+    }
+
+    /**
+     * Check a pattern and return a clean copy with clamped magnitudes
+     */
+    static validate(pattern) {
+        if (!pattern || typeof pattern.name !== 'string' || pattern.name.trim() === '') {
+            throw new Error('Haptic pattern needs a name');
+        }
+        if (!Array.isArray(pattern.steps) || pattern.steps.length === 0) {
+            throw new Error(`Haptic pattern "${pattern.name}" has no steps`);
+        }
+
+        const magnitude = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+        const steps = pattern.steps.map((step, i) => {
+            const duration = Number(step.duration);
+            if (!Number.isFinite(duration) || duration <= 0 || duration > HapticsEngine.MAX_STEP_DURATION) {
+                throw new Error(`Step ${i + 1} of "${pattern.name}" needs a duration of 1-${HapticsEngine.MAX_STEP_DURATION} ms`);
+            }
+            return {
+                duration: Math.round(duration),
+                strong: magnitude(step.strong),
+                weak: magnitude(step.weak),
+                leftTrigger: magnitude(step.leftTrigger),
+                rightTrigger: magnitude(step.rightTrigger),
+                ramp: Boolean(step.ramp),
+            };
+        });
+
+        const repeat = Math.round(Number(pattern.repeat) || 1);
+        return {
+            name: pattern.name.trim(),
+            repeat: Math.min(HapticsEngine.MAX_REPEAT, Math.max(1, repeat)),
+            steps: steps,
+        };
+    }
+
+    /**
+     * Expand a pattern into constant-level segments the actuator can play,
+     * splitting ramps into short slices and unrolling repeats
+     */
+    static compile(pattern) {
+        const motors = ['strong', 'weak', 'leftTrigger', 'rightTrigger'];
+        const segments = [];
+        let level = { strong: 0, weak: 0, leftTrigger: 0, rightTrigger: 0 };
+
+        pattern.steps.forEach((step) => {
+            if (!step.ramp) {
+                const segment = { duration: step.duration };
+                motors.forEach((motor) => (segment[motor] = step[motor]));
+                segments.push(segment);
+            } else {
+                const slices = Math.max(1, Math.ceil(step.duration / HapticsEngine.RAMP_SEGMENT));
+                for (let i = 0; i < slices; i++) {
+                    // Level at the middle of each slice
+                    const t = (i + 0.5) / slices;
+                    const segment = { duration: Math.round(step.duration / slices) };
+                    motors.forEach((motor) => (segment[motor] = level[motor] + (step[motor] - level[motor]) * t));
+                    segments.push(segment);
+                }
+            }
+            motors.forEach((motor) => (level[motor] = step[motor]));
+        });
+
+        const repeated = [];
+        for (let i = 0; i < pattern.repeat; i++) {
+            repeated.push(...segments);
+        }
+        return repeated;
+    }
+
+    /**
+     * Total playing time of a pattern in milliseconds
+     */
+    static getDuration(pattern) {
+        return pattern.steps.reduce((sum, step) => sum + step.duration, 0) * (pattern.repeat || 1);
+    }
+}
+
+// localStorage key of the saved pattern library
+HapticsEngine.STORAGE_KEY = 'gamepad-tester.haptics';
+
+// Limits: Chrome caps a single effect at 5 s
+HapticsEngine.MAX_STEP_DURATION = 5000;
+HapticsEngine.MAX_REPEAT = 20;
+
+// Length of the slices a ramp is played as, in milliseconds
+HapticsEngine.RAMP_SEGMENT = 50;
+
+// Built-in single-pulse presets (the original vibration test buttons)
+HapticsEngine.PRESETS = Object.freeze({
+    light: { name: 'light', repeat: 1, steps: [{ duration: 100, strong: 0.3, weak: 0.2, leftTrigger: 0, rightTrigger: 0, ramp: false }] },
+    medium: { name: 'medium', repeat: 1, steps: [{ duration: 200, strong: 0.6, weak: 0.4, leftTrigger: 0, rightTrigger: 0, ramp: false }] },
+    strong: { name: 'strong', repeat: 1, steps: [{ duration: 300, strong: 1.0, weak: 0.8, leftTrigger: 0, rightTrigger: 0, ramp: false }] },
+});
+
+// Export for use
+window.HapticsEngine = HapticsEngine;
@@ -0,0 +1,145 @@
+/**
+ * ========================================================================
+ * HAPTICS PLOT RENDERER MODULE
+ * Renders an SVG preview of a haptic pattern: one step curve per motor
+ * (strong, weak, left and right trigger) over the pattern's duration
+ * ========================================================================
+ */
+
+class HapticsPlotRenderer {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.width = options.width || 480;
+        this.height = options.height || 140;
+        this.padding = 10;
+
+        this.svg = null;
+        this.layers = {};
+        this.cursor = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize and create the plot
+     */
+    init() {
+        this.createSVG();
+        this.drawGrid();
+    }
+
+    /**
+     * Create main SVG element and its layers
+     */
+    createSVG() {
+        this.container.innerHTML = '';
+
+        const svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'haptics-plot',
+            role: 'img',
+            'aria-label': 'Haptic pattern motor curves',
+        });
+
+        // Drawing order: grid, motor curves, playback cursor
+        ['grid', 'curves', 'cursor'].forEach((name) => {
+            this.layers[name] = this.createElement('g', { class: `haptics-plot-${name}` });
+            svg.appendChild(this.layers[name]);
+        });
+
+        this.svg = svg;
+        this.container.appendChild(svg);
+    }
+
+    /**
+     * Draw frame and half-magnitude line
+     */
+    drawGrid() {
+        const grid = this.layers.grid;
+        const p = this.padding;
+
+        grid.appendChild(this.createElement('rect', {
+            x: p, y: p, width: this.width - p * 2, height: this.height - p * 2, class: 'stick-plot-frame',
+        }));
+        const y = this.toPlot(0, 0.5).y;
+        grid.appendChild(this.createElement('line', { x1: p, y1: y, x2: this.width - p, y2: y, class: 'stick-plot-axis' }));
+
+        this.cursor = this.createElement('line', {
+            x1: p, y1: p, x2: p, y2: this.height - p, class: 'haptics-plot-position', visibility: 'hidden',
+        });
+        this.layers.cursor.appendChild(this.cursor);
+    }
+
+    /**
+     * Draw compiled segments ({ duration, strong, weak, leftTrigger, rightTrigger })
+     * Motors that stay at zero throughout are left out
+     */
+    draw(segments) {
+        const layer = this.layers.curves;
+        layer.innerHTML = '';
+
+        const total = segments.reduce((sum, segment) => sum + segment.duration, 0);
+        if (total === 0) return;
+
+        HapticsPlotRenderer.MOTORS.forEach((motor) => {
+            if (!segments.some((segment) => segment[motor] > 0)) return;
+
+            let elapsed = 0;
+            const points = [this.toPlot(0, 0)];
+            segments.forEach((segment) => {
+                points.push(this.toPlot(elapsed / total, segment[motor]));
+                elapsed += segment.duration;
+                points.push(this.toPlot(elapsed / total, segment[motor]));
+            });
+            points.push(this.toPlot(1, 0));
+
+            layer.appendChild(this.createElement('polyline', {
+                points: points.map((point) => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' '),
+                class: `haptics-plot-curve haptics-plot-${motor}`,
+            }));
+        });
+    }
+
+    /**
+     * Move the playback cursor to a time fraction (0-1), or hide it with null
+     */
+    setPosition(fraction) {
+        if (fraction === null) {
+            this.cursor.setAttribute('visibility', 'hidden');
+            return;
+        }
+
+        const x = this.toPlot(fraction, 0).x;
+        this.cursor.setAttribute('x1', x);
+        this.cursor.setAttribute('x2', x);
+        this.cursor.setAttribute('visibility', 'visible');
+    }
+
+    /**
+     * Convert time fraction (0-1) and magnitude (0-1) to plot coordinates
+     */
+    toPlot(fraction, value) {
+        const p = this.padding;
+        const clamp = (v) => Math.min(1, Math.max(0, v));
+        return {
+            x: p + clamp(fraction) * (this.width - p * 2),
+            y: this.height - p - clamp(value) * (this.height - p * 2),
+        };
+    }
+
+    /**
+     * Utility: Create SVG element with attributes
+     */
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+}
+
+// Motor curves, in drawing order
+HapticsPlotRenderer.MOTORS = ['strong', 'weak', 'leftTrigger', 'rightTrigger'];
+
+// Export for use
+window.HapticsPlotRenderer = HapticsPlotRenderer;
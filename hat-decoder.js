@@ -0,0 +1,132 @@
+/**
+ * ========================================================================
+ * HAT DECODER MODULE
+ * Detects POV hat switches reported as a single axis (eight positions
+ * from -1 to 1 in steps of 2/7, centre beyond +1) and decodes their
+ * values into numpad directions
+ * ========================================================================
+ */
+
+class HatDecoder {
+    /**
+     * `declared`: axis indices the controller's profile names as hats
+     */
+    constructor(declared = []) {
+        this.declared = new Set(declared);
+
+        // Detection state per axis: { positions: Set of inner positions seen, analog, hat }
+        this.axes = [];
+    }
+
+    /**
+     * Watch a raw axes array for hat switches
+     * An axis becomes a hat once it reports the out-of-range centre value or two
+     * positions between the ends without ever leaving the 2/7 grid; an axis that
+     * leaves the grid once is analog for good
+     */
+    observe(axes) {
+        axes.forEach((value, i) => {
+            if (this.declared.has(i)) return;
+
+            const axis = this.axes[i] || (this.axes[i] = { positions: new Set(), analog: false, hat: false });
+            // Axes read exactly 0 until the device's first report: no evidence either way
+            if (axis.analog || axis.hat || value === 0) return;
+
+            // Only hats report outside -1..1: that is their centre
+            if (Math.abs(value) > 1 + HatDecoder.TOLERANCE) {
+                axis.hat = true;
+                return;
+            }
+            if (!HatDecoder.onGrid(value)) {
+                axis.analog = true;
+                return;
+            }
+
+            // -1 and +1 are also where analog axes and triggers rest
+            const position = HatDecoder.positionOf(value);
+            if (position > 0 && position < HatDecoder.POSITIONS - 1) axis.positions.add(position);
+            axis.hat = axis.positions.size >= HatDecoder.MIN_POSITIONS;
+        });
+    }
+
+    /**
+     * Check whether an axis is a hat switch (declared or detected)
+     */
+    isHat(axisIndex) {
+        return this.declared.has(axisIndex) || Boolean(this.axes[axisIndex] && this.axes[axisIndex].hat);
+    }
+
+    /**
+     * Indices of every hat axis, in order
+     */
+    getAxes() {
+        const detected = this.axes.map((axis, i) => (axis && axis.hat ? i : null)).filter((i) => i !== null);
+        return [...new Set([...this.declared, ...detected])].sort((a, b) => a - b);
+    }
+
+    /**
+     * Decode a hat axis value; anything outside -1..1 is the centre (Chrome reports 9/7)
+     * Returns { position: 0-7 clockwise from up or null when centred, direction: numpad 1-9,
+     * name, x, y } with x/y in -1, 0 or 1 (y down, as on sticks)
+     */
+    static decode(value) {
+        if (!(value >= -1 - HatDecoder.TOLERANCE && value <= 1 + HatDecoder.TOLERANCE)) {
+            return { position: null, direction: 5, name: 'centre', x: 0, y: 0 };
+        }
+
+        const position = HatDecoder.positionOf(value);
+        const direction = HatDecoder.DIRECTIONS[position];
+        return {
+            position: position,
+            direction: direction,
+            name: HatDecoder.NAMES[direction],
+            x: ((direction - 1) % 3) - 1,
+            y: 1 - Math.floor((direction - 1) / 3),
+        };
+    }
+
+    /**
+     * Nearest of the eight positions to an axis value
+     */
+    static positionOf(value) {
+        const position = Math.round((value + 1) / HatDecoder.STEP);
+        return Math.min(HatDecoder.POSITIONS - 1, Math.max(0, position));
+    }
+
+    /**
+     * Check whether a value lies on the hat grid (-1 + n * 2/7)
+     */
+    static onGrid(value) {
+        const position = Math.round((value + 1) / HatDecoder.STEP);
+        return Math.abs(value - (position * HatDecoder.STEP - 1)) <= HatDecoder.TOLERANCE;
+    }
+}
+
+// Eight positions spread over -1..1
+HatDecoder.POSITIONS = 8;
+HatDecoder.STEP = 2 / 7;
+
+// Largest distance from a grid value still read as that value (reports are exact up to float rounding)
+HatDecoder.TOLERANCE = 0.001;
+
+// Inner positions an undeclared axis must report before it counts as a hat
+HatDecoder.MIN_POSITIONS = 2;
+
+// Numpad direction of each position, clockwise from up
+HatDecoder.DIRECTIONS = [8, 9, 6, 3, 2, 1, 4, 7];
+
+// Names of the numpad directions
+HatDecoder.NAMES = {
+    1: 'down-left',
+    2: 'down',
+    3: 'down-right',
+    4: 'left',
+    5: 'centre',
+    6: 'right',
+    7: 'up-left',
+    8: 'up',
+    9: 'up-right',
+};
+
+// Export for use
+window.HatDecoder = HatDecoder;
@@ -0,0 +1,240 @@
+/**
+ * ========================================================================
+ * INPUT PLAYER MODULE
+ * Replays a recorded session through GamepadManager's input pipeline so
+ * every listener reacts exactly as if the pad were live
+ * ========================================================================
+ */
+
+class InputPlayer extends EventEmitter {
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+
+        this.now = options.now || (() => performance.now());
+        this.requestFrame = options.requestFrame || ((cb) => requestAnimationFrame(cb));
+        this.cancelFrame = options.cancelFrame || ((id) => cancelAnimationFrame(id));
+
+        // Playback state
+        this.session = null;
+        this.position = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.nextFrameIndex = 0;
+        this.lastTick = 0;
+        this.rafId = null;
+
+        // Whether the replayed gamepad slot was already taken by a live pad
+        this.slotWasConnected = false;
+
+        // Pad that had focus before replay took over, refocused on stop
+        this.previousActiveGamepad = null;
+    }
+
+    /**
+     * Load a recorded session, stopping any playback in progress
+     */
+    load(session) {
+        if (!session || !session.gamepad || !Array.isArray(session.frames) || session.frames.length === 0) {
+            throw new Error('Session has no recorded frames');
+        }
+
+        this.stop();
+        this.session = session;
+        this.position = 0;
+        this.nextFrameIndex = 0;
+        this.emit('load', { duration: this.getDuration(), frames: session.frames.length });
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (!this.session || this.isPlaying) return;
+
+        this.takeOver();
+
+        // Restart from the beginning once the end was reached
+        if (this.position >= this.getDuration()) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.lastTick = this.now();
+        this.emit('play', this.getStatus());
+        this.rafId = this.requestFrame(() => this.tick());
+    }
+
+    /**
+     * Suspend live input so replayed frames own the view, remembering whether
+     * the replayed slot was taken by a live pad and which pad had focus
+     */
+    takeOver() {
+        if (this.gamepadManager.liveInputSuspended) return;
+
+        this.slotWasConnected = this.gamepadManager.gamepads.has(this.session.gamepad.index);
+        this.previousActiveGamepad = this.gamepadManager.activeGamepad;
+        this.gamepadManager.suspendLiveInput();
+    }
+
+    /**
+     * Pause playback, keeping the replayed state on screen
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.cancelFrame(this.rafId);
+        this.rafId = null;
+        this.emit('pause', this.getStatus());
+    }
+
+    /**
+     * Stop playback and hand control back to the hardware
+     */
+    stop() {
+        if (!this.session || !this.gamepadManager.liveInputSuspended) return;
+
+        this.pause();
+        this.position = 0;
+        this.nextFrameIndex = 0;
+
+        // Drop the replayed pad unless a real one occupies the same slot
+        const index = this.session.gamepad.index;
+        if (!this.slotWasConnected && this.gamepadManager.gamepads.has(index)) {
+            this.gamepadManager.handleGamepadDisconnected({ gamepad: { index, timestamp: 0 } });
+        }
+
+        // Give focus back to the pad that had it if it is still connected
+        if (this.gamepadManager.gamepads.has(this.previousActiveGamepad)) {
+            this.gamepadManager.setActiveGamepad(this.previousActiveGamepad);
+        }
+
+        this.gamepadManager.resumeLiveInput();
+        this.emit('stop', this.getStatus());
+    }
+
+    /**
+     * Jump to a position in milliseconds and show the state at that time
+     */
+    seek(position) {
+        if (!this.session) return;
+
+        this.position = Math.min(Math.max(0, position), this.getDuration());
+
+        // Latest frame at or before the new position
+        const frames = this.session.frames;
+        let index = 0;
+        while (index < frames.length && frames[index].t <= this.position) index++;
+        this.nextFrameIndex = index;
+
+        // Seeking shows replayed input, so it takes over from the hardware like play()
+        if (index > 0) {
+            this.takeOver();
+            this.feedFrame(frames[index - 1]);
+        }
+
+        this.emit('position', this.getStatus());
+    }
+
+    /**
+     * Set playback speed multiplier
+     */
+    setSpeed(speed) {
+        this.speed = Math.min(InputPlayer.MAX_SPEED, Math.max(InputPlayer.MIN_SPEED, speed));
+        this.emit('speed', this.getStatus());
+    }
+
+    /**
+     * Advance playback and feed every frame passed since the last tick
+     */
+    tick() {
+        if (!this.isPlaying) return;
+
+        const now = this.now();
+        this.position = Math.min(this.getDuration(), this.position + (now - this.lastTick) * this.speed);
+        this.lastTick = now;
+
+        // Feed intermediate frames too so short presses are not skipped
+        const frames = this.session.frames;
+        while (this.nextFrameIndex < frames.length && frames[this.nextFrameIndex].t <= this.position) {
+            this.feedFrame(frames[this.nextFrameIndex]);
+            this.nextFrameIndex++;
+        }
+
+        this.emit('position', this.getStatus());
+
+        if (this.position >= this.getDuration()) {
+            this.pause();
+            this.emit('end', this.getStatus());
+            return;
+        }
+
+        this.rafId = this.requestFrame(() => this.tick());
+    }
+
+    /**
+     * Run a recorded frame through the manager, focusing the replayed pad
+     */
+    feedFrame(frame) {
+        const gamepad = this.toGamepad(frame);
+        const manager = this.gamepadManager;
+
+        // Register and focus before processing so the frame's edges reach the main view
+        if (!manager.gamepads.has(gamepad.index)) {
+            manager.handleGamepadConnected({ gamepad });
+        }
+        manager.setActiveGamepad(gamepad.index);
+        manager.processFrame(gamepad);
+    }
+
+    /**
+     * Rebuild a Gamepad-like object from a recorded frame
+     */
+    toGamepad(frame) {
+        const info = this.session.gamepad;
+        return {
+            index: info.index,
+            id: info.id,
+            mapping: info.mapping,
+            connected: true,
+            timestamp: frame.timestamp,
+            buttons: frame.buttons.map(([pressed, value, rawValue]) => ({
+                pressed: pressed === 1,
+                touched: pressed === 1,
+                value: rawValue !== undefined ? rawValue : value,
+            })),
+            axes: frame.axes.slice(),
+            vibrationActuator: null,
+        };
+    }
+
+    /**
+     * Get session duration in milliseconds
+     */
+    getDuration() {
+        return this.session ? this.session.duration : 0;
+    }
+
+    /**
+     * Get playback status snapshot
+     */
+    getStatus() {
+        return {
+            position: this.position,
+            duration: this.getDuration(),
+            speed: this.speed,
+            playing: this.isPlaying,
+            // Whether replayed frames hold the view instead of the hardware
+            replaying: Boolean(this.session) && this.gamepadManager.liveInputSuspended,
+        };
+    }
+}
+
+// Playback speed limits
+InputPlayer.MIN_SPEED = 0.1;
+InputPlayer.MAX_SPEED = 8;
+
+// Export for use
+window.InputPlayer = InputPlayer;
@@ -0,0 +1,137 @@
+/**
+ * ========================================================================
+ * INPUT RECORDER MODULE
+ * Captures timestamped snapshots of the active gamepad from the
+ * GamepadManager update stream into a replayable session
+ * ========================================================================
+ */
+
+class InputRecorder extends EventEmitter {
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+
+        this.now = options.now || (() => performance.now());
+
+        // Recording state
+        this.session = null;
+        this.startTime = 0;
+        this.unsubscribe = null;
+        this.lastFrame = null;
+    }
+
+    /**
+     * Start a new recording session
+     */
+    start() {
+        if (this.isRecording()) return;
+
+        this.session = {
+            version: InputRecorder.SESSION_VERSION,
+            startedAt: new Date().toISOString(),
+            duration: 0,
+            gamepad: null,
+            frames: [],
+        };
+        this.startTime = this.now();
+        this.lastFrame = null;
+
+        this.unsubscribe = this.gamepadManager.on(GamepadManager.EVENTS.UPDATE, (state) =>
+            this.handleUpdate(state)
+        );
+
+        this.emit('start', { startedAt: this.session.startedAt });
+    }
+
+    /**
+     * Stop recording and return the session
+     */
+    stop() {
+        if (!this.isRecording()) return this.session;
+
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.session.duration = this.now() - this.startTime;
+
+        this.emit('stop', this.session);
+        return this.session;
+    }
+
+    /**
+     * Check whether a recording is in progress
+     */
+    isRecording() {
+        return this.unsubscribe !== null;
+    }
+
+    /**
+     * Get the current or last recorded session
+     */
+    getSession() {
+        return this.session;
+    }
+
+    /**
+     * Store a snapshot of the active gamepad when its state changed
+     */
+    handleUpdate(state) {
+        const session = this.session;
+
+        // The first frame fixes which controller the session belongs to
+        if (!session.gamepad) {
+            session.gamepad = {
+                index: state.index,
+                id: state.id,
+                mapping: state.mapping,
+                buttons: state.buttons.length,
+                axes: state.axes.length,
+            };
+        }
+        if (state.index !== session.gamepad.index) return;
+
+        const frame = InputRecorder.createFrame(state, this.now() - this.startTime);
+        if (this.lastFrame && InputRecorder.isSameInput(this.lastFrame, frame)) return;
+
+        session.frames.push(frame);
+        session.duration = frame.t;
+        this.lastFrame = frame;
+
+        this.emit('frame', { frame, frames: session.frames.length, duration: session.duration });
+    }
+
+    /**
+     * Build a compact frame from a gamepad state snapshot
+     * Buttons are [pressed, value, rawValue]; axes keep raw and dead-zoned values
+     */
+    static createFrame(state, t) {
+        return {
+            t: t,
+            timestamp: state.timestamp,
+            buttons: state.buttons.map((b) => [b.pressed ? 1 : 0, b.value, b.rawValue]),
+            axes: state.axes.map((a) => a.rawValue),
+            values: state.axes.map((a) => a.value),
+        };
+    }
+
+    /**
+     * Compare the raw input of two frames
+     */
+    static isSameInput(a, b) {
+        if (a.buttons.length !== b.buttons.length || a.axes.length !== b.axes.length) return false;
+
+        for (let i = 0; i < a.buttons.length; i++) {
+            if (a.buttons[i][0] !== b.buttons[i][0] || a.buttons[i][2] !== b.buttons[i][2]) return false;
+        }
+        for (let i = 0; i < a.axes.length; i++) {
+            if (a.axes[i] !== b.axes[i]) return false;
+        }
+        return true;
+    }
+}
+
+// Version of the in-memory session structure
+InputRecorder.SESSION_VERSION = 1;
+
+// Export for use
+window.InputRecorder = InputRecorder;
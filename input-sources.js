@@ -0,0 +1,109 @@
+/**
+ * ========================================================================
+ * INPUT SOURCES MODULE
+ * Pluggable backends that GamepadManager reads controllers from:
+ * the browser Gamepad API, or scriptable virtual gamepads
+ *
+ * A source implements:
+ *   getGamepads()        -> array of Gamepad-like objects (or null slots)
+ *   subscribe(handlers)  -> handlers.onConnect / onDisconnect receive
+ *                           { gamepad } and an unsubscribe function is returned
+ * ========================================================================
+ */
+
+class NavigatorInputSource {
+    /**
+     * Get connected gamepads from the browser
+     */
+    getGamepads() {
+        if (!navigator.getGamepads) return [];
+        return navigator.getGamepads() || [];
+    }
+
+    /**
+     * Forward the browser's connection events
+     */
+    subscribe(handlers) {
+        const onConnect = (e) => handlers.onConnect(e);
+        const onDisconnect = (e) => handlers.onDisconnect(e);
+
+        window.addEventListener('gamepadconnected', onConnect);
+        window.addEventListener('gamepaddisconnected', onDisconnect);
+
+        return () => {
+            window.removeEventListener('gamepadconnected', onConnect);
+            window.removeEventListener('gamepaddisconnected', onDisconnect);
+        };
+    }
+}
+
+class VirtualInputSource {
+    constructor(options = {}) {
+        // Gamepad slots, mirroring navigator.getGamepads()
+        this.slots = new Array(options.slots || VirtualInputSource.SLOTS).fill(null);
+        this.handlers = [];
+    }
+
+    /**
+     * Get snapshots of the connected virtual gamepads
+     */
+    getGamepads() {
+        return this.slots.map((pad) => (pad ? pad.toGamepad() : null));
+    }
+
+    /**
+     * Register connection handlers
+     */
+    subscribe(handlers) {
+        this.handlers.push(handlers);
+        return () => {
+            this.handlers = this.handlers.filter((h) => h !== handlers);
+        };
+    }
+
+    /**
+     * Plug in a virtual gamepad and fire a connect event
+     * Accepts a VirtualGamepad or the options to create one
+     */
+    connect(padOrOptions = {}) {
+        const pad = padOrOptions instanceof VirtualGamepad ? padOrOptions : new VirtualGamepad(padOrOptions);
+
+        const index = pad.index !== null ? pad.index : this.slots.indexOf(null);
+        if (index < 0 || index >= this.slots.length) {
+            throw new RangeError('No free gamepad slot');
+        }
+        if (this.slots[index]) {
+            throw new Error(`Gamepad slot ${index} is already in use`);
+        }
+
+        pad.index = index;
+        pad.connected = true;
+        this.slots[index] = pad;
+
+        const gamepad = pad.toGamepad();
+        this.handlers.forEach((h) => h.onConnect({ gamepad }));
+        return pad;
+    }
+
+    /**
+     * Unplug a virtual gamepad and fire a disconnect event
+     */
+    disconnect(padOrIndex) {
+        const index = typeof padOrIndex === 'number' ? padOrIndex : padOrIndex.index;
+        const pad = this.slots[index];
+        if (!pad) return;
+
+        pad.connected = false;
+        this.slots[index] = null;
+
+        const gamepad = pad.toGamepad();
+        this.handlers.forEach((h) => h.onDisconnect({ gamepad }));
+    }
+}
+
+// Number of slots browsers typically expose
+VirtualInputSource.SLOTS = 4;
+
+// Export for use
+window.NavigatorInputSource = NavigatorInputSource;
+window.VirtualInputSource = VirtualInputSource;
@@ -0,0 +1,158 @@
+/**
+ * ========================================================================
+ * INPUT TIMELINE MODULE
+ * Keeps the last seconds of the active gamepad's button and axis values,
+ * fed from the GamepadManager update stream, for the scrolling timeline view
+ * ========================================================================
+ */
+
+class InputTimeline extends EventEmitter {
+    /**
+     * Options: { duration: milliseconds kept, now: clock }
+     */
+    constructor(options = {}) {
+        super();
+
+        this.duration = options.duration || InputTimeline.DURATION;
+
+        this.now = options.now || (() => performance.now());
+
+        // Samples ({ t, gap, pressed, buttons, axes }), oldest first
+        this.samples = [];
+
+        // Controller the samples belong to ({ key, id, buttons, axes, startedAt }), or null
+        this.layout = null;
+
+        this.paused = false;
+        this.resumed = false;
+    }
+
+    /**
+     * Stop taking samples, keeping the ones recorded so far
+     */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.emit('pause');
+    }
+
+    /**
+     * Take samples again; the next one starts a new stretch
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.resumed = true;
+        this.emit('resume');
+    }
+
+    /**
+     * Check whether sampling is paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Forget every sample and the controller layout
+     */
+    clear() {
+        this.samples = [];
+        this.layout = null;
+        this.emit('clear');
+    }
+
+    /**
+     * Store one frame of the active gamepad's state (a new controller layout starts afresh)
+     */
+    record(state) {
+        if (this.paused) return;
+
+        const t = this.now();
+        const key = `${state.id}|${state.buttons.length}|${state.axes.length}`;
+        if (!this.layout || this.layout.key !== key) {
+            this.samples = [];
+            this.layout = {
+                key: key,
+                id: state.id,
+                buttons: state.buttons.map((button) => button.name),
+                axes: state.axes.map((axis) => axis.name),
+                startedAt: t,
+            };
+            this.emit('layout', this.layout);
+        }
+
+        this.samples.push({
+            t: t,
+            // No samples were taken between the previous one and this one
+            gap: this.resumed,
+            pressed: state.buttons.map((button) => button.pressed),
+            buttons: state.buttons.map((button) => button.value),
+            axes: state.axes.map((axis) => axis.value),
+        });
+        this.resumed = false;
+
+        // Drop samples that scrolled out of the kept duration
+        const first = this.indexAt(t - this.duration);
+        if (first > 0) {
+            this.samples.splice(0, first);
+        }
+    }
+
+    /**
+     * Get the current controller layout, or null
+     */
+    getLayout() {
+        return this.layout;
+    }
+
+    /**
+     * Time of the newest sample, or null
+     */
+    getLatestTime() {
+        return this.samples.length > 0 ? this.samples[this.samples.length - 1].t : null;
+    }
+
+    /**
+     * Samples between two times, plus the one before `start` so lines reach the left edge
+     */
+    getSamples(start, end) {
+        const first = Math.max(0, this.indexAt(start) - 1);
+        const last = this.indexAt(end + 1e-6);
+        return this.samples.slice(first, last);
+    }
+
+    /**
+     * Sample nearest to a time, or null
+     */
+    sampleAt(time) {
+        if (this.samples.length === 0) return null;
+
+        const index = this.indexAt(time);
+        const before = this.samples[index - 1];
+        const after = this.samples[index];
+        if (!after) return before;
+        if (!before) return after;
+        return time - before.t <= after.t - time ? before : after;
+    }
+
+    /**
+     * Index of the first sample at or after a time (binary search)
+     */
+    indexAt(time) {
+        let low = 0;
+        let high = this.samples.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.samples[middle].t < time) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+}
+
+// Milliseconds of input kept (the widest zoom level)
+InputTimeline.DURATION = 30000;
+
+// Export for use
+window.InputTimeline = InputTimeline;
@@ -0,0 +1,228 @@
+/**
+ * ========================================================================
+ * LATENCY ANALYZER MODULE
+ * Measures the report rate, jitter and duplicate frames of the active
+ * gamepad from gamepad.timestamp deltas, and estimates press-to-detect
+ * latency in button-mash mode
+ * ========================================================================
+ */
+
+class LatencyAnalyzer extends EventEmitter {
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+
+        this.now = options.now || (() => performance.now());
+        this.reportInterval = options.reportInterval || LatencyAnalyzer.REPORT_INTERVAL;
+        this.mashPresses = options.mashPresses || LatencyAnalyzer.MASH_PRESSES;
+
+        // Running measurement, or null
+        this.measurement = null;
+        this.unsubscribers = [];
+        this.lastReport = 0;
+    }
+
+    /**
+     * Start measuring the active gamepad
+     * Modes: 'polling' runs until stopped, 'mash' also times button presses
+     * and completes after a fixed number of presses
+     */
+    start(mode = 'polling') {
+        const gamepadIndex = this.gamepadManager.activeGamepad;
+        if (gamepadIndex === null) return false;
+
+        this.stop(false);
+
+        this.measurement = {
+            mode: mode,
+            gamepadIndex: gamepadIndex,
+            startedAt: this.now(),
+            polls: 0,
+            duplicates: 0,
+            lastTimestamp: null,
+            lastPolledAt: null,
+            intervals: [],
+            gaps: [],
+            pressLatencies: [],
+        };
+        this.lastReport = this.measurement.startedAt;
+
+        const events = GamepadManager.EVENTS;
+        const options = { gamepadIndex };
+        this.unsubscribers = [this.gamepadManager.on(events.POLL, (sample) => this.handlePoll(sample), options)];
+        if (mode === 'mash') {
+            this.unsubscribers.push(
+                this.gamepadManager.on(events.BUTTON_PRESS, (event) => this.handlePress(event), options)
+            );
+        }
+
+        this.emit('start', { mode, gamepadIndex });
+        return true;
+    }
+
+    /**
+     * Stop the measurement, emitting the final statistics unless silent
+     */
+    stop(emitComplete = true) {
+        if (!this.measurement) return null;
+
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+
+        const stats = this.getStats();
+        this.measurement = null;
+
+        if (emitComplete) {
+            this.emit('complete', stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Check whether a measurement is running
+     */
+    isRunning() {
+        return this.measurement !== null;
+    }
+
+    /**
+     * Record one poll of the measured gamepad
+     */
+    handlePoll(sample) {
+        const m = this.measurement;
+        m.polls++;
+        m.lastPolledAt = sample.polledAt;
+
+        if (sample.duplicate || sample.timestamp === m.lastTimestamp) {
+            m.duplicates++;
+        } else {
+            // A new report: time since the previous one, and how late the page saw it
+            if (m.lastTimestamp !== null) {
+                m.intervals.push(sample.timestamp - m.lastTimestamp);
+            }
+            m.gaps.push(sample.polledAt - sample.timestamp);
+            m.lastTimestamp = sample.timestamp;
+        }
+
+        if (sample.polledAt - this.lastReport >= this.reportInterval) {
+            this.lastReport = sample.polledAt;
+            this.emit('update', this.getStats());
+        }
+    }
+
+    /**
+     * Estimate the latency of one button press
+     * The press happened, on average, half a report interval before the report
+     * that carried it; the page then saw that report polledAt - timestamp later
+     */
+    handlePress(event) {
+        const m = this.measurement;
+        const interval = LatencyAnalyzer.mean(m.intervals);
+        m.pressLatencies.push(m.lastPolledAt - event.timestamp + interval / 2);
+
+        this.emit('press', { presses: m.pressLatencies.length, target: this.mashPresses });
+
+        if (m.pressLatencies.length >= this.mashPresses) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Get statistics of the running measurement
+     */
+    getStats() {
+        const m = this.measurement;
+        if (!m) return null;
+
+        const interval = LatencyAnalyzer.summarize(m.intervals);
+        const deviations = m.intervals.map((value) => Math.abs(value - interval.mean));
+
+        return {
+            mode: m.mode,
+            gamepadIndex: m.gamepadIndex,
+            duration: (m.lastPolledAt !== null ? m.lastPolledAt : this.now()) - m.startedAt,
+            polls: m.polls,
+            reports: m.polls - m.duplicates,
+            duplicates: m.duplicates,
+            duplicateRatio: m.polls > 0 ? m.duplicates / m.polls : 0,
+            reportRateHz: interval.mean > 0 ? 1000 / interval.mean : 0,
+            interval: interval,
+            jitterHistogram: LatencyAnalyzer.histogram(deviations, LatencyAnalyzer.JITTER_BIN),
+            detectGap: LatencyAnalyzer.summarize(m.gaps),
+            mash:
+                m.mode === 'mash'
+                    ? {
+                          presses: m.pressLatencies.length,
+                          target: this.mashPresses,
+                          latency: LatencyAnalyzer.summarize(m.pressLatencies),
+                          histogram: LatencyAnalyzer.histogram(m.pressLatencies, LatencyAnalyzer.LATENCY_BIN),
+                      }
+                    : null,
+        };
+    }
+
+    /**
+     * Arithmetic mean (0 for no values)
+     */
+    static mean(values) {
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    }
+
+    /**
+     * Count, mean, standard deviation and percentiles of a series
+     */
+    static summarize(values) {
+        if (values.length === 0) {
+            return { count: 0, mean: 0, stdDev: 0, min: 0, median: 0, p95: 0, max: 0 };
+        }
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mean = LatencyAnalyzer.mean(sorted);
+        const variance = LatencyAnalyzer.mean(sorted.map((v) => (v - mean) ** 2));
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+        return {
+            count: sorted.length,
+            mean: mean,
+            stdDev: Math.sqrt(variance),
+            min: sorted[0],
+            median: percentile(0.5),
+            p95: percentile(0.95),
+            max: sorted[sorted.length - 1],
+        };
+    }
+
+    /**
+     * Bin values into fixed-width buckets starting at 0
+     * The last bucket collects everything above the covered range
+     */
+    static histogram(values, binWidth, binCount = LatencyAnalyzer.HISTOGRAM_BINS) {
+        const bins = Array.from({ length: binCount }, (_, i) => ({
+            from: i * binWidth,
+            to: i === binCount - 1 ? Infinity : (i + 1) * binWidth,
+            count: 0,
+        }));
+
+        values.forEach((value) => {
+            const i = Math.min(binCount - 1, Math.max(0, Math.floor(value / binWidth)));
+            bins[i].count++;
+        });
+
+        return bins;
+    }
+}
+
+// How often running statistics are emitted, in milliseconds
+LatencyAnalyzer.REPORT_INTERVAL = 500;
+
+// Presses collected by button-mash mode
+LatencyAnalyzer.MASH_PRESSES = 30;
+
+// Histogram bucket widths (ms) and bucket count; jitter bins each interval's distance from the mean
+LatencyAnalyzer.JITTER_BIN = 1;
+LatencyAnalyzer.LATENCY_BIN = 2;
+LatencyAnalyzer.HISTOGRAM_BINS = 20;
+
+// Export for use
+window.LatencyAnalyzer = LatencyAnalyzer;
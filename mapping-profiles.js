@@ -0,0 +1,394 @@
+/**
+ * ========================================================================
+ * MAPPING PROFILES MODULE
+ * Per-controller button/axis naming keyed on vendor/product and the
+ * Gamepad API mapping ("standard" vs ""), plus the translation from a
+ * device's raw indices to the W3C standard layout used by the diagram
+ * ========================================================================
+ */
+
+// W3C standard mapping axis names, shared by every standard profile
+const STANDARD_AXES = ['LS-X', 'LS-Y', 'RS-X', 'RS-Y'];
+
+// W3C standard mapping D-pad names (buttons 12-15)
+const STANDARD_DPAD = ['D-Up', 'D-Down', 'D-Left', 'D-Right'];
+
+// Chrome's axis order for HID joysticks on Windows and macOS (X, Y, Z, Rx, Ry, Rz, slider,
+// dial, wheel, hat) as a flight stick uses it: X rolls, Y pitches, Rz twists, the slider throttles
+const FLIGHT_AXES = ['Roll', 'Pitch', 'Z', 'Rx', 'Ry', 'Twist', 'Throttle', 'Dial', 'Wheel', 'Hat'];
+
+// Joystick buttons as numbered on the device and in the OS controller panel (from 1)
+const joystickButtons = (count) => Array.from({ length: count }, (_, i) => (i === 0 ? 'Trigger' : `Button ${i + 1}`));
+
+class MappingProfiles {
+    constructor() {
+        // Checked in order, first match wins; generic fallback is implicit
+        this.profiles = MappingProfiles.DEFAULT_PROFILES.slice();
+    }
+
+    /**
+     * Extract vendor/product IDs and product name from a gamepad.id string
+     * Handles Chrome ("Name (STANDARD GAMEPAD Vendor: 054c Product: 09cc)")
+     * and Firefox ("054c-09cc-Name") formats
+     */
+    static parseDeviceId(id = '') {
+        const chrome = id.match(/^(.*?)\s*\(.*Vendor:\s*([0-9a-f]{1,4})\s+Product:\s*([0-9a-f]{1,4})\)\s*$/i);
+        if (chrome) {
+            return {
+                name: chrome[1].trim(),
+                vendor: chrome[2].toLowerCase().padStart(4, '0'),
+                product: chrome[3].toLowerCase().padStart(4, '0'),
+            };
+        }
+
+        const firefox = id.match(/^([0-9a-f]{1,4})-([0-9a-f]{1,4})-(.*)$/i);
+        if (firefox) {
+            return {
+                name: firefox[3].trim(),
+                vendor: firefox[1].toLowerCase().padStart(4, '0'),
+                product: firefox[2].toLowerCase().padStart(4, '0'),
+            };
+        }
+
+        // XInput devices in Chrome carry no IDs, only the name
+        return { name: id.replace(/\s*\(.*\)\s*$/, '').trim() || id, vendor: null, product: null };
+    }
+
+    /**
+     * Register a custom profile ahead of the built-in ones
+     */
+    register(profile) {
+        if (!profile || !profile.id || !profile.standard) {
+            throw new TypeError('Mapping profile requires an id and a standard layout');
+        }
+        this.profiles = [profile, ...this.profiles.filter((p) => p.id !== profile.id)];
+    }
+
+    /**
+     * Find the profile describing a device
+     */
+    findProfile(id, vendor, product) {
+        return (
+            this.profiles.find((profile) => {
+                if (vendor && profile.vendors && profile.vendors.includes(vendor)) {
+                    return !profile.products || profile.products.includes(product);
+                }
+                return Boolean(profile.namePattern && profile.namePattern.test(id));
+            }) || MappingProfiles.GENERIC_PROFILE
+        );
+    }
+
+    /**
+     * Resolve the mapping to use for a connected gamepad
+     */
+    resolve(gamepad) {
+        const device = MappingProfiles.parseDeviceId(gamepad.id);
+        const profile = this.findProfile(gamepad.id, device.vendor, device.product);
+        const isStandard = gamepad.mapping === 'standard';
+
+        // Non-standard pads use the profile's raw layout, or plain indices
+        const layout = isStandard ? profile.standard : profile.raw || null;
+
+        return {
+            profileId: profile.id,
+            name: profile.name,
+            family: profile.family,
+            mapping: isStandard ? 'standard' : '',
+            vendor: device.vendor,
+            product: device.product,
+            buttons: layout ? layout.buttons : [],
+            axes: layout ? layout.axes : [],
+            labels: profile.labels,
+            diagram: isStandard ? null : (layout && layout.diagram) || null,
+            wheel: (layout && layout.wheel) || null,
+            flight: (layout && layout.flight) || null,
+        };
+    }
+}
+
+/**
+ * Look up a button name in a resolved mapping
+ */
+MappingProfiles.buttonName = function (mapping, buttonIndex) {
+    return (mapping && mapping.buttons[buttonIndex]) || `Btn ${buttonIndex}`;
+};
+
+/**
+ * Look up an axis name in a resolved mapping
+ */
+MappingProfiles.axisName = function (mapping, axisIndex) {
+    return (mapping && mapping.axes[axisIndex]) || `Axis ${axisIndex}`;
+};
+
+/**
+ * Describe which device axes/buttons form sticks, triggers and hat switches
+ * Returns { sticks: { left: [x, y], right: [x, y] }, triggerAxes, triggerButtons, hats }
+ * where the trigger maps go from device index to 'left' / 'right' and hats lists axis indices
+ */
+MappingProfiles.axisRoles = function (mapping) {
+    const roles = {
+        sticks: { left: [0, 1], right: [2, 3] },
+        triggerAxes: {},
+        triggerButtons: { 6: 'left', 7: 'right' },
+        hats: [],
+    };
+
+    // Wheel axes are steering and pedals, never sticks or triggers
+    if (mapping && mapping.wheel) {
+        return { sticks: {}, triggerAxes: {}, triggerButtons: {}, hats: [] };
+    }
+
+    // A flight stick's roll and pitch work as the left stick; twist and throttle are plain axes
+    if (mapping && mapping.flight) {
+        const flight = mapping.flight;
+        return { sticks: { left: [flight.roll, flight.pitch] }, triggerAxes: {}, triggerButtons: {}, hats: flight.hats || [] };
+    }
+
+    const diagram = mapping && mapping.diagram;
+    if (!diagram) return roles;
+
+    // Invert the raw -> standard tables of non-standard layouts
+    const rawAxis = (standardAxis) =>
+        Number(Object.keys(diagram.axes).find((raw) => diagram.axes[raw] === standardAxis));
+    roles.sticks = { left: [rawAxis(0), rawAxis(1)], right: [rawAxis(2), rawAxis(3)] };
+
+    roles.triggerAxes = {};
+    Object.keys(diagram.triggers || {}).forEach((raw) => {
+        roles.triggerAxes[raw] = diagram.triggers[raw] === 6 ? 'left' : 'right';
+    });
+
+    roles.triggerButtons = {};
+    Object.keys(diagram.buttons).forEach((raw) => {
+        if (diagram.buttons[raw] === 6) roles.triggerButtons[raw] = 'left';
+        if (diagram.buttons[raw] === 7) roles.triggerButtons[raw] = 'right';
+    });
+
+    return roles;
+};
+
+// Fallback for unknown devices: neutral position-based names
+MappingProfiles.GENERIC_PROFILE = {
+    id: 'generic',
+    name: 'Generic HID Gamepad',
+    family: 'generic',
+    labels: { face: ['1', '2', '3', '4'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Select', 'Start'] },
+    standard: {
+        buttons: ['South', 'East', 'West', 'North', 'L1', 'R1', 'L2', 'R2', 'Select', 'Start', 'L3', 'R3', ...STANDARD_DPAD, 'Home'],
+        axes: STANDARD_AXES,
+    },
+};
+
+MappingProfiles.DEFAULT_PROFILES = [
+    {
+        id: 'xbox',
+        name: 'Xbox Controller',
+        family: 'xbox',
+        vendors: ['045e'],
+        namePattern: /xbox|xinput/i,
+        labels: { face: ['A', 'B', 'X', 'Y'], shoulders: ['LB', 'RB', 'LT', 'RT'], center: ['View', 'Menu'] },
+        standard: {
+            buttons: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS', ...STANDARD_DPAD, 'Guide', 'Share'],
+            axes: STANDARD_AXES,
+        },
+        // Linux xpad ordering
+        raw: {
+            buttons: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'View', 'Menu', 'Guide', 'LS', 'RS'],
+            axes: ['LS-X', 'LS-Y', 'LT', 'RS-X', 'RS-Y', 'RT', 'D-X', 'D-Y'],
+            diagram: {
+                buttons: { 0: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 8, 7: 9, 8: 16, 9: 10, 10: 11 },
+                axes: { 0: 0, 1: 1, 3: 2, 4: 3 },
+                triggers: { 2: 6, 5: 7 },
+            },
+        },
+    },
+    {
+        id: 'dualsense',
+        name: 'DualSense',
+        family: 'playstation',
+        vendors: ['054c'],
+        products: ['0ce6', '0df2'],
+        namePattern: /dualsense/i,
+        labels: { face: ['✕', '○', '□', '△'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Create', 'Options'] },
+        standard: {
+            buttons: ['Cross', 'Circle', 'Square', 'Triangle', 'L1', 'R1', 'L2', 'R2', 'Create', 'Options', 'L3', 'R3', ...STANDARD_DPAD, 'PS', 'Touchpad'],
+            axes: STANDARD_AXES,
+        },
+        // Linux hid-playstation ordering
+        raw: {
+            buttons: ['Cross', 'Circle', 'Triangle', 'Square', 'L1', 'R1', 'L2', 'R2', 'Create', 'Options', 'PS', 'L3', 'R3', 'Touchpad'],
+            axes: ['LS-X', 'LS-Y', 'L2', 'RS-X', 'RS-Y', 'R2', 'D-X', 'D-Y'],
+            diagram: {
+                buttons: { 0: 0, 1: 1, 2: 3, 3: 2, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9, 10: 16, 11: 10, 12: 11, 13: 17 },
+                axes: { 0: 0, 1: 1, 3: 2, 4: 3 },
+                triggers: { 2: 6, 5: 7 },
+            },
+        },
+    },
+    {
+        id: 'dualshock4',
+        name: 'DualShock 4',
+        family: 'playstation',
+        vendors: ['054c'],
+        namePattern: /dualshock|wireless controller/i,
+        labels: { face: ['✕', '○', '□', '△'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Share', 'Options'] },
+        standard: {
+            buttons: ['Cross', 'Circle', 'Square', 'Triangle', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'L3', 'R3', ...STANDARD_DPAD, 'PS', 'Touchpad'],
+            axes: STANDARD_AXES,
+        },
+        // Linux hid-sony ordering
+        raw: {
+            buttons: ['Cross', 'Circle', 'Triangle', 'Square', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'PS', 'L3', 'R3'],
+            axes: ['LS-X', 'LS-Y', 'L2', 'RS-X', 'RS-Y', 'R2', 'D-X', 'D-Y'],
+            diagram: {
+                buttons: { 0: 0, 1: 1, 2: 3, 3: 2, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9, 10: 16, 11: 10, 12: 11 },
+                axes: { 0: 0, 1: 1, 3: 2, 4: 3 },
+                triggers: { 2: 6, 5: 7 },
+            },
+        },
+    },
+    {
+        id: 'switch-pro',
+        name: 'Switch Pro Controller',
+        family: 'nintendo',
+        vendors: ['057e'],
+        namePattern: /pro controller/i,
+        labels: { face: ['B', 'A', 'Y', 'X'], shoulders: ['L', 'R', 'ZL', 'ZR'], center: ['−', '+'] },
+        standard: {
+            buttons: ['B', 'A', 'Y', 'X', 'L', 'R', 'ZL', 'ZR', 'Minus', 'Plus', 'LS', 'RS', ...STANDARD_DPAD, 'Home', 'Capture'],
+            axes: STANDARD_AXES,
+        },
+    },
+    {
+        id: '8bitdo',
+        name: '8BitDo Controller',
+        family: 'nintendo',
+        vendors: ['2dc8'],
+        namePattern: /8bitdo/i,
+        labels: { face: ['B', 'A', 'Y', 'X'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Select', 'Start'] },
+        standard: {
+            buttons: ['B', 'A', 'Y', 'X', 'L1', 'R1', 'L2', 'R2', 'Select', 'Start', 'L3', 'R3', ...STANDARD_DPAD, 'Home', 'Star'],
+            axes: STANDARD_AXES,
+        },
+    },
+    {
+        id: 'logitech-wheel',
+        name: 'Logitech Racing Wheel',
+        family: 'wheel',
+        vendors: ['046d'],
+        // G29, G920, G923 (PlayStation and Xbox), G27, Driving Force GT, Driving Force
+        products: ['c24f', 'c262', 'c266', 'c26e', 'c29b', 'c29a', 'c294'],
+        namePattern: /driving force/i,
+        labels: { face: ['✕', '○', '□', '△'], shoulders: ['L-Paddle', 'R-Paddle', 'L2', 'R2'], center: ['Share', 'Options'] },
+        standard: MappingProfiles.GENERIC_PROFILE.standard,
+        // Linux hid-logitech ordering; pedals rest at +1 and read -1 fully pressed
+        raw: {
+            buttons: [
+                'Cross', 'Square', 'Circle', 'Triangle', 'R-Paddle', 'L-Paddle', 'R2', 'L2', 'Share', 'Options', 'R3', 'L3',
+                'Gear 1', 'Gear 2', 'Gear 3', 'Gear 4', 'Gear 5', 'Gear 6', 'Reverse',
+                'Plus', 'Minus', 'Dial CW', 'Dial CCW', 'Enter', 'PS',
+            ],
+            axes: ['Steering', 'Clutch', 'Throttle', 'Brake', 'D-X', 'D-Y'],
+            diagram: {
+                buttons: { 0: 0, 1: 2, 2: 1, 3: 3, 4: 5, 5: 4, 6: 7, 7: 6, 8: 8, 9: 9, 10: 11, 11: 10, 24: 16 },
+                axes: {},
+            },
+            wheel: {
+                steering: 0,
+                pedals: 'split',
+                throttle: 2,
+                brake: 3,
+                clutch: 1,
+                inverted: true,
+                gears: { 12: '1', 13: '2', 14: '3', 15: '4', 16: '5', 17: '6', 18: 'R' },
+                paddles: { up: 4, down: 5 },
+            },
+        },
+    },
+    {
+        id: 'wheel',
+        name: 'Racing Wheel',
+        family: 'wheel',
+        namePattern: /wheel|racing|fanatec|simucube|moza|thrustmaster t(150|248|300|500|gt|mx)/i,
+        labels: { face: ['1', '2', '3', '4'], shoulders: ['L-Paddle', 'R-Paddle', 'L2', 'R2'], center: ['Select', 'Start'] },
+        standard: MappingProfiles.GENERIC_PROFILE.standard,
+        // Older wheels and most adapters: one axis for both pedals, throttle towards -1
+        raw: {
+            buttons: [],
+            axes: ['Steering', 'Pedals'],
+            wheel: {
+                steering: 0,
+                pedals: 'combined',
+                combined: 1,
+                paddles: { up: 5, down: 4 },
+            },
+        },
+    },
+    {
+        id: 't16000m',
+        name: 'Thrustmaster T.16000M',
+        family: 'flight',
+        vendors: ['044f'],
+        products: ['b10a'],
+        namePattern: /t\.?16000/i,
+        labels: { face: ['1', '2', '3', '4'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Select', 'Start'] },
+        standard: MappingProfiles.GENERIC_PROFILE.standard,
+        // Throttle wheels read -1 pushed fully forward; the POV hat is one axis
+        raw: {
+            buttons: joystickButtons(16),
+            axes: FLIGHT_AXES,
+            diagram: { buttons: {}, axes: { 0: 0, 1: 1 } },
+            flight: { roll: 0, pitch: 1, twist: 5, throttle: 6, inverted: true, hats: [9] },
+        },
+    },
+    {
+        id: 'extreme-3d',
+        name: 'Logitech Extreme 3D Pro',
+        family: 'flight',
+        vendors: ['046d'],
+        products: ['c215'],
+        namePattern: /extreme 3d/i,
+        labels: { face: ['1', '2', '3', '4'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Select', 'Start'] },
+        standard: MappingProfiles.GENERIC_PROFILE.standard,
+        raw: {
+            buttons: joystickButtons(12),
+            axes: FLIGHT_AXES,
+            diagram: { buttons: {}, axes: { 0: 0, 1: 1 } },
+            flight: { roll: 0, pitch: 1, twist: 5, throttle: 6, inverted: true, hats: [9] },
+        },
+    },
+    {
+        id: 'x52',
+        name: 'Saitek X52 HOTAS',
+        family: 'flight',
+        vendors: ['06a3'],
+        // X52 (two revisions) and X52 Pro
+        products: ['0255', '075c', '0762'],
+        namePattern: /x52/i,
+        labels: { face: ['1', '2', '3', '4'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Select', 'Start'] },
+        standard: MappingProfiles.GENERIC_PROFILE.standard,
+        // The throttle unit's lever is Z and its rotaries Rx/Ry; up to 39 buttons
+        raw: {
+            buttons: joystickButtons(39),
+            axes: ['Roll', 'Pitch', 'Throttle', 'Rotary 1', 'Rotary 2', 'Twist', 'Slider', 'Dial', 'Wheel', 'Hat'],
+            diagram: { buttons: {}, axes: { 0: 0, 1: 1 } },
+            flight: { roll: 0, pitch: 1, twist: 5, throttle: 2, inverted: true, hats: [9] },
+        },
+    },
+    {
+        id: 'flight',
+        name: 'Flight Stick',
+        family: 'flight',
+        namePattern: /flight|hotas|x56|warthog|vkb|virpil|gladiator/i,
+        labels: { face: ['1', '2', '3', '4'], shoulders: ['L1', 'R1', 'L2', 'R2'], center: ['Select', 'Start'] },
+        standard: MappingProfiles.GENERIC_PROFILE.standard,
+        raw: {
+            buttons: joystickButtons(32),
+            axes: FLIGHT_AXES,
+            diagram: { buttons: {}, axes: { 0: 0, 1: 1 } },
+            flight: { roll: 0, pitch: 1, twist: 5, throttle: 6, inverted: true, hats: [9] },
+        },
+    },
+];
+
+// Export for use
+window.MappingProfiles = MappingProfiles;
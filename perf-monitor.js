@@ -0,0 +1,87 @@
+/**
+ * ========================================================================
+ * PERF MONITOR MODULE
+ * Measures the time the UI spends per animation frame against the
+ * frame budget and reports rolling statistics
+ * ========================================================================
+ */
+
+class PerfMonitor extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.now = options.now || (() => performance.now());
+        this.budget = options.budget || PerfMonitor.FRAME_BUDGET;
+        this.reportInterval = options.reportInterval || PerfMonitor.REPORT_INTERVAL;
+
+        // Samples of the current reporting window
+        this.samples = [];
+        this.windowStart = null;
+        this.frameStart = null;
+    }
+
+    /**
+     * Mark the start of a frame's UI work
+     */
+    begin() {
+        this.frameStart = this.now();
+        if (this.windowStart === null) {
+            this.windowStart = this.frameStart;
+        }
+    }
+
+    /**
+     * Mark the end of a frame's UI work, with the number of DOM writes it made
+     */
+    end(domWrites = 0) {
+        if (this.frameStart === null) return;
+
+        const now = this.now();
+        this.samples.push({ duration: now - this.frameStart, domWrites });
+        this.frameStart = null;
+
+        if (now - this.windowStart >= this.reportInterval) {
+            this.emit('report', this.getStats(now));
+            this.samples = [];
+            this.windowStart = now;
+        }
+    }
+
+    /**
+     * Get statistics of the current reporting window
+     */
+    getStats(now = this.now()) {
+        const frames = this.samples.length;
+        const elapsed = this.windowStart === null ? 0 : now - this.windowStart;
+        const total = this.samples.reduce((sum, sample) => sum + sample.duration, 0);
+        const writes = this.samples.reduce((sum, sample) => sum + sample.domWrites, 0);
+
+        return {
+            frames: frames,
+            fps: elapsed > 0 ? (frames * 1000) / elapsed : 0,
+            avgMs: frames > 0 ? total / frames : 0,
+            maxMs: this.samples.reduce((max, sample) => Math.max(max, sample.duration), 0),
+            budgetMs: this.budget,
+            overBudget: this.samples.filter((sample) => sample.duration > this.budget).length,
+            domWritesPerFrame: frames > 0 ? writes / frames : 0,
+        };
+    }
+
+    /**
+     * Discard collected samples
+     */
+    reset() {
+        this.samples = [];
+        this.windowStart = null;
+        this.frameStart = null;
+    }
+}
+
+// Frame budget at 60 Hz, in milliseconds
+PerfMonitor.FRAME_BUDGET = 1000 / 60;
+
+// How often statistics are reported, in milliseconds
+PerfMonitor.REPORT_INTERVAL = 500;
+
+// Export for use
+window.PerfMonitor = PerfMonitor;
@@ -0,0 +1,354 @@
+/**
+ * ========================================================================
+ * REMAP LAYER MODULE
+ * Rewrites a controller's processed buttons and axes before events are
+ * emitted: swapped buttons, axes as buttons, buttons as axes, inverted
+ * axes and turbo/toggle buttons, from presets saved per gamepad.id
+ *
+ * A preset is { name, turboRate, buttons: [{ target, source, mode }],
+ * axes: [{ target, source, invert }] }. Button sources are
+ * { type: 'button', index } or { type: 'axis', index, direction: 1 | -1 },
+ * axis sources { type: 'axis', index } or { type: 'buttons', positive,
+ * negative }. Targets without a rule pass their own input through.
+ * ========================================================================
+ */
+
+class RemapLayer extends EventEmitter {
+    /**
+     * Options: { storage: Storage-like object (defaults to localStorage),
+     *            key: storage key }
+     */
+    constructor(options = {}) {
+        super();
+
+        this.storage = BrowserStorage.resolve(options.storage);
+        this.key = options.key || RemapLayer.STORAGE_KEY;
+
+        // Per gamepad.id: { active: preset name or null, presets: Map name -> preset }
+        this.controllers = new Map();
+
+        // Per gamepad index: toggle latches and turbo timing by target button
+        this.buttonModes = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Read saved presets; unreadable data is ignored
+     */
+    load() {
+        this.controllers.clear();
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || 'null');
+            if (!saved) return;
+            if (saved.version !== RemapLayer.VERSION) {
+                throw new Error(`Unsupported remap version ${saved.version} (supported: ${RemapLayer.VERSION})`);
+            }
+
+            Object.keys(saved.controllers || {}).forEach((gamepadId) => {
+                const entry = saved.controllers[gamepadId];
+                const presets = new Map();
+                (entry.presets || []).forEach((preset) => {
+                    const validated = RemapLayer.validate(preset);
+                    presets.set(validated.name, validated);
+                });
+                this.controllers.set(gamepadId, {
+                    active: presets.has(entry.active) ? entry.active : null,
+                    presets: presets,
+                });
+            });
+        } catch (error) {
+            console.warn('Ignoring saved remap presets:', error.message);
+        }
+    }
+
+    /**
+     * Write all presets to storage
+     */
+    persist() {
+        if (!this.storage) return;
+
+        const controllers = {};
+        this.controllers.forEach((entry, gamepadId) => {
+            controllers[gamepadId] = { active: entry.active, presets: Array.from(entry.presets.values()) };
+        });
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: RemapLayer.VERSION, controllers }));
+        } catch (error) {
+            console.warn('Could not save remap presets:', error.message);
+        }
+    }
+
+    /**
+     * Get the saved presets of a controller
+     */
+    getPresets(gamepadId) {
+        const entry = this.controllers.get(gamepadId);
+        return entry ? Array.from(entry.presets.values()) : [];
+    }
+
+    /**
+     * Get the preset applied to a controller, or null
+     */
+    getActive(gamepadId) {
+        const entry = this.controllers.get(gamepadId);
+        return entry && entry.active ? entry.presets.get(entry.active) : null;
+    }
+
+    /**
+     * Save a preset for a controller, replacing one of the same name
+     */
+    savePreset(gamepadId, preset) {
+        const validated = RemapLayer.validate(preset);
+        if (!this.controllers.has(gamepadId)) {
+            this.controllers.set(gamepadId, { active: null, presets: new Map() });
+        }
+
+        this.controllers.get(gamepadId).presets.set(validated.name, validated);
+        this.persist();
+        this.emit('change', { id: gamepadId });
+        return validated;
+    }
+
+    /**
+     * Delete a controller's preset (deactivating it if it was applied)
+     */
+    removePreset(gamepadId, name) {
+        const entry = this.controllers.get(gamepadId);
+        if (!entry || !entry.presets.delete(name)) return false;
+
+        if (entry.active === name) entry.active = null;
+        if (entry.presets.size === 0) this.controllers.delete(gamepadId);
+        this.persist();
+        this.emit('change', { id: gamepadId });
+        return true;
+    }
+
+    /**
+     * Apply a saved preset to a controller, or remove remapping with null
+     */
+    activate(gamepadId, name) {
+        const entry = this.controllers.get(gamepadId);
+        if (name !== null && !(entry && entry.presets.has(name))) {
+            throw new Error(`No remap preset "${name}" for ${gamepadId}`);
+        }
+        if (!entry || entry.active === name) return;
+
+        entry.active = name;
+        this.buttonModes.clear();
+        this.persist();
+        this.emit('change', { id: gamepadId });
+    }
+
+    /**
+     * Forget the toggle and turbo state of an unplugged gamepad
+     */
+    resetState(gamepadIndex) {
+        this.buttonModes.delete(gamepadIndex);
+    }
+
+    /**
+     * Remap one frame of processed input
+     * `input` is { buttons: [{ pressed, value, rawValue }], axes: [{ value, calibratedValue, rawValue }] };
+     * remapped entries gain a `source` describing the physical input they came from
+     */
+    apply(gamepadIndex, gamepadId, input, now) {
+        const preset = this.getActive(gamepadId);
+        if (!preset) return input;
+
+        const buttons = input.buttons.slice();
+        const axes = input.axes.slice();
+
+        preset.buttons.forEach((rule) => {
+            if (rule.target >= buttons.length) return;
+            const button = this.readButtonSource(rule.source, input);
+            if (!button) return;
+
+            const output = this.applyButtonMode(gamepadIndex, rule, button, preset.turboRate, now);
+            buttons[rule.target] = { ...output, source: rule.source, mode: rule.mode };
+        });
+
+        preset.axes.forEach((rule) => {
+            if (rule.target >= axes.length) return;
+            const axis = this.readAxisSource(rule.source, input);
+            if (!axis) return;
+
+            const sign = rule.invert ? -1 : 1;
+            axes[rule.target] = {
+                value: axis.value * sign,
+                calibratedValue: axis.calibratedValue * sign,
+                rawValue: axis.rawValue * sign,
+                source: rule.source,
+                invert: rule.invert,
+            };
+        });
+
+        return { buttons, axes };
+    }
+
+    /**
+     * Read a button source: a physical button, or one direction of an axis
+     */
+    readButtonSource(source, input) {
+        if (source.type === 'button') {
+            const button = input.buttons[source.index];
+            return button ? { pressed: button.pressed, value: button.value, rawValue: button.rawValue } : null;
+        }
+
+        const axis = input.axes[source.index];
+        if (!axis) return null;
+
+        const value = Math.max(0, axis.value * source.direction);
+        return {
+            pressed: value >= RemapLayer.AXIS_PRESS_THRESHOLD,
+            value: Math.min(1, value),
+            rawValue: Math.min(1, Math.max(0, axis.rawValue * source.direction)),
+        };
+    }
+
+    /**
+     * Read an axis source: a physical axis, or the difference of two buttons
+     */
+    readAxisSource(source, input) {
+        if (source.type === 'axis') {
+            const axis = input.axes[source.index];
+            return axis ? { value: axis.value, calibratedValue: axis.calibratedValue, rawValue: axis.rawValue } : null;
+        }
+
+        const read = (index, field) => (index !== null && input.buttons[index] ? input.buttons[index][field] : 0);
+        const value = read(source.positive, 'value') - read(source.negative, 'value');
+        return {
+            value: value,
+            calibratedValue: value,
+            rawValue: read(source.positive, 'rawValue') - read(source.negative, 'rawValue'),
+        };
+    }
+
+    /**
+     * Turn a held source into turbo pulses or a latched toggle
+     */
+    applyButtonMode(gamepadIndex, rule, button, turboRate, now) {
+        if (rule.mode === 'normal') return button;
+
+        if (!this.buttonModes.has(gamepadIndex)) {
+            this.buttonModes.set(gamepadIndex, new Map());
+        }
+        const modes = this.buttonModes.get(gamepadIndex);
+        const state = modes.get(rule.target) || { wasPressed: false, latched: false, pressedAt: 0 };
+        modes.set(rule.target, state);
+
+        const pressEdge = button.pressed && !state.wasPressed;
+        state.wasPressed = button.pressed;
+
+        let pressed;
+        if (rule.mode === 'toggle') {
+            if (pressEdge) state.latched = !state.latched;
+            pressed = state.latched;
+        } else {
+            // Turbo: on for the first half of every 1/turboRate second while held
+            if (pressEdge) state.pressedAt = now;
+            const phase = ((now - state.pressedAt) * turboRate) / 1000;
+            pressed = button.pressed && phase - Math.floor(phase) < 0.5;
+        }
+
+        return {
+            pressed: pressed,
+            value: pressed ? (rule.mode === 'toggle' ? 1 : button.value) : 0,
+            rawValue: button.rawValue,
+        };
+    }
+
+    /**
+     * Check a preset's structure, returning a clean copy
+     */
+    static validate(preset) {
+        if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+            throw new Error('Remap preset needs a name');
+        }
+
+        const name = preset.name.trim();
+        const isIndex = (value) => Number.isInteger(value) && value >= 0;
+        const fail = (message) => {
+            throw new Error(`${message} in remap preset "${name}"`);
+        };
+
+        const buttons = (preset.buttons || []).map((rule) => {
+            const source = rule.source || {};
+            if (!isIndex(rule.target)) fail(`Invalid button target ${rule.target}`);
+            if (!RemapLayer.MODES.includes(rule.mode || 'normal')) fail(`Unknown button mode "${rule.mode}"`);
+
+            if (source.type === 'button' && isIndex(source.index)) {
+                return { target: rule.target, source: { type: 'button', index: source.index }, mode: rule.mode || 'normal' };
+            }
+            if (source.type === 'axis' && isIndex(source.index) && (source.direction === 1 || source.direction === -1)) {
+                return {
+                    target: rule.target,
+                    source: { type: 'axis', index: source.index, direction: source.direction },
+                    mode: rule.mode || 'normal',
+                };
+            }
+            return fail(`Invalid source for button ${rule.target}`);
+        });
+
+        const axes = (preset.axes || []).map((rule) => {
+            const source = rule.source || {};
+            if (!isIndex(rule.target)) fail(`Invalid axis target ${rule.target}`);
+
+            if (source.type === 'axis' && isIndex(source.index)) {
+                return { target: rule.target, source: { type: 'axis', index: source.index }, invert: Boolean(rule.invert) };
+            }
+            const optionalIndex = (value) => value === null || value === undefined || isIndex(value);
+            if (source.type === 'buttons' && isIndex(source.positive) && optionalIndex(source.negative)) {
+                return {
+                    target: rule.target,
+                    source: { type: 'buttons', positive: source.positive, negative: isIndex(source.negative) ? source.negative : null },
+                    invert: Boolean(rule.invert),
+                };
+            }
+            return fail(`Invalid source for axis ${rule.target}`);
+        });
+
+        [['button', buttons], ['axis', axes]].forEach(([kind, rules]) => {
+            const targets = rules.map((rule) => rule.target);
+            if (new Set(targets).size !== targets.length) fail(`Duplicate ${kind} target`);
+        });
+
+        const turboRate = preset.turboRate === undefined ? RemapLayer.TURBO_RATE : Number(preset.turboRate);
+        if (!Number.isFinite(turboRate) || turboRate < 1 || turboRate > RemapLayer.MAX_TURBO_RATE) {
+            fail(`Turbo rate must be 1-${RemapLayer.MAX_TURBO_RATE} Hz`);
+        }
+
+        return { name, turboRate, buttons, axes };
+    }
+
+    /**
+     * Short label of a source, e.g. "B1", "A2+", "B14−B15"
+     */
+    static describeSource(source) {
+        if (source.type === 'button') return `B${source.index}`;
+        if (source.type === 'axis') {
+            return source.direction ? `A${source.index}${source.direction > 0 ? '+' : '−'}` : `A${source.index}`;
+        }
+        return source.negative === null ? `B${source.positive}` : `B${source.positive}−B${source.negative}`;
+    }
+}
+
+// localStorage key and stored format version
+RemapLayer.STORAGE_KEY = 'gamepad-tester.remaps';
+RemapLayer.VERSION = 1;
+
+// Button modes: pass through, pulse while held, or latch on each press
+RemapLayer.MODES = ['normal', 'turbo', 'toggle'];
+
+// Default and maximum turbo pulses per second
+RemapLayer.TURBO_RATE = 10;
+RemapLayer.MAX_TURBO_RATE = 30;
+
+// Axis travel (after dead zones) at which an axis-as-button counts as pressed
+RemapLayer.AXIS_PRESS_THRESHOLD = 0.5;
+
+// Export for use
+window.RemapLayer = RemapLayer;
@@ -0,0 +1,123 @@
+/**
+ * ========================================================================
+ * SELF-TEST REPORT MODULE
+ * Exports self-test reports as JSON (versioned schema) or as a standalone,
+ * printable HTML page
+ * ========================================================================
+ */
+
+class SelfTestReport {
+    /**
+     * Serialise a report to the JSON export format
+     */
+    static toJSON(report) {
+        return JSON.stringify(
+            {
+                schema: SelfTestReport.SCHEMA,
+                version: SelfTestReport.VERSION,
+                exportedAt: new Date().toISOString(),
+                report: report,
+            },
+            null,
+            2
+        );
+    }
+
+    /**
+     * Render a report as a self-contained HTML document
+     */
+    static toHTML(report) {
+        const escape = SelfTestReport.escape;
+        const counts = report.counts;
+        const verdict = SelfTestReport.VERDICT_LABELS[report.verdict];
+
+        const summary = [
+            ['Controller', report.id],
+            ['Mapping', report.mapping || 'none'],
+            ['Started', report.startedAt],
+            ['Finished', report.finishedAt],
+            ['Layout', `${counts.buttons} buttons, ${counts.axes} axes, ${counts.sticks} sticks, ${counts.triggers} triggers`],
+            ['Results', `${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped of ${counts.tested}`],
+        ]
+            .map(([label, value]) => `<tr><th scope="row">${escape(label)}</th><td>${escape(value)}</td></tr>`)
+            .join('\n');
+
+        const rows = report.results
+            .map((result) => {
+                const time = result.time === null ? '' : `${(result.time / 1000).toFixed(2)} s`;
+                return `<tr class="${escape(result.status)}">` +
+                    `<td>${escape(SelfTestReport.describeInput(result))}</td>` +
+                    `<td>${escape(result.type)}</td>` +
+                    `<td>${escape(SelfTestReport.STATUS_LABELS[result.status] || result.status)}</td>` +
+                    `<td>${escape(time)}</td>` +
+                    `<td>${escape(result.detail)}</td></tr>`;
+            })
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Controller self-test: ${escape(verdict)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; }
+h1 { font-size: 1.4rem; }
+.verdict { display: inline-block; padding: 0.2rem 0.8rem; border-radius: 4px; color: #fff; }
+.verdict.pass { background: #1a7f37; }
+.verdict.fail { background: #cf222e; }
+.verdict.incomplete { background: #9a6700; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+tr.fail td { background: #ffebe9; }
+tr.skipped td { color: #666; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Controller self-test <span class="verdict ${escape(report.verdict)}">${escape(verdict)}</span></h1>
+<table>
+${summary}
+</table>
+<table>
+<thead><tr><th>Input</th><th>Type</th><th>Result</th><th>Time</th><th>Detail</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Label of a tested input (button index and name, or stick/trigger name)
+     */
+    static describeInput(result) {
+        return result.type === 'button' ? `[${result.index}] ${result.name}` : result.name;
+    }
+
+    /**
+     * Escape text for HTML content and attributes
+     */
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export format identifier and schema version
+SelfTestReport.SCHEMA = 'gamepad-tester-self-test';
+SelfTestReport.VERSION = 1;
+
+// Result labels shown in reports
+SelfTestReport.STATUS_LABELS = { pass: 'Pass', fail: 'Fail', skipped: 'Skipped' };
+
+// Overall verdicts shown in reports
+SelfTestReport.VERDICT_LABELS = { pass: 'PASS', fail: 'FAIL', incomplete: 'INCOMPLETE' };
+
+// Export for use
+window.SelfTestReport = SelfTestReport;
@@ -0,0 +1,371 @@
+/**
+ * ========================================================================
+ * SELF-TEST MODULE
+ * Guided full-controller check: prompts for every button in turn, then a
+ * stick sweep and a trigger sweep, timing out inputs that never register
+ * and producing a pass/fail report
+ * ========================================================================
+ */
+
+class SelfTest extends EventEmitter {
+    /**
+     * Options: { buttonTimeout, sweepTimeout: milliseconds per step, now: clock }
+     */
+    constructor(options = {}) {
+        super();
+
+        this.buttonTimeout = options.buttonTimeout || SelfTest.BUTTON_TIMEOUT;
+        this.sweepTimeout = options.sweepTimeout || SelfTest.SWEEP_TIMEOUT;
+
+        this.now = options.now || (() => performance.now());
+
+        // Running test, or null
+        this.activeTest = null;
+
+        // Report of the last finished test, or null
+        this.report = null;
+    }
+
+    /**
+     * Start testing the controller described by a gamepad state snapshot
+     */
+    start(state) {
+        const steps = state.buttons.map((button) => ({
+            kind: 'button',
+            timeout: this.buttonTimeout,
+            inputs: [SelfTest.createInput('button', button.index, button.name, { released: null })],
+        }));
+
+        const sticks = Object.keys(state.sticks || {});
+        if (sticks.length > 0) {
+            steps.push({
+                kind: 'sticks',
+                timeout: this.sweepTimeout,
+                inputs: sticks.map((side) =>
+                    SelfTest.createInput('stick', side, `${SelfTest.capitalize(side)} stick`, {
+                        axes: state.sticks[side].axes || [],
+                        sectors: [],
+                        reach: 0,
+                    })
+                ),
+            });
+        }
+
+        const triggers = Object.keys(state.triggers || {});
+        if (triggers.length > 0) {
+            steps.push({
+                kind: 'triggers',
+                timeout: this.sweepTimeout,
+                inputs: triggers.map((side) =>
+                    SelfTest.createInput('trigger', side, `${SelfTest.capitalize(side)} trigger`, {
+                        source: state.triggers[side].source,
+                        sourceIndex: state.triggers[side].index,
+                        min: null,
+                        max: null,
+                        full: false,
+                    })
+                ),
+            });
+        }
+
+        this.activeTest = {
+            id: state.id,
+            mapping: state.mapping,
+            counts: { buttons: state.buttons.length, axes: state.axes.length, sticks: sticks.length, triggers: triggers.length },
+            startedAt: new Date().toISOString(),
+            startTime: this.now(),
+            steps: steps,
+            snapshot: state,
+            current: -1,
+            lastProgress: -Infinity,
+        };
+        this.emit('start', { id: state.id, steps: steps.length });
+        this.advance();
+    }
+
+    /**
+     * Abort the running test without producing a report
+     */
+    cancel() {
+        if (!this.activeTest) return;
+        this.activeTest = null;
+        this.emit('cancel');
+    }
+
+    /**
+     * Check whether a test is running
+     */
+    isRunning() {
+        return this.activeTest !== null;
+    }
+
+    /**
+     * Give up on the current step, marking its unregistered inputs as skipped
+     */
+    skip() {
+        const test = this.activeTest;
+        if (!test) return;
+
+        this.resolvePending(test.steps[test.current], 'skipped');
+        this.advance();
+    }
+
+    /**
+     * Feed a gamepad state snapshot of the tested controller
+     */
+    feed(state) {
+        const test = this.activeTest;
+        if (!test) return;
+
+        const step = test.steps[test.current];
+        const elapsed = this.now() - step.startedAt;
+        test.snapshot = state;
+
+        step.inputs.forEach((input) => {
+            if (input.status !== 'pending') return;
+            if (SelfTest.check(input, state)) {
+                this.resolve(input, 'pass', elapsed);
+            }
+        });
+
+        if (step.inputs.every((input) => input.status !== 'pending')) {
+            this.advance();
+            return;
+        }
+
+        if (elapsed >= step.timeout) {
+            this.resolvePending(step, 'fail');
+            this.advance();
+            return;
+        }
+
+        if (step.kind !== 'button' && elapsed - test.lastProgress >= SelfTest.PROGRESS_INTERVAL) {
+            test.lastProgress = elapsed;
+            this.emit('progress', {
+                kind: step.kind,
+                remaining: step.timeout - elapsed,
+                inputs: step.inputs.map((input) => SelfTest.toResult(input)),
+            });
+        }
+    }
+
+    /**
+     * Record the outcome of one input
+     */
+    resolve(input, status, time = null) {
+        input.status = status;
+        input.time = time;
+        this.emit('result', SelfTest.toResult(input));
+    }
+
+    /**
+     * Give every unregistered input of a step the same outcome
+     */
+    resolvePending(step, status) {
+        step.inputs.forEach((input) => {
+            if (input.status === 'pending') this.resolve(input, status);
+        });
+    }
+
+    /**
+     * Move on to the next step, or finish after the last
+     */
+    advance() {
+        const test = this.activeTest;
+        if (!test) return;
+
+        test.current++;
+        if (test.current >= test.steps.length) {
+            this.finish();
+            return;
+        }
+
+        const step = test.steps[test.current];
+        step.startedAt = this.now();
+        step.inputs.forEach((input) => SelfTest.prime(input, test.snapshot));
+        test.lastProgress = -Infinity;
+        this.emit('step', {
+            number: test.current + 1,
+            count: test.steps.length,
+            kind: step.kind,
+            timeout: step.timeout,
+            inputs: step.inputs.map((input) => SelfTest.toResult(input)),
+        });
+    }
+
+    /**
+     * End the test and build the report
+     */
+    finish() {
+        const test = this.activeTest;
+        if (!test) return null;
+        this.activeTest = null;
+
+        const results = [];
+        test.steps.forEach((step) => step.inputs.forEach((input) => results.push(SelfTest.toResult(input))));
+        const count = (status) => results.filter((result) => result.status === status).length;
+
+        const report = {
+            id: test.id,
+            mapping: test.mapping,
+            startedAt: test.startedAt,
+            finishedAt: new Date().toISOString(),
+            duration: this.now() - test.startTime,
+            counts: {
+                ...test.counts,
+                tested: results.length,
+                passed: count('pass'),
+                failed: count('fail'),
+                skipped: count('skipped'),
+            },
+            verdict: SelfTest.verdictOf(count('pass'), count('fail'), count('skipped')),
+            results: results,
+        };
+        report.passed = report.verdict === 'pass';
+
+        this.report = report;
+        this.emit('complete', report);
+        return report;
+    }
+
+    /**
+     * Get the report of the last finished test, or null
+     */
+    getReport() {
+        return this.report;
+    }
+
+    /**
+     * Overall verdict from the result counts: any failure fails the controller, and a run
+     * with skipped inputs or no passes at all is 'incomplete' rather than a pass
+     */
+    static verdictOf(passed, failed, skipped) {
+        if (failed > 0) return 'fail';
+        if (passed === 0 || skipped > 0) return 'incomplete';
+        return 'pass';
+    }
+
+    /**
+     * Fresh input entry of a step
+     */
+    static createInput(type, key, name, state) {
+        return {
+            type: type,
+            index: type === 'button' ? key : null,
+            side: type === 'button' ? null : key,
+            name: name,
+            status: 'pending',
+            time: null,
+            state: state,
+        };
+    }
+
+    /**
+     * Note which buttons are already down when their step begins
+     */
+    static prime(input, snapshot) {
+        if (input.type !== 'button') return;
+        const button = snapshot.buttons[input.index];
+        input.state.released = !(button && button.pressed);
+    }
+
+    /**
+     * Update an input from a snapshot; returns whether it has now registered
+     * Buttons need a fresh press (one held since its step began counts as stuck),
+     * sticks must reach the edge in every sector, triggers a full squeeze and release
+     */
+    static check(input, snapshot) {
+        const state = input.state;
+
+        if (input.type === 'button') {
+            const button = snapshot.buttons[input.index];
+            if (!button) return false;
+            if (!button.pressed) state.released = true;
+            return button.pressed && state.released;
+        }
+
+        if (input.type === 'stick') {
+            const stick = snapshot.sticks && snapshot.sticks[input.side];
+            if (!stick) return false;
+            const { x, y } = stick.raw;
+            const magnitude = Math.hypot(x, y);
+            state.reach = Math.max(state.reach, magnitude);
+            if (magnitude >= SelfTest.SWEEP_REACH) {
+                const sector = SelfTest.sectorOf(x, y);
+                if (!state.sectors.includes(sector)) state.sectors.push(sector);
+            }
+            return state.sectors.length === SelfTest.SWEEP_SECTORS;
+        }
+
+        const trigger = snapshot.triggers && snapshot.triggers[input.side];
+        if (!trigger) return false;
+        state.min = state.min === null ? trigger.raw : Math.min(state.min, trigger.raw);
+        state.max = state.max === null ? trigger.raw : Math.max(state.max, trigger.raw);
+        if (trigger.raw >= SelfTest.TRIGGER_FULL) state.full = true;
+        return state.full && trigger.raw <= SelfTest.TRIGGER_REST;
+    }
+
+    /**
+     * Sweep sector (0 = right, counting anticlockwise) of a stick position
+     */
+    static sectorOf(x, y) {
+        const width = (Math.PI * 2) / SelfTest.SWEEP_SECTORS;
+        const angle = Math.atan2(-y, x) + width / 2;
+        return Math.floor((angle + Math.PI * 2) / width) % SelfTest.SWEEP_SECTORS;
+    }
+
+    /**
+     * Public result of an input, with a short description of what was measured
+     */
+    static toResult(input) {
+        const state = input.state;
+        const result = {
+            type: input.type,
+            index: input.index,
+            side: input.side,
+            name: input.name,
+            status: input.status,
+            time: input.time,
+            detail: '',
+        };
+
+        if (input.type === 'stick') {
+            result.axes = state.axes.slice();
+            result.detail = `${state.sectors.length}/${SelfTest.SWEEP_SECTORS} directions, reach ${state.reach.toFixed(2)}`;
+        } else if (input.type === 'trigger') {
+            result.source = state.source;
+            result.sourceIndex = state.sourceIndex;
+            result.detail = state.max === null
+                ? 'no reading'
+                : `travel ${state.min.toFixed(2)}-${state.max.toFixed(2)}${state.full && input.status !== 'pass' ? ', not released' : ''}`;
+        } else if (input.status === 'fail') {
+            result.detail = state.released ? 'never pressed' : 'held down, never released';
+        }
+        return result;
+    }
+
+    /**
+     * Upper-case the first letter
+     */
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Milliseconds to wait for each button, and for each sweep step
+SelfTest.BUTTON_TIMEOUT = 5000;
+SelfTest.SWEEP_TIMEOUT = 10000;
+
+// A stick sweep must reach this far out in every one of this many directions
+SelfTest.SWEEP_REACH = 0.9;
+SelfTest.SWEEP_SECTORS = 8;
+
+// A trigger sweep must travel past FULL, then come back below REST
+SelfTest.TRIGGER_FULL = 0.9;
+SelfTest.TRIGGER_REST = 0.1;
+
+// Minimum milliseconds between sweep progress events
+SelfTest.PROGRESS_INTERVAL = 100;
+
+// Export for use
+window.SelfTest = SelfTest;
@@ -0,0 +1,481 @@
+/**
+ * ========================================================================
+ * SEQUENCE ENGINE MODULE
+ * Turns the active gamepad's button presses and stick/D-pad moves into
+ * fighting-game numpad notation (1-9, 5 = neutral, 6 = forward), keeps a
+ * frame-counted input history and recognises combos such as 236P or 66
+ *
+ * A combo is { name, notation, window } where window is the most frames
+ * allowed from its first input to its last. Button tokens follow the
+ * usual pad layout: LP MP HP / LK MK HK, with P and K matching any punch
+ * or kick; extra directions between the listed ones are tolerated, except
+ * between the taps of a repeated direction, which must pass through neutral
+ * ========================================================================
+ */
+
+class SequenceEngine extends EventEmitter {
+    /**
+     * Options: { storage: Storage-like object for saved combos
+     *            (defaults to localStorage), key: storage key, now: clock }
+     */
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+        this.storage = BrowserStorage.resolve(options.storage);
+        this.key = options.key || SequenceEngine.STORAGE_KEY;
+
+        this.now = options.now || (() => performance.now());
+
+        // Saved combos by name, and how often each combo was recognised
+        this.library = new Map();
+        this.hits = new Map();
+
+        // Recent inputs, oldest first
+        this.history = [];
+        this.unsubscribers = [];
+
+        this.resetInputState();
+        this.load();
+    }
+
+    /**
+     * Start following the active gamepad
+     */
+    start() {
+        if (this.isRunning()) return;
+
+        const events = GamepadManager.EVENTS;
+        const activeOnly = { filter: (event) => event.gamepadIndex === this.gamepadManager.activeGamepad };
+        this.unsubscribers = [
+            this.gamepadManager.on(events.BUTTON_PRESS, (event) => this.handlePress(event), activeOnly),
+            this.gamepadManager.on(events.BUTTON_RELEASE, (event) => this.handleRelease(event), activeOnly),
+            this.gamepadManager.on(events.AXIS_CHANGE, (event) => this.handleAxisChange(event), activeOnly),
+
+            // Presses and moves of one poll are read together once its update arrives,
+            // so a button pressed on the frame the stick reaches 6 still completes 236P
+            this.gamepadManager.on(events.UPDATE, () => this.flushFrame()),
+            this.gamepadManager.on(events.ACTIVE_CHANGE, () => this.resetInputState()),
+        ];
+    }
+
+    /**
+     * Stop following the gamepad
+     */
+    stop() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+        this.resetInputState();
+    }
+
+    /**
+     * Check whether the engine is listening
+     */
+    isRunning() {
+        return this.unsubscribers.length > 0;
+    }
+
+    /**
+     * Forget held directions and unread inputs (e.g. after switching controllers)
+     */
+    resetInputState() {
+        this.stick = { x: 0, y: 0 };
+        this.dpad = new Set();
+        this.direction = 5;
+        this.pending = { moved: false, presses: [] };
+    }
+
+    /**
+     * Empty the input history and combo counters
+     */
+    clear() {
+        this.history = [];
+        this.hits.clear();
+        this.emit('clear');
+    }
+
+    /**
+     * Collect a button press, tracking D-pad directions
+     */
+    handlePress(event) {
+        const standard = this.getStandardButton(event.gamepadIndex, event.index);
+        const dpad = SequenceEngine.DPAD_BUTTONS[standard];
+        if (dpad) {
+            // The D-pad is a direction, not a button
+            this.dpad.add(dpad);
+            this.pending.moved = true;
+            return;
+        }
+
+        this.pending.presses.push({
+            index: event.index,
+            name: event.button,
+            token: SequenceEngine.BUTTON_NOTATION[standard] || null,
+        });
+    }
+
+    /**
+     * Track D-pad releases
+     */
+    handleRelease(event) {
+        const dpad = SequenceEngine.DPAD_BUTTONS[this.getStandardButton(event.gamepadIndex, event.index)];
+        if (dpad) {
+            this.dpad.delete(dpad);
+            this.pending.moved = true;
+        }
+    }
+
+    /**
+     * Track the left stick (after dead zones), if the pad has one
+     */
+    handleAxisChange(event) {
+        const roles = this.gamepadManager.axisRoles.get(event.gamepadIndex) || MappingProfiles.axisRoles(null);
+        if (!roles.sticks.left) return;
+
+        const [xIndex, yIndex] = roles.sticks.left;
+
+        if (event.index === xIndex) this.stick.x = event.value;
+        else if (event.index === yIndex) this.stick.y = event.value;
+        else return;
+        this.pending.moved = true;
+    }
+
+    /**
+     * Turn the inputs collected during one poll into a history entry and look for combos
+     */
+    flushFrame() {
+        const { moved, presses } = this.pending;
+        this.pending = { moved: false, presses: [] };
+
+        const direction = moved ? this.readDirection() : this.direction;
+        const turned = direction !== this.direction;
+        this.direction = direction;
+        if (turned) {
+            this.emit('direction', { direction });
+        }
+        if (!turned && presses.length === 0) return;
+
+        const time = this.now();
+        const previous = this.history[this.history.length - 1];
+        const entry = {
+            time: time,
+            frames: previous ? SequenceEngine.toFrames(time - previous.time) : null,
+            direction: direction,
+            turned: turned,
+            buttons: presses,
+        };
+
+        this.history.push(entry);
+        if (this.history.length > SequenceEngine.HISTORY_LENGTH) {
+            this.history.shift();
+        }
+        this.emit('input', entry);
+
+        this.detectCombos();
+    }
+
+    /**
+     * Numpad direction held right now: the D-pad when any of it is held, otherwise the left stick
+     */
+    readDirection() {
+        let x;
+        let y;
+        if (this.dpad.size > 0) {
+            // Opposite directions cancel out
+            x = (this.dpad.has('right') ? 1 : 0) - (this.dpad.has('left') ? 1 : 0);
+            y = (this.dpad.has('down') ? 1 : 0) - (this.dpad.has('up') ? 1 : 0);
+        } else {
+            const threshold = SequenceEngine.DIRECTION_THRESHOLD;
+            x = this.stick.x >= threshold ? 1 : this.stick.x <= -threshold ? -1 : 0;
+            y = this.stick.y >= threshold ? 1 : this.stick.y <= -threshold ? -1 : 0;
+        }
+        return 5 + x - y * 3;
+    }
+
+    /**
+     * Check every combo against the inputs of the newest history entry
+     */
+    detectCombos() {
+        const inputs = SequenceEngine.flatten(this.history);
+        const entry = this.history[this.history.length - 1];
+        const added = (entry.turned ? 1 : 0) + entry.buttons.length;
+
+        for (let end = inputs.length - added; end < inputs.length; end++) {
+            this.list().forEach((combo) => {
+                const matched = SequenceEngine.match(combo, inputs, end);
+                if (!matched) return;
+
+                this.hits.set(combo.name, (this.hits.get(combo.name) || 0) + 1);
+                this.emit('combo', {
+                    name: combo.name,
+                    notation: combo.notation,
+                    window: combo.window,
+                    frames: SequenceEngine.toFrames(inputs[end].time - matched[0].time),
+                    hits: this.hits.get(combo.name),
+                });
+            });
+        }
+    }
+
+    /**
+     * Standard-layout index of a device button (non-standard pads go through their diagram table)
+     */
+    getStandardButton(gamepadIndex, buttonIndex) {
+        const mapping = this.gamepadManager.mappings.get(gamepadIndex);
+        if (mapping && mapping.diagram) {
+            const standard = mapping.diagram.buttons[buttonIndex];
+            return standard === undefined ? null : standard;
+        }
+        return buttonIndex;
+    }
+
+    /**
+     * Get the recorded history, oldest first
+     */
+    getHistory() {
+        return this.history.slice();
+    }
+
+    /**
+     * How often a combo was recognised since the last clear()
+     */
+    getHits(name) {
+        return this.hits.get(name) || 0;
+    }
+
+    /**
+     * Get a preset or saved combo by name
+     */
+    get(name) {
+        return SequenceEngine.PRESETS[name] || this.library.get(name) || null;
+    }
+
+    /**
+     * All combos: presets first, then saved ones
+     */
+    list() {
+        return [
+            ...Object.values(SequenceEngine.PRESETS).map((combo) => ({ ...combo, preset: true })),
+            ...Array.from(this.library.values()).map((combo) => ({ ...combo, preset: false })),
+        ];
+    }
+
+    /**
+     * Save a combo under its name
+     */
+    save(combo) {
+        const validated = SequenceEngine.validate(combo);
+        if (SequenceEngine.PRESETS[validated.name]) {
+            throw new Error(`"${validated.name}" is a built-in combo`);
+        }
+
+        this.library.set(validated.name, validated);
+        this.persist();
+        this.emit('library', this.list());
+        return validated;
+    }
+
+    /**
+     * Delete a saved combo
+     */
+    remove(name) {
+        if (!this.library.delete(name)) return false;
+        this.hits.delete(name);
+        this.persist();
+        this.emit('library', this.list());
+        return true;
+    }
+
+    /**
+     * Read saved combos; unreadable data is ignored
+     */
+    load() {
+        this.library.clear();
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || '[]');
+            saved.forEach((combo) => {
+                const validated = SequenceEngine.validate(combo);
+                this.library.set(validated.name, validated);
+            });
+        } catch (error) {
+            console.warn('Ignoring saved combos:', error.message);
+        }
+    }
+
+    /**
+     * Write saved combos to storage
+     */
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(Array.from(this.library.values())));
+        } catch (error) {
+            console.warn('Could not save combos:', error.message);
+        }
+    }
+
+    /**
+     * Split notation such as '236P', '66' or '2 MK' into direction and button tokens
+     */
+    static parse(notation) {
+        const tokens = [];
+        const text = String(notation).toUpperCase().replace(/[\s+,]/g, '');
+
+        for (let i = 0; i < text.length;) {
+            if (text[i] >= '1' && text[i] <= '9') {
+                tokens.push({ type: 'direction', direction: Number(text[i]) });
+                i++;
+                continue;
+            }
+
+            const button = SequenceEngine.BUTTON_TOKENS.find((token) => text.startsWith(token, i));
+            if (!button) {
+                throw new Error(`Unknown input "${text[i]}" in "${notation}"`);
+            }
+            tokens.push({ type: 'button', button });
+            i += button.length;
+        }
+
+        if (tokens.length === 0) {
+            throw new Error('Combo notation is empty');
+        }
+        return tokens;
+    }
+
+    /**
+     * Check a combo and return a clean copy
+     */
+    static validate(combo) {
+        if (!combo || typeof combo.name !== 'string' || combo.name.trim() === '') {
+            throw new Error('Combo needs a name');
+        }
+
+        const name = combo.name.trim();
+        const notation = String(combo.notation || '').toUpperCase().replace(/\s+/g, ' ').trim();
+        SequenceEngine.parse(notation);
+
+        const frames = combo.window === undefined ? SequenceEngine.DEFAULT_WINDOW : Number(combo.window);
+        if (!Number.isInteger(frames) || frames < 1 || frames > SequenceEngine.MAX_WINDOW) {
+            throw new Error(`Combo "${name}" needs a window of 1-${SequenceEngine.MAX_WINDOW} frames`);
+        }
+
+        return { name, notation, window: frames };
+    }
+
+    /**
+     * Flatten history entries into single inputs: each entry's new direction, then its buttons
+     */
+    static flatten(history) {
+        const inputs = [];
+        history.forEach((entry) => {
+            if (entry.turned) {
+                inputs.push({ type: 'direction', direction: entry.direction, time: entry.time });
+            }
+            entry.buttons.forEach((button) => {
+                inputs.push({ type: 'button', button: button.token, time: entry.time });
+            });
+        });
+        return inputs;
+    }
+
+    /**
+     * Match a combo ending exactly at inputs[end]
+     * Walks back through earlier inputs, skipping directions the combo does not list and
+     * buttons pressed on the same frame as the last one; any other button in between, or
+     * running past the window, breaks the match.
+     * Returns the matched inputs, oldest first, or null
+     */
+    static match(combo, inputs, end) {
+        const tokens = SequenceEngine.parse(combo.notation);
+        const limit = inputs[end].time - combo.window * SequenceEngine.FRAME_MS - SequenceEngine.FRAME_MS / 2;
+        const matched = [];
+
+        let t = tokens.length - 1;
+        for (let i = end; i >= 0 && t >= 0; i--) {
+            const input = inputs[i];
+            if (input.time < limit) return null;
+
+            if (SequenceEngine.matchesToken(tokens[t], input)) {
+                matched.unshift(input);
+                t--;
+            } else if (i === end || (input.type === 'button' && input.time !== inputs[end].time)) {
+                return null;
+            } else if (input.type === 'direction' && input.direction !== 5 && SequenceEngine.isDoubleTap(tokens, t)) {
+                // A double-tap (66) only allows neutral between its taps
+                return null;
+            }
+        }
+
+        return t < 0 ? matched : null;
+    }
+
+    /**
+     * Check whether tokens[t] repeats the direction that follows it
+     */
+    static isDoubleTap(tokens, t) {
+        const next = tokens[t + 1];
+        return tokens[t].type === 'direction' && next && next.type === 'direction' && next.direction === tokens[t].direction;
+    }
+
+    /**
+     * Check a single input against a notation token
+     */
+    static matchesToken(token, input) {
+        if (token.type !== input.type) return false;
+        if (token.type === 'direction') return token.direction === input.direction;
+        if (!input.button) return false;
+
+        // P and K stand for any punch or kick
+        return token.button.length === 1 ? input.button.endsWith(token.button) : token.button === input.button;
+    }
+
+    /**
+     * Convert milliseconds to 60 Hz frames
+     */
+    static toFrames(ms) {
+        return Math.round(ms / SequenceEngine.FRAME_MS);
+    }
+}
+
+// localStorage key of saved combos
+SequenceEngine.STORAGE_KEY = 'gamepad-tester.combos';
+
+// Frame length the notation counts in (60 Hz, like most fighting games)
+SequenceEngine.FRAME_MS = 1000 / 60;
+
+// Number of history entries kept
+SequenceEngine.HISTORY_LENGTH = 40;
+
+// Stick travel (after dead zones) that counts as a direction
+SequenceEngine.DIRECTION_THRESHOLD = 0.5;
+
+// Default and maximum combo windows, in frames
+SequenceEngine.DEFAULT_WINDOW = 20;
+SequenceEngine.MAX_WINDOW = 120;
+
+// Standard-layout buttons: X/Y/RB punches, A/B/RT kicks
+SequenceEngine.BUTTON_NOTATION = { 2: 'LP', 3: 'MP', 5: 'HP', 0: 'LK', 1: 'MK', 7: 'HK' };
+
+// Button tokens accepted in notation, longest first
+SequenceEngine.BUTTON_TOKENS = ['LP', 'MP', 'HP', 'LK', 'MK', 'HK', 'P', 'K'];
+
+// Standard-layout D-pad buttons
+SequenceEngine.DPAD_BUTTONS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+// Arrows for numpad directions
+SequenceEngine.ARROWS = { 1: '↙', 2: '↓', 3: '↘', 4: '←', 5: '•', 6: '→', 7: '↖', 8: '↑', 9: '↗' };
+
+// Built-in combos (player facing right)
+SequenceEngine.PRESETS = Object.freeze({
+    Fireball: { name: 'Fireball', notation: '236P', window: 20 },
+    'Dragon punch': { name: 'Dragon punch', notation: '623P', window: 20 },
+    'Hurricane kick': { name: 'Hurricane kick', notation: '214K', window: 20 },
+    Dash: { name: 'Dash', notation: '66', window: 12 },
+    'Back dash': { name: 'Back dash', notation: '44', window: 12 },
+});
+
+// Export for use
+window.SequenceEngine = SequenceEngine;
@@ -0,0 +1,379 @@
+/**
+ * ========================================================================
+ * SESSION SERIALIZER MODULE
+ * Exports recorded input sessions as per-input timelines in JSON or CSV
+ * (versioned schema) and validates/imports them back for replay
+ * ========================================================================
+ */
+
+class SessionSerializer {
+    /**
+     * Serialise a session to the JSON export format
+     */
+    static toJSON(session) {
+        const names = SessionSerializer.resolveNames(session.gamepad);
+        const timelines = SessionSerializer.toTimelines(session);
+
+        return JSON.stringify(
+            {
+                schema: SessionSerializer.SCHEMA,
+                version: SessionSerializer.VERSION,
+                exportedAt: new Date().toISOString(),
+                session: {
+                    startedAt: session.startedAt,
+                    duration: session.duration,
+                    gamepad: { ...session.gamepad },
+                },
+                buttons: timelines.buttons.map((events, index) => ({
+                    index: index,
+                    name: MappingProfiles.buttonName(names, index),
+                    events: events,
+                })),
+                axes: timelines.axes.map((events, index) => ({
+                    index: index,
+                    name: MappingProfiles.axisName(names, index),
+                    events: events,
+                })),
+            },
+            null,
+            2
+        );
+    }
+
+    /**
+     * Serialise a session to CSV: metadata comment lines, then one row per input change
+     */
+    static toCSV(session) {
+        const names = SessionSerializer.resolveNames(session.gamepad);
+        const timelines = SessionSerializer.toTimelines(session);
+        const rows = [];
+
+        timelines.buttons.forEach((events, index) => {
+            events.forEach((e) => {
+                rows.push([e.t, e.timestamp, 'button', index, MappingProfiles.buttonName(names, index), e.pressed ? 1 : 0, e.value, e.rawValue]);
+            });
+        });
+        timelines.axes.forEach((events, index) => {
+            events.forEach((e) => {
+                rows.push([e.t, e.timestamp, 'axis', index, MappingProfiles.axisName(names, index), '', e.value, e.rawValue]);
+            });
+        });
+        rows.sort((a, b) => a[0] - b[0]);
+
+        const gamepad = session.gamepad;
+        const lines = [
+            `# schema: ${SessionSerializer.SCHEMA}`,
+            `# version: ${SessionSerializer.VERSION}`,
+            `# startedAt: ${session.startedAt}`,
+            `# duration: ${session.duration}`,
+            `# id: ${gamepad.id}`,
+            `# mapping: ${gamepad.mapping}`,
+            `# index: ${gamepad.index}`,
+            `# buttons: ${gamepad.buttons}`,
+            `# axes: ${gamepad.axes}`,
+            SessionSerializer.CSV_COLUMNS.join(','),
+            ...rows.map((row) => row.map(SessionSerializer.csvField).join(',')),
+        ];
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse an exported JSON or CSV file back into a replayable session
+     * Throws an Error describing the first problem found
+     */
+    static parse(text) {
+        const trimmed = String(text).trim();
+        if (trimmed.startsWith('{')) {
+            return SessionSerializer.fromJSON(trimmed);
+        }
+        if (trimmed.startsWith('#')) {
+            return SessionSerializer.fromCSV(trimmed);
+        }
+        throw new Error('Unrecognised file: expected a JSON or CSV session export');
+    }
+
+    /**
+     * Import the JSON export format
+     */
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        SessionSerializer.checkVersion(data.schema, data.version);
+        if (!data.session || !data.session.gamepad) throw new Error('Missing session metadata');
+        if (!Array.isArray(data.buttons) || !Array.isArray(data.axes)) {
+            throw new Error('Missing button or axis timelines');
+        }
+
+        const gamepad = SessionSerializer.validateGamepad(data.session.gamepad);
+        const buttons = [];
+        const axes = [];
+        data.buttons.forEach((timeline) => {
+            buttons[SessionSerializer.validateIndex(timeline.index, gamepad.buttons, 'button')] =
+                SessionSerializer.validateEvents(timeline.events, 'button');
+        });
+        data.axes.forEach((timeline) => {
+            axes[SessionSerializer.validateIndex(timeline.index, gamepad.axes, 'axis')] =
+                SessionSerializer.validateEvents(timeline.events, 'axis');
+        });
+
+        return SessionSerializer.fromTimelines(
+            { startedAt: data.session.startedAt, duration: Number(data.session.duration), gamepad },
+            { buttons, axes }
+        );
+    }
+
+    /**
+     * Import the CSV export format
+     */
+    static fromCSV(text) {
+        const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+        const meta = {};
+        let i = 0;
+
+        for (; i < lines.length && lines[i].startsWith('#'); i++) {
+            const match = lines[i].match(/^#\s*(\w+):\s?(.*)$/);
+            if (match) meta[match[1]] = match[2];
+        }
+
+        SessionSerializer.checkVersion(meta.schema, Number(meta.version));
+
+        const header = lines[i] ? SessionSerializer.splitCSV(lines[i]) : [];
+        if (header.join(',') !== SessionSerializer.CSV_COLUMNS.join(',')) {
+            throw new Error(`Unexpected CSV header, expected: ${SessionSerializer.CSV_COLUMNS.join(',')}`);
+        }
+
+        const gamepad = SessionSerializer.validateGamepad({
+            id: meta.id,
+            mapping: meta.mapping,
+            index: Number(meta.index),
+            buttons: Number(meta.buttons),
+            axes: Number(meta.axes),
+        });
+
+        const buttons = Array.from({ length: gamepad.buttons }, () => []);
+        const axes = Array.from({ length: gamepad.axes }, () => []);
+
+        for (i += 1; i < lines.length; i++) {
+            const [t, timestamp, kind, index, , pressed, value, rawValue] = SessionSerializer.splitCSV(lines[i]);
+            const event = { t: Number(t), timestamp: Number(timestamp), value: Number(value), rawValue: Number(rawValue) };
+
+            if (kind === 'button') {
+                event.pressed = pressed === '1';
+                buttons[SessionSerializer.validateIndex(Number(index), gamepad.buttons, 'button')].push(event);
+            } else if (kind === 'axis') {
+                axes[SessionSerializer.validateIndex(Number(index), gamepad.axes, 'axis')].push(event);
+            } else {
+                throw new Error(`Line ${i + 1}: unknown input kind "${kind}"`);
+            }
+        }
+
+        return SessionSerializer.fromTimelines(
+            { startedAt: meta.startedAt, duration: Number(meta.duration), gamepad },
+            {
+                buttons: buttons.map((events) => SessionSerializer.validateEvents(events, 'button')),
+                axes: axes.map((events) => SessionSerializer.validateEvents(events, 'axis')),
+            }
+        );
+    }
+
+    /**
+     * Split recorded frames into per-input change lists
+     */
+    static toTimelines(session) {
+        const { buttons: buttonCount, axes: axisCount } = session.gamepad;
+        const buttons = Array.from({ length: buttonCount }, () => []);
+        const axes = Array.from({ length: axisCount }, () => []);
+        let previous = null;
+
+        session.frames.forEach((frame) => {
+            frame.buttons.forEach(([pressed, value, rawValue], i) => {
+                const last = previous && previous.buttons[i];
+                if (buttons[i] && (!last || last[0] !== pressed || last[2] !== rawValue)) {
+                    buttons[i].push({ t: frame.t, timestamp: frame.timestamp, pressed: pressed === 1, value, rawValue });
+                }
+            });
+            frame.axes.forEach((rawValue, i) => {
+                if (axes[i] && (!previous || previous.axes[i] !== rawValue)) {
+                    axes[i].push({ t: frame.t, timestamp: frame.timestamp, value: frame.values[i], rawValue });
+                }
+            });
+            previous = frame;
+        });
+
+        return { buttons, axes };
+    }
+
+    /**
+     * Merge per-input change lists back into full frames
+     */
+    static fromTimelines(header, timelines) {
+        const { gamepad } = header;
+        const changes = [];
+
+        timelines.buttons.forEach((events, i) => (events || []).forEach((e) => changes.push({ kind: 'button', i, e })));
+        timelines.axes.forEach((events, i) => (events || []).forEach((e) => changes.push({ kind: 'axis', i, e })));
+        changes.sort((a, b) => a.e.t - b.e.t);
+
+        // Inputs without events stay at rest
+        const state = {
+            buttons: Array.from({ length: gamepad.buttons }, () => [0, 0, 0]),
+            axes: new Array(gamepad.axes).fill(0),
+            values: new Array(gamepad.axes).fill(0),
+        };
+
+        const frames = [];
+        changes.forEach(({ kind, i, e }) => {
+            if (kind === 'button') {
+                state.buttons[i] = [e.pressed ? 1 : 0, e.value, e.rawValue];
+            } else {
+                state.axes[i] = e.rawValue;
+                state.values[i] = e.value;
+            }
+
+            const frame = {
+                t: e.t,
+                timestamp: e.timestamp,
+                buttons: state.buttons.map((b) => b.slice()),
+                axes: state.axes.slice(),
+                values: state.values.slice(),
+            };
+
+            // Changes recorded in the same frame collapse into one
+            if (frames.length && frames[frames.length - 1].t === e.t) {
+                frames[frames.length - 1] = frame;
+            } else {
+                frames.push(frame);
+            }
+        });
+
+        const lastT = frames.length ? frames[frames.length - 1].t : 0;
+        return {
+            version: InputRecorder.SESSION_VERSION,
+            startedAt: header.startedAt || null,
+            duration: Number.isFinite(header.duration) ? Math.max(header.duration, lastT) : lastT,
+            gamepad: gamepad,
+            frames: frames,
+        };
+    }
+
+    /**
+     * Reject files from another tool or a newer schema
+     */
+    static checkVersion(schema, version) {
+        if (schema !== SessionSerializer.SCHEMA) {
+            throw new Error(`Not a ${SessionSerializer.SCHEMA} file`);
+        }
+        if (!Number.isInteger(version) || version < 1 || version > SessionSerializer.VERSION) {
+            throw new Error(`Unsupported schema version ${version} (supported: 1-${SessionSerializer.VERSION})`);
+        }
+    }
+
+    /**
+     * Validate gamepad metadata
+     */
+    static validateGamepad(gamepad) {
+        const buttons = Number(gamepad.buttons);
+        const axes = Number(gamepad.axes);
+        if (typeof gamepad.id !== 'string' || gamepad.id === '') throw new Error('Missing gamepad id');
+        if (!Number.isInteger(buttons) || buttons < 0) throw new Error('Invalid button count');
+        if (!Number.isInteger(axes) || axes < 0) throw new Error('Invalid axis count');
+
+        return {
+            index: Number.isInteger(Number(gamepad.index)) ? Number(gamepad.index) : 0,
+            id: gamepad.id,
+            mapping: gamepad.mapping === 'standard' ? 'standard' : '',
+            buttons: buttons,
+            axes: axes,
+        };
+    }
+
+    /**
+     * Validate a button/axis index against the declared count
+     */
+    static validateIndex(index, count, kind) {
+        if (!Number.isInteger(index) || index < 0 || index >= count) {
+            throw new Error(`Invalid ${kind} index ${index}`);
+        }
+        return index;
+    }
+
+    /**
+     * Validate timeline events (numeric, time-ordered)
+     */
+    static validateEvents(events, kind) {
+        if (!Array.isArray(events)) throw new Error(`Missing ${kind} events`);
+
+        let lastT = -Infinity;
+        events.forEach((e) => {
+            const numbers = [e.t, e.value, e.rawValue];
+            if (!numbers.every(Number.isFinite)) throw new Error(`Non-numeric ${kind} event at t=${e.t}`);
+            if (e.t < lastT) throw new Error(`${kind} events are not in time order at t=${e.t}`);
+            if (kind === 'button' && typeof e.pressed !== 'boolean') throw new Error(`Button event at t=${e.t} lacks pressed state`);
+            lastT = e.t;
+        });
+        return events;
+    }
+
+    /**
+     * Resolve button/axis names for a recorded controller
+     */
+    static resolveNames(gamepad) {
+        return new MappingProfiles().resolve({ id: gamepad.id, mapping: gamepad.mapping });
+    }
+
+    /**
+     * Quote a CSV field when needed
+     */
+    static csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Split one CSV line, honouring quoted fields
+     */
+    static splitCSV(line) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+}
+
+// File format identifier and current schema version
+SessionSerializer.SCHEMA = 'gamepad-tester-session';
+SessionSerializer.VERSION = 1;
+
+// CSV column order
+SessionSerializer.CSV_COLUMNS = ['t_ms', 'gamepad_timestamp', 'kind', 'index', 'name', 'pressed', 'value', 'raw_value'];
+
+// Export for use
+window.SessionSerializer = SessionSerializer;
@@ -0,0 +1,304 @@
+/**
+ * ========================================================================
+ * SETTINGS STORE MODULE
+ * User settings (theme, visible sections, dead zones, input and diagram
+ * tunables) persisted in localStorage with schema versioning, migrations
+ * and per-field validation against the defaults
+ * ========================================================================
+ */
+
+class SettingsStore extends EventEmitter {
+    /**
+     * Options: { storage: Storage-like object (defaults to localStorage),
+     *            key: storage key }
+     */
+    constructor(options = {}) {
+        super();
+
+        this.storage = BrowserStorage.resolve(options.storage);
+        this.key = options.key || SettingsStore.STORAGE_KEY;
+
+        // Current values, shaped like createDefaults()
+        this.values = SettingsStore.createDefaults();
+
+        this.load();
+    }
+
+    /**
+     * Read saved settings, upgrading older versions; unreadable data falls back to defaults
+     */
+    load() {
+        this.values = SettingsStore.createDefaults();
+        if (!this.storage) return;
+
+        try {
+            const saved = this.storage.getItem(this.key);
+            if (saved) {
+                this.values = SettingsStore.normalize(SettingsStore.migrate(JSON.parse(saved)));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved settings:', error.message);
+        }
+    }
+
+    /**
+     * Write all settings to storage
+     */
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: SettingsStore.VERSION, values: this.values }));
+        } catch (error) {
+            console.warn('Could not save settings:', error.message);
+        }
+    }
+
+    /**
+     * Get a copy of a setting or group by dotted path (e.g. 'renderer.pressGlow')
+     */
+    get(path) {
+        const value = SettingsStore.lookup(this.values, path);
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Get a copy of every setting
+     */
+    getAll() {
+        return this.get('');
+    }
+
+    /**
+     * Change a setting, or the given fields of a group (partial objects are fine)
+     * Throws a RangeError for unknown paths and invalid values; returns whether anything changed
+     */
+    set(path, value) {
+        const fields = SettingsStore.fieldsUnder(path);
+        if (fields.length === 0) {
+            throw new RangeError(`Unknown setting "${path}"`);
+        }
+
+        // Validate everything before changing anything
+        const updates = [];
+        fields.forEach((field) => {
+            const next = field === path ? value : SettingsStore.lookup(value, field.slice(path ? path.length + 1 : 0));
+            if (next === undefined) return;
+            if (!SettingsStore.FIELDS[field](next)) {
+                throw new RangeError(`Invalid value ${JSON.stringify(next)} for setting "${field}"`);
+            }
+            if (SettingsStore.lookup(this.values, field) !== next) {
+                updates.push([field, next]);
+            }
+        });
+
+        if (updates.length === 0) return false;
+
+        updates.forEach(([field, next]) => SettingsStore.assign(this.values, field, next));
+        this.persist();
+        this.emit('change', { path, fields: updates.map(([field]) => field), values: this.getAll() });
+        return true;
+    }
+
+    /**
+     * Restore the defaults of a setting or group, or of everything without a path
+     */
+    reset(path = '') {
+        return this.set(path, SettingsStore.lookup(SettingsStore.createDefaults(), path));
+    }
+
+    /**
+     * Subscribe to changes of a setting or group
+     * Returns an unsubscribe function
+     */
+    watch(path, callback) {
+        return this.on('change', callback, {
+            filter: (event) => event.fields.some((field) => SettingsStore.isUnder(field, path)),
+        });
+    }
+
+    /**
+     * Fresh copy of the default settings
+     */
+    static createDefaults() {
+        const sections = {};
+        SettingsStore.SECTIONS.forEach((name) => (sections[name] = true));
+
+        return {
+            theme: 'dark',
+            sections: sections,
+            input: {
+                // Minimum processed axis movement reported as an axis change
+                axisChangeThreshold: 0.02,
+                // Press/release pairs shorter than this many milliseconds count as switch chatter
+                chatterThreshold: 25,
+            },
+            renderer: {
+                showRawSticks: true,
+                pressGlow: true,
+                // Diagram skin id, or 'auto' to pick it from the controller's id
+                skin: 'auto',
+            },
+            wheel: {
+                // Lock-to-lock steering rotation in degrees
+                rotation: 900,
+                // 'auto' (from the controller's profile), 'split' or 'combined' pedal axes
+                pedals: 'auto',
+            },
+            flight: {
+                // Read the throttle the other way round from the controller's profile
+                invertThrottle: false,
+            },
+            deadZones: DeadZoneEngine.createDefaultConfig(),
+        };
+    }
+
+    /**
+     * Upgrade saved data ({ version, values }) to the current version's values
+     */
+    static migrate(data) {
+        if (!data || !Number.isInteger(data.version) || typeof data.values !== 'object') {
+            throw new Error('Not a settings object');
+        }
+        if (data.version > SettingsStore.VERSION) {
+            throw new Error(`Settings version ${data.version} is newer than supported (${SettingsStore.VERSION})`);
+        }
+
+        let values = data.values;
+        for (let version = data.version; version < SettingsStore.VERSION; version++) {
+            const migration = SettingsStore.MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from settings version ${version}`);
+            }
+            values = migration(values);
+        }
+        return values;
+    }
+
+    /**
+     * Build a complete settings object, keeping valid values and defaulting the rest
+     */
+    static normalize(values) {
+        const normalized = SettingsStore.createDefaults();
+
+        Object.keys(SettingsStore.FIELDS).forEach((field) => {
+            const value = SettingsStore.lookup(values, field);
+            if (value === undefined) return;
+
+            if (SettingsStore.FIELDS[field](value)) {
+                SettingsStore.assign(normalized, field, value);
+            } else {
+                console.warn(`Ignoring invalid saved setting "${field}":`, value);
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Known fields at or below a path ('' for all)
+     */
+    static fieldsUnder(path) {
+        return Object.keys(SettingsStore.FIELDS).filter((field) => SettingsStore.isUnder(field, path));
+    }
+
+    /**
+     * Check whether a field is the path itself or lies below it
+     */
+    static isUnder(field, path) {
+        return path === '' || field === path || field.startsWith(`${path}.`);
+    }
+
+    /**
+     * Read a dotted path from an object (undefined when missing)
+     */
+    static lookup(object, path) {
+        if (path === '') return object;
+        return path.split('.').reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), object);
+    }
+
+    /**
+     * Write a dotted path into an object, creating groups as needed
+     */
+    static assign(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => {
+            if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+            return node[key];
+        }, object);
+        parent[last] = value;
+    }
+
+    /**
+     * Validator map for every field, keyed by dotted path
+     */
+    static createFields() {
+        const isBoolean = (value) => typeof value === 'boolean';
+        const inRange = (min, max) => (value) => Number.isFinite(value) && value >= min && value <= max;
+        const oneOf = (options) => (value) => options.includes(value);
+
+        const fields = {
+            theme: oneOf(SettingsStore.THEMES),
+            'input.axisChangeThreshold': inRange(0, 0.5),
+            'input.chatterThreshold': inRange(1, 200),
+            'renderer.showRawSticks': isBoolean,
+            'renderer.pressGlow': isBoolean,
+            // Any skin id: custom skins can be registered at runtime, unknown ones fall back to 'auto'
+            'renderer.skin': (value) => typeof value === 'string' && /^[a-z0-9-]+$/.test(value),
+            'wheel.rotation': inRange(90, 2520),
+            'wheel.pedals': oneOf(['auto', 'split', 'combined']),
+            'flight.invertThrottle': isBoolean,
+            'deadZones.axes.inner': inRange(0, 1),
+            'deadZones.axes.outer': inRange(0, 1),
+        };
+
+        SettingsStore.SECTIONS.forEach((name) => (fields[`sections.${name}`] = isBoolean));
+        ['left', 'right'].forEach((side) => {
+            fields[`deadZones.sticks.${side}.mode`] = oneOf(DeadZoneEngine.MODES);
+            ['inner', 'outer'].forEach((threshold) => {
+                fields[`deadZones.sticks.${side}.${threshold}`] = inRange(0, 1);
+                fields[`deadZones.triggers.${side}.${threshold}`] = inRange(0, 1);
+            });
+        });
+        return fields;
+    }
+}
+
+// localStorage key and current schema version
+SettingsStore.STORAGE_KEY = 'gamepad-tester.settings';
+SettingsStore.VERSION = 1;
+
+// Upgrade steps: MIGRATIONS[n] turns version n values into version n + 1 values
+SettingsStore.MIGRATIONS = {};
+
+// Colour themes (data-theme on <html>)
+SettingsStore.THEMES = ['dark', 'light'];
+
+// Page sections that can be switched off (element id: `${name}Section`)
+SettingsStore.SECTIONS = [
+    'controllers',
+    'info',
+    'controller',
+    'timeline',
+    'buttons',
+    'axes',
+    'deadZone',
+    'diagnostics',
+    'calibration',
+    'trigger',
+    'latency',
+    'selfTest',
+    'chatter',
+    'remap',
+    'combo',
+    'fightStick',
+    'wheel',
+    'flight',
+    'recording',
+    'vibration',
+];
+
+SettingsStore.FIELDS = SettingsStore.createFields();
+
+// Export for use
+window.SettingsStore = SettingsStore;
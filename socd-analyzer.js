@@ -0,0 +1,365 @@
+/**
+ * ========================================================================
+ * SOCD ANALYZER MODULE
+ * Follows the active gamepad's reported lever directions (D-pad or left
+ * stick) and runs a guided test of how the device resolves simultaneous
+ * opposing cardinal directions: Left+Right and Up+Down
+ * ========================================================================
+ */
+
+class SocdAnalyzer extends EventEmitter {
+    /**
+     * Options: { now: clock }
+     */
+    constructor(gamepadManager, options = {}) {
+        super();
+
+        this.gamepadManager = gamepadManager;
+
+        this.now = options.now || (() => performance.now());
+
+        // Reported cardinal directions of the active gamepad
+        this.directions = SocdAnalyzer.createDirections();
+
+        // Running test, or null
+        this.activeTest = null;
+
+        // Report of the last finished test, or null
+        this.report = null;
+
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Start following the active gamepad
+     */
+    start() {
+        if (this.isRunning()) return;
+
+        const events = GamepadManager.EVENTS;
+        const activeOnly = { filter: (state) => state.gamepadIndex === this.gamepadManager.activeGamepad };
+        this.unsubscribers = [
+            this.gamepadManager.on(events.UPDATE, (state) => this.handleUpdate(state), activeOnly),
+            this.gamepadManager.on(events.ACTIVE_CHANGE, () => this.reset()),
+        ];
+    }
+
+    /**
+     * Stop following the gamepad
+     */
+    stop() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+        this.cancelTest();
+    }
+
+    /**
+     * Check whether the analyzer is following the gamepad
+     */
+    isRunning() {
+        return this.unsubscribers.length > 0;
+    }
+
+    /**
+     * Forget the held directions and abort any test (e.g. for a new controller)
+     */
+    reset() {
+        this.cancelTest();
+        this.directions = SocdAnalyzer.createDirections();
+        this.emit('directions', this.describeDirections());
+    }
+
+    /**
+     * Read the directions of a state snapshot and advance the running test
+     */
+    handleUpdate(state) {
+        const directions = SocdAnalyzer.readDirections(state);
+        const changed = SocdAnalyzer.DIRECTIONS.some((name) => directions[name] !== this.directions[name]);
+        this.directions = directions;
+        if (changed) {
+            this.emit('directions', this.describeDirections());
+        }
+
+        if (this.activeTest) {
+            this.advanceTest();
+        }
+    }
+
+    /**
+     * Held directions plus the numpad direction they add up to
+     */
+    describeDirections() {
+        return { ...this.directions, direction: SocdAnalyzer.toNumpad(this.directions) };
+    }
+
+    /**
+     * Start the guided test: each opposing pair in both orders
+     */
+    startTest() {
+        this.activeTest = {
+            trials: SocdAnalyzer.TRIALS.map(([axis, first, second]) => ({
+                axis: axis,
+                first: first,
+                second: second,
+                observed: null,
+                outcome: null,
+            })),
+            current: 0,
+            phase: null,
+        };
+        this.emit('start', { trials: this.activeTest.trials.length });
+        this.enterPhase('hold');
+    }
+
+    /**
+     * Abort the running test without producing a report
+     */
+    cancelTest() {
+        if (!this.activeTest) return;
+        this.activeTest = null;
+        this.emit('cancel');
+    }
+
+    /**
+     * Check whether a test is running
+     */
+    isTesting() {
+        return this.activeTest !== null;
+    }
+
+    /**
+     * Begin a phase of the current trial and prompt for it
+     */
+    enterPhase(phase) {
+        const test = this.activeTest;
+        const trial = test.trials[test.current];
+        const now = this.now();
+        test.phase = { name: phase, startedAt: now, seen: null, since: now };
+
+        this.emit('step', {
+            number: test.current + 1,
+            count: test.trials.length,
+            phase: phase,
+            axis: trial.axis,
+            first: trial.first,
+            second: trial.second,
+        });
+    }
+
+    /**
+     * Move the current trial on once the reported state has settled
+     * Phases: hold the first direction, press the opposite one too,
+     * release the first, then release everything
+     */
+    advanceTest() {
+        const test = this.activeTest;
+        const trial = test.trials[test.current];
+        const phase = test.phase;
+        const now = this.now();
+
+        // What the pad reports on this trial's axis: 'first', 'second', 'both' or 'none'
+        const seen = SocdAnalyzer.observe(this.directions, trial.first, trial.second);
+        if (seen !== phase.seen) {
+            phase.seen = seen;
+            phase.since = now;
+        }
+        const settled = now - phase.since >= SocdAnalyzer.SETTLE_TIME;
+        const elapsed = now - phase.startedAt;
+
+        if (phase.name === 'hold') {
+            if (settled && seen === 'first') this.enterPhase('press');
+        } else if (phase.name === 'press') {
+            // A device where the first input wins shows no change at all
+            if (settled && seen !== 'first') {
+                trial.observed = seen;
+                this.enterPhase('release');
+            } else if (elapsed >= SocdAnalyzer.PRESS_TIMEOUT) {
+                trial.observed = 'first';
+                this.enterPhase('release');
+            }
+        } else if (phase.name === 'release') {
+            // Only the opposite direction still held confirms it was pressed
+            if (settled && seen === 'second') {
+                this.finishTrial(SocdAnalyzer.OUTCOMES[trial.observed]);
+            } else if (elapsed >= SocdAnalyzer.RELEASE_TIMEOUT) {
+                this.finishTrial('inconclusive');
+            }
+        } else if (settled && seen === 'none') {
+            this.nextTrial();
+        }
+    }
+
+    /**
+     * Record a trial's outcome and wait for the lever to return to neutral
+     */
+    finishTrial(outcome) {
+        const test = this.activeTest;
+        const trial = test.trials[test.current];
+        trial.outcome = outcome;
+        this.emit('trial', { ...trial, winner: SocdAnalyzer.winnerOf(trial) });
+        this.enterPhase('clear');
+    }
+
+    /**
+     * Start the next trial, or finish after the last
+     */
+    nextTrial() {
+        const test = this.activeTest;
+        test.current++;
+        if (test.current < test.trials.length) {
+            this.enterPhase('hold');
+            return;
+        }
+
+        this.activeTest = null;
+        const report = {
+            id: this.gamepadManager.getActiveGamepad() ? this.gamepadManager.getActiveGamepad().id : null,
+            testedAt: new Date().toISOString(),
+        };
+        ['horizontal', 'vertical'].forEach((axis) => {
+            const trials = test.trials.filter((trial) => trial.axis === axis);
+            report[axis] = { mode: SocdAnalyzer.resolveMode(trials), trials: trials };
+        });
+
+        this.report = report;
+        this.emit('complete', report);
+    }
+
+    /**
+     * Get the report of the last finished test, or null
+     */
+    getReport() {
+        return this.report;
+    }
+
+    /**
+     * No direction held
+     */
+    static createDirections() {
+        return { left: false, right: false, up: false, down: false };
+    }
+
+    /**
+     * Directions held in a gamepad state: D-pad buttons (through the profile's diagram
+     * table on non-standard pads) or the left stick, as the combo detector reads them
+     */
+    static readDirections(state) {
+        const directions = SocdAnalyzer.createDirections();
+        const diagram = state.profile && state.profile.diagram;
+
+        state.buttons.forEach((button, index) => {
+            const standard = diagram ? diagram.buttons[index] : index;
+            const direction = SequenceEngine.DPAD_BUTTONS[standard];
+            if (direction && button.pressed) directions[direction] = true;
+        });
+
+        const stick = state.sticks && state.sticks.left;
+        if (stick) {
+            const threshold = SequenceEngine.DIRECTION_THRESHOLD;
+            if (stick.value.x <= -threshold) directions.left = true;
+            if (stick.value.x >= threshold) directions.right = true;
+            if (stick.value.y <= -threshold) directions.up = true;
+            if (stick.value.y >= threshold) directions.down = true;
+        }
+        return directions;
+    }
+
+    /**
+     * Numpad direction of held directions (opposites cancel out)
+     */
+    static toNumpad(directions) {
+        const x = (directions.right ? 1 : 0) - (directions.left ? 1 : 0);
+        const y = (directions.up ? 1 : 0) - (directions.down ? 1 : 0);
+        return 5 + x + y * 3;
+    }
+
+    /**
+     * Which of a trial's two directions are reported
+     */
+    static observe(directions, first, second) {
+        if (directions[first] && directions[second]) return 'both';
+        if (directions[first]) return 'first';
+        if (directions[second]) return 'second';
+        return 'none';
+    }
+
+    /**
+     * Direction a trial's device reported while both were held (null if neither or both)
+     */
+    static winnerOf(trial) {
+        if (trial.outcome === 'last') return trial.second;
+        if (trial.outcome === 'first') return trial.first;
+        return null;
+    }
+
+    /**
+     * How a device resolves one opposing pair, from the trials in both orders
+     * The same direction winning both ways is a fixed priority (e.g. 'up-priority')
+     */
+    static resolveMode(trials) {
+        const outcomes = trials.map((trial) => trial.outcome);
+        if (outcomes.includes('inconclusive')) return 'inconclusive';
+        if (outcomes.every((outcome) => outcome === outcomes[0])) return SocdAnalyzer.MODES[outcomes[0]];
+
+        const winners = trials.map((trial) => SocdAnalyzer.winnerOf(trial));
+        if (winners[0] && winners.every((winner) => winner === winners[0])) return `${winners[0]}-priority`;
+        return 'inconsistent';
+    }
+
+    /**
+     * Readable name of an axis mode
+     */
+    static describeMode(mode) {
+        if (SocdAnalyzer.MODE_LABELS[mode]) return SocdAnalyzer.MODE_LABELS[mode];
+        return `${mode.charAt(0).toUpperCase()}${mode.slice(1).replace('-', ' ')}`;
+    }
+}
+
+// Cardinal directions, in the order they are shown
+SocdAnalyzer.DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+// Test trials: [axis, direction held first, opposite direction pressed second]
+SocdAnalyzer.TRIALS = [
+    ['horizontal', 'left', 'right'],
+    ['horizontal', 'right', 'left'],
+    ['vertical', 'up', 'down'],
+    ['vertical', 'down', 'up'],
+];
+
+// Trial outcome from what was reported while both directions were held
+SocdAnalyzer.OUTCOMES = { none: 'neutral', second: 'last', first: 'first', both: 'both' };
+
+// Device mode when every trial of an axis had the same outcome
+SocdAnalyzer.MODES = {
+    neutral: 'neutral',
+    last: 'last-input-wins',
+    first: 'first-input-wins',
+    both: 'unresolved',
+};
+
+// Labels of trial outcomes and axis modes shown in reports
+SocdAnalyzer.OUTCOME_LABELS = {
+    neutral: 'Neutral',
+    last: 'Last input wins',
+    first: 'First input wins',
+    both: 'Both passed through',
+    inconclusive: 'Inconclusive',
+};
+SocdAnalyzer.MODE_LABELS = {
+    neutral: 'Neutral (both cancel out)',
+    'last-input-wins': 'Last input wins',
+    'first-input-wins': 'First input wins',
+    unresolved: 'Not resolved (both reported)',
+    inconsistent: 'Inconsistent',
+    inconclusive: 'Inconclusive',
+};
+
+// Milliseconds the reported state must stay unchanged to count
+SocdAnalyzer.SETTLE_TIME = 250;
+
+// Milliseconds to wait for a change after prompting the opposite direction, and for its confirmation
+SocdAnalyzer.PRESS_TIMEOUT = 3000;
+SocdAnalyzer.RELEASE_TIMEOUT = 6000;
+
+// Export for use
+window.SocdAnalyzer = SocdAnalyzer;
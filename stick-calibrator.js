@@ -0,0 +1,158 @@
+/**
+ * ========================================================================
+ * STICK CALIBRATOR MODULE
+ * Two-step calibration wizard: sample the resting centre hands-off, then
+ * record the extents of every axis while both sticks are rotated
+ * ========================================================================
+ */
+
+class StickCalibrator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.now = options.now || (() => performance.now());
+
+        // Running wizard, or null
+        this.session = null;
+    }
+
+    /**
+     * Start calibrating a controller, beginning with the centre step
+     */
+    start(gamepadId, centerDuration = StickCalibrator.CENTER_DURATION) {
+        this.session = {
+            gamepadId: gamepadId,
+            step: 'center',
+            centerDuration: centerDuration,
+            startedAt: this.now(),
+            centerSamples: { left: [], right: [] },
+            center: {},
+            extents: {},
+        };
+        this.emit('start', { gamepadId });
+        this.emit('step', { step: 'center', duration: centerDuration });
+    }
+
+    /**
+     * Abort the wizard without producing a profile
+     */
+    cancel() {
+        if (!this.session) return;
+        this.session = null;
+        this.emit('cancel');
+    }
+
+    /**
+     * Check whether the wizard is running
+     */
+    isRunning() {
+        return this.session !== null;
+    }
+
+    /**
+     * Feed raw stick positions from a gamepad state snapshot
+     */
+    feed(sticks) {
+        const session = this.session;
+        if (!session) return;
+
+        if (session.step === 'center') {
+            this.feedCenter(session, sticks);
+        } else {
+            this.feedExtents(session, sticks);
+        }
+    }
+
+    /**
+     * Collect resting samples, then move on to the extents step
+     */
+    feedCenter(session, sticks) {
+        Object.keys(session.centerSamples).forEach((side) => {
+            if (sticks[side]) session.centerSamples[side].push({ ...sticks[side].raw });
+        });
+
+        const elapsed = this.now() - session.startedAt;
+        this.emit('progress', { step: 'center', progress: Math.min(1, elapsed / session.centerDuration) });
+        if (elapsed < session.centerDuration) return;
+
+        Object.keys(session.centerSamples).forEach((side) => {
+            const samples = session.centerSamples[side];
+            if (samples.length === 0) return;
+
+            const center = {
+                x: samples.reduce((sum, p) => sum + p.x, 0) / samples.length,
+                y: samples.reduce((sum, p) => sum + p.y, 0) / samples.length,
+            };
+            session.center[side] = center;
+            session.extents[side] = { minX: center.x, maxX: center.x, minY: center.y, maxY: center.y };
+        });
+
+        session.step = 'extents';
+        this.emit('step', { step: 'extents', center: session.center });
+    }
+
+    /**
+     * Widen the recorded extents of each stick
+     */
+    feedExtents(session, sticks) {
+        Object.keys(session.extents).forEach((side) => {
+            if (!sticks[side]) return;
+            const { x, y } = sticks[side].raw;
+            const extents = session.extents[side];
+
+            extents.minX = Math.min(extents.minX, x);
+            extents.maxX = Math.max(extents.maxX, x);
+            extents.minY = Math.min(extents.minY, y);
+            extents.maxY = Math.max(extents.maxY, y);
+        });
+
+        this.emit('progress', { step: 'extents', extents: session.extents });
+    }
+
+    /**
+     * End the extents step and build the calibration profile
+     * Returns null (and keeps the wizard running) until every axis moved far enough
+     */
+    finish() {
+        const session = this.session;
+        if (!session || session.step !== 'extents') return null;
+
+        const sticks = {};
+        const missing = [];
+
+        Object.keys(session.extents).forEach((side) => {
+            const center = session.center[side];
+            const extents = session.extents[side];
+            const axes = {
+                x: { min: extents.minX, center: center.x, max: extents.maxX },
+                y: { min: extents.minY, center: center.y, max: extents.maxY },
+            };
+
+            Object.keys(axes).forEach((axis) => {
+                const range = axes[axis];
+                const reach = Math.min(range.max - range.center, range.center - range.min);
+                if (reach < StickCalibrator.MIN_REACH) missing.push(`${side} ${axis}`);
+            });
+            sticks[side] = axes;
+        });
+
+        if (missing.length > 0 || Object.keys(sticks).length === 0) {
+            this.emit('incomplete', { missing });
+            return null;
+        }
+
+        const profile = { id: session.gamepadId, createdAt: new Date().toISOString(), sticks };
+        this.session = null;
+        this.emit('complete', profile);
+        return profile;
+    }
+}
+
+// Hands-off sampling time for the centre step, in milliseconds
+StickCalibrator.CENTER_DURATION = 2000;
+
+// Minimum travel from centre (each direction) before an axis counts as measured
+StickCalibrator.MIN_REACH = 0.5;
+
+// Export for use
+window.StickCalibrator = StickCalibrator;
@@ -0,0 +1,254 @@
+/**
+ * ========================================================================
+ * STICK DIAGNOSTICS MODULE
+ * Guided circularity ("rotate the stick") and drift ("hands off") tests
+ * for spotting worn analog sticks
+ * ========================================================================
+ */
+
+class StickDiagnostics extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Pass/fail thresholds
+        this.thresholds = { ...StickDiagnostics.DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+
+        this.now = options.now || (() => performance.now());
+
+        // Running test, or null
+        this.activeTest = null;
+
+        // Last result per test type and stick
+        this.results = { circularity: {}, drift: null };
+    }
+
+    /**
+     * Start recording the outer boundary of a stick
+     */
+    startCircularityTest(side) {
+        this.activeTest = {
+            type: 'circularity',
+            side: side,
+            bins: new Array(StickDiagnostics.ANGLE_BINS).fill(0),
+            startedAt: this.now(),
+        };
+        this.emit('start', { type: 'circularity', side });
+    }
+
+    /**
+     * Start sampling both sticks at rest
+     */
+    startDriftTest(duration = StickDiagnostics.DRIFT_DURATION) {
+        this.activeTest = {
+            type: 'drift',
+            duration: duration,
+            samples: { left: [], right: [] },
+            startedAt: this.now(),
+        };
+        this.emit('start', { type: 'drift', duration });
+    }
+
+    /**
+     * Abort the running test without producing a result
+     */
+    cancel() {
+        if (!this.activeTest) return;
+        const type = this.activeTest.type;
+        this.activeTest = null;
+        this.emit('cancel', { type });
+    }
+
+    /**
+     * Check whether a test is running
+     */
+    isRunning() {
+        return this.activeTest !== null;
+    }
+
+    /**
+     * Feed raw stick positions from a gamepad state snapshot
+     */
+    feed(sticks) {
+        const test = this.activeTest;
+        if (!test) return;
+
+        if (test.type === 'circularity') {
+            this.feedCircularity(test, sticks[test.side]);
+        } else if (test.type === 'drift') {
+            this.feedDrift(test, sticks);
+        }
+    }
+
+    /**
+     * Record the furthest radius reached in each angle bin
+     */
+    feedCircularity(test, stick) {
+        if (!stick) return;
+
+        const { x, y } = stick.raw;
+        const radius = Math.hypot(x, y);
+        if (radius < StickDiagnostics.MIN_EDGE_RADIUS) return;
+
+        const bin = StickDiagnostics.angleToBin(Math.atan2(y, x));
+        if (radius <= test.bins[bin]) return;
+
+        test.bins[bin] = radius;
+        const coverage = test.bins.filter((r) => r > 0).length / test.bins.length;
+        const fullReach = test.bins.filter((r) => r >= StickDiagnostics.FULL_REACH_RADIUS).length / test.bins.length;
+
+        this.emit('progress', {
+            type: 'circularity',
+            side: test.side,
+            coverage: coverage,
+            fullReach: fullReach,
+            boundary: StickDiagnostics.binsToBoundary(test.bins),
+        });
+
+        // Sectors only swept part-way would read as a false error, so finish on its own only
+        // once every sector reached the edge; otherwise the user finishes the test
+        if (fullReach === 1) {
+            this.finishCircularityTest();
+        }
+    }
+
+    /**
+     * Collect resting samples until the test duration elapses
+     */
+    feedDrift(test, sticks) {
+        Object.keys(test.samples).forEach((side) => {
+            if (sticks[side]) test.samples[side].push({ ...sticks[side].raw });
+        });
+
+        const elapsed = this.now() - test.startedAt;
+        this.emit('progress', { type: 'drift', progress: Math.min(1, elapsed / test.duration) });
+
+        if (elapsed >= test.duration) {
+            this.finishDriftTest();
+        }
+    }
+
+    /**
+     * Stop the circularity test and compute its result
+     * Can be called early; unfilled angles count against coverage
+     */
+    finishCircularityTest() {
+        const test = this.activeTest;
+        if (!test || test.type !== 'circularity') return null;
+        this.activeTest = null;
+
+        const filled = test.bins.filter((r) => r > 0);
+        const coverage = filled.length / test.bins.length;
+        const averageError = filled.length
+            ? filled.reduce((sum, r) => sum + Math.abs(r - 1), 0) / filled.length
+            : 1;
+
+        const result = {
+            type: 'circularity',
+            side: test.side,
+            coverage: coverage,
+            averageError: averageError,
+            minRadius: filled.length ? Math.min(...filled) : 0,
+            maxRadius: filled.length ? Math.max(...filled) : 0,
+            boundary: StickDiagnostics.binsToBoundary(test.bins),
+            passed:
+                coverage >= this.thresholds.minCoverage &&
+                averageError <= this.thresholds.circularityError,
+        };
+
+        this.results.circularity[test.side] = result;
+        this.emit('complete', result);
+        return result;
+    }
+
+    /**
+     * Stop the drift test and compute centre offset and noise per stick
+     */
+    finishDriftTest() {
+        const test = this.activeTest;
+        if (!test || test.type !== 'drift') return null;
+        this.activeTest = null;
+
+        const sticks = {};
+        Object.keys(test.samples).forEach((side) => {
+            const samples = test.samples[side];
+            if (samples.length === 0) return;
+
+            const mean = {
+                x: samples.reduce((sum, p) => sum + p.x, 0) / samples.length,
+                y: samples.reduce((sum, p) => sum + p.y, 0) / samples.length,
+            };
+            const variance =
+                samples.reduce((sum, p) => sum + (p.x - mean.x) ** 2 + (p.y - mean.y) ** 2, 0) / samples.length;
+
+            const offset = Math.hypot(mean.x, mean.y);
+            const noise = Math.sqrt(variance);
+
+            sticks[side] = {
+                samples: samples.length,
+                center: mean,
+                offset: offset,
+                noise: noise,
+                passed: offset <= this.thresholds.driftOffset && noise <= this.thresholds.driftNoise,
+            };
+        });
+
+        const result = {
+            type: 'drift',
+            duration: test.duration,
+            sticks: sticks,
+            passed: Object.values(sticks).every((s) => s.passed),
+        };
+
+        this.results.drift = result;
+        this.emit('complete', result);
+        return result;
+    }
+
+    /**
+     * Map an angle (radians) to a boundary bin
+     */
+    static angleToBin(angle) {
+        const bins = StickDiagnostics.ANGLE_BINS;
+        return Math.floor(((angle + Math.PI) / (2 * Math.PI)) * bins) % bins;
+    }
+
+    /**
+     * Convert boundary bins to plot points at each bin's centre angle
+     */
+    static binsToBoundary(bins) {
+        const step = (2 * Math.PI) / bins.length;
+        return bins
+            .map((radius, i) => {
+                if (radius === 0) return null;
+                const angle = -Math.PI + (i + 0.5) * step;
+                return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+            })
+            .filter(Boolean);
+    }
+}
+
+// Number of 5° sectors the boundary is recorded in
+StickDiagnostics.ANGLE_BINS = 72;
+
+// Radius a sample must reach to count as "at the edge"
+StickDiagnostics.MIN_EDGE_RADIUS = 0.5;
+
+// Radius every sector must reach before the circularity test finishes by itself
+StickDiagnostics.FULL_REACH_RADIUS = 0.9;
+
+// Default drift sampling time in milliseconds
+StickDiagnostics.DRIFT_DURATION = 3000;
+
+StickDiagnostics.DEFAULT_THRESHOLDS = {
+    // Average |radius - 1| across the boundary
+    circularityError: 0.1,
+    // Share of angle bins that must be visited
+    minCoverage: 0.95,
+    // Distance of the resting centre from (0, 0)
+    driftOffset: 0.08,
+    // Standard deviation of resting samples
+    driftNoise: 0.02,
+};
+
+// Export for use
+window.StickDiagnostics = StickDiagnostics;
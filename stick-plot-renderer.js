@@ -0,0 +1,188 @@
+/**
+ * ========================================================================
+ * STICK PLOT RENDERER MODULE
+ * Renders a square SVG plot of a single analog stick's X/Y plane with
+ * dead zone shapes and raw versus processed position markers
+ * ========================================================================
+ */
+
+class StickPlotRenderer {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.size = options.size || 200;
+        this.radius = this.size * 0.4;
+        this.center = this.size / 2;
+        this.label = options.label || '';
+
+        this.svg = null;
+        this.layers = {};
+        this.markers = {};
+
+        this.init();
+    }
+
+    /**
+     * Initialize and create the plot
+     */
+    init() {
+        this.createSVG();
+        this.drawGrid();
+    }
+
+    /**
+     * Create main SVG element and its layers
+     */
+    createSVG() {
+        this.container.innerHTML = '';
+
+        const svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.size} ${this.size}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'stick-plot',
+            role: 'img',
+            'aria-label': `${this.label} stick plot`,
+        });
+
+        // Drawing order: grid, dead zone shapes, data overlays, markers
+        ['grid', 'deadZone', 'overlay', 'markers'].forEach((name) => {
+            this.layers[name] = this.createElement('g', { class: `stick-plot-${name}` });
+            svg.appendChild(this.layers[name]);
+        });
+
+        this.svg = svg;
+        this.container.appendChild(svg);
+    }
+
+    /**
+     * Draw frame, crosshair and the ideal unit circle
+     */
+    drawGrid() {
+        const grid = this.layers.grid;
+        const { center: c, radius: r } = this;
+
+        grid.appendChild(this.createElement('rect', {
+            x: c - r, y: c - r, width: r * 2, height: r * 2, class: 'stick-plot-frame',
+        }));
+        grid.appendChild(this.createElement('line', { x1: c - r, y1: c, x2: c + r, y2: c, class: 'stick-plot-axis' }));
+        grid.appendChild(this.createElement('line', { x1: c, y1: c - r, x2: c, y2: c + r, class: 'stick-plot-axis' }));
+        grid.appendChild(this.createElement('circle', { cx: c, cy: c, r: r, class: 'stick-plot-circle' }));
+
+        if (this.label) {
+            const text = this.createElement('text', { x: 6, y: 14, class: 'stick-plot-label' });
+            text.textContent = this.label;
+            grid.appendChild(text);
+        }
+
+        // Raw (hollow) and processed (filled) position markers
+        this.markers.raw = this.createElement('circle', { cx: c, cy: c, r: 5, class: 'stick-plot-raw' });
+        this.markers.value = this.createElement('circle', { cx: c, cy: c, r: 4, class: 'stick-plot-value' });
+        this.layers.markers.appendChild(this.markers.raw);
+        this.layers.markers.appendChild(this.markers.value);
+    }
+
+    /**
+     * Draw the inner and outer dead zone shapes of a stick configuration
+     */
+    setDeadZone(config) {
+        const layer = this.layers.deadZone;
+        const { center: c, radius: r } = this;
+        const inner = config.inner * r;
+        const outer = config.outer * r;
+        layer.innerHTML = '';
+
+        if (config.mode === 'axial') {
+            // Cross-shaped band around each axis, square outer limit
+            layer.appendChild(this.createElement('rect', {
+                x: c - inner, y: c - r, width: inner * 2, height: r * 2, class: 'stick-plot-deadzone',
+            }));
+            layer.appendChild(this.createElement('rect', {
+                x: c - r, y: c - inner, width: r * 2, height: inner * 2, class: 'stick-plot-deadzone',
+            }));
+            layer.appendChild(this.createElement('rect', {
+                x: c - outer, y: c - outer, width: outer * 2, height: outer * 2, class: 'stick-plot-outer',
+            }));
+            return;
+        }
+
+        layer.appendChild(this.createElement('circle', { cx: c, cy: c, r: inner, class: 'stick-plot-deadzone' }));
+        layer.appendChild(this.createElement('circle', { cx: c, cy: c, r: outer, class: 'stick-plot-outer' }));
+
+        if (config.mode === 'bowtie') {
+            // Wedges that widen towards the edge along each axis
+            const w = config.inner * r;
+            const wedges = [
+                [c, c, c - w, c - r, c + w, c - r],
+                [c, c, c - w, c + r, c + w, c + r],
+                [c, c, c - r, c - w, c - r, c + w],
+                [c, c, c + r, c - w, c + r, c + w],
+            ];
+            wedges.forEach((p) => {
+                layer.appendChild(this.createElement('polygon', {
+                    points: `${p[0]},${p[1]} ${p[2]},${p[3]} ${p[4]},${p[5]}`,
+                    class: 'stick-plot-deadzone',
+                }));
+            });
+        }
+    }
+
+    /**
+     * Draw a recorded boundary as a closed outline (points in -1..1)
+     */
+    drawBoundary(points, className = 'stick-plot-boundary') {
+        this.clearOverlay();
+        if (points.length < 2) return;
+
+        const path = points.map((point) => {
+            const p = this.toPlot(point.x, point.y);
+            return `${p.x.toFixed(1)},${p.y.toFixed(1)}`;
+        });
+
+        this.layers.overlay.appendChild(this.createElement('polygon', {
+            points: path.join(' '),
+            class: className,
+        }));
+    }
+
+    /**
+     * Remove recorded data overlays
+     */
+    clearOverlay() {
+        this.layers.overlay.innerHTML = '';
+    }
+
+    /**
+     * Move the raw and processed markers (values in -1..1)
+     */
+    update(raw, value) {
+        this.moveMarker(this.markers.raw, raw);
+        this.moveMarker(this.markers.value, value || raw);
+    }
+
+    /**
+     * Position a marker at stick coordinates
+     */
+    moveMarker(marker, point) {
+        const p = this.toPlot(point.x, point.y);
+        marker.setAttribute('cx', p.x);
+        marker.setAttribute('cy', p.y);
+    }
+
+    /**
+     * Convert stick coordinates to plot coordinates
+     */
+    toPlot(x, y) {
+        return { x: this.center + x * this.radius, y: this.center + y * this.radius };
+    }
+
+    /**
+     * Utility: Create SVG element with attributes
+     */
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+}
+
+// Export for use
+window.StickPlotRenderer = StickPlotRenderer;
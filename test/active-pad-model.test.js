@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, createGamepad, setAxis } = require('./page');
+
+/**
+ * Boot the page with one pad and a started model of the given class
+ */
+function following(Model, options) {
+    const page = loadPage();
+    const pad = (page.gamepads[0] = createGamepad(0, options));
+    const model = new page.window[Model](page.manager, { settings: page.app.settingsStore });
+    const log = [];
+    ['layout', 'update', 'clear'].forEach((event) => model.on(event, () => log.push(event)));
+    model.start();
+    return { ...page, pad, model, log };
+}
+
+test('travel() maps a resting -1 axis, or +1 when inverted, to 0-1', () => {
+    const { ActivePadModel } = loadPage().window;
+
+    assert.equal(ActivePadModel.travel(-1, false), 0);
+    assert.equal(ActivePadModel.travel(0, false), 0.5);
+    assert.equal(ActivePadModel.travel(-1, true), 1);
+    assert.equal(ActivePadModel.travel(2, false), 1);
+});
+
+test('readings are emitted only when they change', () => {
+    const { manager, pad, model, log } = following('WheelModel');
+
+    manager.pollOnce();
+    manager.pollOnce();
+    setAxis(pad, 0, 0.5);
+    manager.pollOnce();
+
+    assert.deepEqual(log, ['layout', 'update', 'update']);
+    assert.equal(model.getReading().steering, 0.5);
+});
+
+test('a followed setting re-resolves the layout of the last state', () => {
+    const { app, manager, model, log } = following('FlightModel', { id: 'Flight stick', mapping: '', buttons: 12, axes: 7 });
+    manager.pollOnce();
+    assert.equal(model.getLayout().inverted, true);
+
+    app.settingsStore.set('flight.invertThrottle', true);
+
+    assert.equal(model.getLayout().inverted, false);
+    assert.deepEqual(log, ['layout', 'update', 'layout', 'update']);
+});
+
+test('stop() unsubscribes from the manager and the settings', () => {
+    const { manager, pad, model, log } = following('WheelModel');
+
+    model.stop();
+    setAxis(pad, 0, 1);
+    manager.pollOnce();
+
+    assert.equal(model.isRunning(), false);
+    assert.deepEqual(log, []);
+});
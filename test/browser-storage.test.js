@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+const { BrowserStorage } = window;
+
+test('resolve() keeps a given storage, including null', () => {
+    const storage = { getItem: () => null, setItem: () => {} };
+
+    assert.equal(BrowserStorage.resolve(storage), storage);
+    assert.equal(BrowserStorage.resolve(null), null);
+});
+
+test('resolve() falls back to localStorage', () => {
+    assert.equal(BrowserStorage.resolve(undefined), window.localStorage);
+});
+
+test('every persisting module looks storage up the same way', () => {
+    const modules = [
+        new window.CalibrationStore(),
+        new window.SettingsStore(),
+        new window.RemapLayer(),
+        new window.HapticsEngine(null),
+        new window.SequenceEngine(null),
+    ];
+
+    modules.forEach((module) => assert.equal(module.storage, window.localStorage));
+});
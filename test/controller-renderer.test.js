@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+/**
+ * Renderer on a fresh page, drawing the generic skin unless settings pick another
+ */
+function createRenderer(settings = {}) {
+    const { window } = loadScripts();
+    const store = new window.SettingsStore({ storage: null });
+    Object.entries(settings).forEach(([path, value]) => store.set(path, value));
+    return new window.ControllerRenderer('svgContainer', { settings: store });
+}
+
+const point = (element) => [Number(element.getAttribute('cx')), Number(element.getAttribute('cy'))];
+
+test('updateButtonPress() toggles the pressed class of the button part', () => {
+    const renderer = createRenderer();
+    const button = renderer.buttonElements.get(0);
+
+    renderer.updateButtonPress(0, true, 'A');
+    assert.equal(button.classList.contains('button-pressed'), true);
+    assert.ok(renderer.svg.querySelector('.button-glow-0'));
+
+    renderer.updateButtonPress(0, false, 'A');
+    assert.equal(button.classList.contains('button-pressed'), false);
+});
+
+test('stick clicks light the stick cap and digital triggers fill completely', () => {
+    const renderer = createRenderer();
+    const cap = renderer.stickElements.get('right').element;
+    const trigger = renderer.triggerElements.get(7);
+
+    renderer.updateButtonPress(11, true, 'RS');
+    renderer.updateButtonPress(7, true, 'RT');
+
+    assert.equal(cap.classList.contains('stick-pressed'), true);
+    assert.equal(trigger.getAttribute('opacity'), '1');
+    assert.equal(trigger.style.fill, 'rgba(255, 215, 0, 1)');
+});
+
+test('the glow is skipped when press glow is turned off', () => {
+    const renderer = createRenderer({ 'renderer.pressGlow': false });
+
+    renderer.updateButtonPress(1, true, 'B');
+
+    assert.equal(renderer.buttonElements.get(1).classList.contains('button-pressed'), true);
+    assert.equal(renderer.svg.querySelector('.button-glow-1'), null);
+});
+
+test('updateStickPosition() moves the cap within its travel circle', () => {
+    const renderer = createRenderer();
+    const stick = renderer.stickElements.get('left');
+
+    renderer.updateStickPosition('left', 1, 0);
+    assert.deepEqual(point(stick.element), [stick.baseX + stick.maxDistance, stick.baseY]);
+
+    renderer.updateStickPosition('left', 0, -0.5);
+    assert.deepEqual(point(stick.element), [stick.baseX, stick.baseY - stick.maxDistance / 2]);
+
+    // Square-gate corners are pulled back onto the circle
+    renderer.updateStickPosition('left', 1, 1);
+    const [x, y] = point(stick.element);
+    assert.ok(Math.abs(Math.hypot(x - stick.baseX, y - stick.baseY) - stick.maxDistance) < 1e-9);
+    assert.deepEqual({ ...renderer.axisValues.get('left') }, { x: 1, y: 1 });
+});
+
+test('the lever gate follows the D-pad, then the left stick', () => {
+    const renderer = createRenderer({ 'renderer.skin': 'arcade' });
+    const lit = () => [...renderer.svg.querySelectorAll('.gate-active')].map((marker) => marker.getAttribute('data-part'));
+
+    assert.deepEqual(lit(), ['gate-5']);
+
+    renderer.updateButtonPress(12, true, 'Up');
+    renderer.updateButtonPress(15, true, 'Right');
+    assert.deepEqual(lit(), ['gate-9']);
+
+    renderer.updateButtonPress(12, false, 'Up');
+    renderer.updateButtonPress(15, false, 'Right');
+    renderer.updateStickPosition('left', -1, 1);
+    assert.deepEqual(lit(), ['gate-1']);
+});
+
+test('reset() returns every part to rest', () => {
+    const renderer = createRenderer();
+    const left = renderer.stickElements.get('left');
+    const trigger = renderer.triggerElements.get(6);
+
+    renderer.updateButtonPress(2, true, 'X');
+    renderer.updateButtonPress(10, true, 'LS');
+    renderer.updateButtonValue(6, 0.5);
+    renderer.updateStickPosition('left', -1, 0);
+    renderer.updateStickRaw('left', -1, 0);
+
+    renderer.reset();
+
+    assert.equal(renderer.svg.querySelectorAll('.button-pressed, .stick-pressed').length, 0);
+    assert.deepEqual(point(left.element), [left.baseX, left.baseY]);
+    assert.deepEqual(point(left.rawElement), [left.baseX, left.baseY]);
+    assert.deepEqual({ ...renderer.axisValues.get('left') }, { x: 0, y: 0 });
+    assert.equal(trigger.getAttribute('opacity'), '1');
+    assert.equal(trigger.style.fill, '');
+});
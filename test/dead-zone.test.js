@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+const { DeadZoneEngine } = window;
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('radial dead zone zeroes small deflections and keeps larger ones', () => {
+    const engine = new DeadZoneEngine();
+
+    assert.deepEqual({ ...engine.processStick('left', 0.1, 0.05) }, { x: 0, y: 0 });
+
+    const stick = engine.processStick('left', 0.3, 0.4);
+    close(stick.x, 0.3);
+    close(stick.y, 0.4);
+});
+
+test('scaled radial dead zone rescales the magnitude from the inner edge', () => {
+    const engine = new DeadZoneEngine({ sticks: { left: { mode: 'scaled-radial', inner: 0.2, outer: 1 } } });
+
+    const stick = engine.processStick('left', 0.6, 0);
+    close(stick.x, 0.5);
+    close(stick.y, 0);
+
+    const full = engine.processStick('left', 0, -1);
+    close(full.y, -1);
+});
+
+test('axial dead zone cuts each axis on its own', () => {
+    const engine = new DeadZoneEngine({ sticks: { right: { mode: 'axial', inner: 0.2, outer: 0.9 } } });
+
+    assert.deepEqual({ ...engine.processStick('right', 0.15, 0.5) }, { x: 0, y: 0.5 });
+    assert.deepEqual({ ...engine.processStick('right', -0.95, 0) }, { x: -1, y: 0 });
+});
+
+test('bowtie dead zone snaps near-cardinal input to the axis', () => {
+    const engine = new DeadZoneEngine({ sticks: { left: { mode: 'bowtie', inner: 0.2, outer: 1 } } });
+
+    const stick = engine.processStick('left', 0.05, 0.9);
+    assert.equal(stick.x, 0);
+    assert.ok(stick.y > 0.8);
+});
+
+test('trigger dead zone maps the inner..outer travel onto 0..1', () => {
+    const engine = new DeadZoneEngine({ triggers: { left: { inner: 0.1, outer: 0.9 } } });
+
+    assert.equal(engine.processTrigger('left', 0.05), 0);
+    close(engine.processTrigger('left', 0.5), 0.5);
+    assert.equal(engine.processTrigger('left', 0.95), 1);
+});
+
+test('generic axes use the axial dead zone without rescaling', () => {
+    const engine = new DeadZoneEngine();
+
+    assert.equal(engine.processAxis(0.1), 0);
+    assert.equal(engine.processAxis(-0.5), -0.5);
+});
+
+test('thresholds are clamped so inner stays below outer', () => {
+    const engine = new DeadZoneEngine();
+    engine.setStickConfig('left', { inner: 2, outer: 0.5, mode: 'unknown' });
+
+    const { left } = engine.getConfig().sticks;
+    assert.equal(left.mode, 'radial');
+    assert.equal(left.outer, 0.5);
+    close(left.inner, 0.49);
+});
+
+test('configuration changes are announced unless silent', () => {
+    const engine = new DeadZoneEngine();
+    const changes = [];
+    engine.on('change', (config) => changes.push(config.triggers.right.inner));
+
+    engine.setTriggerConfig('right', { inner: 0.2 });
+    engine.setTriggerConfig('right', { inner: 0.3 }, true);
+
+    assert.deepEqual(changes, [0.2]);
+    assert.throws(() => engine.setStickConfig('middle', {}), window.RangeError);
+});
@@ -0,0 +1,115 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+let emitter;
+let errors;
+
+beforeEach(() => {
+    emitter = new window.EventEmitter();
+    errors = [];
+    window.console.error = (...args) => errors.push(args);
+});
+
+test('emit() calls every listener with the payload', () => {
+    const calls = [];
+    emitter.on('press', (payload) => calls.push(['a', payload]));
+    emitter.on('press', (payload) => calls.push(['b', payload]));
+
+    emitter.emit('press', 3);
+
+    assert.deepEqual(calls, [['a', 3], ['b', 3]]);
+});
+
+test('on() rejects a non-function listener', () => {
+    assert.throws(() => emitter.on('press', null), window.TypeError);
+});
+
+test('the unsubscribe function removes only its own registration', () => {
+    const calls = [];
+    const listener = (payload) => calls.push(payload);
+    const unsubscribeFiltered = emitter.on('press', listener, { filter: (payload) => payload > 1 });
+    emitter.on('press', listener);
+
+    unsubscribeFiltered();
+    emitter.emit('press', 0);
+
+    assert.deepEqual(calls, [0]);
+    assert.equal(emitter.listenerCount('press'), 1);
+});
+
+test('calling an unsubscribe function twice is harmless', () => {
+    const unsubscribe = emitter.on('press', () => {});
+    emitter.on('press', () => {});
+
+    unsubscribe();
+    unsubscribe();
+
+    assert.equal(emitter.listenerCount('press'), 1);
+});
+
+test('off() removes every registration of a callback', () => {
+    const listener = () => {};
+    emitter.on('press', listener);
+    emitter.on('press', listener, { once: true });
+    emitter.on('press', () => {});
+
+    emitter.off('press', listener);
+
+    assert.equal(emitter.listenerCount('press'), 1);
+    emitter.off('press');
+    assert.equal(emitter.listenerCount('press'), 0);
+});
+
+test('once() listeners run a single time', () => {
+    let count = 0;
+    emitter.once('press', () => count++);
+
+    emitter.emit('press');
+    emitter.emit('press');
+
+    assert.equal(count, 1);
+    assert.equal(emitter.listenerCount('press'), 0);
+});
+
+test('a once listener stays subscribed until its filter matches', () => {
+    const calls = [];
+    emitter.once('press', (payload) => calls.push(payload), { filter: (payload) => payload === 2 });
+
+    emitter.emit('press', 1);
+    emitter.emit('press', 2);
+    emitter.emit('press', 2);
+
+    assert.deepEqual(calls, [2]);
+});
+
+test('a once listener does not run again from a nested emit', () => {
+    let count = 0;
+    emitter.once('press', () => {
+        count++;
+        emitter.emit('press');
+    });
+
+    emitter.emit('press');
+
+    assert.equal(count, 1);
+});
+
+test('a throwing listener or filter is logged and the others still run', () => {
+    const calls = [];
+    emitter.on('press', () => {
+        throw new Error('listener');
+    });
+    emitter.on('press', () => calls.push('filtered'), {
+        filter: () => {
+            throw new Error('filter');
+        },
+    });
+    emitter.on('press', () => calls.push('last'));
+
+    emitter.emit('press');
+
+    assert.deepEqual(calls, ['last']);
+    assert.deepEqual(errors.map((args) => args[1].message), ['listener', 'filter']);
+});
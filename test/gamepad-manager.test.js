@@ -0,0 +1,194 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, createGamepad, setButton, setAxis } = require('./page');
+
+/**
+ * Record every payload of the given manager events
+ */
+function record(manager, events) {
+    const log = [];
+    events.forEach((event) => manager.on(event, (payload) => log.push([event, payload])));
+    return log;
+}
+
+test('a pad reported by navigator.getGamepads() is registered and becomes active', () => {
+    const { manager, gamepads } = loadPage();
+    const log = record(manager, ['connect', 'update']);
+
+    gamepads[2] = createGamepad(2);
+    manager.pollOnce();
+
+    assert.equal(manager.activeGamepad, 2);
+    assert.equal(manager.getGamepadCount(), 1);
+    assert.deepEqual(log.map(([event, payload]) => [event, payload.gamepadIndex]), [['connect', 2], ['update', 2]]);
+});
+
+test('gamepadconnected events register a pad before its first poll', () => {
+    const { window, manager } = loadPage();
+    const event = new window.Event('gamepadconnected');
+    event.gamepad = createGamepad(0);
+
+    window.dispatchEvent(event);
+
+    assert.equal(manager.isConnected(), true);
+    assert.equal(manager.getMapping(0).profileId, 'xbox');
+});
+
+test('press and release fire once per edge while a button is held', () => {
+    const { manager, gamepads } = loadPage();
+    const pad = (gamepads[0] = createGamepad(0));
+    manager.pollOnce();
+    const log = record(manager, ['buttonpress', 'buttonrelease']);
+
+    setButton(pad, 0, true);
+    manager.pollOnce();
+    manager.pollOnce();
+    setButton(pad, 0, false);
+    manager.pollOnce();
+    manager.pollOnce();
+
+    assert.deepEqual(log.map(([event, payload]) => [event, payload.index, payload.button]), [
+        ['buttonpress', 0, 'A'],
+        ['buttonrelease', 0, 'A'],
+    ]);
+});
+
+test('each pad has its own button edges', () => {
+    const { manager, gamepads } = loadPage();
+    const first = (gamepads[0] = createGamepad(0));
+    const second = (gamepads[1] = createGamepad(1));
+    manager.pollOnce();
+    const log = record(manager, ['buttonpress']);
+
+    setButton(first, 3, true);
+    manager.pollOnce();
+    setButton(second, 3, true);
+    manager.pollOnce();
+
+    assert.deepEqual(log.map(([, payload]) => payload.gamepadIndex), [0, 1]);
+});
+
+test('stick input inside the dead zone is zeroed and raises no axis change', () => {
+    const { manager, gamepads } = loadPage();
+    const pad = (gamepads[0] = createGamepad(0));
+    manager.pollOnce();
+    const log = record(manager, ['axischange', 'update']);
+
+    setAxis(pad, 0, 0.1);
+    manager.pollOnce();
+    assert.equal(log.filter(([event]) => event === 'axischange').length, 0);
+
+    const update = log[log.length - 1][1];
+    assert.equal(update.axes[0].value, 0);
+    assert.equal(update.axes[0].rawValue, 0.1);
+    assert.equal(update.sticks.left.raw.x, 0.1);
+
+    setAxis(pad, 0, 0.6);
+    manager.pollOnce();
+    const change = log.find(([event]) => event === 'axischange')[1];
+    assert.equal(change.index, 0);
+    assert.equal(change.value, 0.6);
+});
+
+test('dead zone settings apply to the next frame', () => {
+    const { app, manager, gamepads } = loadPage();
+    const pad = (gamepads[0] = createGamepad(0));
+    setAxis(pad, 2, 0.3);
+    manager.pollOnce();
+    const states = record(manager, ['update']);
+
+    app.settingsStore.set('deadZones.sticks.right.inner', 0.4);
+    manager.pollOnce();
+
+    assert.equal(manager.deadZones.getConfig().sticks.right.inner, 0.4);
+    assert.equal(states[0][1].axes[2].value, 0);
+});
+
+test('trigger dead zones work on the 0..1 travel', () => {
+    const { manager, gamepads } = loadPage();
+    const pad = (gamepads[0] = createGamepad(0));
+    setButton(pad, 6, false, 0.03);
+    setButton(pad, 7, true, 1);
+    manager.pollOnce();
+
+    const states = record(manager, ['update']);
+    manager.pollOnce();
+
+    const { buttons } = states[0][1];
+    assert.equal(buttons[6].value, 0);
+    assert.equal(buttons[6].rawValue, 0.03);
+    assert.equal(buttons[7].value, 1);
+});
+
+test('disconnecting the active pad switches to the next one', () => {
+    const { manager, gamepads } = loadPage();
+    gamepads[0] = createGamepad(0);
+    gamepads[1] = createGamepad(1, { id: 'Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 09cc)' });
+    manager.pollOnce();
+    const log = record(manager, ['disconnect', 'activechange']);
+
+    gamepads[0] = null;
+    manager.handleGamepadDisconnected({ gamepad: { index: 0, timestamp: 0 } });
+
+    assert.equal(manager.activeGamepad, 1);
+    assert.equal(manager.buttonStates.has(0), false);
+    assert.deepEqual(log.map(([event, payload]) => [event, payload.gamepadIndex]), [['disconnect', 0], ['activechange', 1]]);
+    assert.equal(log[1][1].previous, 0);
+});
+
+test('disconnecting the last pad leaves no active pad and no active change', () => {
+    const { manager, gamepads } = loadPage();
+    gamepads[0] = createGamepad(0);
+    manager.pollOnce();
+    const log = record(manager, ['activechange']);
+
+    gamepads[0] = null;
+    manager.handleGamepadDisconnected({ gamepad: { index: 0, timestamp: 0 } });
+
+    assert.equal(manager.activeGamepad, null);
+    assert.equal(manager.isConnected(), false);
+    assert.equal(log.length, 0);
+});
+
+test('disconnecting an inactive pad keeps the active one', () => {
+    const { manager, gamepads } = loadPage();
+    gamepads[0] = createGamepad(0);
+    gamepads[1] = createGamepad(1);
+    manager.pollOnce();
+    const log = record(manager, ['activechange']);
+
+    manager.handleGamepadDisconnected({ gamepad: { index: 1, timestamp: 0 } });
+
+    assert.equal(manager.activeGamepad, 0);
+    assert.equal(log.length, 0);
+});
+
+test('only the active pad sends update events', () => {
+    const { manager, gamepads } = loadPage();
+    gamepads[0] = createGamepad(0);
+    gamepads[1] = createGamepad(1);
+    manager.pollOnce();
+    const log = record(manager, ['update', 'activechange']);
+
+    assert.equal(manager.setActiveGamepad(1), true);
+    assert.equal(manager.setActiveGamepad(3), false);
+    manager.pollOnce();
+
+    assert.deepEqual(log.map(([event, payload]) => [event, payload.gamepadIndex]), [['activechange', 1], ['update', 1]]);
+});
+
+test('suspended live input ignores the hardware', () => {
+    const { manager, gamepads } = loadPage();
+    const pad = (gamepads[0] = createGamepad(0));
+    manager.pollOnce();
+    const log = record(manager, ['buttonpress']);
+
+    manager.suspendLiveInput();
+    setButton(pad, 1, true);
+    manager.pollOnce();
+    assert.equal(log.length, 0);
+
+    manager.resumeLiveInput();
+    manager.pollOnce();
+    assert.equal(log.length, 1);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+const { HatDecoder } = window;
+
+// Axis value of each hat position, clockwise from up
+const position = (n) => -1 + (n * 2) / 7;
+
+test('decode() maps the eight positions to numpad directions', () => {
+    const directions = [0, 1, 2, 3, 4, 5, 6, 7].map((n) => HatDecoder.decode(position(n)).direction);
+
+    assert.deepEqual(directions, [8, 9, 6, 3, 2, 1, 4, 7]);
+});
+
+test('decode() gives x/y offsets with y pointing down', () => {
+    const upRight = HatDecoder.decode(position(1));
+    assert.equal(upRight.name, 'up-right');
+    assert.equal(upRight.x, 1);
+    assert.equal(upRight.y, -1);
+
+    const down = HatDecoder.decode(position(4));
+    assert.equal(down.x, 0);
+    assert.equal(down.y, 1);
+});
+
+test('values outside -1..1 decode as centred', () => {
+    const centre = HatDecoder.decode(9 / 7);
+
+    assert.equal(centre.position, null);
+    assert.equal(centre.direction, 5);
+    assert.equal(centre.name, 'centre');
+    assert.equal(HatDecoder.decode(NaN).direction, 5);
+});
+
+test('an axis reporting the out-of-range centre is detected as a hat', () => {
+    const decoder = new HatDecoder();
+    decoder.observe([0.2, 9 / 7]);
+
+    assert.equal(decoder.isHat(1), true);
+    assert.equal(decoder.isHat(0), false);
+    assert.deepEqual([...decoder.getAxes()], [1]);
+});
+
+test('an axis needs two inner grid positions before it counts as a hat', () => {
+    const decoder = new HatDecoder();
+
+    decoder.observe([position(0)]);
+    decoder.observe([position(2)]);
+    assert.equal(decoder.isHat(0), false);
+
+    decoder.observe([position(5)]);
+    assert.equal(decoder.isHat(0), true);
+});
+
+test('an axis that leaves the grid once stays analog', () => {
+    const decoder = new HatDecoder();
+
+    decoder.observe([0.5]);
+    decoder.observe([9 / 7]);
+
+    assert.equal(decoder.isHat(0), false);
+});
+
+test('axes reading exactly 0 give no evidence either way', () => {
+    const decoder = new HatDecoder();
+
+    decoder.observe([0]);
+    decoder.observe([9 / 7]);
+
+    assert.equal(decoder.isHat(0), true);
+});
+
+test('declared axes are hats without detection', () => {
+    const decoder = new HatDecoder([9]);
+    decoder.observe(new Array(10).fill(0.5));
+
+    assert.equal(decoder.isHat(9), true);
+    assert.deepEqual([...decoder.getAxes()], [9]);
+});
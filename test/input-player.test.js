@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, createGamepad } = require('./page');
+
+const SESSION = {
+    version: 1,
+    startedAt: '2024-01-01T00:00:00.000Z',
+    duration: 40,
+    gamepad: { index: 1, id: 'Recorded pad', mapping: 'standard', buttons: 2, axes: 2 },
+    frames: [
+        { t: 0, timestamp: 100, buttons: [[0, 0, 0], [0, 0, 0]], axes: [0, 0], values: [0, 0] },
+        { t: 16, timestamp: 116, buttons: [[1, 1, 1], [0, 0, 0]], axes: [0.5, 0], values: [0.5, 0] },
+    ],
+};
+
+/**
+ * Boot the page with live pads in the given slots and pad 0 focused
+ */
+function withLivePads(indices) {
+    const page = loadPage();
+    indices.forEach((index) => (page.gamepads[index] = createGamepad(index)));
+    page.manager.pollOnce();
+    page.manager.setActiveGamepad(0);
+
+    const player = new page.window.InputPlayer(page.manager, {
+        now: () => 0,
+        requestFrame: () => 0,
+        cancelFrame: () => {},
+    });
+    player.load(SESSION);
+    return { ...page, player };
+}
+
+test('replayed frames take focus and suspend live input', () => {
+    const { manager, player } = withLivePads([0]);
+
+    player.seek(16);
+
+    assert.equal(manager.activeGamepad, 1);
+    assert.equal(manager.liveInputSuspended, true);
+    assert.equal(player.getStatus().replaying, true);
+});
+
+test('stop() drops a replayed pad on a free slot and refocuses the live pad', () => {
+    const { manager, player } = withLivePads([0]);
+
+    player.seek(16);
+    player.stop();
+
+    assert.equal(manager.gamepads.has(1), false);
+    assert.equal(manager.activeGamepad, 0);
+    assert.equal(manager.liveInputSuspended, false);
+});
+
+test('stop() refocuses the previous pad when a live pad shares the replayed slot', () => {
+    const { manager, player } = withLivePads([0, 1]);
+
+    player.seek(16);
+    player.stop();
+
+    assert.equal(manager.gamepads.has(1), true);
+    assert.equal(manager.activeGamepad, 0);
+});
@@ -0,0 +1,103 @@
+/**
+ * ========================================================================
+ * TEST PAGE HELPER
+ * Loads index.html and the scripts it references into jsdom with
+ * navigator.getGamepads stubbed, so the app runs headlessly
+ * ========================================================================
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+/**
+ * Read a script the page references, from assets/js/ or a flat checkout
+ */
+function readScript(src) {
+    const candidates = [path.join(ROOT, src), path.join(ROOT, path.basename(src))];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) throw new Error(`Script not found: ${src}`);
+    return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Build a jsdom window with every module loaded but the app not booted
+ * Options: { storage: localStorage entries to seed, gamepads: initial navigator.getGamepads() slots }
+ * Returns { window, document, gamepads } where `gamepads` is the live slot array
+ */
+function loadScripts(options = {}) {
+    const dom = new JSDOM(HTML.replace(/<script\b[^>]*><\/script>/g, ''), {
+        runScripts: 'outside-only',
+        url: 'http://localhost/',
+    });
+    const window = dom.window;
+
+    // Silence the app's console; tests assert on state, not logs
+    window.console.log = () => {};
+    window.console.warn = () => {};
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    const gamepads = options.gamepads || [null, null, null, null];
+    window.navigator.getGamepads = () => gamepads;
+
+    // Frames are stepped by hand with pollOnce()
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+    window.gamepadTesterConfig = { autoBoot: false };
+
+    [...HTML.matchAll(/<script src="([^"]+)"><\/script>/g)].forEach(([, src]) => {
+        window.eval(`${readScript(src)}\n//# sourceURL=${src}`);
+    });
+
+    return { window, document: window.document, gamepads };
+}
+
+/**
+ * Boot the app on the stubbed Gamepad API without starting the rAF loop
+ * Returns loadScripts()' result plus { app, manager }
+ */
+function loadPage(options = {}) {
+    const page = loadScripts(options);
+    const app = new page.window.GamepadTesterApp({ autoStart: false });
+    return { ...page, app, manager: app.gamepadManager };
+}
+
+/**
+ * Plain Gamepad-like object as navigator.getGamepads() returns it
+ */
+function createGamepad(index, options = {}) {
+    const buttons = options.buttons !== undefined ? options.buttons : 17;
+    const axes = options.axes !== undefined ? options.axes : 4;
+    return {
+        index: index,
+        id: options.id || 'Xbox 360 Controller (XInput STANDARD GAMEPAD)',
+        mapping: options.mapping !== undefined ? options.mapping : 'standard',
+        connected: true,
+        timestamp: 0,
+        buttons: Array.from({ length: buttons }, () => ({ pressed: false, touched: false, value: 0 })),
+        axes: new Array(axes).fill(0),
+        vibrationActuator: null,
+    };
+}
+
+/**
+ * Set a button of a Gamepad-like object
+ */
+function setButton(gamepad, index, pressed, value = pressed ? 1 : 0) {
+    gamepad.buttons[index] = { pressed: pressed, touched: pressed, value: value };
+    gamepad.timestamp++;
+}
+
+/**
+ * Set an axis of a Gamepad-like object
+ */
+function setAxis(gamepad, index, value) {
+    gamepad.axes[index] = value;
+    gamepad.timestamp++;
+}
+
+module.exports = { loadScripts, loadPage, createGamepad, setButton, setAxis };
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+const { RemapLayer } = window;
+const ID = 'Test pad';
+
+/**
+ * Processed input frame as GamepadManager passes it to the layer
+ */
+function frame(buttons, axes = []) {
+    return {
+        buttons: buttons.map((value) => ({ pressed: value >= 0.5, value: value, rawValue: value })),
+        axes: axes.map((value) => ({ value: value, calibratedValue: value, rawValue: value })),
+    };
+}
+
+/**
+ * Storage-like object backed by a Map
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+function layerWith(preset) {
+    const layer = new RemapLayer({ storage: null });
+    layer.savePreset(ID, preset);
+    layer.activate(ID, preset.name);
+    return layer;
+}
+
+test('input passes through untouched without an active preset', () => {
+    const layer = new RemapLayer({ storage: null });
+    const input = frame([1, 0]);
+
+    assert.equal(layer.apply(0, ID, input, 0), input);
+});
+
+test('button rules swap buttons and record their source', () => {
+    const layer = layerWith({
+        name: 'swap',
+        buttons: [
+            { target: 0, source: { type: 'button', index: 1 } },
+            { target: 1, source: { type: 'button', index: 0 } },
+        ],
+    });
+
+    const output = layer.apply(0, ID, frame([1, 0, 1]), 0);
+
+    assert.deepEqual(output.buttons.map((button) => button.pressed), [false, true, true]);
+    assert.equal(output.buttons[1].source.index, 0);
+    assert.equal(output.buttons[2].source, undefined);
+});
+
+test('an axis direction drives a button past the press threshold', () => {
+    const layer = layerWith({ name: 'axis', buttons: [{ target: 0, source: { type: 'axis', index: 0, direction: -1 } }] });
+
+    assert.equal(layer.apply(0, ID, frame([0], [-0.4]), 0).buttons[0].pressed, false);
+    const pressed = layer.apply(0, ID, frame([0], [-0.8]), 0).buttons[0];
+    assert.equal(pressed.pressed, true);
+    assert.equal(pressed.value, 0.8);
+});
+
+test('axis rules invert axes and turn button pairs into an axis', () => {
+    const layer = layerWith({
+        name: 'axes',
+        axes: [
+            { target: 0, source: { type: 'axis', index: 1 }, invert: true },
+            { target: 1, source: { type: 'buttons', positive: 0, negative: 1 } },
+        ],
+    });
+
+    const output = layer.apply(0, ID, frame([0, 1], [0.2, 0.5]), 0);
+
+    assert.equal(output.axes[0].value, -0.5);
+    assert.equal(output.axes[1].value, -1);
+});
+
+test('toggle buttons latch on each press', () => {
+    const layer = layerWith({ name: 'toggle', buttons: [{ target: 0, source: { type: 'button', index: 0 }, mode: 'toggle' }] });
+    const states = [1, 0, 0, 1, 0].map((value, t) => layer.apply(0, ID, frame([value]), t).buttons[0].pressed);
+
+    assert.deepEqual(states, [true, true, true, false, false]);
+});
+
+test('turbo buttons pulse at the preset rate while held', () => {
+    const layer = layerWith({
+        name: 'turbo',
+        turboRate: 10,
+        buttons: [{ target: 0, source: { type: 'button', index: 0 }, mode: 'turbo' }],
+    });
+    const states = [0, 25, 50, 75, 100].map((t) => layer.apply(0, ID, frame([1]), t).buttons[0].pressed);
+
+    assert.deepEqual(states, [true, true, false, false, true]);
+    assert.equal(layer.apply(0, ID, frame([0]), 125).buttons[0].pressed, false);
+});
+
+test('validate() rejects malformed presets', () => {
+    assert.throws(() => RemapLayer.validate({ name: ' ' }), /needs a name/);
+    assert.throws(
+        () => RemapLayer.validate({ name: 'bad', buttons: [{ target: 0, source: { type: 'axis', index: 0 } }] }),
+        /Invalid source for button 0/
+    );
+    assert.throws(
+        () =>
+            RemapLayer.validate({
+                name: 'dup',
+                buttons: [
+                    { target: 0, source: { type: 'button', index: 1 } },
+                    { target: 0, source: { type: 'button', index: 2 } },
+                ],
+            }),
+        /Duplicate button target/
+    );
+    assert.throws(() => RemapLayer.validate({ name: 'fast', turboRate: 99 }), /Turbo rate/);
+});
+
+test('presets and the active choice survive a reload', () => {
+    const storage = memoryStorage();
+    const layer = new RemapLayer({ storage });
+    layer.savePreset(ID, { name: 'swap', buttons: [{ target: 0, source: { type: 'button', index: 1 } }] });
+    layer.activate(ID, 'swap');
+
+    const reloaded = new RemapLayer({ storage });
+
+    assert.equal(reloaded.getActive(ID).name, 'swap');
+    assert.equal(reloaded.getPresets(ID).length, 1);
+});
+
+test('describeSource() labels buttons, axis directions and button pairs', () => {
+    assert.equal(RemapLayer.describeSource({ type: 'button', index: 3 }), 'B3');
+    assert.equal(RemapLayer.describeSource({ type: 'axis', index: 2, direction: 1 }), 'A2+');
+    assert.equal(RemapLayer.describeSource({ type: 'buttons', positive: 14, negative: 15 }), 'B14−B15');
+});
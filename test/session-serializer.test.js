@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+const { SessionSerializer } = window;
+
+// Copy a value out of the jsdom realm so deepEqual compares plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const SESSION = {
+    version: 1,
+    startedAt: '2024-01-01T00:00:00.000Z',
+    duration: 60,
+    gamepad: { index: 1, id: 'Pad, "Pro" edition', mapping: 'standard', buttons: 2, axes: 2 },
+    frames: [
+        { t: 0, timestamp: 100, buttons: [[0, 0, 0], [0, 0, 0]], axes: [0, 0], values: [0, 0] },
+        { t: 16, timestamp: 116, buttons: [[1, 1, 1], [0, 0, 0]], axes: [0.5, 0], values: [0.41, 0] },
+        { t: 40, timestamp: 140, buttons: [[0, 0, 0], [0, 0.2, 0.2]], axes: [0.5, -1], values: [0.41, -1] },
+    ],
+};
+
+test('JSON export stores per-input timelines of changes only', () => {
+    const data = JSON.parse(SessionSerializer.toJSON(SESSION));
+
+    assert.equal(data.schema, 'gamepad-tester-session');
+    assert.equal(data.version, 1);
+    assert.equal(data.buttons[0].name, 'South');
+    assert.deepEqual(data.buttons[0].events.map((e) => [e.t, e.pressed]), [[0, false], [16, true], [40, false]]);
+    assert.deepEqual(data.axes[1].events.map((e) => [e.t, e.rawValue]), [[0, 0], [40, -1]]);
+});
+
+test('JSON export parses back into the recorded frames', () => {
+    const session = SessionSerializer.parse(SessionSerializer.toJSON(SESSION));
+
+    assert.deepEqual(plain(session), SESSION);
+});
+
+test('CSV export parses back into the recorded frames', () => {
+    const csv = SessionSerializer.toCSV(SESSION);
+    const lines = csv.trim().split('\n');
+
+    assert.equal(lines[9], SessionSerializer.CSV_COLUMNS.join(','));
+    assert.equal(lines[10], '0,100,button,0,South,0,0,0');
+    assert.deepEqual(plain(SessionSerializer.parse(csv)), SESSION);
+});
+
+test('CSV fields with commas or quotes are quoted', () => {
+    assert.equal(SessionSerializer.csvField('a,"b"'), '"a,""b"""');
+    assert.deepEqual([...SessionSerializer.splitCSV('1,"a,""b""",c')], ['1', 'a,"b"', 'c']);
+});
+
+test('parse() rejects other files with a message', () => {
+    const json = JSON.parse(SessionSerializer.toJSON(SESSION));
+
+    assert.throws(() => SessionSerializer.parse('hello'), /Unrecognised file/);
+    assert.throws(() => SessionSerializer.parse(JSON.stringify({ ...json, schema: 'other' })), /Not a gamepad-tester-session file/);
+    assert.throws(() => SessionSerializer.parse(JSON.stringify({ ...json, version: 2 })), /Unsupported schema version 2/);
+
+    json.axes[0].events.reverse();
+    assert.throws(() => SessionSerializer.parse(JSON.stringify(json)), /not in time order/);
+
+    const csv = SessionSerializer.toCSV(SESSION).replace('button,0,South', 'button,5,South');
+    assert.throws(() => SessionSerializer.parse(csv), /Invalid button index 5/);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+/**
+ * Storage-like object backed by a Map
+ */
+function memoryStorage(items = {}) {
+    const map = new Map(Object.entries(items));
+    return {
+        getItem: (key) => (map.has(key) ? map.get(key) : null),
+        setItem: (key, value) => map.set(key, String(value)),
+    };
+}
+
+const saved = (version, values) => ({ 'gamepad-tester.settings': JSON.stringify({ version, values }) });
+
+test('settings start from the defaults', () => {
+    const { window } = loadScripts();
+    const store = new window.SettingsStore({ storage: memoryStorage() });
+
+    assert.equal(store.get('theme'), 'dark');
+    assert.equal(store.get('renderer.skin'), 'auto');
+    assert.equal(store.get('deadZones.sticks.left.inner'), window.DeadZoneEngine.STICK_DEAD_ZONE);
+});
+
+test('set() validates, persists and announces changes', () => {
+    const { window } = loadScripts();
+    const storage = memoryStorage();
+    const store = new window.SettingsStore({ storage });
+    const changes = [];
+    store.watch('renderer', (event) => changes.push([...event.fields]));
+
+    assert.equal(store.set('renderer', { pressGlow: false, showRawSticks: true }), true);
+    assert.equal(store.set('renderer.pressGlow', false), false);
+    assert.throws(() => store.set('renderer.pressGlow', 'no'), window.RangeError);
+    assert.throws(() => store.set('renderer.colour', 'red'), /Unknown setting/);
+
+    assert.deepEqual(changes, [['renderer.pressGlow']]);
+    assert.equal(new window.SettingsStore({ storage }).get('renderer.pressGlow'), false);
+});
+
+test('invalid saved fields fall back to their defaults', () => {
+    const { window } = loadScripts();
+    const storage = memoryStorage(saved(1, { theme: 'pink', wheel: { rotation: 540 } }));
+
+    const store = new window.SettingsStore({ storage });
+
+    assert.equal(store.get('theme'), 'dark');
+    assert.equal(store.get('wheel.rotation'), 540);
+});
+
+test('older saved settings are upgraded through each migration in turn', () => {
+    const { window } = loadScripts();
+    const { SettingsStore } = window;
+    SettingsStore.VERSION = 3;
+    SettingsStore.MIGRATIONS = {
+        // Version 1 named the setting `glow`
+        1: (values) => ({ ...values, renderer: { pressGlow: values.glow } }),
+        // Version 2 stored the rotation in turns
+        2: (values) => ({ ...values, wheel: { rotation: values.wheel.turns * 360 } }),
+    };
+
+    const store = new SettingsStore({ storage: memoryStorage(saved(1, { glow: false, wheel: { turns: 2.5 } })) });
+
+    assert.equal(store.get('renderer.pressGlow'), false);
+    assert.equal(store.get('wheel.rotation'), 900);
+});
+
+test('migrate() runs only the steps after the saved version', () => {
+    const { window } = loadScripts();
+    const { SettingsStore } = window;
+    const steps = [];
+    SettingsStore.VERSION = 3;
+    SettingsStore.MIGRATIONS = {
+        1: (values) => {
+            steps.push(1);
+            return values;
+        },
+        2: (values) => {
+            steps.push(2);
+            return { ...values, step: 2 };
+        },
+    };
+
+    assert.equal(SettingsStore.migrate({ version: 2, values: {} }).step, 2);
+    assert.deepEqual(steps, [2]);
+    assert.equal(SettingsStore.migrate({ version: 3, values: { step: 3 } }).step, 3);
+    assert.deepEqual(steps, [2]);
+});
+
+test('migrate() rejects unknown, newer and unmigratable data', () => {
+    const { window } = loadScripts();
+    const { SettingsStore } = window;
+
+    assert.throws(() => SettingsStore.migrate(null), /Not a settings object/);
+    assert.throws(() => SettingsStore.migrate({ version: 9, values: {} }), /newer than supported/);
+
+    SettingsStore.VERSION = 2;
+    assert.throws(() => SettingsStore.migrate({ version: 1, values: {} }), /No migration from settings version 1/);
+});
+
+test('unreadable saved settings leave the defaults in place', () => {
+    const { window } = loadScripts();
+    const storage = memoryStorage({ 'gamepad-tester.settings': '{not json' });
+
+    const store = new window.SettingsStore({ storage });
+
+    assert.deepEqual(JSON.parse(JSON.stringify(store.getAll())), JSON.parse(JSON.stringify(window.SettingsStore.createDefaults())));
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+const { window } = loadScripts();
+const { StickDiagnostics } = window;
+
+/**
+ * Sweep the left stick once around the circle at a radius given per angle
+ */
+function sweep(diagnostics, radiusAt) {
+    for (let degrees = -177.5; degrees < 180; degrees += 5) {
+        const angle = (degrees * Math.PI) / 180;
+        const radius = radiusAt(degrees);
+        diagnostics.feed({ left: { raw: { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius } } });
+    }
+}
+
+function record(diagnostics) {
+    const results = [];
+    diagnostics.on('complete', (result) => results.push(result));
+    return results;
+}
+
+test('a sweep that reaches the edge everywhere finishes and passes', () => {
+    const diagnostics = new StickDiagnostics();
+    const results = record(diagnostics);
+
+    diagnostics.startCircularityTest('left');
+    sweep(diagnostics, () => 1);
+
+    assert.equal(diagnostics.isRunning(), false);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].coverage, 1);
+    assert.equal(results[0].passed, true);
+});
+
+test('sectors swept short of the edge keep the test running', () => {
+    const diagnostics = new StickDiagnostics();
+    const results = record(diagnostics);
+    const progress = [];
+    diagnostics.on('progress', (event) => progress.push(event));
+
+    diagnostics.startCircularityTest('left');
+    sweep(diagnostics, (degrees) => (degrees > 90 ? 0.6 : 1));
+
+    assert.equal(diagnostics.isRunning(), true);
+    assert.equal(results.length, 0);
+    assert.equal(progress[progress.length - 1].coverage, 1);
+    assert.ok(progress[progress.length - 1].fullReach < 1);
+
+    // A second lap reaches the edge there too
+    sweep(diagnostics, () => 1);
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].passed, true);
+});
+
+test('finishing early judges what was recorded', () => {
+    const diagnostics = new StickDiagnostics();
+    diagnostics.startCircularityTest('left');
+    sweep(diagnostics, (degrees) => (degrees > 90 ? 0.6 : 1));
+
+    const result = diagnostics.finishCircularityTest();
+
+    assert.equal(result.coverage, 1);
+    assert.equal(result.minRadius.toFixed(2), '0.60');
+    assert.equal(result.passed, false);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./page');
+
+/**
+ * Renderer with two button lanes and one axis lane on a fresh page
+ */
+function createRenderer() {
+    const { window, document } = loadScripts();
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const renderer = new window.TimelineRenderer(container, { width: 200, gutter: 90 });
+    renderer.setLayout({ buttons: ['A', 'B'], axes: ['LS-X'] });
+    return renderer;
+}
+
+/**
+ * Samples every 100 ms with button 0 held from 200 to 400 ms and from 600 ms on
+ */
+function samples(until) {
+    const list = [];
+    for (let t = 0; t <= until; t += 100) {
+        const held = (t >= 200 && t < 400) || t >= 600;
+        list.push({ t: t, gap: false, pressed: [held, false], axes: [0] });
+    }
+    return list;
+}
+
+const ticks = (renderer) => [...renderer.svg.querySelectorAll('.timeline-tick')];
+
+test('each button lane draws its presses as one path', () => {
+    const renderer = createRenderer();
+
+    renderer.draw(samples(1000), 1000, 1000, 0);
+
+    const [held, idle] = renderer.svg.querySelectorAll('.timeline-bar');
+    assert.equal(renderer.svg.querySelectorAll('.timeline-bar').length, 2);
+    assert.equal(held.getAttribute('d'), 'M110.0,28h20.0v10h-20.0Z M150.0,28h40.0v10h-40.0Z');
+    assert.equal(idle.getAttribute('d'), '');
+});
+
+test('an unchanged frame makes no DOM writes', () => {
+    const renderer = createRenderer();
+
+    assert.ok(renderer.draw(samples(1000), 1000, 1000, 0) > 0);
+    assert.equal(renderer.draw(samples(1000), 1000, 1000, 0), 0);
+});
+
+test('ticks are reused and shifted until one leaves the window', () => {
+    const renderer = createRenderer();
+    renderer.draw(samples(1050), 1050, 1000, 0);
+    const built = ticks(renderer);
+    assert.equal(renderer.layers.grid.getAttribute('transform'), 'translate(5.0,0)');
+
+    renderer.draw(samples(1080), 1080, 1000, 0);
+    assert.equal(ticks(renderer).length, built.length);
+    assert.equal(ticks(renderer).every((tick, i) => tick === built[i]), true);
+    assert.equal(renderer.layers.grid.getAttribute('transform'), 'translate(2.0,0)');
+
+    renderer.draw(samples(1150), 1150, 1000, 0);
+    assert.notEqual(ticks(renderer)[0], built[0]);
+    assert.equal(renderer.svg.querySelector('.timeline-grid .timeline-label').textContent, '0.2 s');
+});
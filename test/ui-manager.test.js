@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, createGamepad, setButton, setAxis } = require('./page');
+
+/**
+ * Boot the page with one standard pad polled once
+ */
+function connected(options) {
+    const page = loadPage();
+    const pad = (page.gamepads[0] = createGamepad(0, options));
+    page.manager.pollOnce();
+    return { ...page, pad, ui: page.app.uiManager };
+}
+
+test('renderButtonsGrid() builds one labelled cell per button', () => {
+    const { document, manager, pad, ui } = connected();
+    setButton(pad, 1, true);
+
+    ui.renderButtonsGrid(manager.getGamepadState(pad));
+
+    const cells = document.querySelectorAll('#buttonsGrid .button-item');
+    assert.equal(cells.length, 17);
+    assert.equal(cells[0].getAttribute('data-button-index'), '0');
+    assert.equal(cells[0].querySelector('.button-index').textContent, '[0]');
+    assert.equal(cells[0].querySelector('.button-name').textContent, 'A');
+    assert.equal(cells[0].getAttribute('aria-label'), 'A button, current state: released');
+    assert.equal(cells[1].classList.contains('pressed'), true);
+    assert.equal(cells[1].getAttribute('aria-label'), 'B button, current state: pressed');
+    assert.equal(cells[0].querySelector('.remap-source'), null);
+});
+
+test('renderAxesGrid() builds one card per axis with bar, raw marker and value', () => {
+    const { document, manager, pad, ui } = connected();
+    setAxis(pad, 0, -0.5);
+    setAxis(pad, 3, 0.1);
+
+    ui.renderAxesGrid(manager.getGamepadState(pad));
+
+    const cards = document.querySelectorAll('#axesGrid .axis-card');
+    assert.equal(cards.length, 4);
+    assert.equal(cards[0].querySelector('.axis-label').textContent, 'LS-X');
+    assert.equal(cards[0].querySelector('.axis-fill').style.width, '25%');
+    assert.equal(cards[0].querySelector('.axis-value').textContent, '-0.500 (raw -0.500)');
+    assert.equal(cards[0].querySelector('.axis-bar').getAttribute('aria-valuenow'), '-50');
+
+    // Inside the dead zone: the bar stays centred, the raw marker does not
+    assert.equal(cards[3].querySelector('.axis-fill').style.width, '50%');
+    assert.equal(cards[3].querySelector('.axis-raw-marker').style.left, '55%');
+    assert.equal(cards[3].querySelector('.axis-value').textContent, '0.000 (raw 0.100)');
+});
+
+test('hat switch axes show their decoded direction', () => {
+    const { document, manager, pad, ui } = connected({ id: 'Flight stick', mapping: '', buttons: 12, axes: 10 });
+    setAxis(pad, 9, -1 + 4 / 7);
+
+    ui.renderAxesGrid({ ...manager.getGamepadState(pad), hats: [{ index: 9 }] });
+
+    const card = document.querySelector('#axesGrid [data-axis-index="9"]');
+    assert.equal(card.classList.contains('axis-hat'), true);
+    assert.equal(card.querySelector('.axis-value').textContent, 'Hat right (raw -0.429)');
+});
+
+test('polled presses and releases patch the grid cells', () => {
+    const { document, manager, pad } = connected();
+    const cell = () => document.querySelector('#buttonsGrid [data-button-index="3"]');
+
+    setButton(pad, 3, true);
+    manager.pollOnce();
+    assert.equal(cell().classList.contains('pressed'), true);
+    assert.equal(cell().getAttribute('aria-label'), 'Y button, current state: pressed');
+
+    setButton(pad, 3, false);
+    manager.pollOnce();
+    assert.equal(cell().classList.contains('pressed'), false);
+});
+
+test('polled axis changes update the axis card', () => {
+    const { document, manager, pad } = connected();
+
+    setAxis(pad, 1, 1);
+    manager.pollOnce();
+
+    const card = document.querySelector('#axesGrid [data-axis-index="1"]');
+    assert.equal(card.querySelector('.axis-fill').style.width, '100%');
+    assert.equal(card.querySelector('.axis-value').textContent, '1.000 (raw 1.000)');
+});
+
+test('remapped cells show the physical source', () => {
+    const { document, manager, pad, ui } = connected();
+    manager.remaps.savePreset(pad.id, { name: 'swap', buttons: [{ target: 0, source: { type: 'button', index: 1 }, mode: 'turbo' }] });
+    manager.remaps.activate(pad.id, 'swap');
+
+    ui.renderButtonsGrid(manager.getGamepadState(pad));
+
+    const source = document.querySelector('#buttonsGrid [data-button-index="0"] .remap-source');
+    assert.equal(source.textContent, '← B1 turbo');
+});
@@ -0,0 +1,280 @@
+/**
+ * ========================================================================
+ * TIMELINE RENDERER MODULE
+ * Renders a logic-analyser style SVG timeline: one lane per button with
+ * press bars and one line graph per axis, over a scrolling time window
+ * ========================================================================
+ */
+
+class TimelineRenderer {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.width = options.width || 720;
+        this.gutter = options.gutter || 90;
+        this.laneHeight = options.laneHeight || 14;
+        this.axisHeight = options.axisHeight || 40;
+        this.padding = 10;
+        this.height = this.padding * 2;
+
+        this.svg = null;
+        this.layers = {};
+        this.buttonLanes = [];
+        this.axisLanes = [];
+        this.cursor = null;
+
+        // Shown time window: { start, end, origin } in milliseconds
+        this.view = null;
+
+        // Ticks the grid was built for, so it is only rebuilt when they change
+        this.scaleKey = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize and create the plot
+     */
+    init() {
+        this.setLayout({ buttons: [], axes: [] });
+    }
+
+    /**
+     * Build one lane per button and per axis
+     */
+    setLayout(layout) {
+        this.container.innerHTML = '';
+        this.buttonLanes = [];
+        this.axisLanes = [];
+        this.view = null;
+        this.scaleKey = null;
+
+        const p = this.padding;
+        this.height = p * 2 + TimelineRenderer.SCALE_HEIGHT +
+            layout.buttons.length * this.laneHeight + layout.axes.length * (this.axisHeight + 4);
+
+        const svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'timeline-plot',
+            role: 'img',
+            'aria-label': 'Input timeline: button presses and axis values over time',
+        });
+
+        // Drawing order: lanes and labels, time grid, signals, hover cursor
+        ['lanes', 'grid', 'signals', 'cursor'].forEach((name) => {
+            this.layers[name] = this.createElement('g', { class: `timeline-${name}` });
+            svg.appendChild(this.layers[name]);
+        });
+
+        let y = p + TimelineRenderer.SCALE_HEIGHT;
+        layout.buttons.forEach((name, i) => {
+            this.addLaneLabel(`${i} ${name}`, y, this.laneHeight, i % 2 === 0);
+            const bars = this.createElement('path', { class: 'timeline-bar', d: '' });
+            this.layers.signals.appendChild(bars);
+            this.buttonLanes.push({ y: y, bars: bars });
+            y += this.laneHeight;
+        });
+
+        layout.axes.forEach((name, i) => {
+            y += 4;
+            this.addLaneLabel(`A${i} ${name}`, y, this.axisHeight, true);
+            const middle = y + this.axisHeight / 2;
+            this.layers.lanes.appendChild(this.createElement('line', {
+                x1: this.gutter, y1: middle, x2: this.width - p, y2: middle, class: 'timeline-zero',
+            }));
+            const line = this.createElement('path', { class: 'timeline-axis', d: '' });
+            this.layers.signals.appendChild(line);
+            this.axisLanes.push({ y: y, line: line });
+            y += this.axisHeight;
+        });
+
+        this.cursor = this.createElement('line', {
+            x1: this.gutter, y1: p, x2: this.gutter, y2: this.height - p, class: 'timeline-position', visibility: 'hidden',
+        });
+        this.layers.cursor.appendChild(this.cursor);
+
+        this.svg = svg;
+        this.container.appendChild(svg);
+    }
+
+    /**
+     * Add a lane's background stripe and label
+     */
+    addLaneLabel(text, y, height, striped) {
+        if (striped) {
+            this.layers.lanes.appendChild(this.createElement('rect', {
+                x: this.gutter, y: y, width: this.width - this.padding - this.gutter, height: height, class: 'timeline-lane',
+            }));
+        }
+
+        const label = this.createElement('text', {
+            x: this.gutter - 6, y: y + height / 2 + 3, class: 'timeline-label', 'text-anchor': 'end',
+        });
+        label.textContent = text;
+        this.layers.lanes.appendChild(label);
+    }
+
+    /**
+     * Draw samples ({ t, gap, pressed, axes }) for the window ending at `end`
+     * `origin` is the time shown as 0 s on the scale
+     * Returns the number of DOM writes made
+     */
+    draw(samples, end, span, origin) {
+        this.view = { start: end - span, end: end, origin: origin };
+        let writes = this.drawScale();
+
+        // Press bars: from the sample a button went down to the one it came up (or a gap)
+        this.buttonLanes.forEach((lane, button) => {
+            let d = '';
+            let pressedAt = null;
+            samples.forEach((sample, i) => {
+                const next = samples[i + 1];
+                if (sample.pressed[button] && pressedAt === null) pressedAt = sample.t;
+                const ends = !next || next.gap || !next.pressed[button];
+                if (pressedAt !== null && ends) {
+                    d += this.barPath(lane, pressedAt, next && !next.gap ? next.t : sample.t);
+                    pressedAt = null;
+                }
+            });
+            writes += this.patch(lane.bars, 'd', d.trim());
+        });
+
+        // Axis lines, skipping points closer than a unit apart
+        this.axisLanes.forEach((lane, axis) => {
+            let d = '';
+            let lastX = -Infinity;
+            samples.forEach((sample, i) => {
+                const x = this.toX(sample.t);
+                if (x - lastX < 1 && i < samples.length - 1 && !sample.gap) return;
+                const value = Math.max(-1, Math.min(1, sample.axes[axis] || 0));
+                const y = lane.y + this.axisHeight / 2 - value * (this.axisHeight / 2 - 2);
+                d += `${d === '' || sample.gap ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)} `;
+                lastX = x;
+            });
+            writes += this.patch(lane.line, 'd', d.trim());
+        });
+
+        return writes;
+    }
+
+    /**
+     * Path of one press bar in a button lane, clipped to the window
+     */
+    barPath(lane, start, end) {
+        const x1 = this.toX(start);
+        const width = Math.max(1, this.toX(end) - x1);
+        return `M${x1.toFixed(1)},${lane.y + 2}h${width.toFixed(1)}v${this.laneHeight - 4}h${(-width).toFixed(1)}Z `;
+    }
+
+    /**
+     * Draw second ticks aligned to the time origin, so they scroll with the input
+     * (none before the origin: there is no input there). The ticks are only rebuilt when
+     * one enters or leaves the window; in between the grid is shifted along
+     * Returns the number of DOM writes made
+     */
+    drawScale() {
+        const grid = this.layers.grid;
+        const { start, end, origin } = this.view;
+        const span = end - start;
+        const step = TimelineRenderer.TICK_STEPS.find((candidate) => span / candidate <= 10) || span / 10;
+        const decimals = step % 1000 === 0 ? 0 : step % 100 === 0 ? 1 : 2;
+        const plotWidth = this.width - this.padding - this.gutter;
+
+        const first = Math.ceil(Math.max(0, start - origin) / step);
+        const last = Math.floor((end - origin) / step);
+        const key = `${first}|${last}|${step}|${span}|${origin}`;
+        let writes = 0;
+
+        if (key !== this.scaleKey) {
+            this.scaleKey = key;
+            grid.innerHTML = '';
+            writes++;
+
+            // Placed relative to the first tick; the shift below moves them into the window
+            for (let n = first; n <= last; n++) {
+                const x = (this.gutter + ((n - first) * step * plotWidth) / span).toFixed(1);
+                grid.appendChild(this.createElement('line', {
+                    x1: x, y1: this.padding + TimelineRenderer.SCALE_HEIGHT - 4, x2: x, y2: this.height - this.padding,
+                    class: 'timeline-tick',
+                }));
+                const label = this.createElement('text', {
+                    x: x, y: this.padding + 8, class: 'timeline-label', 'text-anchor': 'middle',
+                });
+                label.textContent = `${((n * step) / 1000).toFixed(decimals)} s`;
+                grid.appendChild(label);
+                writes += 2;
+            }
+        }
+
+        const shift = (((first * step + origin - start) * plotWidth) / span).toFixed(1);
+        return writes + this.patch(grid, 'transform', `translate(${shift},0)`);
+    }
+
+    /**
+     * Move the hover cursor to a time, or hide it with null
+     */
+    setCursor(time) {
+        if (time === null || !this.view) {
+            this.cursor.setAttribute('visibility', 'hidden');
+            return;
+        }
+
+        const x = this.toX(time);
+        this.cursor.setAttribute('x1', x);
+        this.cursor.setAttribute('x2', x);
+        this.cursor.setAttribute('visibility', 'visible');
+    }
+
+    /**
+     * Time under a horizontal position (0-1 across the whole SVG), or null outside the lanes
+     */
+    timeAt(fraction) {
+        const x = fraction * this.width;
+        if (!this.view || x < this.gutter || x > this.width - this.padding) return null;
+
+        const plotWidth = this.width - this.padding - this.gutter;
+        return this.view.start + ((x - this.gutter) / plotWidth) * (this.view.end - this.view.start);
+    }
+
+    /**
+     * Convert a time to an x coordinate, clamped to the lanes
+     */
+    toX(time) {
+        const { start, end } = this.view;
+        const plotWidth = this.width - this.padding - this.gutter;
+        const fraction = Math.min(1, Math.max(0, (time - start) / (end - start)));
+        return this.gutter + fraction * plotWidth;
+    }
+
+    /**
+     * Set an attribute if it changed
+     * Returns the number of DOM writes made (0 or 1)
+     */
+    patch(element, name, value) {
+        if (element.getAttribute(name) === value) return 0;
+        element.setAttribute(name, value);
+        return 1;
+    }
+
+    /**
+     * Utility: Create SVG element with attributes
+     */
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+}
+
+// Height of the time scale above the lanes
+TimelineRenderer.SCALE_HEIGHT = 16;
+
+// Zoom levels (shown time window in milliseconds) and the initial one
+TimelineRenderer.SPANS = [1000, 2000, 5000, 10000, 30000];
+TimelineRenderer.DEFAULT_SPAN = 5000;
+
+// Candidate tick spacings in milliseconds, finest first
+TimelineRenderer.TICK_STEPS = [100, 250, 500, 1000, 2000, 5000];
+
+// Export for use
+window.TimelineRenderer = TimelineRenderer;
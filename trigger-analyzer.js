@@ -0,0 +1,167 @@
+/**
+ * ========================================================================
+ * TRIGGER ANALYZER MODULE
+ * Guided analog trigger test: travel range, resolution (distinct value
+ * steps and effective bit depth) and press/release hysteresis, for both
+ * axis-based and button-value-based triggers
+ * ========================================================================
+ */
+
+class TriggerAnalyzer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.now = options.now || (() => performance.now());
+
+        // Running test, or null
+        this.activeTest = null;
+
+        // Last result per trigger
+        this.results = {};
+    }
+
+    /**
+     * Start recording a trigger; the test ends after `duration` ms or on finish()
+     */
+    start(side, duration = TriggerAnalyzer.TEST_DURATION) {
+        this.activeTest = {
+            side: side,
+            duration: duration,
+            startedAt: this.now(),
+            lastProgress: -Infinity,
+            source: null,
+            index: null,
+            samples: [],
+            pressValues: [],
+            releaseValues: [],
+            wasPressed: null,
+        };
+        this.emit('start', { side, duration });
+    }
+
+    /**
+     * Abort the running test without producing a result
+     */
+    cancel() {
+        if (!this.activeTest) return;
+        const side = this.activeTest.side;
+        this.activeTest = null;
+        this.emit('cancel', { side });
+    }
+
+    /**
+     * Check whether a test is running
+     */
+    isRunning() {
+        return this.activeTest !== null;
+    }
+
+    /**
+     * Feed trigger states from a gamepad state snapshot
+     */
+    feed(triggers) {
+        const test = this.activeTest;
+        if (!test) return;
+
+        const trigger = triggers && triggers[test.side];
+        const elapsed = this.now() - test.startedAt;
+
+        if (trigger) {
+            test.source = trigger.source;
+            test.index = trigger.index;
+            test.samples.push({ t: elapsed, value: trigger.raw, pressed: trigger.pressed });
+
+            // Values at which the digital state flipped
+            if (trigger.pressed !== null && test.wasPressed !== null && trigger.pressed !== test.wasPressed) {
+                (trigger.pressed ? test.pressValues : test.releaseValues).push(trigger.raw);
+            }
+            test.wasPressed = trigger.pressed;
+        }
+
+        if (elapsed - test.lastProgress >= TriggerAnalyzer.PROGRESS_INTERVAL) {
+            test.lastProgress = elapsed;
+            this.emit('progress', {
+                side: test.side,
+                progress: Math.min(1, elapsed / test.duration),
+                samples: test.samples,
+                duration: test.duration,
+            });
+        }
+
+        if (elapsed >= test.duration) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Stop the test and compute range, resolution and hysteresis
+     */
+    finish() {
+        const test = this.activeTest;
+        if (!test) return null;
+        this.activeTest = null;
+
+        const values = test.samples.map((sample) => sample.value);
+        const steps = TriggerAnalyzer.distinctValues(values);
+        const mean = (list) => (list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null);
+
+        const min = values.length ? Math.min(...values) : 0;
+        const max = values.length ? Math.max(...values) : 0;
+        const pressThreshold = mean(test.pressValues);
+        const releaseThreshold = mean(test.releaseValues);
+
+        const result = {
+            side: test.side,
+            source: test.source,
+            index: test.index,
+            samples: test.samples,
+            duration: test.duration,
+            min: min,
+            max: max,
+            fullRange: min <= TriggerAnalyzer.RANGE_TOLERANCE && max >= 1 - TriggerAnalyzer.RANGE_TOLERANCE,
+            steps: steps.length,
+            bitDepth: steps.length > 1 ? Math.log2(steps.length) : 0,
+            smallestStep: TriggerAnalyzer.smallestStep(steps),
+            presses: test.pressValues.length,
+            pressThreshold: pressThreshold,
+            releaseThreshold: releaseThreshold,
+            hysteresis:
+                pressThreshold !== null && releaseThreshold !== null ? pressThreshold - releaseThreshold : null,
+        };
+
+        this.results[test.side] = result;
+        this.emit('complete', result);
+        return result;
+    }
+
+    /**
+     * Sorted distinct values, ignoring float noise below 1e-6
+     */
+    static distinctValues(values) {
+        const keys = new Set(values.map((value) => Math.round(value * 1e6)));
+        return [...keys].sort((a, b) => a - b).map((key) => key / 1e6);
+    }
+
+    /**
+     * Smallest gap between consecutive distinct values (0 with fewer than two)
+     */
+    static smallestStep(sortedValues) {
+        let smallest = Infinity;
+        for (let i = 1; i < sortedValues.length; i++) {
+            smallest = Math.min(smallest, sortedValues[i] - sortedValues[i - 1]);
+        }
+        return smallest === Infinity ? 0 : smallest;
+    }
+}
+
+// Default test length: several slow pulls and releases
+TriggerAnalyzer.TEST_DURATION = 8000;
+
+// Minimum time between progress events, in milliseconds
+TriggerAnalyzer.PROGRESS_INTERVAL = 100;
+
+// How close to 0 and 1 the travel must reach to count as full range
+TriggerAnalyzer.RANGE_TOLERANCE = 0.02;
+
+// Export for use
+window.TriggerAnalyzer = TriggerAnalyzer;
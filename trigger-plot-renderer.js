@@ -0,0 +1,166 @@
+/**
+ * ========================================================================
+ * TRIGGER PLOT RENDERER MODULE
+ * Renders an SVG response curve of a trigger's travel (0-1) over the
+ * test time, with pressed segments and press/release thresholds
+ * ========================================================================
+ */
+
+class TriggerPlotRenderer {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.width = options.width || 320;
+        this.height = options.height || 160;
+        this.padding = 10;
+        this.label = options.label || '';
+
+        this.svg = null;
+        this.layers = {};
+        this.marker = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize and create the plot
+     */
+    init() {
+        this.createSVG();
+        this.drawGrid();
+    }
+
+    /**
+     * Create main SVG element and its layers
+     */
+    createSVG() {
+        this.container.innerHTML = '';
+
+        const svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'trigger-plot',
+            role: 'img',
+            'aria-label': `${this.label} trigger response curve`,
+        });
+
+        // Drawing order: grid, thresholds, curve, live marker
+        ['grid', 'thresholds', 'curve', 'markers'].forEach((name) => {
+            this.layers[name] = this.createElement('g', { class: `trigger-plot-${name}` });
+            svg.appendChild(this.layers[name]);
+        });
+
+        this.svg = svg;
+        this.container.appendChild(svg);
+    }
+
+    /**
+     * Draw frame and quarter travel lines
+     */
+    drawGrid() {
+        const grid = this.layers.grid;
+        const p = this.padding;
+
+        grid.appendChild(this.createElement('rect', {
+            x: p, y: p, width: this.width - p * 2, height: this.height - p * 2, class: 'stick-plot-frame',
+        }));
+        [0.25, 0.5, 0.75].forEach((value) => {
+            const y = this.toPlot(0, value).y;
+            grid.appendChild(this.createElement('line', { x1: p, y1: y, x2: this.width - p, y2: y, class: 'stick-plot-axis' }));
+        });
+
+        if (this.label) {
+            const text = this.createElement('text', { x: p + 4, y: p + 12, class: 'stick-plot-label' });
+            text.textContent = this.label;
+            grid.appendChild(text);
+        }
+
+        this.marker = this.createElement('circle', {
+            cx: this.width - p, cy: this.toPlot(0, 0).y, r: 4, class: 'stick-plot-value',
+        });
+        this.layers.markers.appendChild(this.marker);
+    }
+
+    /**
+     * Draw recorded samples ({ t, value, pressed }) over the test duration
+     * Stretches where the trigger reported pressed are highlighted
+     */
+    drawCurve(samples, duration) {
+        const layer = this.layers.curve;
+        layer.innerHTML = '';
+        if (samples.length < 2) return;
+
+        const points = samples.map((sample) => this.toPlot(sample.t / duration, sample.value));
+        layer.appendChild(this.createElement('polyline', {
+            points: points.map((point) => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' '),
+            class: 'trigger-plot-curve',
+        }));
+
+        let pressedPath = '';
+        samples.forEach((sample, i) => {
+            if (!sample.pressed) return;
+            const command = i > 0 && samples[i - 1].pressed ? 'L' : 'M';
+            pressedPath += `${command}${points[i].x.toFixed(1)},${points[i].y.toFixed(1)} `;
+        });
+        if (pressedPath) {
+            layer.appendChild(this.createElement('path', { d: pressedPath.trim(), class: 'trigger-plot-pressed' }));
+        }
+    }
+
+    /**
+     * Draw the measured press and release thresholds (null to skip)
+     */
+    setThresholds(pressThreshold, releaseThreshold) {
+        const layer = this.layers.thresholds;
+        layer.innerHTML = '';
+
+        [
+            [pressThreshold, 'trigger-plot-press'],
+            [releaseThreshold, 'trigger-plot-release'],
+        ].forEach(([value, className]) => {
+            if (value === null || value === undefined) return;
+            const y = this.toPlot(0, value).y;
+            layer.appendChild(this.createElement('line', {
+                x1: this.padding, y1: y, x2: this.width - this.padding, y2: y, class: className,
+            }));
+        });
+    }
+
+    /**
+     * Remove the curve and thresholds
+     */
+    clear() {
+        this.layers.curve.innerHTML = '';
+        this.layers.thresholds.innerHTML = '';
+    }
+
+    /**
+     * Move the live marker to the current travel
+     */
+    update(value) {
+        this.marker.setAttribute('cy', this.toPlot(1, value).y);
+    }
+
+    /**
+     * Convert time fraction (0-1) and travel (0-1) to plot coordinates
+     */
+    toPlot(fraction, value) {
+        const p = this.padding;
+        const clamp = (v) => Math.min(1, Math.max(0, v));
+        return {
+            x: p + clamp(fraction) * (this.width - p * 2),
+            y: this.height - p - clamp(value) * (this.height - p * 2),
+        };
+    }
+
+    /**
+     * Utility: Create SVG element with attributes
+     */
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+}
+
+// Export for use
+window.TriggerPlotRenderer = TriggerPlotRenderer;
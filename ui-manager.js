@@ -13,6 +13,19 @@ class UIManager {
             statusText: document.getElementById('statusText'),
             statusDot: document.querySelector('.status-dot'),
             statusContent: document.getElementById('statusContent'),
+            perfCounter: document.getElementById('perfCounter'),
+            settingsTheme: document.getElementById('settingsTheme'),
+            settingsSkin: document.getElementById('settingsSkin'),
+            settingsShowRawSticks: document.getElementById('settingsShowRawSticks'),
+            settingsPressGlow: document.getElementById('settingsPressGlow'),
+            settingsAxisThreshold: document.getElementById('settingsAxisThreshold'),
+            settingsAxisThresholdValue: document.getElementById('settingsAxisThresholdValue'),
+            settingsSections: document.getElementById('settingsSections'),
+            settingsResetBtn: document.getElementById('settingsResetBtn'),
+            controllersSection: document.getElementById('controllersSection'),
+            controllerList: document.getElementById('controllerList'),
+            sideBySideToggle: document.getElementById('sideBySideToggle'),
+            sideBySideGrid: document.getElementById('sideBySideGrid'),
             infoSection: document.getElementById('infoSection'),
             controllerSection: document.getElementById('controllerSection'),
             buttonsSection: document.getElementById('buttonsSection'),
@@ -28,11 +41,171 @@ class UIManager {
             vibrateMediumBtn: document.getElementById('vibrateMediumBtn'),
             vibrateStrongBtn: document.getElementById('vibrateStrongBtn'),
             vibrationStatus: document.getElementById('vibrationStatus'),
+            hapticsLibrarySelect: document.getElementById('hapticsLibrarySelect'),
+            hapticsPlayBtn: document.getElementById('hapticsPlayBtn'),
+            hapticsEditBtn: document.getElementById('hapticsEditBtn'),
+            hapticsDeleteBtn: document.getElementById('hapticsDeleteBtn'),
+            hapticsStopBtn: document.getElementById('hapticsStopBtn'),
+            hapticsNameInput: document.getElementById('hapticsNameInput'),
+            hapticsRepeatInput: document.getElementById('hapticsRepeatInput'),
+            hapticsStepsBody: document.getElementById('hapticsStepsBody'),
+            hapticsTriggerNote: document.getElementById('hapticsTriggerNote'),
+            hapticsPreview: document.getElementById('hapticsPreview'),
+            hapticsAddStepBtn: document.getElementById('hapticsAddStepBtn'),
+            hapticsPlayDraftBtn: document.getElementById('hapticsPlayDraftBtn'),
+            hapticsSaveBtn: document.getElementById('hapticsSaveBtn'),
+            deadZoneSection: document.getElementById('deadZoneSection'),
+            deadZoneGrid: document.getElementById('deadZoneGrid'),
+            diagnosticsSection: document.getElementById('diagnosticsSection'),
+            circularityLeftBtn: document.getElementById('circularityLeftBtn'),
+            circularityRightBtn: document.getElementById('circularityRightBtn'),
+            driftTestBtn: document.getElementById('driftTestBtn'),
+            diagnosticsStopBtn: document.getElementById('diagnosticsStopBtn'),
+            diagnosticsPlotLeft: document.getElementById('diagnosticsPlotLeft'),
+            diagnosticsPlotRight: document.getElementById('diagnosticsPlotRight'),
+            diagnosticsStatus: document.getElementById('diagnosticsStatus'),
+            diagnosticsResults: document.getElementById('diagnosticsResults'),
+            calibrationSection: document.getElementById('calibrationSection'),
+            calibrateBtn: document.getElementById('calibrateBtn'),
+            calibrationDoneBtn: document.getElementById('calibrationDoneBtn'),
+            calibrationCancelBtn: document.getElementById('calibrationCancelBtn'),
+            calibrationClearBtn: document.getElementById('calibrationClearBtn'),
+            calibrationPlotLeft: document.getElementById('calibrationPlotLeft'),
+            calibrationPlotRight: document.getElementById('calibrationPlotRight'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
+            calibrationResults: document.getElementById('calibrationResults'),
+            calibrationExportBtn: document.getElementById('calibrationExportBtn'),
+            calibrationImportInput: document.getElementById('calibrationImportInput'),
+            triggerSection: document.getElementById('triggerSection'),
+            triggerLeftBtn: document.getElementById('triggerLeftBtn'),
+            triggerRightBtn: document.getElementById('triggerRightBtn'),
+            triggerStopBtn: document.getElementById('triggerStopBtn'),
+            triggerPlotLeft: document.getElementById('triggerPlotLeft'),
+            triggerPlotRight: document.getElementById('triggerPlotRight'),
+            triggerStatus: document.getElementById('triggerStatus'),
+            triggerResults: document.getElementById('triggerResults'),
+            latencySection: document.getElementById('latencySection'),
+            remapSection: document.getElementById('remapSection'),
+            remapPresetSelect: document.getElementById('remapPresetSelect'),
+            remapEditBtn: document.getElementById('remapEditBtn'),
+            remapDeleteBtn: document.getElementById('remapDeleteBtn'),
+            remapNameInput: document.getElementById('remapNameInput'),
+            remapTurboInput: document.getElementById('remapTurboInput'),
+            remapButtonsBody: document.getElementById('remapButtonsBody'),
+            remapAxesBody: document.getElementById('remapAxesBody'),
+            remapResetBtn: document.getElementById('remapResetBtn'),
+            remapSaveBtn: document.getElementById('remapSaveBtn'),
+            remapStatus: document.getElementById('remapStatus'),
+            comboSection: document.getElementById('comboSection'),
+            fightStickSection: document.getElementById('fightStickSection'),
+            fightStickLayoutSelect: document.getElementById('fightStickLayoutSelect'),
+            fightStickDirections: document.getElementById('fightStickDirections'),
+            fightStickArrow: document.getElementById('fightStickArrow'),
+            fightStickDigit: document.getElementById('fightStickDigit'),
+            socdStartBtn: document.getElementById('socdStartBtn'),
+            socdCancelBtn: document.getElementById('socdCancelBtn'),
+            socdStatus: document.getElementById('socdStatus'),
+            socdResultsBody: document.getElementById('socdResultsBody'),
+            socdSummary: document.getElementById('socdSummary'),
+            wheelSection: document.getElementById('wheelSection'),
+            wheelRotationInput: document.getElementById('wheelRotationInput'),
+            wheelPedalsSelect: document.getElementById('wheelPedalsSelect'),
+            wheelStatus: document.getElementById('wheelStatus'),
+            wheelPlot: document.getElementById('wheelPlot'),
+            wheelReadout: document.getElementById('wheelReadout'),
+            flightSection: document.getElementById('flightSection'),
+            flightInvertThrottleInput: document.getElementById('flightInvertThrottleInput'),
+            flightStatus: document.getElementById('flightStatus'),
+            flightPlot: document.getElementById('flightPlot'),
+            flightReadout: document.getElementById('flightReadout'),
+            selfTestSection: document.getElementById('selfTestSection'),
+            selfTestStartBtn: document.getElementById('selfTestStartBtn'),
+            selfTestSkipBtn: document.getElementById('selfTestSkipBtn'),
+            selfTestCancelBtn: document.getElementById('selfTestCancelBtn'),
+            selfTestStatus: document.getElementById('selfTestStatus'),
+            selfTestResultsBody: document.getElementById('selfTestResultsBody'),
+            selfTestHtmlBtn: document.getElementById('selfTestHtmlBtn'),
+            selfTestJsonBtn: document.getElementById('selfTestJsonBtn'),
+            chatterSection: document.getElementById('chatterSection'),
+            chatterThresholdInput: document.getElementById('chatterThresholdInput'),
+            chatterResetBtn: document.getElementById('chatterResetBtn'),
+            chatterStatus: document.getElementById('chatterStatus'),
+            chatterReportBody: document.getElementById('chatterReportBody'),
+            timelineSection: document.getElementById('timelineSection'),
+            timelinePauseBtn: document.getElementById('timelinePauseBtn'),
+            timelineZoomInBtn: document.getElementById('timelineZoomInBtn'),
+            timelineZoomOutBtn: document.getElementById('timelineZoomOutBtn'),
+            timelineSpan: document.getElementById('timelineSpan'),
+            timelinePlot: document.getElementById('timelinePlot'),
+            timelineReadout: document.getElementById('timelineReadout'),
+            comboArrow: document.getElementById('comboArrow'),
+            comboDigit: document.getElementById('comboDigit'),
+            comboStatus: document.getElementById('comboStatus'),
+            comboHistory: document.getElementById('comboHistory'),
+            comboListBody: document.getElementById('comboListBody'),
+            comboNameInput: document.getElementById('comboNameInput'),
+            comboNotationInput: document.getElementById('comboNotationInput'),
+            comboWindowInput: document.getElementById('comboWindowInput'),
+            comboSaveBtn: document.getElementById('comboSaveBtn'),
+            comboClearBtn: document.getElementById('comboClearBtn'),
+            latencyStartBtn: document.getElementById('latencyStartBtn'),
+            mashStartBtn: document.getElementById('mashStartBtn'),
+            latencyStopBtn: document.getElementById('latencyStopBtn'),
+            latencyStatus: document.getElementById('latencyStatus'),
+            latencyResults: document.getElementById('latencyResults'),
+            jitterHistogram: document.getElementById('jitterHistogram'),
+            mashHistogram: document.getElementById('mashHistogram'),
+            recordBtn: document.getElementById('recordBtn'),
+            playBtn: document.getElementById('playBtn'),
+            stopPlaybackBtn: document.getElementById('stopPlaybackBtn'),
+            seekInput: document.getElementById('seekInput'),
+            playbackTime: document.getElementById('playbackTime'),
+            speedSelect: document.getElementById('speedSelect'),
+            recordingStatus: document.getElementById('recordingStatus'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            importSessionInput: document.getElementById('importSessionInput'),
         };
 
         // State
         this.currentGamepadState = null;
-        this.buttonHoldTimers = new Map();
+        this.deadZonePlots = {};
+        this.diagnosticsPlots = {};
+        this.calibrationPlots = {};
+        this.triggerPlots = {};
+        this.hapticsPlot = null;
+
+        // Pattern being edited in the haptics designer
+        this.hapticsDraft = UIManager.createHapticsDraft();
+        this.triggerRumble = false;
+
+        // Timer that resets the vibration status line
+        this.vibrationStatusTimer = null;
+
+        // Grid cells, built once per controller layout and patched every frame
+        this.gridLayout = null;
+        this.buttonCells = [];
+        this.axisCells = [];
+
+        // DOM writes since the last takeDomWrites() call
+        this.domWrites = 0;
+
+        // Buttons flagged by the chatter detector
+        this.chatterButtons = new Set();
+
+        // Self-test marks on grid cells ('button:3', 'axis:1') -> 'current', 'pass', 'fail' or 'skipped'
+        this.selfTestMarks = new Map();
+
+        // Report of the last finished self-test, offered for download
+        this.selfTestReport = null;
+
+        // Timeline view: shown window length and hover position (0-1 across the plot, or null)
+        this.timelineSpan = TimelineRenderer.DEFAULT_SPAN;
+        this.timelineHover = null;
+
+        // Side-by-side view: one ControllerRenderer per connected pad
+        this.sideBySide = false;
+        this.padRenderers = new Map();
 
         this.init();
     }
@@ -41,7 +214,26 @@ class UIManager {
      * Initialize UI manager and event listeners
      */
     init() {
+        this.diagnosticsPlots = {
+            left: new StickPlotRenderer(this.elements.diagnosticsPlotLeft, { label: 'LS' }),
+            right: new StickPlotRenderer(this.elements.diagnosticsPlotRight, { label: 'RS' }),
+        };
+        this.calibrationPlots = {
+            left: new StickPlotRenderer(this.elements.calibrationPlotLeft, { label: 'LS' }),
+            right: new StickPlotRenderer(this.elements.calibrationPlotRight, { label: 'RS' }),
+        };
+        this.triggerPlots = {
+            left: new TriggerPlotRenderer(this.elements.triggerPlotLeft, { label: 'LT' }),
+            right: new TriggerPlotRenderer(this.elements.triggerPlotRight, { label: 'RT' }),
+        };
+        this.hapticsPlot = new HapticsPlotRenderer(this.elements.hapticsPreview);
+        this.timelinePlot = new TimelineRenderer(this.elements.timelinePlot);
+        this.wheelPlot = new WheelRenderer(this.elements.wheelPlot);
+        this.flightPlot = new FlightRenderer(this.elements.flightPlot);
+
+        this.renderSettingsSections();
         this.attachEventListeners();
+        this.renderHapticsDesigner();
         this.showDisconnectedState();
     }
 
@@ -49,6 +241,39 @@ class UIManager {
      * Attach event listeners
      */
     attachEventListeners() {
+        this.elements.sideBySideToggle.addEventListener('change', () => {
+            this.setSideBySide(this.elements.sideBySideToggle.checked);
+        });
+
+        this.elements.settingsTheme.addEventListener('change', () => {
+            window.settingsStore.set('theme', this.elements.settingsTheme.value);
+        });
+
+        this.elements.settingsSkin.addEventListener('change', () => {
+            window.settingsStore.set('renderer.skin', this.elements.settingsSkin.value);
+        });
+
+        this.elements.settingsShowRawSticks.addEventListener('change', () => {
+            window.settingsStore.set('renderer.showRawSticks', this.elements.settingsShowRawSticks.checked);
+        });
+
+        this.elements.settingsPressGlow.addEventListener('change', () => {
+            window.settingsStore.set('renderer.pressGlow', this.elements.settingsPressGlow.checked);
+        });
+
+        this.elements.settingsAxisThreshold.addEventListener('input', () => {
+            window.settingsStore.set('input.axisChangeThreshold', Number(this.elements.settingsAxisThreshold.value));
+        });
+
+        this.elements.settingsSections.addEventListener('change', (event) => {
+            const section = event.target.getAttribute('data-section');
+            if (section) window.settingsStore.set(`sections.${section}`, event.target.checked);
+        });
+
+        this.elements.settingsResetBtn.addEventListener('click', () => {
+            window.settingsStore.reset();
+        });
+
         this.elements.vibrateLightBtn.addEventListener('click', () => {
             this.triggerVibration('light');
         });
@@ -60,6 +285,357 @@ class UIManager {
         this.elements.vibrateStrongBtn.addEventListener('click', () => {
             this.triggerVibration('strong');
         });
+
+        this.elements.hapticsLibrarySelect.addEventListener('change', () => {
+            this.updateHapticsLibraryButtons();
+        });
+
+        this.elements.hapticsPlayBtn.addEventListener('click', () => {
+            if (this.elements.hapticsLibrarySelect.value) {
+                this.triggerVibration(this.elements.hapticsLibrarySelect.value);
+            }
+        });
+
+        this.elements.hapticsEditBtn.addEventListener('click', () => {
+            const pattern = window.hapticsEngine.get(this.elements.hapticsLibrarySelect.value);
+            if (pattern) this.editHapticsPattern(pattern);
+        });
+
+        this.elements.hapticsDeleteBtn.addEventListener('click', () => {
+            window.hapticsEngine.remove(this.elements.hapticsLibrarySelect.value);
+        });
+
+        this.elements.hapticsStopBtn.addEventListener('click', () => {
+            window.hapticsEngine.stop();
+        });
+
+        this.elements.hapticsNameInput.addEventListener('input', () => {
+            this.hapticsDraft.name = this.elements.hapticsNameInput.value;
+        });
+
+        this.elements.hapticsRepeatInput.addEventListener('input', () => {
+            this.hapticsDraft.repeat = Number(this.elements.hapticsRepeatInput.value);
+            this.updateHapticsPreview();
+        });
+
+        this.elements.hapticsAddStepBtn.addEventListener('click', () => {
+            const steps = this.hapticsDraft.steps;
+            steps.push({ ...steps[steps.length - 1], ramp: false });
+            this.renderHapticsDesigner();
+        });
+
+        this.elements.hapticsPlayDraftBtn.addEventListener('click', () => {
+            this.triggerVibration(this.hapticsDraft);
+        });
+
+        this.elements.hapticsSaveBtn.addEventListener('click', () => {
+            this.saveHapticsDraft();
+        });
+
+        this.elements.circularityLeftBtn.addEventListener('click', () => {
+            window.stickDiagnostics.startCircularityTest('left');
+        });
+
+        this.elements.circularityRightBtn.addEventListener('click', () => {
+            window.stickDiagnostics.startCircularityTest('right');
+        });
+
+        this.elements.driftTestBtn.addEventListener('click', () => {
+            window.stickDiagnostics.startDriftTest();
+        });
+
+        this.elements.calibrateBtn.addEventListener('click', () => {
+            if (this.currentGamepadState) {
+                window.stickCalibrator.start(this.currentGamepadState.id);
+            }
+        });
+
+        this.elements.calibrationDoneBtn.addEventListener('click', () => {
+            window.stickCalibrator.finish();
+        });
+
+        this.elements.calibrationCancelBtn.addEventListener('click', () => {
+            window.stickCalibrator.cancel();
+        });
+
+        this.elements.calibrationClearBtn.addEventListener('click', () => {
+            if (this.currentGamepadState) {
+                window.gamepadManager.calibrations.remove(this.currentGamepadState.id);
+            }
+        });
+
+        this.elements.calibrationExportBtn.addEventListener('click', () => {
+            this.exportCalibrations();
+        });
+
+        this.elements.calibrationImportInput.addEventListener('change', () => {
+            const file = this.elements.calibrationImportInput.files[0];
+            if (file) this.importCalibrations(file);
+            this.elements.calibrationImportInput.value = '';
+        });
+
+        this.elements.triggerLeftBtn.addEventListener('click', () => {
+            window.triggerAnalyzer.start('left');
+        });
+
+        this.elements.triggerRightBtn.addEventListener('click', () => {
+            window.triggerAnalyzer.start('right');
+        });
+
+        this.elements.triggerStopBtn.addEventListener('click', () => {
+            window.triggerAnalyzer.finish();
+        });
+
+        this.elements.latencyStartBtn.addEventListener('click', () => {
+            window.latencyAnalyzer.start('polling');
+        });
+
+        this.elements.mashStartBtn.addEventListener('click', () => {
+            window.latencyAnalyzer.start('mash');
+        });
+
+        this.elements.latencyStopBtn.addEventListener('click', () => {
+            window.latencyAnalyzer.stop();
+        });
+
+        this.elements.remapPresetSelect.addEventListener('change', () => {
+            if (this.currentGamepadState) {
+                window.gamepadManager.remaps.activate(this.currentGamepadState.id, this.elements.remapPresetSelect.value || null);
+            }
+        });
+
+        this.elements.remapEditBtn.addEventListener('click', () => {
+            if (!this.currentGamepadState) return;
+            const name = this.elements.remapPresetSelect.value;
+            const preset = window.gamepadManager.remaps.getPresets(this.currentGamepadState.id).find((p) => p.name === name);
+            this.renderRemapEditor(this.currentGamepadState, preset || null);
+        });
+
+        this.elements.remapDeleteBtn.addEventListener('click', () => {
+            if (this.currentGamepadState && this.elements.remapPresetSelect.value) {
+                window.gamepadManager.remaps.removePreset(this.currentGamepadState.id, this.elements.remapPresetSelect.value);
+            }
+        });
+
+        this.elements.remapResetBtn.addEventListener('click', () => {
+            if (this.currentGamepadState) this.renderRemapEditor(this.currentGamepadState, null);
+        });
+
+        this.elements.remapSaveBtn.addEventListener('click', () => {
+            this.saveRemapPreset();
+        });
+
+        this.elements.selfTestStartBtn.addEventListener('click', () => {
+            if (this.currentGamepadState) window.selfTest.start(this.currentGamepadState);
+        });
+
+        this.elements.selfTestSkipBtn.addEventListener('click', () => {
+            window.selfTest.skip();
+        });
+
+        this.elements.selfTestCancelBtn.addEventListener('click', () => {
+            window.selfTest.cancel();
+        });
+
+        this.elements.selfTestHtmlBtn.addEventListener('click', () => {
+            this.downloadSelfTestReport('html');
+        });
+
+        this.elements.selfTestJsonBtn.addEventListener('click', () => {
+            this.downloadSelfTestReport('json');
+        });
+
+        this.elements.fightStickLayoutSelect.addEventListener('change', () => {
+            window.settingsStore.set('renderer.skin', this.elements.fightStickLayoutSelect.value);
+        });
+
+        this.elements.socdStartBtn.addEventListener('click', () => {
+            window.socdAnalyzer.startTest();
+        });
+
+        this.elements.socdCancelBtn.addEventListener('click', () => {
+            window.socdAnalyzer.cancelTest();
+        });
+
+        this.elements.chatterThresholdInput.addEventListener('change', () => {
+            try {
+                window.settingsStore.set('input.chatterThreshold', Number(this.elements.chatterThresholdInput.value));
+            } catch (error) {
+                this.elements.chatterThresholdInput.value = window.settingsStore.get('input.chatterThreshold');
+                this.elements.chatterStatus.textContent = 'The chatter threshold must be 1-200 ms';
+            }
+        });
+
+        this.elements.wheelRotationInput.addEventListener('change', () => {
+            try {
+                window.settingsStore.set('wheel.rotation', Number(this.elements.wheelRotationInput.value));
+            } catch (error) {
+                this.elements.wheelRotationInput.value = window.settingsStore.get('wheel.rotation');
+                this.elements.wheelStatus.textContent = 'The rotation range must be 90-2520 degrees';
+            }
+        });
+
+        this.elements.wheelPedalsSelect.addEventListener('change', () => {
+            window.settingsStore.set('wheel.pedals', this.elements.wheelPedalsSelect.value);
+        });
+
+        this.elements.flightInvertThrottleInput.addEventListener('change', () => {
+            window.settingsStore.set('flight.invertThrottle', this.elements.flightInvertThrottleInput.checked);
+        });
+
+        this.elements.chatterResetBtn.addEventListener('click', () => {
+            window.chatterDetector.reset();
+        });
+
+        this.elements.timelinePauseBtn.addEventListener('click', () => {
+            const timeline = window.inputTimeline;
+            if (timeline.isPaused()) timeline.resume();
+            else timeline.pause();
+            this.setTimelinePaused(timeline.isPaused());
+        });
+
+        this.elements.timelineZoomInBtn.addEventListener('click', () => this.zoomTimeline(-1));
+        this.elements.timelineZoomOutBtn.addEventListener('click', () => this.zoomTimeline(1));
+
+        this.elements.timelinePlot.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.zoomTimeline(event.deltaY > 0 ? 1 : -1);
+        }, { passive: false });
+
+        this.elements.timelinePlot.addEventListener('mousemove', (event) => {
+            const rect = this.elements.timelinePlot.getBoundingClientRect();
+            if (rect.width === 0) return;
+            this.timelineHover = (event.clientX - rect.left) / rect.width;
+            this.showTimelineReadout();
+        });
+
+        this.elements.timelinePlot.addEventListener('mouseleave', () => {
+            this.timelineHover = null;
+            this.showTimelineReadout();
+        });
+
+        this.elements.comboSaveBtn.addEventListener('click', () => {
+            this.saveCombo();
+        });
+
+        this.elements.comboClearBtn.addEventListener('click', () => {
+            window.sequenceEngine.clear();
+        });
+
+        this.elements.recordBtn.addEventListener('click', () => {
+            if (window.inputRecorder.isRecording()) {
+                window.inputRecorder.stop();
+            } else {
+                window.inputPlayer.stop();
+                window.inputRecorder.start();
+            }
+        });
+
+        this.elements.playBtn.addEventListener('click', () => {
+            if (window.inputPlayer.isPlaying) {
+                window.inputPlayer.pause();
+            } else {
+                window.inputPlayer.play();
+            }
+        });
+
+        this.elements.stopPlaybackBtn.addEventListener('click', () => {
+            window.inputPlayer.stop();
+        });
+
+        this.elements.seekInput.addEventListener('input', () => {
+            window.inputPlayer.seek(Number(this.elements.seekInput.value));
+        });
+
+        this.elements.speedSelect.addEventListener('change', () => {
+            window.inputPlayer.setSpeed(Number(this.elements.speedSelect.value));
+        });
+
+        this.elements.exportJsonBtn.addEventListener('click', () => {
+            this.exportSession('json');
+        });
+
+        this.elements.exportCsvBtn.addEventListener('click', () => {
+            this.exportSession('csv');
+        });
+
+        this.elements.importSessionInput.addEventListener('change', () => {
+            const file = this.elements.importSessionInput.files[0];
+            if (file) this.importSession(file);
+            this.elements.importSessionInput.value = '';
+        });
+
+        this.elements.diagnosticsStopBtn.addEventListener('click', () => {
+            // A circularity test can be ended early; a drift test needs its full duration
+            if (!window.stickDiagnostics.finishCircularityTest()) {
+                window.stickDiagnostics.cancel();
+            }
+        });
+    }
+
+    /**
+     * List the diagram skins in the settings panel, after automatic detection
+     */
+    renderSkinOptions(skins) {
+        const select = this.elements.settingsSkin;
+        select.innerHTML = '';
+
+        [{ id: 'auto', name: 'Auto-detect' }, ...skins].forEach((skin) => {
+            const option = document.createElement('option');
+            option.value = skin.id;
+            option.textContent = skin.name;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Create a visibility toggle per switchable section, labelled like the section
+     */
+    renderSettingsSections() {
+        const container = this.elements.settingsSections;
+        container.innerHTML = '';
+
+        SettingsStore.SECTIONS.forEach((name) => {
+            const section = document.getElementById(`${name}Section`);
+            const label = document.createElement('label');
+            label.className = 'settings-check';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.setAttribute('data-section', name);
+
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(section ? section.getAttribute('aria-label') : name));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Apply the theme and section visibility and sync the settings panel controls
+     */
+    applySettings(settings) {
+        document.documentElement.setAttribute('data-theme', settings.theme);
+
+        SettingsStore.SECTIONS.forEach((name) => {
+            const section = document.getElementById(`${name}Section`);
+            if (section) section.classList.toggle('section-disabled', !settings.sections[name]);
+
+            const toggle = this.elements.settingsSections.querySelector(`[data-section="${name}"]`);
+            if (toggle) toggle.checked = settings.sections[name];
+        });
+
+        this.elements.settingsTheme.value = settings.theme;
+        this.elements.settingsSkin.value = settings.renderer.skin;
+        // Other skins leave the fight stick layout unselected
+        this.elements.fightStickLayoutSelect.value = settings.renderer.skin;
+        this.elements.settingsShowRawSticks.checked = settings.renderer.showRawSticks;
+        this.elements.settingsPressGlow.checked = settings.renderer.pressGlow;
+        this.elements.settingsAxisThreshold.value = settings.input.axisChangeThreshold;
+        this.elements.chatterThresholdInput.value = settings.input.chatterThreshold;
+        this.elements.wheelRotationInput.value = settings.wheel.rotation;
+        this.elements.wheelPedalsSelect.value = settings.wheel.pedals;
+        this.elements.flightInvertThrottleInput.checked = settings.flight.invertThrottle;
+        this.elements.settingsAxisThresholdValue.textContent = settings.input.axisChangeThreshold.toFixed(3);
     }
 
     /**
@@ -77,6 +653,22 @@ class UIManager {
         this.elements.buttonsSection.style.display = 'none';
         this.elements.axesSection.style.display = 'none';
         this.elements.vibrationSection.style.display = 'none';
+        this.elements.deadZoneSection.style.display = 'none';
+        this.elements.diagnosticsSection.style.display = 'none';
+        this.elements.calibrationSection.style.display = 'none';
+        this.elements.triggerSection.style.display = 'none';
+        this.elements.latencySection.style.display = 'none';
+        this.elements.remapSection.style.display = 'none';
+        this.elements.comboSection.style.display = 'none';
+        this.elements.fightStickSection.style.display = 'none';
+        this.elements.wheelSection.style.display = 'none';
+        this.elements.flightSection.style.display = 'none';
+        this.elements.chatterSection.style.display = 'none';
+        this.elements.selfTestSection.style.display = 'none';
+        this.elements.timelineSection.style.display = 'none';
+        this.elements.perfCounter.style.display = 'none';
+
+        this.gridLayout = null;
     }
 
     /**
@@ -95,6 +687,9 @@ class UIManager {
                 <p style="font-size: 0.85rem; color: var(--color-text-tertiary);">
                     Vibration: ${gamepadState.vibration.supported ? 'Supported' : 'Not supported'}
                 </p>
+                <p style="font-size: 0.85rem; color: var(--color-text-tertiary);">
+                    Profile: ${this.describeProfile(gamepadState.profile)}
+                </p>
             </div>
         `;
 
@@ -106,135 +701,613 @@ class UIManager {
         this.elements.controllerSection.style.display = 'block';
         this.elements.buttonsSection.style.display = 'block';
         this.elements.axesSection.style.display = 'block';
+        this.elements.deadZoneSection.style.display = 'block';
+        this.elements.diagnosticsSection.style.display = 'block';
+        this.elements.calibrationSection.style.display = 'block';
+        this.elements.triggerSection.style.display = 'block';
+        this.elements.latencySection.style.display = 'block';
+        this.elements.remapSection.style.display = 'block';
+        this.elements.comboSection.style.display = 'block';
+        this.elements.fightStickSection.style.display = 'block';
+        this.elements.wheelSection.style.display = 'block';
+        this.elements.flightSection.style.display = 'block';
+        this.elements.chatterSection.style.display = 'block';
+        this.elements.selfTestSection.style.display = 'block';
+        this.elements.timelineSection.style.display = 'block';
 
         if (gamepadState.vibration.supported) {
             this.elements.vibrationSection.style.display = 'block';
+            this.setTriggerRumble(gamepadState.vibration.effects.includes('trigger-rumble'));
         }
 
         // Render buttons and axes
-        this.renderButtonsGrid(gamepadState);
-        this.renderAxesGrid(gamepadState);
+        this.renderGrids(gamepadState);
+        this.renderRemapControls(gamepadState);
+    }
+
+    /**
+     * Describe the mapping profile applied to a controller
+     */
+    describeProfile(profile) {
+        if (!profile) return 'Unknown';
+        const mapping = profile.mapping === 'standard' ? 'standard mapping' : 'non-standard mapping';
+        return `${profile.name} (${mapping})`;
     }
 
     /**
      * Update controller information
      */
     updateControllerInfo(gamepadState) {
-        this.elements.controllerName.textContent = gamepadState.id;
-        this.elements.controllerIndex.textContent = gamepadState.index;
-        this.elements.buttonCount.textContent = gamepadState.buttons.length;
-        this.elements.axesCount.textContent = gamepadState.axes.length;
+        this.patchText(this.elements.controllerName, gamepadState.id);
+        this.patchText(this.elements.controllerIndex, String(gamepadState.index));
+        this.patchText(this.elements.buttonCount, String(gamepadState.buttons.length));
+        this.patchText(this.elements.axesCount, String(gamepadState.axes.length));
     }
 
     /**
-     * Render buttons grid
+     * Build the button and axis grids for a controller layout
      */
-    renderButtonsGrid(gamepadState) {
-        this.elements.buttonsGrid.innerHTML = '';
-
-        gamepadState.buttons.forEach((button, index) => {
-            const div = document.createElement('div');
-            div.className = 'button-item';
-            div.setAttribute('data-button-index', index);
-            div.setAttribute('role', 'status');
-            div.setAttribute('aria-label', `${button.name} button, current state: ${button.pressed ? 'pressed' : 'released'}`);
-
-            const indexSpan = document.createElement('span');
-            indexSpan.className = 'button-index';
-            indexSpan.textContent = `[${index}]`;
-
-            const nameSpan = document.createElement('span');
-            nameSpan.className = 'button-name';
-            nameSpan.textContent = button.name;
+    renderGrids(gamepadState) {
+        this.renderButtonsGrid(gamepadState);
+        this.renderAxesGrid(gamepadState);
+        this.gridLayout = this.getGridLayout(gamepadState);
+    }
 
-            div.appendChild(indexSpan);
-            div.appendChild(nameSpan);
-            this.elements.buttonsGrid.appendChild(div);
-        });
+    /**
+     * Key identifying a grid layout: the grids are rebuilt only when it changes
+     */
+    getGridLayout(gamepadState) {
+        const profileId = gamepadState.profile ? gamepadState.profile.profileId : '';
+        return [
+            gamepadState.index,
+            gamepadState.id,
+            gamepadState.buttons.length,
+            gamepadState.axes.length,
+            profileId,
+            // Remapped cells show their source, so a preset change rebuilds the grids
+            gamepadState.remap ? JSON.stringify(gamepadState.remap) : '',
+            // Hat cells show a direction, so a newly detected hat does too
+            (gamepadState.hats || []).map((hat) => hat.index).join(','),
+        ].join('|');
     }
 
     /**
-     * Render axes grid
+     * Render the connected controllers, each clickable to make it the active pad
      */
-    renderAxesGrid(gamepadState) {
-        this.elements.axesGrid.innerHTML = '';
+    renderControllerList(gamepadStates, activeIndex) {
+        const list = this.elements.controllerList;
+        list.innerHTML = '';
+        this.elements.controllersSection.style.display = gamepadStates.length > 0 ? 'block' : 'none';
 
-        gamepadState.axes.forEach((axis, index) => {
-            const card = document.createElement('div');
-            card.className = 'axis-card';
-            card.setAttribute('data-axis-index', index);
-            card.setAttribute('role', 'status');
-            card.setAttribute('aria-label', `${axis.name} axis, current value: ${axis.value.toFixed(3)}`);
+        gamepadStates.forEach((state) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'controller-list-item';
+            item.setAttribute('data-gamepad-index', state.index);
+            item.setAttribute('role', 'listitem');
+            item.title = state.id;
 
-            const label = document.createElement('div');
-            label.className = 'axis-label';
-            label.textContent = axis.name;
+            const title = document.createElement('span');
+            title.className = 'pad-title';
 
-            const bar = document.createElement('div');
-            bar.className = 'axis-bar';
-            bar.setAttribute('role', 'progressbar');
-            bar.setAttribute('aria-valuenow', (axis.value * 100).toFixed(0));
-            bar.setAttribute('aria-valuemin', '-100');
-            bar.setAttribute('aria-valuemax', '100');
+            const activity = document.createElement('span');
+            activity.className = 'pad-activity';
+            title.appendChild(activity);
+            title.appendChild(document.createTextNode(`Pad ${state.index}`));
 
-            const fill = document.createElement('div');
-            fill.className = 'axis-fill';
-            fill.style.width =
-                axis.value >= 0
-                    ? `${50 + (axis.value * 50).toFixed(0)}%`
-                    : `${50 + (axis.value * 50).toFixed(0)}%`;
-            bar.appendChild(fill);
+            const name = document.createElement('span');
+            name.className = 'pad-name';
+            name.textContent = state.profile ? state.profile.name : state.id;
 
-            const value = document.createElement('div');
-            value.className = 'axis-value';
-            value.textContent = axis.value.toFixed(3);
+            const status = document.createElement('span');
+            status.className = 'pad-status';
 
-            card.appendChild(label);
-            card.appendChild(bar);
-            card.appendChild(value);
-            this.elements.axesGrid.appendChild(card);
+            item.appendChild(title);
+            item.appendChild(name);
+            item.appendChild(status);
+            item.addEventListener('click', () => {
+                window.gamepadManager.setActiveGamepad(state.index);
+            });
+
+            list.appendChild(item);
+            this.updateControllerMiniStatus(state);
         });
+
+        this.setActiveController(activeIndex);
+
+        // Keep the side-by-side view in step with the connected pads
+        if (this.sideBySide) {
+            this.syncPadRenderers(gamepadStates);
+        }
     }
 
     /**
-     * Update button UI on press
+     * Highlight the active controller in the list
      */
-    updateButtonPress(buttonIndex, isPressed, buttonName) {
-        const buttonElement = this.elements.buttonsGrid.querySelector(
-            `[data-button-index="${buttonIndex}"]`
+    setActiveController(gamepadIndex) {
+        this.elements.controllerList.querySelectorAll('.controller-list-item').forEach((item) => {
+            const isActive = Number(item.getAttribute('data-gamepad-index')) === gamepadIndex;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-current', isActive ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Update a controller's live mini-status in the list
+     */
+    updateControllerMiniStatus(gamepadState) {
+        const item = this.elements.controllerList.querySelector(
+            `[data-gamepad-index="${gamepadState.index}"]`
         );
+        if (!item) return;
 
-        if (buttonElement) {
-            if (isPressed) {
-                buttonElement.classList.add('pressed');
+        const summary = this.summarizePadActivity(gamepadState);
+        const status = item.querySelector('.pad-status');
+        if (status.textContent !== summary.text) {
+            status.textContent = summary.text;
+        }
+        item.querySelector('.pad-activity').classList.toggle('live', summary.live);
+    }
 
-                // Determine color based on button type
-                let colorClass = '';
-                if (buttonIndex >= 0 && buttonIndex <= 3) {
-                    // Action buttons get alternating accent
-                    if (buttonIndex === 0) colorClass = 'pressed'; // Green for A
-                    else colorClass = 'pressed';
-                } else if (buttonIndex >= 4 && buttonIndex <= 7) {
-                    colorClass = 'pressed'; // Shoulder buttons
-                } else {
-                    colorClass = 'pressed neon'; // Center buttons with neon
-                }
+    /**
+     * Describe what is currently held on a pad: pressed buttons and deflected sticks
+     */
+    summarizePadActivity(gamepadState) {
+        const inputs = gamepadState.buttons.filter((button) => button.pressed).map((button) => button.name);
+
+        Object.keys(gamepadState.sticks).forEach((side) => {
+            const value = gamepadState.sticks[side].value;
+            if (value.x !== 0 || value.y !== 0) {
+                inputs.push(side === 'left' ? 'LS' : 'RS');
+            }
+        });
+
+        return {
+            live: inputs.length > 0,
+            text: inputs.length > 0 ? inputs.join(' + ') : 'Idle',
+        };
+    }
+
+    /**
+     * Show or hide one controller diagram per connected pad
+     */
+    setSideBySide(enabled) {
+        this.sideBySide = enabled;
+        this.elements.sideBySideToggle.checked = enabled;
+        this.elements.sideBySideGrid.style.display = enabled ? 'grid' : 'none';
+
+        if (enabled) {
+            const manager = window.gamepadManager;
+            this.syncPadRenderers(manager.getAllGamepads().map((gamepad) => manager.getGamepadState(gamepad)));
+        } else {
+            this.padRenderers.forEach((entry) => entry.renderer.destroy());
+            this.elements.sideBySideGrid.innerHTML = '';
+            this.padRenderers.clear();
+        }
+    }
+
+    /**
+     * Create renderers for new pads and drop those of unplugged pads
+     */
+    syncPadRenderers(gamepadStates) {
+        const connected = new Set(gamepadStates.map((state) => state.index));
+
+        this.padRenderers.forEach((entry, index) => {
+            if (!connected.has(index)) {
+                entry.renderer.destroy();
+                entry.card.remove();
+                this.padRenderers.delete(index);
+            }
+        });
+
+        gamepadStates.forEach((state) => {
+            if (!this.padRenderers.has(state.index)) {
+                this.addPadRenderer(state);
+            }
+        });
+    }
+
+    /**
+     * Add a controller diagram for one pad to the side-by-side view
+     */
+    addPadRenderer(gamepadState) {
+        const card = document.createElement('div');
+        card.className = 'side-by-side-card glass-effect';
+        card.setAttribute('data-gamepad-index', gamepadState.index);
+
+        const title = document.createElement('h3');
+        title.className = 'side-by-side-title';
+        title.textContent = `Pad ${gamepadState.index}: ${this.describeProfile(gamepadState.profile)}`;
+
+        const container = document.createElement('div');
+        container.className = 'svg-container';
+        container.id = `padRenderer${gamepadState.index}`;
+
+        card.appendChild(title);
+        card.appendChild(container);
+        this.elements.sideBySideGrid.appendChild(card);
+
+        const renderer = new ControllerRenderer(container.id, {
+            settings: window.settingsStore,
+            skins: window.controllerSkins,
+        });
+        renderer.setProfile(gamepadState.profile, gamepadState.id);
+        renderer.applyState(gamepadState);
+
+        this.padRenderers.set(gamepadState.index, { card, renderer });
+    }
+
+    /**
+     * Show a pad's latest state in its side-by-side diagram
+     */
+    updatePadRenderer(gamepadState) {
+        const entry = this.padRenderers.get(gamepadState.index);
+        if (entry) {
+            entry.renderer.applyState(gamepadState);
+        }
+    }
+
+    /**
+     * Render buttons grid
+     */
+    renderButtonsGrid(gamepadState) {
+        this.elements.buttonsGrid.innerHTML = '';
+        this.buttonCells = [];
+
+        gamepadState.buttons.forEach((button, index) => {
+            const div = document.createElement('div');
+            div.className = 'button-item';
+            div.setAttribute('data-button-index', index);
+            div.setAttribute('role', 'status');
+            div.setAttribute('aria-label', `${button.name} button, current state: ${button.pressed ? 'pressed' : 'released'}`);
+
+            const indexSpan = document.createElement('span');
+            indexSpan.className = 'button-index';
+            indexSpan.textContent = `[${index}]`;
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'button-name';
+            nameSpan.textContent = button.name;
+
+            div.appendChild(indexSpan);
+            div.appendChild(nameSpan);
+            if (button.source) {
+                const sourceSpan = document.createElement('span');
+                sourceSpan.className = 'remap-source';
+                sourceSpan.textContent = this.describeRemapSource(button);
+                div.appendChild(sourceSpan);
+            }
+            this.elements.buttonsGrid.appendChild(div);
+
+            div.classList.toggle('button-chatter', this.chatterButtons.has(index));
+            this.applySelfTestMark(div, this.selfTestMarks.get(`button:${index}`));
+            this.buttonCells[index] = { element: div, name: button.name, pressed: false };
+            if (button.pressed) {
+                this.updateButtonPress(index, true, button.name);
+            }
+        });
+    }
+
+    /**
+     * Render axes grid
+     */
+    renderAxesGrid(gamepadState) {
+        this.elements.axesGrid.innerHTML = '';
+        this.axisCells = [];
+        const hats = new Set((gamepadState.hats || []).map((hat) => hat.index));
+
+        gamepadState.axes.forEach((axis, index) => {
+            const hat = hats.has(index);
+            const card = document.createElement('div');
+            card.className = hat ? 'axis-card axis-hat' : 'axis-card';
+            card.setAttribute('data-axis-index', index);
+            card.setAttribute('role', 'status');
+            card.setAttribute('aria-label', `${axis.name} axis, current value: ${axis.value.toFixed(3)}`);
+
+            const label = document.createElement('div');
+            label.className = 'axis-label';
+            label.textContent = axis.name;
+            if (axis.source) {
+                const sourceSpan = document.createElement('span');
+                sourceSpan.className = 'remap-source';
+                sourceSpan.textContent = this.describeRemapSource(axis);
+                label.appendChild(sourceSpan);
+            }
+
+            const bar = document.createElement('div');
+            bar.className = 'axis-bar';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-valuenow', (axis.value * 100).toFixed(0));
+            bar.setAttribute('aria-valuemin', '-100');
+            bar.setAttribute('aria-valuemax', '100');
+
+            const fill = document.createElement('div');
+            fill.className = 'axis-fill';
+            fill.style.width = this.axisPercent(axis.value);
+            bar.appendChild(fill);
+
+            // Raw (pre dead zone) position marker
+            const rawMarker = document.createElement('div');
+            rawMarker.className = 'axis-raw-marker';
+            rawMarker.style.left = this.axisPercent(axis.rawValue);
+            bar.appendChild(rawMarker);
+
+            const value = document.createElement('div');
+            value.className = 'axis-value';
+            value.textContent = this.formatAxisValue(axis.value, axis.rawValue, hat);
+
+            card.appendChild(label);
+            card.appendChild(bar);
+            card.appendChild(value);
+            this.elements.axesGrid.appendChild(card);
+
+            this.applySelfTestMark(card, this.selfTestMarks.get(`axis:${index}`));
+            this.axisCells[index] = { card, bar, fill, rawMarker, valueDisplay: value, hat };
+        });
+    }
+
+    /**
+     * Label of the physical input behind a remapped button or axis
+     */
+    describeRemapSource(input) {
+        const modes = { turbo: ' turbo', toggle: ' toggle' };
+        return `← ${RemapLayer.describeSource(input.source)}${input.invert ? ' inverted' : ''}${modes[input.mode] || ''}`;
+    }
+
+    /**
+     * Show the controller's remap presets and load the applied one into the editor
+     */
+    renderRemapControls(gamepadState) {
+        const remaps = window.gamepadManager.remaps;
+        const active = remaps.getActive(gamepadState.id);
+        const select = this.elements.remapPresetSelect;
+        select.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No remapping';
+        select.appendChild(none);
+
+        remaps.getPresets(gamepadState.id).forEach((preset) => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+
+        select.value = active ? active.name : '';
+        this.elements.remapDeleteBtn.disabled = !active;
+        this.elements.remapStatus.textContent = active
+            ? `Applied: ${active.name} (${active.buttons.length} button and ${active.axes.length} axis rules)`
+            : 'No remapping: buttons and axes pass straight through';
+
+        this.renderRemapEditor(gamepadState, active);
+    }
+
+    /**
+     * Build the editor rows for every button and axis, filled from a preset (identity without one)
+     */
+    renderRemapEditor(gamepadState, preset) {
+        const buttonCount = gamepadState.buttons.length;
+        const axisCount = gamepadState.axes.length;
+        const buttonRules = new Map((preset ? preset.buttons : []).map((rule) => [rule.target, rule]));
+        const axisRules = new Map((preset ? preset.axes : []).map((rule) => [rule.target, rule]));
+        const manager = window.gamepadManager;
+
+        this.elements.remapNameInput.value = preset ? preset.name : 'My layout';
+        this.elements.remapTurboInput.value = preset ? preset.turboRate : RemapLayer.TURBO_RATE;
+
+        // Button sources: any button, or either direction of any axis
+        const buttonSources = [];
+        for (let i = 0; i < buttonCount; i++) {
+            buttonSources.push([`b:${i}`, `B${i} ${manager.getButtonName(gamepadState.index, i)}`]);
+        }
+        for (let i = 0; i < axisCount; i++) {
+            const name = manager.getAxisName(gamepadState.index, i);
+            buttonSources.push([`a:${i}:1`, `A${i}+ ${name}`], [`a:${i}:-1`, `A${i}− ${name}`]);
+        }
+
+        // Axis sources: any axis, any single button, or the D-pad pairs of standard pads
+        const axisSources = [];
+        for (let i = 0; i < axisCount; i++) {
+            axisSources.push([`a:${i}`, `A${i} ${manager.getAxisName(gamepadState.index, i)}`]);
+        }
+        if (gamepadState.mapping === 'standard' && buttonCount >= 16) {
+            axisSources.push(['bb:15:14', 'D-pad ←/→ (B15−B14)'], ['bb:13:12', 'D-pad ↑/↓ (B13−B12)']);
+        }
+        for (let i = 0; i < buttonCount; i++) {
+            axisSources.push([`bb:${i}:`, `B${i} ${manager.getButtonName(gamepadState.index, i)}`]);
+        }
+
+        const buttonsBody = this.elements.remapButtonsBody;
+        buttonsBody.innerHTML = '';
+        for (let i = 0; i < buttonCount; i++) {
+            const rule = buttonRules.get(i);
+            const row = this.createRemapRow(`B${i} ${gamepadState.buttons[i].name}`, buttonSources, rule ? UIManager.encodeRemapSource(rule.source) : `b:${i}`);
+            row.setAttribute('data-remap-button', i);
+
+            const mode = document.createElement('select');
+            mode.className = 'remap-mode';
+            mode.setAttribute('aria-label', `Button ${i} mode`);
+            RemapLayer.MODES.forEach((name) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                mode.appendChild(option);
+            });
+            mode.value = rule ? rule.mode : 'normal';
+            mode.addEventListener('change', () => this.markRemappedRows());
+            const cell = document.createElement('td');
+            cell.appendChild(mode);
+            row.appendChild(cell);
+
+            buttonsBody.appendChild(row);
+        }
+
+        const axesBody = this.elements.remapAxesBody;
+        axesBody.innerHTML = '';
+        for (let i = 0; i < axisCount; i++) {
+            const rule = axisRules.get(i);
+            const row = this.createRemapRow(`A${i} ${gamepadState.axes[i].name}`, axisSources, rule ? UIManager.encodeRemapSource(rule.source) : `a:${i}`);
+            row.setAttribute('data-remap-axis', i);
+
+            const invert = document.createElement('input');
+            invert.type = 'checkbox';
+            invert.className = 'remap-invert';
+            invert.checked = rule ? rule.invert : false;
+            invert.setAttribute('aria-label', `Invert axis ${i}`);
+            invert.addEventListener('change', () => this.markRemappedRows());
+            const cell = document.createElement('td');
+            cell.appendChild(invert);
+            row.appendChild(cell);
+
+            axesBody.appendChild(row);
+        }
+
+        this.markRemappedRows();
+    }
+
+    /**
+     * Create an editor row with the output name and a source select
+     */
+    createRemapRow(label, sources, selected) {
+        const row = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.textContent = label;
+        row.appendChild(name);
+
+        const select = document.createElement('select');
+        select.className = 'remap-source-select';
+        select.setAttribute('aria-label', `Source of ${label}`);
+        sources.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = selected;
+        select.addEventListener('change', () => this.markRemappedRows());
+
+        const cell = document.createElement('td');
+        cell.appendChild(select);
+        row.appendChild(cell);
+        return row;
+    }
+
+    /**
+     * Highlight editor rows that differ from passing their own input through
+     */
+    markRemappedRows() {
+        this.elements.remapButtonsBody.querySelectorAll('tr').forEach((row) => {
+            const own = `b:${row.getAttribute('data-remap-button')}`;
+            row.classList.toggle('remapped',
+                row.querySelector('.remap-source-select').value !== own || row.querySelector('.remap-mode').value !== 'normal');
+        });
+        this.elements.remapAxesBody.querySelectorAll('tr').forEach((row) => {
+            const own = `a:${row.getAttribute('data-remap-axis')}`;
+            row.classList.toggle('remapped',
+                row.querySelector('.remap-source-select').value !== own || row.querySelector('.remap-invert').checked);
+        });
+    }
+
+    /**
+     * Read the editor into a preset; rows left at their own input are omitted
+     */
+    readRemapEditor() {
+        const buttons = [];
+        this.elements.remapButtonsBody.querySelectorAll('tr').forEach((row) => {
+            const target = Number(row.getAttribute('data-remap-button'));
+            const source = row.querySelector('.remap-source-select').value;
+            const mode = row.querySelector('.remap-mode').value;
+            if (source !== `b:${target}` || mode !== 'normal') {
+                buttons.push({ target, source: UIManager.decodeRemapSource(source), mode });
+            }
+        });
+
+        const axes = [];
+        this.elements.remapAxesBody.querySelectorAll('tr').forEach((row) => {
+            const target = Number(row.getAttribute('data-remap-axis'));
+            const source = row.querySelector('.remap-source-select').value;
+            const invert = row.querySelector('.remap-invert').checked;
+            if (source !== `a:${target}` || invert) {
+                axes.push({ target, source: UIManager.decodeRemapSource(source), invert });
+            }
+        });
+
+        return {
+            name: this.elements.remapNameInput.value,
+            turboRate: Number(this.elements.remapTurboInput.value),
+            buttons: buttons,
+            axes: axes,
+        };
+    }
+
+    /**
+     * Save the edited preset for the current controller and apply it
+     */
+    saveRemapPreset() {
+        if (!this.currentGamepadState) return;
+        const remaps = window.gamepadManager.remaps;
+
+        try {
+            const preset = remaps.savePreset(this.currentGamepadState.id, this.readRemapEditor());
+            remaps.activate(this.currentGamepadState.id, preset.name);
+        } catch (error) {
+            this.elements.remapStatus.textContent = `Could not save: ${error.message}`;
+        }
+    }
+
+    /**
+     * Encode a remap source as a select value ('b:3', 'a:2:-1', 'a:0', 'bb:15:14')
+     */
+    static encodeRemapSource(source) {
+        if (source.type === 'button') return `b:${source.index}`;
+        if (source.type === 'axis') return source.direction ? `a:${source.index}:${source.direction}` : `a:${source.index}`;
+        return `bb:${source.positive}:${source.negative === null ? '' : source.negative}`;
+    }
+
+    /**
+     * Decode a select value back into a remap source
+     */
+    static decodeRemapSource(value) {
+        const [type, first, second] = value.split(':');
+        if (type === 'b') return { type: 'button', index: Number(first) };
+        if (type === 'a') {
+            return second === undefined
+                ? { type: 'axis', index: Number(first) }
+                : { type: 'axis', index: Number(first), direction: Number(second) };
+        }
+        return { type: 'buttons', positive: Number(first), negative: second === '' ? null : Number(second) };
+    }
+
+    /**
+     * Update button UI on press
+     */
+    updateButtonPress(buttonIndex, isPressed, buttonName) {
+        const cell = this.buttonCells[buttonIndex];
+
+        if (cell && cell.pressed !== isPressed) {
+            const buttonElement = cell.element;
+            cell.pressed = isPressed;
+            buttonElement.setAttribute(
+                'aria-label',
+                `${cell.name} button, current state: ${isPressed ? 'pressed' : 'released'}`
+            );
+            this.domWrites++;
 
-                buttonElement.classList.add(colorClass);
+            if (isPressed) {
+                buttonElement.classList.add('pressed');
 
-                // Clear existing timer if any
-                if (this.buttonHoldTimers.has(buttonIndex)) {
-                    clearTimeout(this.buttonHoldTimers.get(buttonIndex));
+                // Center buttons, stick clicks and D-pad get the neon accent
+                if (buttonIndex > 7) {
+                    buttonElement.classList.add('neon');
                 }
 
                 // Vibrate effect (small scale animation)
                 this.playButtonPressFeedback(buttonElement);
             } else {
                 buttonElement.classList.remove('pressed', 'neon');
-                if (this.buttonHoldTimers.has(buttonIndex)) {
-                    clearTimeout(this.buttonHoldTimers.get(buttonIndex));
-                    this.buttonHoldTimers.delete(buttonIndex);
-                }
             }
         }
     }
@@ -253,87 +1326,1662 @@ class UIManager {
     /**
      * Update axis display
      */
-    updateAxisDisplay(axisIndex, value, axisName) {
-        const axisCard = this.elements.axesGrid.querySelector(`[data-axis-index="${axisIndex}"]`);
+    updateAxisDisplay(axisIndex, value, axisName, rawValue = value) {
+        const cell = this.axisCells[axisIndex];
+        if (!cell) return;
 
-        if (axisCard) {
-            const valueDisplay = axisCard.querySelector('.axis-value');
-            const bar = axisCard.querySelector('.axis-bar');
-            const fill = axisCard.querySelector('.axis-fill');
+        // Skip values already on screen (axis events and update frames both land here)
+        if (cell.value === value && cell.rawValue === rawValue) return;
+        cell.value = value;
+        cell.rawValue = rawValue;
 
-            if (valueDisplay) {
-                valueDisplay.textContent = value.toFixed(3);
-            }
+        this.patchText(cell.valueDisplay, this.formatAxisValue(value, rawValue, cell.hat));
+        this.patchAttribute(cell.bar, 'aria-valuenow', (value * 100).toFixed(0));
+        this.patchStyle(cell.fill, 'width', this.axisPercent(value));
+        this.patchStyle(cell.rawMarker, 'left', this.axisPercent(rawValue));
+    }
 
-            if (bar) {
-                bar.setAttribute('aria-valuenow', (value * 100).toFixed(0));
-            }
+    /**
+     * Set an element's text if it changed
+     */
+    patchText(element, text) {
+        if (element.textContent !== text) {
+            element.textContent = text;
+            this.domWrites++;
+        }
+    }
 
-            if (fill) {
-                const percentage =
-                    value >= 0
-                        ? `${50 + (value * 50).toFixed(0)}%`
-                        : `${50 + (value * 50).toFixed(0)}%`;
-                fill.style.width = percentage;
-            }
+    /**
+     * Set an attribute if it changed
+     */
+    patchAttribute(element, name, value) {
+        if (element.getAttribute(name) !== value) {
+            element.setAttribute(name, value);
+            this.domWrites++;
         }
     }
 
     /**
-     * Trigger vibration
+     * Set an inline style property if it changed
      */
-    async triggerVibration(pattern) {
-        const statusEl = this.elements.vibrationStatus;
-        statusEl.className = 'vibration-status';
-        statusEl.textContent = `Testing ${pattern} vibration...`;
+    patchStyle(element, property, value) {
+        if (element.style[property] !== value) {
+            element.style[property] = value;
+            this.domWrites++;
+        }
+    }
 
-        try {
-            // This will be called from app.js with the actual implementation
-            const result = await window.gamepadManager.testVibration(pattern);
+    /**
+     * Get and reset the number of DOM writes (for the perf counter)
+     */
+    takeDomWrites() {
+        const writes = this.domWrites;
+        this.domWrites = 0;
+        return writes;
+    }
 
-            if (result) {
-                statusEl.className = 'vibration-status success';
-                statusEl.textContent = `✓ ${pattern.charAt(0).toUpperCase() + pattern.slice(1)} vibration successful!`;
+    /**
+     * Convert an axis value (-1..1) to a bar percentage
+     * Hat switches report their centre beyond +1, which stays at the end of the bar
+     */
+    axisPercent(value) {
+        return `${(50 + Math.max(-1, Math.min(1, value)) * 50).toFixed(0)}%`;
+    }
 
-                setTimeout(() => {
-                    statusEl.className = 'vibration-status';
-                    statusEl.textContent = 'Ready to test';
-                }, 2000);
-            } else {
-                statusEl.className = 'vibration-status';
-                statusEl.textContent = 'Vibration not supported';
+    /**
+     * Format processed and raw axis values, or the decoded direction of a hat switch
+     */
+    formatAxisValue(value, rawValue, hat = false) {
+        if (hat) return `Hat ${HatDecoder.decode(rawValue).name} (raw ${rawValue.toFixed(3)})`;
+        return `${value.toFixed(3)} (raw ${rawValue.toFixed(3)})`;
+    }
 
-                setTimeout(() => {
-                    statusEl.textContent = 'Ready to test';
-                }, 2000);
-            }
-        } catch (error) {
-            statusEl.textContent = 'Vibration test failed';
-            console.error('Vibration error:', error);
+    /**
+     * Render dead zone tuning controls and stick plots
+     */
+    renderDeadZoneControls(config) {
+        const grid = this.elements.deadZoneGrid;
+        grid.innerHTML = '';
 
-            setTimeout(() => {
-                statusEl.textContent = 'Ready to test';
-            }, 2000);
-        }
+        ['left', 'right'].forEach((side) => {
+            const card = document.createElement('div');
+            card.className = 'deadzone-card glass-effect';
+            card.setAttribute('data-stick', side);
+
+            const title = document.createElement('h3');
+            title.className = 'deadzone-title';
+            title.textContent = `${side === 'left' ? 'Left' : 'Right'} Stick`;
+            card.appendChild(title);
+
+            const plot = document.createElement('div');
+            plot.className = 'deadzone-plot';
+            card.appendChild(plot);
+            this.deadZonePlots[side] = new StickPlotRenderer(plot, { label: side === 'left' ? 'LS' : 'RS' });
+
+            const mode = document.createElement('select');
+            mode.className = 'deadzone-mode';
+            mode.setAttribute('aria-label', `${side} stick dead zone mode`);
+            DeadZoneEngine.MODES.forEach((name) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                mode.appendChild(option);
+            });
+            mode.addEventListener('change', () => {
+                window.gamepadManager.deadZones.setStickConfig(side, { mode: mode.value });
+            });
+            card.appendChild(this.createControlRow('Mode', mode));
+
+            card.appendChild(this.createThresholdSlider(`${side}-stick`, 'inner', (value) => {
+                window.gamepadManager.deadZones.setStickConfig(side, { inner: value });
+            }));
+            card.appendChild(this.createThresholdSlider(`${side}-stick`, 'outer', (value) => {
+                window.gamepadManager.deadZones.setStickConfig(side, { outer: value });
+            }));
+
+            grid.appendChild(card);
+        });
+
+        const triggers = document.createElement('div');
+        triggers.className = 'deadzone-card glass-effect';
+        const title = document.createElement('h3');
+        title.className = 'deadzone-title';
+        title.textContent = 'Triggers';
+        triggers.appendChild(title);
+
+        ['left', 'right'].forEach((side) => {
+            ['inner', 'outer'].forEach((threshold) => {
+                triggers.appendChild(this.createThresholdSlider(`${side}-trigger`, threshold, (value) => {
+                    window.gamepadManager.deadZones.setTriggerConfig(side, { [threshold]: value });
+                }));
+            });
+        });
+        grid.appendChild(triggers);
+
+        this.updateDeadZoneControls(config);
     }
 
     /**
-     * Update all displays on gamepad state change
+     * Create a labelled control row
      */
-    updateFullDisplay(gamepadState) {
-        this.currentGamepadState = gamepadState;
-        this.updateControllerInfo(gamepadState);
-        this.renderButtonsGrid(gamepadState);
-        this.renderAxesGrid(gamepadState);
+    createControlRow(labelText, control) {
+        const row = document.createElement('label');
+        row.className = 'control-row';
+
+        const label = document.createElement('span');
+        label.className = 'control-label';
+        label.textContent = labelText;
+
+        row.appendChild(label);
+        row.appendChild(control);
+        return row;
     }
 
     /**
-     * Get UI elements (for external access)
+     * Create a 0-1 threshold slider with live value readout
      */
-    getElements() {
-        return this.elements;
+    createThresholdSlider(target, threshold, onInput) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = '0';
+        input.max = '1';
+        input.step = '0.01';
+        input.setAttribute('data-deadzone', `${target}-${threshold}`);
+        input.setAttribute('aria-label', `${target} ${threshold} dead zone`);
+
+        const output = document.createElement('output');
+        output.className = 'control-value';
+
+        input.addEventListener('input', () => {
+            output.textContent = Number(input.value).toFixed(2);
+            onInput(Number(input.value));
+        });
+
+        const row = this.createControlRow(`${target.replace('-', ' ')} ${threshold}`, input);
+        row.appendChild(output);
+        return row;
     }
-}
+
+    /**
+     * Sync dead zone controls and plot shapes with the engine configuration
+     */
+    updateDeadZoneControls(config) {
+        const grid = this.elements.deadZoneGrid;
+
+        ['left', 'right'].forEach((side) => {
+            const stick = config.sticks[side];
+            const mode = grid.querySelector(`[data-stick="${side}"] .deadzone-mode`);
+            if (mode) mode.value = stick.mode;
+            if (this.deadZonePlots[side]) this.deadZonePlots[side].setDeadZone(stick);
+
+            ['inner', 'outer'].forEach((threshold) => {
+                this.setSliderValue(`${side}-stick-${threshold}`, stick[threshold]);
+                this.setSliderValue(`${side}-trigger-${threshold}`, config.triggers[side][threshold]);
+            });
+        });
+    }
+
+    /**
+     * Set a dead zone slider and its readout without firing input events
+     */
+    setSliderValue(key, value) {
+        const input = this.elements.deadZoneGrid.querySelector(`[data-deadzone="${key}"]`);
+        if (!input) return;
+
+        input.value = value;
+        const output = input.parentNode.querySelector('.control-value');
+        if (output) output.textContent = Number(value).toFixed(2);
+    }
+
+    /**
+     * Move raw/processed markers on the dead zone stick plots
+     */
+    updateStickPlots(sticks) {
+        Object.keys(sticks).forEach((side) => {
+            if (this.deadZonePlots[side]) {
+                this.deadZonePlots[side].update(sticks[side].raw, sticks[side].value);
+            }
+        });
+    }
+
+    /**
+     * Move live markers on the diagnostics plots
+     */
+    updateDiagnosticsPlots(sticks) {
+        Object.keys(sticks).forEach((side) => {
+            if (this.diagnosticsPlots[side]) {
+                this.diagnosticsPlots[side].update(sticks[side].raw);
+            }
+        });
+    }
+
+    /**
+     * Show diagnostics test start prompt
+     */
+    showDiagnosticsStart(event) {
+        this.setDiagnosticsRunning(true);
+        this.elements.diagnosticsResults.innerHTML = '';
+
+        if (event.type === 'circularity') {
+            this.diagnosticsPlots[event.side].clearOverlay();
+            this.elements.diagnosticsStatus.textContent =
+                `Slowly rotate the ${event.side} stick around its outer edge...`;
+        } else {
+            this.elements.diagnosticsStatus.textContent =
+                `Hands off! Sampling resting position for ${(event.duration / 1000).toFixed(0)} seconds...`;
+        }
+    }
+
+    /**
+     * Show diagnostics test progress
+     */
+    showDiagnosticsProgress(event) {
+        if (event.type === 'circularity') {
+            this.diagnosticsPlots[event.side].drawBoundary(event.boundary);
+            this.elements.diagnosticsStatus.textContent =
+                `Rotate the ${event.side} stick: ${(event.coverage * 100).toFixed(0)}% of the edge covered, ` +
+                `${(event.fullReach * 100).toFixed(0)}% at full reach`;
+        } else {
+            this.elements.diagnosticsStatus.textContent =
+                `Hands off! ${(event.progress * 100).toFixed(0)}% sampled`;
+        }
+    }
+
+    /**
+     * Show diagnostics test result
+     */
+    showDiagnosticsResult(result) {
+        this.setDiagnosticsRunning(false);
+        const verdict = (passed) => (passed ? '✓ Pass' : '✗ Fail');
+
+        if (result.type === 'circularity') {
+            this.diagnosticsPlots[result.side].drawBoundary(result.boundary);
+            this.elements.diagnosticsStatus.textContent =
+                `${result.side === 'left' ? 'Left' : 'Right'} stick circularity: ${verdict(result.passed)}`;
+            this.renderDiagnosticsResult(result.side, result.passed, [
+                ['Average error', `${(result.averageError * 100).toFixed(1)}%`],
+                ['Coverage', `${(result.coverage * 100).toFixed(0)}%`],
+                ['Radius range', `${result.minRadius.toFixed(3)} – ${result.maxRadius.toFixed(3)}`],
+            ]);
+        } else {
+            this.elements.diagnosticsStatus.textContent = `Drift test: ${verdict(result.passed)}`;
+            Object.keys(result.sticks).forEach((side) => {
+                const stick = result.sticks[side];
+                this.renderDiagnosticsResult(side, stick.passed, [
+                    ['Centre', `${stick.center.x.toFixed(3)}, ${stick.center.y.toFixed(3)}`],
+                    ['Offset', stick.offset.toFixed(3)],
+                    ['Noise (σ)', stick.noise.toFixed(4)],
+                ]);
+            });
+        }
+    }
+
+    /**
+     * Append one stick's result block
+     */
+    renderDiagnosticsResult(side, passed, rows) {
+        const block = document.createElement('div');
+        block.className = `diagnostics-result ${passed ? 'pass' : 'fail'}`;
+
+        const heading = document.createElement('div');
+        heading.className = 'diagnostics-verdict';
+        heading.textContent = `${side === 'left' ? 'Left' : 'Right'} stick: ${passed ? 'Pass' : 'Fail'}`;
+        block.appendChild(heading);
+
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${value}`;
+            block.appendChild(row);
+        });
+
+        this.elements.diagnosticsResults.appendChild(block);
+    }
+
+    /**
+     * Show diagnostics test cancelled
+     */
+    showDiagnosticsCancelled() {
+        this.setDiagnosticsRunning(false);
+        this.elements.diagnosticsStatus.textContent = 'Test cancelled';
+    }
+
+    /**
+     * Toggle diagnostics buttons while a test runs
+     */
+    setDiagnosticsRunning(isRunning) {
+        this.elements.circularityLeftBtn.disabled = isRunning;
+        this.elements.circularityRightBtn.disabled = isRunning;
+        this.elements.driftTestBtn.disabled = isRunning;
+        this.elements.diagnosticsStopBtn.disabled = !isRunning;
+    }
+
+    /**
+     * Move raw and calibrated markers on the calibration plots
+     */
+    updateCalibrationPlots(sticks) {
+        Object.keys(sticks).forEach((side) => {
+            if (this.calibrationPlots[side]) {
+                this.calibrationPlots[side].update(sticks[side].raw, sticks[side].calibrated);
+            }
+        });
+    }
+
+    /**
+     * Show the current calibration wizard step
+     */
+    showCalibrationStep(event) {
+        this.setCalibrationRunning(true, event.step);
+
+        if (event.step === 'center') {
+            this.elements.calibrationResults.innerHTML = '';
+            Object.values(this.calibrationPlots).forEach((plot) => plot.clearOverlay());
+            this.elements.calibrationStatus.textContent =
+                `Hands off both sticks! Measuring the resting centre for ${(event.duration / 1000).toFixed(0)} seconds...`;
+        } else {
+            this.elements.calibrationStatus.textContent =
+                'Rotate both sticks around their full range a few times, then click Done Rotating';
+        }
+    }
+
+    /**
+     * Show calibration wizard progress
+     */
+    showCalibrationProgress(event) {
+        if (event.step === 'center') {
+            this.elements.calibrationStatus.textContent =
+                `Hands off both sticks! ${(event.progress * 100).toFixed(0)}% sampled`;
+            return;
+        }
+
+        // Recorded extents as a box on each plot
+        Object.keys(event.extents).forEach((side) => {
+            const e = event.extents[side];
+            this.calibrationPlots[side].drawBoundary([
+                { x: e.minX, y: e.minY },
+                { x: e.maxX, y: e.minY },
+                { x: e.maxX, y: e.maxY },
+                { x: e.minX, y: e.maxY },
+            ], 'stick-plot-extents');
+        });
+    }
+
+    /**
+     * Ask for more stick travel before the extents step can finish
+     */
+    showCalibrationIncomplete(event) {
+        this.elements.calibrationStatus.textContent =
+            `Keep rotating: ${event.missing.join(', ')} not pushed far enough yet`;
+    }
+
+    /**
+     * Show calibration cancelled
+     */
+    showCalibrationCancelled() {
+        this.setCalibrationRunning(false);
+        this.elements.calibrationStatus.textContent = 'Calibration cancelled';
+    }
+
+    /**
+     * Show the stored calibration of the displayed controller (null when uncalibrated)
+     */
+    showCalibrationProfile(profile) {
+        this.setCalibrationRunning(false);
+        this.elements.calibrationResults.innerHTML = '';
+        this.elements.calibrationClearBtn.disabled = !profile;
+
+        if (!profile) {
+            this.elements.calibrationStatus.textContent = 'Not calibrated: raw values are used';
+            return;
+        }
+
+        this.elements.calibrationStatus.textContent =
+            `Calibrated ${new Date(profile.createdAt).toLocaleString()}`;
+
+        const range = (r) => `${r.min.toFixed(3)} … ${r.max.toFixed(3)}`;
+        Object.keys(profile.sticks).forEach((side) => {
+            const stick = profile.sticks[side];
+            const block = document.createElement('div');
+            block.className = 'diagnostics-result pass';
+
+            const heading = document.createElement('div');
+            heading.className = 'diagnostics-verdict';
+            heading.textContent = `${side === 'left' ? 'Left' : 'Right'} stick`;
+            block.appendChild(heading);
+
+            [
+                ['Centre', `${stick.x.center.toFixed(3)}, ${stick.y.center.toFixed(3)}`],
+                ['X range', range(stick.x)],
+                ['Y range', range(stick.y)],
+            ].forEach(([label, value]) => {
+                const row = document.createElement('div');
+                row.textContent = `${label}: ${value}`;
+                block.appendChild(row);
+            });
+
+            this.elements.calibrationResults.appendChild(block);
+        });
+    }
+
+    /**
+     * Toggle calibration buttons while the wizard runs
+     */
+    setCalibrationRunning(isRunning, step = null) {
+        this.elements.calibrateBtn.disabled = isRunning;
+        this.elements.calibrationDoneBtn.disabled = step !== 'extents';
+        this.elements.calibrationCancelBtn.disabled = !isRunning;
+    }
+
+    /**
+     * Download all calibration profiles as JSON
+     */
+    exportCalibrations() {
+        this.downloadFile('gamepad-calibrations.json', window.gamepadManager.calibrations.export(), 'application/json');
+    }
+
+    /**
+     * Import calibration profiles from an exported file
+     */
+    async importCalibrations(file) {
+        try {
+            const count = window.gamepadManager.calibrations.import(await file.text());
+            this.elements.calibrationStatus.textContent = `Imported ${count} calibration profile${count === 1 ? '' : 's'}`;
+        } catch (error) {
+            this.elements.calibrationStatus.textContent = `Import failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Move live markers on the trigger plots
+     */
+    updateTriggerPlots(triggers) {
+        Object.keys(triggers).forEach((side) => {
+            if (this.triggerPlots[side]) {
+                this.triggerPlots[side].update(triggers[side].raw);
+            }
+        });
+    }
+
+    /**
+     * Show trigger test start prompt
+     */
+    showTriggerTestStart(event) {
+        this.setTriggerTestRunning(true);
+        this.elements.triggerResults.innerHTML = '';
+        this.triggerPlots[event.side].clear();
+        this.elements.triggerStatus.textContent =
+            `Slowly pull the ${event.side} trigger all the way in and let it out, several times...`;
+    }
+
+    /**
+     * Show trigger test progress
+     */
+    showTriggerTestProgress(event) {
+        this.triggerPlots[event.side].drawCurve(event.samples, event.duration);
+        this.elements.triggerStatus.textContent =
+            `Pull and release the ${event.side} trigger: ${(event.progress * 100).toFixed(0)}%`;
+    }
+
+    /**
+     * Show trigger test result
+     */
+    showTriggerTestResult(result) {
+        this.setTriggerTestRunning(false);
+
+        const plot = this.triggerPlots[result.side];
+        plot.drawCurve(result.samples, result.duration);
+        plot.setThresholds(result.pressThreshold, result.releaseThreshold);
+
+        const name = result.side === 'left' ? 'Left' : 'Right';
+        if (!result.source) {
+            this.elements.triggerStatus.textContent = `${name} trigger: no data (this controller reports no analog trigger)`;
+            return;
+        }
+
+        const source = result.source === 'axis' ? `axis ${result.index}` : `button ${result.index} value`;
+        this.elements.triggerStatus.textContent = `${name} trigger (${source})`;
+
+        const format = (value) => (value === null ? 'n/a' : value.toFixed(3));
+        const rows = [
+            ['Range', `${format(result.min)} – ${format(result.max)}${result.fullRange ? '' : ' (not full travel)'}`],
+            ['Distinct steps', `${result.steps} (≈ ${result.bitDepth.toFixed(1)} bits)`],
+            ['Smallest step', result.smallestStep.toFixed(4)],
+            ['Press threshold', format(result.pressThreshold)],
+            ['Release threshold', format(result.releaseThreshold)],
+            ['Hysteresis', `${format(result.hysteresis)} over ${result.presses} presses`],
+        ];
+
+        const block = document.createElement('div');
+        block.className = `diagnostics-result ${result.fullRange ? 'pass' : 'fail'}`;
+
+        const heading = document.createElement('div');
+        heading.className = 'diagnostics-verdict';
+        heading.textContent = `${name} trigger: ${result.fullRange ? 'Full range' : 'Partial range'}`;
+        block.appendChild(heading);
+
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${value}`;
+            block.appendChild(row);
+        });
+
+        this.elements.triggerResults.appendChild(block);
+    }
+
+    /**
+     * Show trigger test cancelled
+     */
+    showTriggerTestCancelled() {
+        this.setTriggerTestRunning(false);
+        this.elements.triggerStatus.textContent = 'Test cancelled';
+    }
+
+    /**
+     * Toggle trigger test buttons while a test runs
+     */
+    setTriggerTestRunning(isRunning) {
+        this.elements.triggerLeftBtn.disabled = isRunning;
+        this.elements.triggerRightBtn.disabled = isRunning;
+        this.elements.triggerStopBtn.disabled = !isRunning;
+    }
+
+    /**
+     * Show latency measurement start prompt
+     */
+    showLatencyStart(event) {
+        this.setLatencyRunning(true);
+        this.elements.latencyResults.innerHTML = '';
+        this.elements.jitterHistogram.innerHTML = '';
+        this.elements.mashHistogram.innerHTML = '';
+        this.elements.latencyStatus.textContent =
+            event.mode === 'mash'
+                ? 'Mash any button as fast as you can...'
+                : 'Measuring... move a stick continuously so the controller keeps sending reports';
+    }
+
+    /**
+     * Show running latency statistics
+     */
+    showLatencyStats(stats) {
+        this.renderLatencyStats(stats);
+    }
+
+    /**
+     * Show button-mash progress
+     */
+    showMashProgress(event) {
+        this.elements.latencyStatus.textContent = `Mash any button: ${event.presses} / ${event.target} presses`;
+    }
+
+    /**
+     * Show final latency statistics
+     */
+    showLatencyResult(stats) {
+        this.setLatencyRunning(false);
+        this.elements.latencyStatus.textContent = `Measured ${(stats.duration / 1000).toFixed(1)} s, ${stats.polls} polls`;
+        this.renderLatencyStats(stats);
+    }
+
+    /**
+     * Render latency statistics and histograms
+     */
+    renderLatencyStats(stats) {
+        const ms = (value) => `${value.toFixed(2)} ms`;
+        const rows = [
+            ['Report rate', `${stats.reportRateHz.toFixed(1)} Hz`],
+            ['Interval', `${ms(stats.interval.mean)} ± ${ms(stats.interval.stdDev)}`],
+            ['Interval range', `${ms(stats.interval.min)} – ${ms(stats.interval.max)}`],
+            ['Duplicate frames', `${(stats.duplicateRatio * 100).toFixed(1)}% (${stats.duplicates} / ${stats.polls})`],
+            ['Report to rAF gap', `${ms(stats.detectGap.mean)} avg, ${ms(stats.detectGap.p95)} p95`],
+        ];
+
+        if (stats.mash) {
+            const latency = stats.mash.latency;
+            rows.push(
+                ['Presses', `${stats.mash.presses}`],
+                ['Press latency', `${ms(latency.mean)} avg, ${ms(latency.median)} median`],
+                ['Press latency range', `${ms(latency.min)} – ${ms(latency.max)} (p95 ${ms(latency.p95)})`]
+            );
+        }
+
+        const results = this.elements.latencyResults;
+        results.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${value}`;
+            results.appendChild(row);
+        });
+
+        this.renderHistogram(this.elements.jitterHistogram, stats.jitterHistogram);
+        if (stats.mash) {
+            this.renderHistogram(this.elements.mashHistogram, stats.mash.histogram);
+        }
+    }
+
+    /**
+     * Render histogram bins as bars scaled to the fullest bin
+     */
+    renderHistogram(container, bins) {
+        container.innerHTML = '';
+        const max = Math.max(1, ...bins.map((bin) => bin.count));
+
+        bins.forEach((bin, index) => {
+            const bar = document.createElement('div');
+            bar.className = 'histogram-bar';
+            bar.style.height = `${(bin.count / max) * 100}%`;
+
+            const range = bin.to === Infinity ? `≥ ${bin.from}` : `${bin.from}–${bin.to}`;
+            bar.title = `${range} ms: ${bin.count}`;
+
+            // Label every fifth bin to keep the axis readable
+            if (index % 5 === 0) {
+                const label = document.createElement('span');
+                label.className = 'histogram-label';
+                label.textContent = bin.from;
+                bar.appendChild(label);
+            }
+
+            container.appendChild(bar);
+        });
+    }
+
+    /**
+     * Toggle latency buttons while a measurement runs
+     */
+    setLatencyRunning(isRunning) {
+        this.elements.latencyStartBtn.disabled = isRunning;
+        this.elements.mashStartBtn.disabled = isRunning;
+        this.elements.latencyStopBtn.disabled = !isRunning;
+    }
+
+    /**
+     * Show recording in progress
+     */
+    showRecordingStarted() {
+        this.elements.recordBtn.textContent = 'Stop Recording';
+        this.elements.exportJsonBtn.disabled = true;
+        this.elements.exportCsvBtn.disabled = true;
+        this.elements.playBtn.disabled = true;
+        this.elements.stopPlaybackBtn.disabled = true;
+        this.elements.seekInput.disabled = true;
+        this.elements.recordingStatus.className = 'recording-status recording';
+        this.elements.recordingStatus.textContent = '● Recording...';
+    }
+
+    /**
+     * Show recording progress
+     */
+    showRecordingProgress(event) {
+        this.elements.recordingStatus.textContent =
+            `● Recording... ${(event.duration / 1000).toFixed(1)} s, ${event.frames} frames`;
+    }
+
+    /**
+     * Show a finished recording ready for playback
+     */
+    showRecordingLoaded(event) {
+        this.elements.recordBtn.textContent = 'Record';
+        this.elements.playBtn.disabled = event.frames === 0;
+        this.elements.seekInput.disabled = event.frames === 0;
+        this.elements.seekInput.max = Math.round(event.duration);
+        this.elements.exportJsonBtn.disabled = event.frames === 0;
+        this.elements.exportCsvBtn.disabled = event.frames === 0;
+        this.elements.recordingStatus.className = 'recording-status';
+        this.elements.recordingStatus.textContent = event.frames
+            ? `Recording ready: ${(event.duration / 1000).toFixed(1)} s, ${event.frames} frames`
+            : 'Nothing recorded';
+        this.updatePlaybackStatus({ position: 0, duration: event.duration, playing: false });
+    }
+
+    /**
+     * Update playback controls from player status
+     */
+    updatePlaybackStatus(status) {
+        this.elements.playBtn.textContent = status.playing ? 'Pause' : 'Play';
+        this.elements.stopPlaybackBtn.disabled = !status.replaying;
+        this.elements.seekInput.value = Math.round(status.position);
+        this.elements.playbackTime.textContent =
+            `${(status.position / 1000).toFixed(1)} / ${(status.duration / 1000).toFixed(1)} s`;
+
+        if (status.playing) {
+            this.elements.recordingStatus.className = 'recording-status';
+            this.elements.recordingStatus.textContent = `▶ Replaying at ${status.speed}×`;
+        }
+    }
+
+    /**
+     * Download the loaded session as JSON or CSV
+     */
+    exportSession(format) {
+        const session = window.inputPlayer.session;
+        if (!session) return;
+
+        const stamp = (session.startedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+        if (format === 'csv') {
+            this.downloadFile(`gamepad-session-${stamp}.csv`, SessionSerializer.toCSV(session), 'text/csv');
+        } else {
+            this.downloadFile(`gamepad-session-${stamp}.json`, SessionSerializer.toJSON(session), 'application/json');
+        }
+    }
+
+    /**
+     * Validate an exported session file and load it for playback
+     */
+    async importSession(file) {
+        try {
+            const session = SessionSerializer.parse(await file.text());
+            window.inputPlayer.load(session);
+            this.elements.recordingStatus.textContent =
+                `Imported ${file.name}: ${(session.duration / 1000).toFixed(1)} s, ${session.frames.length} frames`;
+        } catch (error) {
+            this.elements.recordingStatus.className = 'recording-status error';
+            this.elements.recordingStatus.textContent = `Import failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Offer text content as a file download
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Play a haptic pattern (or the name of a preset/saved one) on the active gamepad
+     */
+    async triggerVibration(pattern) {
+        const name = typeof pattern === 'string' ? pattern : pattern.name;
+        const label = name.charAt(0).toUpperCase() + name.slice(1);
+
+        try {
+            const completed = await window.hapticsEngine.play(pattern);
+
+            if (completed) {
+                this.showVibrationStatus(`✓ ${label} vibration successful!`, 'success');
+            } else if (!window.hapticsEngine.getCapabilities().supported) {
+                this.showVibrationStatus('Vibration not supported');
+            } else if (!window.hapticsEngine.isPlaying()) {
+                // Stopped, or preempted by another effect (a newer pattern reports itself)
+                this.showVibrationStatus(`${label} vibration stopped`);
+            }
+        } catch (error) {
+            this.showVibrationStatus(`Vibration test failed: ${error.message}`, 'error');
+            console.error('Vibration error:', error);
+        }
+    }
+
+    /**
+     * Show a vibration status message, returning to "Ready to test" after a while
+     * Messages without a reset delay (null) stay until replaced
+     */
+    showVibrationStatus(message, state = '', resetAfter = 2000) {
+        const statusEl = this.elements.vibrationStatus;
+        statusEl.className = state ? `vibration-status ${state}` : 'vibration-status';
+        statusEl.textContent = message;
+
+        clearTimeout(this.vibrationStatusTimer);
+        if (resetAfter !== null) {
+            this.vibrationStatusTimer = setTimeout(() => {
+                statusEl.className = 'vibration-status';
+                statusEl.textContent = 'Ready to test';
+            }, resetAfter);
+        }
+    }
+
+    /**
+     * Show that a pattern started playing
+     */
+    showHapticsPlaying(event) {
+        this.showVibrationStatus(`Playing ${event.name} (${Math.round(event.duration)} ms)...`, '', null);
+    }
+
+    /**
+     * Move the preview cursor along with the playing pattern
+     */
+    showHapticsStep(event) {
+        this.hapticsPlot.setPosition(event.duration > 0 ? event.offset / event.duration : 0);
+    }
+
+    /**
+     * Hide the preview cursor once playback ends
+     */
+    showHapticsEnded() {
+        this.hapticsPlot.setPosition(null);
+    }
+
+    /**
+     * Show that playback was stopped and the motors silenced
+     */
+    showHapticsStopped() {
+        this.hapticsPlot.setPosition(null);
+        this.showVibrationStatus('Vibration stopped');
+    }
+
+    /**
+     * Fill the pattern library select, keeping the current choice where possible
+     */
+    renderHapticsLibrary(patterns) {
+        const select = this.elements.hapticsLibrarySelect;
+        const selected = select.value;
+        select.innerHTML = '';
+
+        patterns.forEach((pattern) => {
+            const option = document.createElement('option');
+            option.value = pattern.name;
+            option.textContent = `${pattern.name}${pattern.preset ? ' (preset)' : ''} · ${HapticsEngine.getDuration(pattern)} ms`;
+            option.setAttribute('data-preset', pattern.preset ? 'true' : 'false');
+            select.appendChild(option);
+        });
+
+        if (patterns.some((pattern) => pattern.name === selected)) {
+            select.value = selected;
+        }
+        this.updateHapticsLibraryButtons();
+    }
+
+    /**
+     * Presets can be played and edited but not deleted
+     */
+    updateHapticsLibraryButtons() {
+        const option = this.elements.hapticsLibrarySelect.selectedOptions[0];
+        this.elements.hapticsDeleteBtn.disabled = !option || option.getAttribute('data-preset') === 'true';
+    }
+
+    /**
+     * Load a pattern into the designer
+     */
+    editHapticsPattern(pattern) {
+        this.hapticsDraft = {
+            name: pattern.name,
+            repeat: pattern.repeat,
+            steps: pattern.steps.map((step) => ({ ...step })),
+        };
+        this.renderHapticsDesigner();
+    }
+
+    /**
+     * Save the designed pattern to the library
+     */
+    saveHapticsDraft() {
+        try {
+            const pattern = window.hapticsEngine.save(this.hapticsDraft);
+            this.elements.hapticsLibrarySelect.value = pattern.name;
+            this.updateHapticsLibraryButtons();
+            this.showVibrationStatus(`✓ Saved "${pattern.name}"`, 'success');
+        } catch (error) {
+            this.showVibrationStatus(error.message, 'error', 4000);
+        }
+    }
+
+    /**
+     * Render the designer inputs and step rows from the draft pattern
+     */
+    renderHapticsDesigner() {
+        const draft = this.hapticsDraft;
+        const body = this.elements.hapticsStepsBody;
+
+        this.elements.hapticsNameInput.value = draft.name;
+        this.elements.hapticsRepeatInput.value = draft.repeat;
+        body.innerHTML = '';
+
+        draft.steps.forEach((step, i) => {
+            const row = document.createElement('tr');
+
+            const number = document.createElement('td');
+            number.textContent = i + 1;
+            row.appendChild(number);
+
+            row.appendChild(this.createHapticsStepInput(step, 'duration', `Step ${i + 1} duration in milliseconds`, {
+                min: 1, max: HapticsEngine.MAX_STEP_DURATION, step: 10,
+            }));
+            [
+                ['strong', 'strong motor'],
+                ['weak', 'weak motor'],
+                ['leftTrigger', 'left trigger motor'],
+                ['rightTrigger', 'right trigger motor'],
+            ].forEach(([motor, description]) => {
+                row.appendChild(this.createHapticsStepInput(step, motor, `Step ${i + 1} ${description} level`, {
+                    min: 0, max: 1, step: 0.05,
+                }));
+            });
+
+            const rampCell = document.createElement('td');
+            const ramp = document.createElement('input');
+            ramp.type = 'checkbox';
+            ramp.checked = step.ramp;
+            ramp.setAttribute('aria-label', `Step ${i + 1} ramps from the previous step`);
+            ramp.addEventListener('change', () => {
+                step.ramp = ramp.checked;
+                this.updateHapticsPreview();
+            });
+            rampCell.appendChild(ramp);
+            row.appendChild(rampCell);
+
+            const removeCell = document.createElement('td');
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-secondary';
+            remove.textContent = '✕';
+            remove.disabled = draft.steps.length === 1;
+            remove.setAttribute('aria-label', `Remove step ${i + 1}`);
+            remove.addEventListener('click', () => {
+                draft.steps.splice(i, 1);
+                this.renderHapticsDesigner();
+            });
+            removeCell.appendChild(remove);
+            row.appendChild(removeCell);
+
+            body.appendChild(row);
+        });
+
+        this.setTriggerRumble(this.triggerRumble);
+        this.updateHapticsPreview();
+    }
+
+    /**
+     * Create a numeric step input cell bound to one field of a draft step
+     */
+    createHapticsStepInput(step, field, ariaLabel, limits) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(limits.min);
+        input.max = String(limits.max);
+        input.step = String(limits.step);
+        input.value = step[field];
+        input.setAttribute('data-haptics-field', field);
+        input.setAttribute('aria-label', ariaLabel);
+
+        input.addEventListener('input', () => {
+            step[field] = Number(input.value);
+            this.updateHapticsPreview();
+        });
+
+        cell.appendChild(input);
+        return cell;
+    }
+
+    /**
+     * Redraw the motor curves of the draft; invalid drafts clear the preview
+     */
+    updateHapticsPreview() {
+        try {
+            this.hapticsPlot.draw(HapticsEngine.compile(HapticsEngine.validate(this.hapticsDraft)));
+        } catch (error) {
+            this.hapticsPlot.draw([]);
+        }
+    }
+
+    /**
+     * Enable the trigger columns only when the actuator has trigger motors
+     */
+    setTriggerRumble(supported) {
+        this.triggerRumble = supported;
+        this.elements.hapticsTriggerNote.style.display = supported ? 'none' : 'block';
+        this.elements.hapticsStepsBody
+            .querySelectorAll('[data-haptics-field="leftTrigger"], [data-haptics-field="rightTrigger"]')
+            .forEach((input) => (input.disabled = !supported));
+    }
+
+    /**
+     * Flag a chattering button in the grid and describe the event
+     */
+    showChatter(event) {
+        this.chatterButtons.add(event.index);
+        const cell = this.buttonCells[event.index];
+        if (cell) cell.element.classList.add('button-chatter');
+
+        const edge = event.kind === 'bounce' ? 're-pressed' : 'released';
+        this.elements.chatterStatus.textContent =
+            `${event.button} ${edge} after ${event.duration.toFixed(1)} ms (${event.count} chatter ${event.count === 1 ? 'event' : 'events'})`;
+    }
+
+    /**
+     * Fill the per-button health report
+     */
+    renderChatterReport(report) {
+        const body = this.elements.chatterReportBody;
+        body.innerHTML = '';
+
+        report.buttons.forEach((button) => {
+            const row = document.createElement('tr');
+            [
+                `[${button.index}] ${button.name}`,
+                button.presses,
+                button.chatters,
+                button.shortest === null ? '—' : `${button.shortest.toFixed(1)} ms`,
+                `${(button.rate * 100).toFixed(1)}%`,
+            ].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const health = document.createElement('td');
+            health.className = `chatter-health-${button.health}`;
+            health.textContent = button.health;
+            row.appendChild(health);
+
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Clear chatter flags and the report
+     */
+    showChatterReset() {
+        this.chatterButtons.clear();
+        this.buttonCells.forEach((cell) => cell.element.classList.remove('button-chatter'));
+        this.elements.chatterReportBody.innerHTML = '';
+        this.elements.chatterStatus.textContent = 'Press each button a few times, quickly and firmly';
+    }
+
+    /**
+     * Reset the self-test panel for a new run
+     */
+    showSelfTestStart() {
+        this.clearSelfTestMarks();
+        this.selfTestReport = null;
+        this.elements.selfTestResultsBody.innerHTML = '';
+        this.setSelfTestRunning(true);
+    }
+
+    /**
+     * Prompt for the inputs of a self-test step and highlight them in the grids
+     */
+    showSelfTestStep(event) {
+        event.inputs.forEach((input) => this.markSelfTestInput(input, 'current'));
+
+        const seconds = (event.timeout / 1000).toFixed(0);
+        const prompts = {
+            button: () => `Press ${event.inputs[0].name} [${event.inputs[0].index}]`,
+            sticks: () => 'Rotate each stick around its full range',
+            triggers: () => 'Squeeze each trigger all the way, then let go',
+        };
+        this.elements.selfTestStatus.textContent =
+            `Step ${event.number}/${event.count}: ${prompts[event.kind]()} (${seconds} s)`;
+    }
+
+    /**
+     * Show how far the stick or trigger sweep has got
+     */
+    showSelfTestProgress(event) {
+        const verb = event.kind === 'sticks' ? 'Rotate each stick around its full range' : 'Squeeze each trigger all the way, then let go';
+        const inputs = event.inputs.map((input) => `${input.name}: ${input.status === 'pass' ? 'done' : input.detail}`);
+        this.elements.selfTestStatus.textContent =
+            `${verb} (${Math.ceil(event.remaining / 1000)} s left) — ${inputs.join('; ')}`;
+    }
+
+    /**
+     * Mark a tested input in the grids and add its row to the results
+     */
+    showSelfTestResult(result) {
+        this.markSelfTestInput(result, result.status);
+
+        const row = document.createElement('tr');
+        row.className = `selftest-row-${result.status}`;
+        [
+            SelfTestReport.describeInput(result),
+            SelfTestReport.STATUS_LABELS[result.status],
+            result.time === null ? '—' : `${(result.time / 1000).toFixed(2)} s`,
+            result.detail,
+        ].forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        this.elements.selfTestResultsBody.appendChild(row);
+    }
+
+    /**
+     * Summarise a finished self-test and offer its report for download
+     */
+    showSelfTestReport(report) {
+        this.selfTestReport = report;
+        this.setSelfTestRunning(false);
+
+        const counts = report.counts;
+        this.elements.selfTestStatus.textContent =
+            `${SelfTestReport.VERDICT_LABELS[report.verdict]}: ${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped of ${counts.tested} inputs`;
+    }
+
+    /**
+     * Clear the highlights of an aborted self-test
+     */
+    showSelfTestCancelled() {
+        this.clearSelfTestMarks();
+        this.setSelfTestRunning(false);
+        this.elements.selfTestStatus.textContent = 'Self-test cancelled';
+    }
+
+    /**
+     * Toggle self-test buttons between running and idle
+     */
+    setSelfTestRunning(running) {
+        this.elements.selfTestStartBtn.disabled = running;
+        this.elements.selfTestSkipBtn.disabled = !running;
+        this.elements.selfTestCancelBtn.disabled = !running;
+        this.elements.selfTestHtmlBtn.disabled = running || !this.selfTestReport;
+        this.elements.selfTestJsonBtn.disabled = running || !this.selfTestReport;
+    }
+
+    /**
+     * Highlight the grid cells of a tested input (a stick's axes, a trigger's axis or button)
+     */
+    markSelfTestInput(input, mark) {
+        let keys;
+        if (input.type === 'button') {
+            keys = [`button:${input.index}`];
+        } else if (input.type === 'stick') {
+            keys = input.axes.map((axis) => `axis:${axis}`);
+        } else {
+            keys = [`${input.source === 'axis' ? 'axis' : 'button'}:${input.sourceIndex}`];
+        }
+
+        keys.forEach((key) => {
+            this.selfTestMarks.set(key, mark);
+            const [kind, index] = key.split(':');
+            const cell = kind === 'button' ? this.buttonCells[index] : this.axisCells[index];
+            if (cell) this.applySelfTestMark(kind === 'button' ? cell.element : cell.card, mark);
+        });
+    }
+
+    /**
+     * Set a grid cell's self-test class (none for undefined)
+     */
+    applySelfTestMark(element, mark) {
+        UIManager.SELF_TEST_MARKS.forEach((name) => element.classList.remove(`selftest-${name}`));
+        if (mark) element.classList.add(`selftest-${mark}`);
+    }
+
+    /**
+     * Remove every self-test highlight from the grids
+     */
+    clearSelfTestMarks() {
+        this.selfTestMarks.clear();
+        this.buttonCells.forEach((cell) => this.applySelfTestMark(cell.element));
+        this.axisCells.forEach((cell) => this.applySelfTestMark(cell.card));
+    }
+
+    /**
+     * Download the last self-test report as HTML or JSON
+     */
+    downloadSelfTestReport(format) {
+        const report = this.selfTestReport;
+        if (!report) return;
+
+        const stamp = report.finishedAt.replace(/[:.]/g, '-');
+        if (format === 'html') {
+            this.downloadFile(`gamepad-self-test-${stamp}.html`, SelfTestReport.toHTML(report), 'text/html');
+        } else {
+            this.downloadFile(`gamepad-self-test-${stamp}.json`, SelfTestReport.toJSON(report), 'application/json');
+        }
+    }
+
+    /**
+     * Rebuild the timeline lanes for a controller layout (null when there is none)
+     */
+    setTimelineLayout(layout) {
+        this.timelinePlot.setLayout(layout || { buttons: [], axes: [] });
+        this.showTimelineReadout();
+    }
+
+    /**
+     * Scroll the timeline to the newest samples (the view stays put while paused)
+     */
+    updateTimeline(force = false) {
+        const timeline = window.inputTimeline;
+        const layout = timeline.getLayout();
+        const end = timeline.getLatestTime();
+        if (!layout || end === null || (timeline.isPaused() && !force)) return;
+
+        const samples = timeline.getSamples(end - this.timelineSpan, end);
+        this.domWrites += this.timelinePlot.draw(samples, end, this.timelineSpan, layout.startedAt);
+
+        if (this.timelineHover !== null) {
+            this.showTimelineReadout();
+        }
+    }
+
+    /**
+     * Step to the next wider (1) or narrower (-1) time window
+     */
+    zoomTimeline(direction) {
+        const spans = TimelineRenderer.SPANS;
+        const index = Math.min(spans.length - 1, Math.max(0, spans.indexOf(this.timelineSpan) + direction));
+        this.timelineSpan = spans[index];
+        this.elements.timelineSpan.textContent = `${this.timelineSpan / 1000} s`;
+        this.elements.timelineZoomInBtn.disabled = index === 0;
+        this.elements.timelineZoomOutBtn.disabled = index === spans.length - 1;
+        this.updateTimeline(true);
+    }
+
+    /**
+     * Show whether the timeline is paused
+     */
+    setTimelinePaused(paused) {
+        this.elements.timelinePauseBtn.textContent = paused ? 'Resume' : 'Pause';
+        this.elements.timelinePauseBtn.setAttribute('aria-pressed', paused ? 'true' : 'false');
+    }
+
+    /**
+     * Show the exact values and timestamp of the sample under the pointer
+     */
+    showTimelineReadout() {
+        const timeline = window.inputTimeline;
+        const layout = timeline.getLayout();
+        const time = this.timelineHover === null ? null : this.timelinePlot.timeAt(this.timelineHover);
+        const sample = time === null ? null : timeline.sampleAt(time);
+
+        if (!layout || !sample) {
+            this.timelinePlot.setCursor(null);
+            this.elements.timelineReadout.textContent = 'Hover over the timeline for exact values and timestamps';
+            return;
+        }
+
+        this.timelinePlot.setCursor(sample.t);
+        const pressed = layout.buttons.filter((name, i) => sample.pressed[i]);
+        const axes = layout.axes.map((name, i) => `${name} ${sample.axes[i] >= 0 ? '+' : ''}${sample.axes[i].toFixed(3)}`);
+        const age = (timeline.getLatestTime() - sample.t) / 1000;
+
+        this.elements.timelineReadout.textContent =
+            `t = ${((sample.t - layout.startedAt) / 1000).toFixed(3)} s (${age.toFixed(3)} s ago) · ` +
+            `Pressed: ${pressed.length > 0 ? pressed.join(', ') : 'none'} · ${axes.join(' · ')}`;
+    }
+
+    /**
+     * Show the held numpad direction
+     */
+    showComboDirection(direction) {
+        this.elements.comboArrow.textContent = SequenceEngine.ARROWS[direction];
+        this.elements.comboDigit.textContent = direction;
+    }
+
+    /**
+     * Add an entry to the top of the input history
+     */
+    showComboInput(entry) {
+        const list = this.elements.comboHistory;
+        list.insertBefore(this.createComboHistoryItem(entry), list.firstChild);
+
+        while (list.children.length > SequenceEngine.HISTORY_LENGTH) {
+            list.removeChild(list.lastChild);
+        }
+    }
+
+    /**
+     * Create a history row: frames since the previous input, direction and buttons
+     */
+    createComboHistoryItem(entry) {
+        const item = document.createElement('li');
+
+        const frames = document.createElement('span');
+        frames.className = 'combo-frames';
+        frames.textContent = entry.frames === null ? '—' : `${entry.frames}f`;
+
+        const input = document.createElement('span');
+        input.className = 'combo-input';
+        input.textContent = entry.turned ? `${SequenceEngine.ARROWS[entry.direction]} ${entry.direction}` : '';
+
+        const buttons = document.createElement('span');
+        buttons.className = 'combo-buttons';
+        buttons.textContent = entry.buttons.map((button) => button.token || button.name).join(' + ');
+
+        item.appendChild(frames);
+        item.appendChild(input);
+        item.appendChild(buttons);
+        return item;
+    }
+
+    /**
+     * Announce a recognised combo and update its hit count
+     */
+    showComboHit(event) {
+        const status = this.elements.comboStatus;
+        status.textContent = `${event.name} (${event.notation}) in ${event.frames} of ${event.window} frames`;
+        status.classList.add('combo-status-hit');
+
+        this.elements.comboListBody.querySelectorAll('tr').forEach((row) => {
+            const hit = row.getAttribute('data-combo') === event.name;
+            row.classList.toggle('combo-hit', hit);
+            if (hit) row.querySelector('.combo-hits').textContent = event.hits;
+        });
+    }
+
+    /**
+     * Empty the history view and reset hit counts
+     */
+    showComboCleared() {
+        this.elements.comboHistory.innerHTML = '';
+        this.elements.comboStatus.textContent = 'History cleared';
+        this.elements.comboStatus.classList.remove('combo-status-hit');
+        this.renderComboList(window.sequenceEngine.list());
+    }
+
+    /**
+     * Fill the combo table; saved combos get a delete button
+     */
+    renderComboList(combos) {
+        const body = this.elements.comboListBody;
+        body.innerHTML = '';
+
+        combos.forEach((combo) => {
+            const row = document.createElement('tr');
+            row.setAttribute('data-combo', combo.name);
+
+            [
+                [combo.name, ''],
+                [combo.notation, 'combo-notation'],
+                [`${combo.window}f`, ''],
+                [window.sequenceEngine.getHits(combo.name), 'combo-hits'],
+            ].forEach(([text, className]) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (className) cell.className = className;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            if (!combo.preset) {
+                const remove = document.createElement('button');
+                remove.className = 'btn btn-secondary';
+                remove.textContent = '✕';
+                remove.setAttribute('aria-label', `Delete combo ${combo.name}`);
+                remove.addEventListener('click', () => window.sequenceEngine.remove(combo.name));
+                actions.appendChild(remove);
+            }
+            row.appendChild(actions);
+
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Save the combo described by the form
+     */
+    saveCombo() {
+        try {
+            const combo = window.sequenceEngine.save({
+                name: this.elements.comboNameInput.value,
+                notation: this.elements.comboNotationInput.value,
+                window: Number(this.elements.comboWindowInput.value),
+            });
+            this.elements.comboStatus.textContent = `Saved ${combo.name} (${combo.notation})`;
+        } catch (error) {
+            this.elements.comboStatus.textContent = `Could not save: ${error.message}`;
+        }
+        this.elements.comboStatus.classList.remove('combo-status-hit');
+    }
+
+    /**
+     * Light the reported cardinal directions and show the numpad direction they resolve to
+     */
+    showSocdDirections(event) {
+        this.elements.fightStickDirections.querySelectorAll('[data-direction]').forEach((element) => {
+            element.classList.toggle('active', event[element.getAttribute('data-direction')]);
+        });
+        this.elements.fightStickArrow.textContent = SequenceEngine.ARROWS[event.direction];
+        this.elements.fightStickDigit.textContent = event.direction;
+    }
+
+    /**
+     * Reset the SOCD results for a new test
+     */
+    showSocdStart() {
+        this.elements.socdResultsBody.innerHTML = '';
+        this.elements.socdSummary.innerHTML = '';
+        this.setSocdRunning(true);
+    }
+
+    /**
+     * Prompt for the current phase of an SOCD trial
+     */
+    showSocdStep(step) {
+        const first = UIManager.SOCD_DIRECTION_NAMES[step.first];
+        const second = UIManager.SOCD_DIRECTION_NAMES[step.second];
+        const prompts = {
+            hold: `Hold ${first}`,
+            press: `Keep holding ${first} and press ${second} too`,
+            release: `Let go of ${first}, keep holding ${second}`,
+            clear: 'Release the lever',
+        };
+        this.elements.socdStatus.textContent = `Trial ${step.number}/${step.count}: ${prompts[step.phase]}`;
+    }
+
+    /**
+     * Add a finished trial to the results
+     */
+    showSocdTrial(trial) {
+        const names = UIManager.SOCD_DIRECTION_NAMES;
+        const reported = {
+            none: 'Neither',
+            first: names[trial.first],
+            second: names[trial.second],
+            both: 'Both',
+        };
+
+        const row = document.createElement('tr');
+        row.className = `socd-row-${trial.outcome}`;
+        [
+            `${names[trial.first]} then ${names[trial.second]}`,
+            trial.outcome === 'inconclusive' ? '—' : reported[trial.observed],
+            SocdAnalyzer.OUTCOME_LABELS[trial.outcome],
+        ].forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        this.elements.socdResultsBody.appendChild(row);
+    }
+
+    /**
+     * Summarise how the device resolves each opposing pair
+     */
+    showSocdReport(report) {
+        this.setSocdRunning(false);
+        this.elements.socdStatus.textContent = 'SOCD test complete';
+        this.elements.socdSummary.innerHTML = '';
+
+        [['horizontal', 'Left + Right'], ['vertical', 'Up + Down']].forEach(([axis, label]) => {
+            const block = document.createElement('div');
+            block.className = 'diagnostics-result';
+
+            const heading = document.createElement('div');
+            heading.className = 'diagnostics-verdict';
+            heading.textContent = label;
+            block.appendChild(heading);
+
+            const mode = document.createElement('div');
+            mode.textContent = SocdAnalyzer.describeMode(report[axis].mode);
+            block.appendChild(mode);
+
+            this.elements.socdSummary.appendChild(block);
+        });
+    }
+
+    /**
+     * Note an aborted SOCD test
+     */
+    showSocdCancelled() {
+        this.setSocdRunning(false);
+        this.elements.socdStatus.textContent = 'SOCD test cancelled';
+    }
+
+    /**
+     * Enable the SOCD buttons that apply while a test is (not) running
+     */
+    setSocdRunning(running) {
+        this.elements.socdStartBtn.disabled = running;
+        this.elements.socdCancelBtn.disabled = !running;
+    }
+
+    /**
+     * Rebuild the wheel view for the active controller's wheel layout (null clears it)
+     */
+    setWheelLayout(layout) {
+        this.wheelPlot.setLayout(layout);
+        this.elements.wheelReadout.textContent = '';
+        this.elements.wheelStatus.textContent = layout
+            ? UIManager.describeWheelLayout(layout)
+            : 'Turn the wheel and press the pedals';
+    }
+
+    /**
+     * Show a wheel reading on the view and in the readout line
+     */
+    updateWheel(reading) {
+        this.wheelPlot.update(reading);
+        this.domWrites++;
+
+        const percent = (travel) => (travel === null ? '—' : `${Math.round(travel * 100)}%`);
+        const parts = [
+            `Steering ${Math.round(reading.angle)}° of ±${reading.rotation / 2}°`,
+            `Throttle ${percent(reading.pedals.throttle)}`,
+            `Brake ${percent(reading.pedals.brake)}`,
+            `Clutch ${percent(reading.pedals.clutch)}`,
+        ];
+        if (reading.gear !== null) parts.push(`Gear ${reading.gear}`);
+        if (reading.paddles) {
+            const held = ['down', 'up'].filter((paddle) => reading.paddles[paddle]);
+            parts.push(`Paddles ${held.length > 0 ? held.join(' + ') : 'none'}`);
+        }
+        this.patchText(this.elements.wheelReadout, parts.join(' · '));
+    }
+
+    /**
+     * Describe which axes and buttons a wheel layout reads
+     */
+    static describeWheelLayout(layout) {
+        const axis = (index) => (index === null ? 'none' : `A${index}`);
+        const pedals = layout.pedals === 'split'
+            ? `split pedals (throttle ${axis(layout.throttle)}, brake ${axis(layout.brake)}, clutch ${axis(layout.clutch)})`
+            : `combined pedals on ${axis(layout.combined)}`;
+        const parts = [`steering ${axis(layout.steering)}`, pedals];
+
+        const gears = Object.keys(layout.gears).length;
+        if (gears > 0) parts.push(`${gears}-position H-shifter`);
+        if (layout.paddles) parts.push(`shift paddles on buttons ${layout.paddles.down} (down) and ${layout.paddles.up} (up)`);
+
+        const device = layout.detected ? layout.name : 'Not recognised as a wheel, using defaults';
+        return `${device}: ${parts.join(', ')}`;
+    }
+
+    /**
+     * Rebuild the flight view for the active controller's flight layout (null clears it)
+     */
+    setFlightLayout(layout) {
+        this.flightPlot.setLayout(layout);
+        this.elements.flightReadout.textContent = '';
+        this.elements.flightStatus.textContent = layout
+            ? UIManager.describeFlightLayout(layout)
+            : 'Move the stick, twist it and slide the throttle';
+    }
+
+    /**
+     * Show a flight reading on the view and in the readout line
+     */
+    updateFlight(reading) {
+        this.flightPlot.update(reading);
+        this.domWrites++;
+
+        const signed = (value) => (value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+        const parts = [
+            `Roll ${signed(reading.roll)}`,
+            `Pitch ${signed(reading.pitch)}`,
+            `Twist ${signed(reading.twist)}`,
+            `Throttle ${reading.throttle === null ? '—' : `${Math.round(reading.throttle * 100)}%`}`,
+        ];
+        reading.hats.forEach((hat) => parts.push(`Hat A${hat.index} ${hat.name}`));
+        parts.push(`Buttons ${reading.buttons.length > 0 ? reading.buttons.map((button) => button.name).join(' + ') : 'none'}`);
+        this.patchText(this.elements.flightReadout, parts.join(' · '));
+    }
+
+    /**
+     * Describe which axes a flight layout reads
+     */
+    static describeFlightLayout(layout) {
+        const axis = (index) => (index === null ? 'none' : `A${index}`);
+        const parts = [
+            `roll ${axis(layout.roll)}`,
+            `pitch ${axis(layout.pitch)}`,
+            `twist ${axis(layout.twist)}`,
+            `throttle ${axis(layout.throttle)} (full at ${layout.inverted ? '-1' : '+1'})`,
+            layout.hats.length > 0 ? `hat switch on ${layout.hats.map(axis).join(', ')}` : 'no hat switch found yet',
+            `${layout.buttons} buttons`,
+        ];
+
+        const device = layout.detected ? layout.name : 'Not recognised as a flight stick, using defaults';
+        return `${device}: ${parts.join(', ')}`;
+    }
+
+    /**
+     * A starter pattern for the designer: a ramp up, a hold and a fade out
+     */
+    static createHapticsDraft() {
+        return {
+            name: 'My pattern',
+            repeat: 1,
+            steps: [
+                { duration: 300, strong: 0.8, weak: 0.4, leftTrigger: 0, rightTrigger: 0, ramp: true },
+                { duration: 200, strong: 0.8, weak: 0.4, leftTrigger: 0, rightTrigger: 0, ramp: false },
+                { duration: 300, strong: 0, weak: 0, leftTrigger: 0, rightTrigger: 0, ramp: true },
+            ],
+        };
+    }
+
+    /**
+     * Update all displays on gamepad state change
+     */
+    updateFullDisplay(gamepadState) {
+        this.currentGamepadState = gamepadState;
+        this.updateControllerInfo(gamepadState);
+
+        // Rebuild only for a new controller layout, otherwise patch changed cells
+        if (this.getGridLayout(gamepadState) !== this.gridLayout) {
+            this.renderGrids(gamepadState);
+            return;
+        }
+
+        gamepadState.buttons.forEach((button) => {
+            this.updateButtonPress(button.index, button.pressed, button.name);
+        });
+        gamepadState.axes.forEach((axis) => {
+            this.updateAxisDisplay(axis.index, axis.value, axis.name, axis.rawValue);
+        });
+    }
+
+    /**
+     * Show UI frame timing against the frame budget
+     */
+    updatePerfCounter(stats) {
+        const counter = this.elements.perfCounter;
+        counter.style.display = 'block';
+        counter.textContent =
+            `UI frame: ${stats.avgMs.toFixed(2)} ms avg / ${stats.maxMs.toFixed(2)} ms max ` +
+            `of ${stats.budgetMs.toFixed(1)} ms budget · ${stats.fps.toFixed(0)} fps · ` +
+            `${stats.domWritesPerFrame.toFixed(1)} DOM writes/frame` +
+            (stats.overBudget > 0 ? ` · ${stats.overBudget} over budget` : '');
+        counter.classList.toggle('over-budget', stats.overBudget > 0);
+    }
+
+    /**
+     * Get UI elements (for external access)
+     */
+    getElements() {
+        return this.elements;
+    }
+}
+
+// Self-test states shown on grid cells (class `selftest-${mark}`)
+UIManager.SELF_TEST_MARKS = ['current', 'pass', 'fail', 'skipped'];
+
+// Direction names used in SOCD prompts
+UIManager.SOCD_DIRECTION_NAMES = { left: 'Left', right: 'Right', up: 'Up', down: 'Down' };
 
 // Export for use
 window.UIManager = UIManager;
@@ -0,0 +1,155 @@
+/**
+ * ========================================================================
+ * VIRTUAL GAMEPAD MODULE
+ * A scriptable controller for VirtualInputSource: press/release buttons,
+ * move axes and sticks, and inspect vibration requests without hardware
+ * ========================================================================
+ */
+
+class VirtualGamepad {
+    constructor(options = {}) {
+        this.index = Number.isInteger(options.index) ? options.index : null;
+        this.id = options.id || 'Virtual Gamepad (STANDARD GAMEPAD Vendor: 0000 Product: 0000)';
+        this.mapping = options.mapping !== undefined ? options.mapping : 'standard';
+        this.connected = false;
+
+        this.now = options.now || (() => performance.now());
+        this.timestamp = this.now();
+
+        this.buttons = Array.from({ length: options.buttons || 17 }, () => ({
+            pressed: false,
+            touched: false,
+            value: 0,
+        }));
+        this.axes = new Array(options.axes !== undefined ? options.axes : 4).fill(0);
+
+        // Rumble effects requested through the vibration actuator
+        this.vibrationLog = [];
+        this.vibrationActuator = options.vibration === false ? null : this.createVibrationActuator();
+    }
+
+    /**
+     * Press a button (value 0-1, pressed above the standard 0.5 threshold for analog values)
+     */
+    press(buttonIndex, value = 1) {
+        return this.setButton(buttonIndex, value);
+    }
+
+    /**
+     * Release a button
+     */
+    release(buttonIndex) {
+        return this.setButton(buttonIndex, 0);
+    }
+
+    /**
+     * Set a button's analog value
+     */
+    setButton(buttonIndex, value, pressed = value >= VirtualGamepad.PRESS_THRESHOLD) {
+        const button = this.buttons[buttonIndex];
+        if (!button) throw new RangeError(`Button ${buttonIndex} does not exist`);
+
+        button.value = Math.min(1, Math.max(0, value));
+        button.pressed = pressed;
+        button.touched = button.value > 0;
+        return this.touch();
+    }
+
+    /**
+     * Set a single axis (-1..1)
+     */
+    setAxis(axisIndex, value) {
+        if (axisIndex < 0 || axisIndex >= this.axes.length) {
+            throw new RangeError(`Axis ${axisIndex} does not exist`);
+        }
+
+        this.axes[axisIndex] = Math.min(1, Math.max(-1, value));
+        return this.touch();
+    }
+
+    /**
+     * Move a standard-mapping stick ('left' = axes 0/1, 'right' = axes 2/3)
+     */
+    setStick(side, x, y) {
+        const base = side === 'right' ? 2 : 0;
+        this.setAxis(base, x);
+        return this.setAxis(base + 1, y);
+    }
+
+    /**
+     * Point a POV hat reported on one axis (numpad direction 1-9, 5 centred) the way
+     * Chrome reports it: -1 + n * 2/7 clockwise from up, and 9/7 (beyond +1) at centre
+     */
+    setHat(axisIndex, direction) {
+        if (axisIndex < 0 || axisIndex >= this.axes.length) {
+            throw new RangeError(`Axis ${axisIndex} does not exist`);
+        }
+
+        const position = direction === 5 ? HatDecoder.POSITIONS : HatDecoder.DIRECTIONS.indexOf(direction);
+        if (position < 0) throw new RangeError(`Hat direction ${direction} does not exist`);
+
+        this.axes[axisIndex] = position * HatDecoder.STEP - 1;
+        return this.touch();
+    }
+
+    /**
+     * Release every button and centre every axis
+     */
+    resetInputs() {
+        this.buttons.forEach((button) => {
+            button.pressed = false;
+            button.touched = false;
+            button.value = 0;
+        });
+        this.axes.fill(0);
+        return this.touch();
+    }
+
+    /**
+     * Advance the timestamp, as hardware does on each new report
+     */
+    touch() {
+        this.timestamp = Math.max(this.now(), this.timestamp + 0.001);
+        return this;
+    }
+
+    /**
+     * Create an immutable Gamepad-like snapshot, as Chrome returns from getGamepads()
+     */
+    toGamepad() {
+        return {
+            index: this.index,
+            id: this.id,
+            mapping: this.mapping,
+            connected: this.connected,
+            timestamp: this.timestamp,
+            buttons: this.buttons.map((b) => ({ ...b })),
+            axes: this.axes.slice(),
+            vibrationActuator: this.vibrationActuator,
+        };
+    }
+
+    /**
+     * Vibration actuator that records effects instead of rumbling
+     */
+    createVibrationActuator() {
+        return {
+            type: 'dual-rumble',
+            effects: ['dual-rumble', 'trigger-rumble'],
+            playEffect: (type, params) => {
+                this.vibrationLog.push({ type, params: { ...params } });
+                return Promise.resolve('complete');
+            },
+            reset: () => {
+                this.vibrationLog.push({ type: 'reset' });
+                return Promise.resolve('complete');
+            },
+        };
+    }
+}
+
+// Value at which an analog button reports pressed
+VirtualGamepad.PRESS_THRESHOLD = 0.5;
+
+// Export for use
+window.VirtualGamepad = VirtualGamepad;
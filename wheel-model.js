@@ -0,0 +1,152 @@
+/**
+ * ========================================================================
+ * WHEEL MODEL MODULE
+ * Reads the active gamepad's update stream as a racing wheel: steering
+ * angle over a configurable rotation range, throttle/brake/clutch pedal
+ * travel from split or combined pedal axes, H-shifter gear and paddles
+ * ========================================================================
+ */
+
+class WheelModel extends ActivePadModel {
+    /**
+     * Options: { settings: SettingsStore whose `wheel` settings (rotation, pedal mode) are followed }
+     */
+    constructor(gamepadManager, options = {}) {
+        super(gamepadManager, options, 'wheel');
+        this.readSettings();
+    }
+
+    /**
+     * Pick up the rotation range and pedal mode
+     */
+    readSettings() {
+        this.rotation = this.settings ? this.settings.get('wheel.rotation') : WheelModel.DEFAULT_ROTATION;
+        this.pedalMode = this.settings ? this.settings.get('wheel.pedals') : 'auto';
+    }
+
+    /**
+     * A new layout is resolved when the controller or pedal mode changes
+     */
+    layoutKey(state) {
+        return `${state.id}|${state.buttons.length}|${state.axes.length}|${this.pedalMode}`;
+    }
+
+    /**
+     * Roles of a controller under the current pedal mode
+     */
+    layoutFor(state) {
+        return WheelModel.resolveLayout(state, this.pedalMode);
+    }
+
+    /**
+     * Reading over the current rotation range
+     */
+    readingFor(state, layout) {
+        return WheelModel.read(state, layout, this.rotation);
+    }
+
+    /**
+     * Axis and button roles of a controller: its profile's wheel description over the defaults,
+     * with the pedal mode forced unless 'auto' and roles the device lacks dropped
+     */
+    static resolveLayout(state, pedalMode = 'auto') {
+        const profile = state.profile && state.profile.wheel;
+        const wheel = { ...WheelModel.DEFAULT_LAYOUT, ...(profile || {}) };
+        const axis = (index) => (Number.isInteger(index) && index < state.axes.length ? index : null);
+        const button = (index) => (Number.isInteger(index) && index < state.buttons.length ? index : null);
+
+        const pedals = pedalMode === 'auto' ? wheel.pedals : pedalMode;
+        const split = pedals === 'split';
+
+        const gears = {};
+        Object.keys(wheel.gears).forEach((index) => {
+            if (button(Number(index)) !== null) gears[index] = wheel.gears[index];
+        });
+
+        const up = button(wheel.paddles && wheel.paddles.up);
+        const down = button(wheel.paddles && wheel.paddles.down);
+
+        return {
+            id: state.id,
+            detected: Boolean(profile),
+            name: state.profile ? state.profile.name : null,
+            steering: axis(wheel.steering),
+            pedals: pedals,
+            throttle: split ? axis(wheel.throttle) : null,
+            brake: split ? axis(wheel.brake) : null,
+            clutch: split ? axis(wheel.clutch) : null,
+            combined: split ? null : axis(wheel.combined),
+            inverted: wheel.inverted,
+            gears: gears,
+            paddles: up !== null && down !== null ? { up: up, down: down } : null,
+        };
+    }
+
+    /**
+     * Wheel reading of a state snapshot
+     * Returns { steering: -1..1, angle: degrees, rotation, pedals: { throttle, brake, clutch } (0..1,
+     * null when absent), gear: label, 'N' or null without a shifter, paddles: { up, down } or null }
+     * Uses calibrated values: the stick dead zone would cut into steering and mid pedal travel
+     */
+    static read(state, layout, rotation) {
+        const value = (index) => (index === null ? null : state.axes[index].calibratedValue);
+        const pressed = (index) => Boolean(state.buttons[index] && state.buttons[index].pressed);
+
+        const steering = value(layout.steering) || 0;
+        const pedals = { throttle: null, brake: null, clutch: null };
+
+        if (layout.pedals === 'split') {
+            ['throttle', 'brake', 'clutch'].forEach((pedal) => {
+                const raw = value(layout[pedal]);
+                if (raw !== null) pedals[pedal] = ActivePadModel.travel(raw, layout.inverted);
+            });
+        } else {
+            const raw = value(layout.combined);
+            if (raw !== null) {
+                // Combined pedals share one axis: throttle towards -1, brake towards +1
+                const position = layout.inverted ? -raw : raw;
+                pedals.throttle = Math.max(0, -position);
+                pedals.brake = Math.max(0, position);
+            }
+        }
+
+        const gearButtons = Object.keys(layout.gears);
+        let gear = null;
+        if (gearButtons.length > 0) {
+            const engaged = gearButtons.find((index) => pressed(Number(index)));
+            gear = engaged === undefined ? 'N' : layout.gears[engaged];
+        }
+
+        return {
+            steering: steering,
+            angle: (steering * rotation) / 2,
+            rotation: rotation,
+            pedals: pedals,
+            gear: gear,
+            paddles: layout.paddles ? { up: pressed(layout.paddles.up), down: pressed(layout.paddles.down) } : null,
+        };
+    }
+}
+
+// Roles assumed where a controller's profile has no wheel description:
+// left stick X steers, left stick Y works as combined pedals, bumpers as paddles
+WheelModel.DEFAULT_LAYOUT = {
+    steering: 0,
+    pedals: 'combined',
+    throttle: 2,
+    brake: 3,
+    clutch: null,
+    combined: 1,
+    inverted: false,
+    gears: {},
+    paddles: { up: 5, down: 4 },
+};
+
+// Default lock-to-lock rotation in degrees
+WheelModel.DEFAULT_ROTATION = 900;
+
+// Pedal handling: from the profile, one axis per pedal, or one shared axis
+WheelModel.PEDAL_MODES = ['auto', 'split', 'combined'];
+
+// Export for use
+window.WheelModel = WheelModel;
@@ -0,0 +1,254 @@
+/**
+ * ========================================================================
+ * WHEEL RENDERER MODULE
+ * Renders a racing wheel view: a steering wheel rotating by the reported
+ * angle with its shift paddles, pedal travel bars and an H-shifter gate
+ * ========================================================================
+ */
+
+class WheelRenderer {
+    constructor(container) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.width = 480;
+        this.height = 220;
+
+        this.svg = null;
+        this.wheel = null;
+        this.angleText = null;
+        this.paddles = {};
+        this.pedals = {};
+        this.gearSlots = new Map();
+        this.knob = null;
+        this.neutral = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize and create the view
+     */
+    init() {
+        this.setLayout(null);
+    }
+
+    /**
+     * Rebuild the view for a wheel layout (null draws the wheel and pedals without a shifter)
+     */
+    setLayout(layout) {
+        this.container.innerHTML = '';
+        this.paddles = {};
+        this.pedals = {};
+        this.gearSlots.clear();
+        this.knob = null;
+
+        this.svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'wheel-plot',
+            role: 'img',
+            'aria-label': 'Racing wheel: steering angle, pedal travel and gear',
+        });
+
+        this.drawWheel(layout);
+        this.drawPedals(layout);
+        this.drawShifter(layout);
+
+        this.container.appendChild(this.svg);
+    }
+
+    /**
+     * Draw the rim, spokes, centre mark and paddles, rotated as one group
+     */
+    drawWheel(layout) {
+        const cx = WheelRenderer.WHEEL_CENTER;
+        const cy = this.height / 2;
+        const r = WheelRenderer.WHEEL_RADIUS;
+
+        this.wheel = this.createElement('g', { class: 'wheel-body' });
+        this.wheel.appendChild(this.createElement('circle', { cx: cx, cy: cy, r: r, class: 'wheel-rim' }));
+        [[-r, 0], [r, 0], [0, r]].forEach(([dx, dy]) => {
+            this.wheel.appendChild(this.createElement('line', {
+                x1: cx, y1: cy, x2: cx + dx * 0.92, y2: cy + dy * 0.92, class: 'wheel-spoke',
+            }));
+        });
+        this.wheel.appendChild(this.createElement('circle', { cx: cx, cy: cy, r: 22, class: 'wheel-hub' }));
+        this.wheel.appendChild(this.createElement('rect', {
+            x: cx - 3, y: cy - r - 6, width: 6, height: 12, class: 'wheel-marker',
+        }));
+
+        // Shift paddles are mounted on the wheel and turn with it
+        if (layout && layout.paddles) {
+            [['down', -1, '−'], ['up', 1, '+']].forEach(([paddle, side, symbol]) => {
+                const x = cx + side * (r * 0.55) - 7;
+                const group = this.createElement('g', { class: 'wheel-paddle' });
+                group.appendChild(this.createElement('rect', { x: x, y: cy - 30, width: 14, height: 28, rx: 3 }));
+                const label = this.createElement('text', { x: x + 7, y: cy - 12, class: 'wheel-label', 'text-anchor': 'middle' });
+                label.textContent = symbol;
+                group.appendChild(label);
+                this.wheel.appendChild(group);
+                this.paddles[paddle] = group;
+            });
+        }
+
+        this.svg.appendChild(this.wheel);
+
+        this.angleText = this.createElement('text', { x: cx, y: cy + 4, class: 'wheel-angle', 'text-anchor': 'middle' });
+        this.angleText.textContent = '0°';
+        this.svg.appendChild(this.angleText);
+    }
+
+    /**
+     * Draw one travel bar per pedal, clutch to throttle as on the car's floor
+     */
+    drawPedals(layout) {
+        const top = 30;
+        const height = this.height - 70;
+
+        WheelRenderer.PEDALS.forEach((pedal, i) => {
+            const x = WheelRenderer.PEDALS_LEFT + i * 40;
+            const absent = Boolean(layout) && !WheelRenderer.hasPedal(layout, pedal);
+            const group = this.createElement('g', { class: absent ? 'wheel-pedal wheel-pedal-absent' : 'wheel-pedal' });
+
+            group.appendChild(this.createElement('rect', { x: x, y: top, width: 26, height: height, class: 'wheel-pedal-track' }));
+            const fill = this.createElement('rect', {
+                x: x, y: top + height, width: 26, height: 0, class: `wheel-pedal-fill wheel-${pedal}`,
+            });
+            group.appendChild(fill);
+
+            const value = this.createElement('text', { x: x + 13, y: top - 8, class: 'wheel-label', 'text-anchor': 'middle' });
+            value.textContent = absent ? '—' : '0%';
+            group.appendChild(value);
+
+            const label = this.createElement('text', { x: x + 13, y: top + height + 16, class: 'wheel-label', 'text-anchor': 'middle' });
+            label.textContent = WheelRenderer.PEDAL_LABELS[pedal];
+            group.appendChild(label);
+
+            this.svg.appendChild(group);
+            this.pedals[pedal] = { fill: fill, value: value, top: top, height: height, absent: absent };
+        });
+    }
+
+    /**
+     * Draw the H-shifter gate: odd gears across the top, even gears and reverse below
+     */
+    drawShifter(layout) {
+        const gears = layout ? Object.values(layout.gears) : [];
+        const group = this.createElement('g', { class: 'wheel-shifter' });
+        const left = WheelRenderer.SHIFTER_LEFT;
+        const middle = this.height / 2;
+
+        if (gears.length === 0) {
+            const text = this.createElement('text', {
+                x: left + 55, y: middle, class: 'wheel-label', 'text-anchor': 'middle',
+            });
+            text.textContent = 'No H-shifter';
+            group.appendChild(text);
+            this.svg.appendChild(group);
+            return;
+        }
+
+        const slots = WheelRenderer.gateSlots(gears);
+        const columns = Math.max(...slots.map((slot) => slot.column)) + 1;
+        const spacing = Math.min(36, 110 / Math.max(1, columns - 1));
+        const toX = (column) => left + column * spacing;
+        const rowY = [middle - 50, middle + 50];
+
+        group.appendChild(this.createElement('line', {
+            x1: toX(0), y1: middle, x2: toX(columns - 1), y2: middle, class: 'wheel-gate',
+        }));
+        slots.forEach((slot) => {
+            const x = toX(slot.column);
+            const y = rowY[slot.row];
+            group.appendChild(this.createElement('line', { x1: x, y1: middle, x2: x, y2: y, class: 'wheel-gate' }));
+
+            const circle = this.createElement('circle', { cx: x, cy: y, r: 11, class: 'wheel-gear' });
+            group.appendChild(circle);
+            const label = this.createElement('text', { x: x, y: y + 4, class: 'wheel-label', 'text-anchor': 'middle' });
+            label.textContent = slot.gear;
+            group.appendChild(label);
+            this.gearSlots.set(slot.gear, { x: x, y: y, circle: circle });
+        });
+
+        this.neutral = { x: toX((columns - 1) / 2), y: middle };
+        this.knob = this.createElement('circle', { cx: this.neutral.x, cy: this.neutral.y, r: 7, class: 'wheel-knob' });
+        group.appendChild(this.knob);
+        this.svg.appendChild(group);
+    }
+
+    /**
+     * Show a wheel reading
+     */
+    update(reading) {
+        const cx = WheelRenderer.WHEEL_CENTER;
+        this.wheel.setAttribute('transform', `rotate(${reading.angle.toFixed(1)} ${cx} ${this.height / 2})`);
+        this.angleText.textContent = `${Math.round(reading.angle)}°`;
+
+        Object.keys(this.paddles).forEach((paddle) => {
+            this.paddles[paddle].classList.toggle('active', Boolean(reading.paddles && reading.paddles[paddle]));
+        });
+
+        Object.keys(this.pedals).forEach((pedal) => {
+            const bar = this.pedals[pedal];
+            const travel = reading.pedals[pedal];
+            if (bar.absent || travel === null) return;
+
+            const height = travel * bar.height;
+            bar.fill.setAttribute('y', (bar.top + bar.height - height).toFixed(1));
+            bar.fill.setAttribute('height', height.toFixed(1));
+            bar.value.textContent = `${Math.round(travel * 100)}%`;
+        });
+
+        if (this.knob) {
+            const slot = this.gearSlots.get(reading.gear);
+            const position = slot || this.neutral;
+            this.knob.setAttribute('cx', position.x);
+            this.knob.setAttribute('cy', position.y);
+            this.gearSlots.forEach((entry, gear) => entry.circle.classList.toggle('active', gear === reading.gear));
+        }
+    }
+
+    /**
+     * Check whether a layout reads a pedal
+     */
+    static hasPedal(layout, pedal) {
+        if (layout.pedals === 'split') return layout[pedal] !== null;
+        return pedal !== 'clutch' && layout.combined !== null;
+    }
+
+    /**
+     * Gate position ({ gear, column, row }) of each gear label: 1/2 share the first column,
+     * 3/4 the next and so on; reverse goes bottom right (below 5th on a five-speed)
+     */
+    static gateSlots(gears) {
+        const forward = gears.filter((gear) => gear !== 'R');
+        const slots = forward.map((gear, i) => ({ gear: gear, column: Math.floor(i / 2), row: i % 2 }));
+        if (gears.includes('R')) {
+            slots.push({ gear: 'R', column: Math.floor(forward.length / 2), row: 1 });
+        }
+        return slots;
+    }
+
+    /**
+     * Utility: Create SVG element with attributes
+     */
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+}
+
+// Wheel position and size
+WheelRenderer.WHEEL_CENTER = 110;
+WheelRenderer.WHEEL_RADIUS = 90;
+
+// Left edges of the pedal bars and the shifter gate
+WheelRenderer.PEDALS_LEFT = 232;
+WheelRenderer.SHIFTER_LEFT = 356;
+
+// Pedals, left to right
+WheelRenderer.PEDALS = ['clutch', 'brake', 'throttle'];
+WheelRenderer.PEDAL_LABELS = { clutch: 'Clutch', brake: 'Brake', throttle: 'Throttle' };
+
+// Export for use
+window.WheelRenderer = WheelRenderer;